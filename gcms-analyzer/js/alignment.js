@@ -0,0 +1,488 @@
+// Retention time alignment module (chromatogram warping and peak grouping across samples)
+class Alignment {
+    static METHODS = ['none', 'cow', 'dtw'];
+
+    // Warping: method, reference sample (null picks one), COW segment length and slack
+    // and the DTW band, all in reference scans
+    static settings = {
+        method: 'cow',
+        referenceSampleId: null,
+        segmentLength: 20,
+        slack: 3,
+        dtwBand: 100
+    };
+
+    // Peak grouping: features of different samples within the tolerance are one metabolite
+    static grouping = {
+        rtTolerance: 0.05,
+        useRetentionIndex: false,
+        riTolerance: RetentionIndex.tolerance
+    };
+
+    // Warp per sample ID: { sampleTimes, referenceTimes } mapping sample RTs onto the reference
+    static warps = new Map();
+    static referenceSampleId = null;
+
+    static overlayChart = null;
+
+    /**
+     * Warp the chromatograms of all samples with a trace onto a reference sample
+     * @param {Array} samples - Experiment samples
+     * @param {Object} options - Overrides for settings
+     * @returns {Map} - Warps by sample ID
+     */
+    static alignSamples(samples, options = {}) {
+        this.settings = { ...this.settings, ...options };
+        if (!this.METHODS.includes(this.settings.method)) {
+            throw new Error(`Unknown alignment method: ${this.settings.method}`);
+        }
+
+        this.warps.clear();
+        this.referenceSampleId = null;
+        const traced = samples.filter(sample => this.#getTrace(sample));
+        if (this.settings.method === 'none' || traced.length < 2) {
+            return this.warps;
+        }
+
+        const reference = this.chooseReference(traced, this.settings.referenceSampleId);
+        this.referenceSampleId = reference.id;
+        const referenceTrace = this.#getTrace(reference);
+
+        traced.filter(sample => sample !== reference).forEach(sample => {
+            const trace = this.#getTrace(sample);
+            // Both traces are compared on the reference's time grid
+            const resampled = this.#interpolate(trace.times, trace.intensities, referenceTrace.times);
+            const warp = this.settings.method === 'cow' ?
+                this.correlationOptimizedWarping(referenceTrace.intensities, resampled, this.settings) :
+                this.dynamicTimeWarping(referenceTrace.intensities, resampled, this.settings);
+
+            this.warps.set(sample.id, {
+                sampleTimes: warp.map(([sampleIndex]) => this.#timeAt(referenceTrace.times, sampleIndex)),
+                referenceTimes: warp.map(([, referenceIndex]) => this.#timeAt(referenceTrace.times, referenceIndex))
+            });
+        });
+        return this.warps;
+    }
+
+    /**
+     * Pick the reference sample: the requested one, else the first QC, else the first sample
+     * @param {Array} samples - Samples with traces, in injection order
+     * @param {string|null} sampleId - Requested reference
+     * @returns {Object} - Reference sample
+     */
+    static chooseReference(samples, sampleId = null) {
+        return samples.find(sample => sample.id === sampleId) ||
+            samples.find(sample => sample.metadata.type === 'qc') ||
+            samples[0];
+    }
+
+    /**
+     * Whether the samples' reference differs from the one the current warps were made against,
+     * e.g. after a sample became the first QC
+     * @param {Array} samples - Experiment samples
+     * @returns {boolean} - True when the samples are aligned and the reference would change
+     */
+    static referenceChanged(samples) {
+        if (!this.referenceSampleId) return false;
+        const traced = samples.filter(sample => sample.processedData.chromatogramData.scans);
+        return traced.length >= 2 && this.chooseReference(traced, this.settings.referenceSampleId).id !== this.referenceSampleId;
+    }
+
+    /**
+     * Correlation optimized warping (Nielsen et al., 1998): the sample is cut into segments
+     * whose lengths may each change by up to the slack, choosing the boundaries that maximize
+     * the summed correlation with the reference segments
+     * @param {Array} reference - Reference trace
+     * @param {Array} sample - Sample trace on the same grid
+     * @param {Object} options - segmentLength and slack in points
+     * @returns {Array} - [sampleIndex, referenceIndex] pairs at the segment boundaries
+     */
+    static correlationOptimizedWarping(reference, sample, { segmentLength = 20, slack = 3 } = {}) {
+        const n = reference.length;
+        const segments = Math.max(1, Math.floor((n - 1) / segmentLength));
+        const referenceBounds = Array.from({ length: segments + 1 }, (_, i) =>
+            i === segments ? n - 1 : i * segmentLength);
+
+        // score[i] holds the best summed correlation for sample boundary positions after segment i
+        let score = new Map([[0, 0]]);
+        const backPointers = [];
+        for (let i = 1; i <= segments; i++) {
+            const length = referenceBounds[i] - referenceBounds[i - 1];
+            const referenceSegment = reference.slice(referenceBounds[i - 1], referenceBounds[i] + 1);
+            const next = new Map();
+            const pointers = new Map();
+
+            score.forEach((previousScore, start) => {
+                for (let shift = -slack; shift <= slack; shift++) {
+                    const end = start + length + shift;
+                    // Later segments must still be able to reach the end of the trace
+                    const remaining = n - 1 - end;
+                    const remainingReference = n - 1 - referenceBounds[i];
+                    if (length + shift < 2 || end > n - 1 ||
+                        Math.abs(remaining - remainingReference) > (segments - i) * slack) {
+                        continue;
+                    }
+
+                    const warped = this.#resample(sample.slice(start, end + 1), length + 1);
+                    const total = previousScore + this.#correlation(referenceSegment, warped);
+                    if (!next.has(end) || total > next.get(end)) {
+                        next.set(end, total);
+                        pointers.set(end, start);
+                    }
+                }
+            });
+
+            score = next;
+            backPointers.push(pointers);
+        }
+
+        // Trace the best path back from the last boundary, which is pinned to the trace end
+        const path = [[n - 1, n - 1]];
+        let boundary = n - 1;
+        for (let i = segments; i >= 1; i--) {
+            boundary = backPointers[i - 1].get(boundary);
+            path.unshift([boundary, referenceBounds[i - 1]]);
+        }
+        return path;
+    }
+
+    /**
+     * Dynamic time warping of max-normalized traces within a Sakoe-Chiba band
+     * Only two cost rows are kept and the path is traced back through one byte per band cell,
+     * so memory and time grow with trace length × band rather than with the length squared
+     * @param {Array} reference - Reference trace
+     * @param {Array} sample - Sample trace on the same grid
+     * @param {Object} options - dtwBand in scans
+     * @returns {Array} - [sampleIndex, referenceIndex] pairs, one per sample point
+     */
+    static dynamicTimeWarping(reference, sample, { dtwBand = 100 } = {}) {
+        const n = reference.length;
+        const band = Math.max(2, Math.min(n - 1, Math.round(dtwBand)));
+        const normalize = (values) => {
+            const maximum = values.reduce((max, value) => value > max ? value : max, 0);
+            return values.map(value => maximum > 0 ? value / maximum : 0);
+        };
+        const a = normalize(sample);
+        const b = normalize(reference);
+
+        // Row i holds cost[i][j - i + band] for |i - j| <= band; moves[i * width + j - i + band]
+        // is the step into (i, j): 0 diagonal, 1 from (i - 1, j), 2 from (i, j - 1)
+        const width = 2 * band + 1;
+        const DIAGONAL = 0;
+        const UP = 1;
+        const LEFT = 2;
+        const moves = new Int8Array(n * width);
+        let previous = new Float64Array(width).fill(Infinity);
+        let current = new Float64Array(width);
+
+        for (let i = 0; i < n; i++) {
+            current.fill(Infinity);
+            for (let j = Math.max(0, i - band); j <= Math.min(n - 1, i + band); j++) {
+                const k = j - i + band;
+                const distance = (a[i] - b[j]) ** 2;
+                if (i === 0 && j === 0) {
+                    current[k] = distance;
+                    continue;
+                }
+                // (i - 1, j - 1) and (i - 1, j) sit at k and k + 1 of the previous row
+                const diagonal = i > 0 && j > 0 ? previous[k] : Infinity;
+                const up = i > 0 && k + 1 < width ? previous[k + 1] : Infinity;
+                const left = k > 0 ? current[k - 1] : Infinity;
+                let move = DIAGONAL;
+                let best = diagonal;
+                if (up < best) {
+                    move = UP;
+                    best = up;
+                }
+                if (left < best) {
+                    move = LEFT;
+                    best = left;
+                }
+                current[k] = distance + best;
+                moves[i * width + k] = move;
+            }
+            [previous, current] = [current, previous];
+        }
+
+        // Walk back along the cheapest path, then average the reference points matched to each sample point
+        const matches = Array.from({ length: n }, () => []);
+        let i = n - 1;
+        let j = n - 1;
+        matches[i].push(j);
+        while (i > 0 || j > 0) {
+            const move = moves[i * width + j - i + band];
+            if (move === DIAGONAL) {
+                i--;
+                j--;
+            } else if (move === UP) {
+                i--;
+            } else {
+                j--;
+            }
+            matches[i].push(j);
+        }
+
+        return matches.map((referenceIndices, sampleIndex) => [
+            sampleIndex,
+            referenceIndices.reduce((sum, value) => sum + value, 0) / referenceIndices.length
+        ]);
+    }
+
+    /**
+     * Map a sample retention time onto the reference time axis
+     * @param {string} sampleId - Sample ID
+     * @param {number} retentionTime - Retention time in the sample
+     * @returns {number} - Aligned retention time (unchanged without a warp)
+     */
+    static correctTime(sampleId, retentionTime) {
+        const warp = this.warps.get(sampleId);
+        if (!warp) return retentionTime;
+
+        const { sampleTimes, referenceTimes } = warp;
+        const last = sampleTimes.length - 1;
+        // Outside the warped range, shift by the nearest boundary's correction
+        if (retentionTime <= sampleTimes[0]) return retentionTime + referenceTimes[0] - sampleTimes[0];
+        if (retentionTime >= sampleTimes[last]) return retentionTime + referenceTimes[last] - sampleTimes[last];
+
+        const upper = sampleTimes.findIndex(time => time >= retentionTime);
+        const lower = upper - 1;
+        const span = sampleTimes[upper] - sampleTimes[lower];
+        const fraction = span > 0 ? (retentionTime - sampleTimes[lower]) / span : 0;
+        return referenceTimes[lower] + fraction * (referenceTimes[upper] - referenceTimes[lower]);
+    }
+
+    /**
+     * Group the features of all samples into metabolites. Features are matched on aligned RT
+     * (or RI) within the tolerance, at most one per sample in a group, and identified features
+     * with different names are never grouped; groups with the same name are merged.
+     * @param {Array} samples - Samples, one matrix column each
+     * @param {Array} featuresBySample - Features of each sample (name, retentionTime, intensity,
+     *                                   additionalData, unidentified)
+     * @returns {Array} - Groups with name, members and unidentified
+     */
+    static groupFeatures(samples, featuresBySample) {
+        const { rtTolerance, useRetentionIndex, riTolerance } = this.grouping;
+        const byIndex = useRetentionIndex && RetentionIndex.isCalibrated();
+
+        const features = featuresBySample.flatMap((features, column) => features.map(feature => {
+            const alignedTime = this.correctTime(samples[column].id, feature.retentionTime);
+            return { ...feature, column, alignedTime, retentionIndex: RetentionIndex.calculate(alignedTime) };
+        })).sort((a, b) => a.alignedTime - b.alignedTime);
+
+        const groups = [];
+        features.forEach(feature => {
+            const name = feature.unidentified ? null : feature.name;
+            let best = null;
+            for (let g = groups.length - 1; g >= 0; g--) {
+                const group = groups[g];
+                if (feature.alignedTime - group.maxTime > rtTolerance && !byIndex) break;
+                if (group.columns.has(feature.column)) continue;
+                if (name && group.name && group.name !== name) continue;
+
+                const distance = byIndex && feature.retentionIndex !== null && group.retentionIndex !== null ?
+                    Math.abs(feature.retentionIndex - group.retentionIndex) / riTolerance :
+                    Math.abs(feature.alignedTime - group.alignedTime) / rtTolerance;
+                if (distance <= 1 && (!best || distance < best.distance)) {
+                    best = { group, distance };
+                }
+            }
+
+            const group = best ? best.group : {
+                name: null,
+                members: [],
+                columns: new Set(),
+                maxTime: -Infinity
+            };
+            if (!best) groups.push(group);
+
+            group.members.push(feature);
+            group.columns.add(feature.column);
+            group.name = group.name || name;
+            group.maxTime = Math.max(group.maxTime, feature.alignedTime);
+            group.alignedTime = group.members.reduce((sum, member) => sum + member.alignedTime, 0) / group.members.length;
+            group.retentionIndex = RetentionIndex.calculate(group.alignedTime);
+        });
+
+        // A name is authoritative: identified groups with the same name are one metabolite
+        const merged = new Map();
+        const result = [];
+        groups.forEach(group => {
+            if (group.name && merged.has(group.name)) {
+                merged.get(group.name).members.push(...group.members);
+                return;
+            }
+            const entry = { name: group.name, members: [...group.members], unidentified: !group.name };
+            if (group.name) merged.set(group.name, entry);
+            result.push(entry);
+        });
+        return result;
+    }
+
+    /**
+     * Overlay the sample chromatograms, aligned or as recorded
+     * @param {Array} samples - Experiment samples
+     * @param {boolean} aligned - Draw warped retention times
+     */
+    static renderOverlay(samples, aligned = true) {
+        const canvas = document.getElementById('alignmentChart');
+        if (!canvas) return;
+
+        if (this.overlayChart) {
+            this.overlayChart.destroy();
+        }
+
+        const traced = samples.filter(sample => this.#getTrace(sample));
+        const datasets = traced.map((sample, i) => {
+            const { times, intensities } = this.#getTrace(sample);
+            const isReference = sample.id === this.referenceSampleId;
+            return {
+                label: isReference ? `${sample.id} (reference)` : sample.id,
+                data: times.map((time, k) => ({
+                    x: aligned ? this.correctTime(sample.id, time) : time,
+                    y: intensities[k]
+                })),
+                borderColor: ChromatogramAnalyzer.TRACE_COLORS[i % ChromatogramAnalyzer.TRACE_COLORS.length],
+                borderWidth: isReference ? 2 : 1,
+                pointRadius: 0,
+                parsing: false
+            };
+        });
+
+        this.overlayChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: { datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'nearest',
+                    axis: 'x'
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: traced.length === 0 ?
+                            'Overlays need raw runs (mzML, mzXML, ANDI-MS)' :
+                            `${aligned && this.warps.size > 0 ? 'Aligned' : 'Unaligned'} Chromatograms`
+                    },
+                    decimation: {
+                        enabled: true,
+                        algorithm: 'lttb',
+                        samples: 500
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: aligned && this.warps.size > 0 ? 'Aligned Retention Time (min)' : 'Retention Time (min)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Intensity'
+                        },
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Forget all warps
+     */
+    static clear() {
+        this.warps.clear();
+        this.referenceSampleId = null;
+        if (this.overlayChart) {
+            this.overlayChart.destroy();
+            this.overlayChart = null;
+        }
+    }
+
+    /**
+     * Get the total ion chromatogram of a raw-run sample
+     * @param {Object} sample - Experiment sample
+     * @returns {Object|null} - times and intensities, or null for peak tables
+     */
+    static #getTrace(sample) {
+        // Always the TIC, whatever trace mode the sample was last shown in
+        const data = sample.processedData.chromatogramData;
+        return data.scans ? ChromatogramAnalyzer.buildTotalIonChromatogram(data.scans) : null;
+    }
+
+    /**
+     * Linearly interpolate a trace onto new times; zero outside the recorded range
+     * @param {Array} times - Recorded times (ascending)
+     * @param {Array} values - Recorded values
+     * @param {Array} targetTimes - Times to interpolate at (ascending)
+     * @returns {Array} - Interpolated values
+     */
+    static #interpolate(times, values, targetTimes) {
+        let k = 0;
+        return targetTimes.map(time => {
+            if (time < times[0] || time > times[times.length - 1]) return 0;
+            while (k < times.length - 2 && times[k + 1] < time) k++;
+            const span = times[k + 1] - times[k];
+            const fraction = span > 0 ? (time - times[k]) / span : 0;
+            return values[k] + fraction * (values[k + 1] - values[k]);
+        });
+    }
+
+    /**
+     * Time at a fractional grid index
+     * @param {Array} times - Grid times
+     * @param {number} index - Fractional index
+     * @returns {number} - Interpolated time
+     */
+    static #timeAt(times, index) {
+        const lower = Math.floor(index);
+        const upper = Math.min(lower + 1, times.length - 1);
+        return times[lower] + (index - lower) * (times[upper] - times[lower]);
+    }
+
+    /**
+     * Linearly resample a segment to a number of points
+     * @param {Array} values - Segment
+     * @param {number} length - Number of points
+     * @returns {Array} - Resampled segment
+     */
+    static #resample(values, length) {
+        const scale = (values.length - 1) / (length - 1);
+        return Array.from({ length }, (_, i) => {
+            const position = i * scale;
+            const lower = Math.floor(position);
+            const upper = Math.min(lower + 1, values.length - 1);
+            return values[lower] + (position - lower) * (values[upper] - values[lower]);
+        });
+    }
+
+    /**
+     * Pearson correlation of two equally long arrays; 0 when either is flat
+     * @param {Array} a - First array
+     * @param {Array} b - Second array
+     * @returns {number} - Correlation
+     */
+    static #correlation(a, b) {
+        const n = a.length;
+        const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) ** 2;
+            varianceB += (b[i] - meanB) ** 2;
+        }
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    }
+}
+
+// Export the Alignment class
+window.Alignment = Alignment;
@@ -0,0 +1,527 @@
+// Calibration module: per-metabolite calibration curves from standard runs and absolute quantitation
+class Calibration {
+    static MODELS = ['linear', 'linear1x', 'linear1x2', 'quadratic'];
+    static RESPONSES = ['area', 'ratio'];
+
+    static settings = {
+        model: 'linear',
+        response: 'area',
+        internalStandard: null,
+        unit: 'µM'
+    };
+
+    // Standard sample IDs left out of a metabolite's curve, by metabolite name
+    static excludedLevels = new Map();
+
+    static selectedMetabolite = null;
+    static result = null;
+    static curveChart = null;
+    static residualChart = null;
+
+    /**
+     * Fit every metabolite and redraw the curve and quantitation views
+     * @returns {Object} - Result of quantify
+     */
+    static update() {
+        // Calibration works on measured areas; normalizing the standards would distort the curves
+        this.result = this.quantify(Normalization.getMatrix({ raw: true }));
+        if (!this.result.curves.some(curve => curve.name === this.selectedMetabolite)) {
+            this.selectedMetabolite = this.result.curves.length ? this.result.curves[0].name : null;
+        }
+        this.renderTable();
+        this.renderCurve();
+        return this.result;
+    }
+
+    /**
+     * Fit calibration curves on the standards and quantify the other samples
+     * @param {Object} matrix - Raw matrix from Normalization.getMatrix
+     * @param {Object} settings - Calibration settings
+     * @returns {Object} - levels (standard samples), unknowns (the other samples), curves and warnings
+     */
+    static quantify(matrix, settings = this.settings) {
+        if (!this.MODELS.includes(settings.model)) {
+            throw new Error(`Unknown calibration model: ${settings.model}`);
+        }
+        if (!this.RESPONSES.includes(settings.response)) {
+            throw new Error(`Unknown calibration response: ${settings.response}`);
+        }
+
+        const { samples, features } = matrix;
+        const levelColumns = [];
+        const unknownColumns = [];
+        samples.forEach((sample, column) => {
+            if (sample.metadata.type !== 'standard') {
+                unknownColumns.push(column);
+            } else if (sample.metadata.concentration !== null) {
+                levelColumns.push(column);
+            }
+        });
+
+        const warnings = [];
+        const rows = this.#responses(features, settings);
+        const minimumLevels = this.#degree(settings.model) + 2;
+        const curves = [];
+        features.forEach((feature, i) => {
+            if (settings.response === 'ratio' && feature.name === settings.internalStandard) return;
+
+            const excluded = this.excludedLevels.get(feature.name) || new Set();
+            const points = levelColumns
+                .filter(column => rows[i][column] !== null)
+                .map(column => ({
+                    sampleId: samples[column].id,
+                    concentration: samples[column].metadata.concentration,
+                    response: rows[i][column],
+                    excluded: excluded.has(samples[column].id)
+                }));
+            const used = points.filter(point => !point.excluded);
+            if (points.length < minimumLevels) return;
+            if (used.length < minimumLevels) {
+                warnings.push(`${feature.name}: too few calibration levels left after exclusions`);
+                return;
+            }
+
+            const fit = this.fitCurve(used.map(point => point.concentration), used.map(point => point.response), settings.model);
+            const range = [
+                Math.min(...used.map(point => point.concentration)),
+                Math.max(...used.map(point => point.concentration))
+            ];
+            curves.push({
+                name: feature.name,
+                points: points.map(point => ({
+                    ...point,
+                    fitted: this.predict(fit, point.concentration)
+                })),
+                fit,
+                range,
+                concentrations: unknownColumns.map(column => this.#report(fit, range, rows[i][column]))
+            });
+        });
+
+        if (levelColumns.length === 0) {
+            warnings.push('No calibration levels: mark standard runs as type Standard and give their concentration');
+        }
+
+        return {
+            levels: levelColumns.map(column => samples[column]),
+            unknowns: unknownColumns.map(column => samples[column]),
+            curves,
+            warnings
+        };
+    }
+
+    /**
+     * Fit a calibration curve by (weighted) least squares
+     * @param {Array} x - Concentrations
+     * @param {Array} y - Responses
+     * @param {string} model - linear, linear1x (weights 1/x), linear1x2 (weights 1/x²) or quadratic
+     * @returns {Object} - model, coefficients (constant first), rSquared, residualSd, slope, lod and loq
+     */
+    static fitCurve(x, y, model) {
+        // A zero level would get an infinite 1/x weight; it is weighted like the lowest non-zero level
+        const lowest = Math.min(...x.filter(value => value > 0));
+        const weights = x.map(value => {
+            const safe = value > 0 ? value : lowest;
+            if (model === 'linear1x') return 1 / safe;
+            if (model === 'linear1x2') return 1 / (safe * safe);
+            return 1;
+        });
+
+        const degree = this.#degree(model);
+        const coefficients = SignalProcessing.polynomialFit(x, y, degree, weights);
+        const fitted = x.map(value => this.predict({ coefficients }, value));
+
+        // Weighted R², consistent with the weights the curve was fitted with
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const weightedMean = y.reduce((sum, value, i) => sum + weights[i] * value, 0) / totalWeight;
+        const residualSquares = y.reduce((sum, value, i) => sum + weights[i] * (value - fitted[i]) ** 2, 0);
+        const totalSquares = y.reduce((sum, value, i) => sum + weights[i] * (value - weightedMean) ** 2, 0);
+
+        // LOD and LOQ from the residual standard deviation and the slope at zero (ICH Q2)
+        const residualSd = Math.sqrt(y.reduce((sum, value, i) => sum + (value - fitted[i]) ** 2, 0) /
+            (x.length - degree - 1));
+        const slope = coefficients[1];
+        return {
+            model,
+            coefficients,
+            rSquared: totalSquares > 0 ? 1 - residualSquares / totalSquares : 1,
+            residualSd,
+            slope,
+            lod: slope > 0 ? 3.3 * residualSd / slope : null,
+            loq: slope > 0 ? 10 * residualSd / slope : null
+        };
+    }
+
+    /**
+     * Response the curve predicts for a concentration
+     * @param {Object} fit - Curve fit
+     * @param {number} concentration - Concentration
+     * @returns {number} - Response
+     */
+    static predict(fit, concentration) {
+        return fit.coefficients.reduce((sum, coefficient, power) => sum + coefficient * Math.pow(concentration, power), 0);
+    }
+
+    /**
+     * Concentration for a measured response, read off the rising part of the curve
+     * @param {Object} fit - Curve fit
+     * @param {number} response - Response
+     * @returns {number|null} - Concentration, or null when the curve never reaches the response
+     */
+    static inverse(fit, response) {
+        const [a, b, c = 0] = fit.coefficients;
+        if (Math.abs(c) < 1e-12 * Math.abs(b)) {
+            return b !== 0 ? (response - a) / b : null;
+        }
+
+        const discriminant = b * b - 4 * c * (a - response);
+        if (discriminant < 0) return null;
+        const roots = [1, -1].map(sign => (-b + sign * Math.sqrt(discriminant)) / (2 * c));
+        return roots.find(root => b + 2 * c * root > 0) ?? null;
+    }
+
+    /**
+     * Leave a calibration level out of a metabolite's curve, or take it back in
+     * @param {string} name - Metabolite name
+     * @param {string} sampleId - Standard sample ID
+     */
+    static toggleLevel(name, sampleId) {
+        const excluded = this.excludedLevels.get(name) || new Set();
+        if (excluded.has(sampleId)) {
+            excluded.delete(sampleId);
+        } else {
+            excluded.add(sampleId);
+        }
+        this.excludedLevels.set(name, excluded);
+        this.update();
+    }
+
+    /**
+     * Choose the metabolite whose curve is plotted
+     * @param {string} name - Metabolite name
+     */
+    static selectMetabolite(name) {
+        this.selectedMetabolite = name;
+        const select = document.getElementById('calibrationMetaboliteSelect');
+        if (select) select.value = name;
+        this.renderCurve();
+    }
+
+    /**
+     * Render the quantitation table: curve statistics and one concentration column per unknown sample
+     */
+    static renderTable() {
+        const header = document.getElementById('quantitationHeaderRow');
+        const body = document.getElementById('quantitationTableBody');
+        if (!header || !body || !this.result) return;
+
+        const { unknowns, curves } = this.result;
+        const unit = this.settings.unit;
+        // Built with DOM calls so that metabolite names and sample IDs from files are never parsed as HTML
+        header.innerHTML = '';
+        body.innerHTML = '';
+        ['Metabolite', 'Levels', 'R²', `LOD (${unit})`, `LOQ (${unit})`]
+            .concat(unknowns.map(sample => `${sample.id} (${unit})`))
+            .forEach(label => {
+                const th = document.createElement('th');
+                th.className = 'px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+                th.textContent = label;
+                header.appendChild(th);
+            });
+
+        const format = value => value === null ? '—' : Number(value.toPrecision(3)).toString();
+        const flags = {
+            belowLod: ['text-gray-400', '<LOD'],
+            belowLoq: ['text-yellow-600', '<LOQ'],
+            outsideRange: ['text-orange-600', '*']
+        };
+        curves.forEach(curve => {
+            const tr = document.createElement('tr');
+            const cell = (text, className = 'px-4 py-2') => {
+                const td = document.createElement('td');
+                td.className = className;
+                td.textContent = text;
+                tr.appendChild(td);
+                return td;
+            };
+
+            const button = document.createElement('button');
+            button.className = 'text-blue-600 hover:underline text-left';
+            button.textContent = curve.name;
+            button.addEventListener('click', () => this.selectMetabolite(curve.name));
+            cell('').appendChild(button);
+
+            const used = curve.points.filter(point => !point.excluded).length;
+            cell(`${used} / ${curve.points.length}`);
+            cell(curve.fit.rSquared.toFixed(4));
+            cell(format(curve.fit.lod));
+            cell(format(curve.fit.loq));
+            curve.concentrations.forEach(({ value, flag, note }) => {
+                const td = cell(format(value), `px-4 py-2 ${flag ? flags[flag][0] : ''}`);
+                td.title = note || '';
+                if (flag) {
+                    const marker = document.createElement('span');
+                    marker.className = 'text-xs';
+                    marker.textContent = ` ${flags[flag][1]}`;
+                    td.appendChild(marker);
+                }
+            });
+            body.appendChild(tr);
+        });
+    }
+
+    /**
+     * Plot the selected metabolite's curve and its residuals; clicking a level drops it from the fit
+     */
+    static renderCurve() {
+        const curveCanvas = document.getElementById('calibrationCurveChart');
+        const residualCanvas = document.getElementById('calibrationResidualChart');
+        if (!curveCanvas || !residualCanvas) return;
+
+        if (this.curveChart) this.curveChart.destroy();
+        if (this.residualChart) this.residualChart.destroy();
+        this.curveChart = null;
+        this.residualChart = null;
+
+        const curve = this.result && this.result.curves.find(candidate => candidate.name === this.selectedMetabolite);
+        if (!curve) return;
+
+        const unit = this.settings.unit;
+        const responseLabel = this.settings.response === 'ratio' ? `Area / ${this.settings.internalStandard}` : 'Peak Area';
+        const included = curve.points.filter(point => !point.excluded);
+        const excluded = curve.points.filter(point => point.excluded);
+        const maximum = Math.max(...curve.points.map(point => point.concentration),
+            ...curve.concentrations.map(({ value }) => value || 0));
+        const line = Array.from({ length: 51 }, (_, i) => {
+            const concentration = maximum * i / 50;
+            return { x: concentration, y: this.predict(curve.fit, concentration) };
+        });
+        const unknowns = this.result.unknowns
+            .map((sample, i) => ({ sample, ...curve.concentrations[i] }))
+            .filter(({ value }) => value !== null)
+            .map(({ sample, value }) => ({ x: value, y: this.predict(curve.fit, value), sampleId: sample.id }));
+
+        const levelPoints = points => points.map(point => ({ x: point.concentration, y: point.response, sampleId: point.sampleId }));
+        const residualPoints = points => points.map(point => ({
+            x: point.concentration,
+            y: point.fitted !== 0 ? (point.response - point.fitted) / point.fitted * 100 : 0,
+            sampleId: point.sampleId
+        }));
+
+        // Both charts toggle the clicked level in or out of the fit
+        const onClick = (event, elements, chart) => {
+            const element = elements.find(candidate => chart.data.datasets[candidate.datasetIndex].isLevel);
+            if (!element) return;
+            const point = chart.data.datasets[element.datasetIndex].data[element.index];
+            this.toggleLevel(curve.name, point.sampleId);
+        };
+        const tooltip = {
+            callbacks: {
+                label: (context) => `${context.raw.sampleId ? `${context.raw.sampleId}: ` : ''}` +
+                    `${Number(context.raw.x.toPrecision(3))} ${unit}, ${Number(context.raw.y.toPrecision(4))}`
+            }
+        };
+        const concentrationAxis = {
+            type: 'linear',
+            beginAtZero: true,
+            title: {
+                display: true,
+                text: `Concentration (${unit})`
+            }
+        };
+
+        const terms = curve.fit.coefficients
+            .map((coefficient, power) => ({ coefficient, suffix: ['', 'x', 'x²'][power] }))
+            .reverse();
+        const equation = 'y = ' + terms.map(({ coefficient, suffix }, i) =>
+            `${i === 0 ? (coefficient < 0 ? '−' : '') : (coefficient < 0 ? ' − ' : ' + ')}` +
+            `${Math.abs(coefficient).toPrecision(4)}${suffix}`).join('');
+        this.curveChart = new Chart(curveCanvas.getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    {
+                        label: 'Calibration levels',
+                        data: levelPoints(included),
+                        backgroundColor: '#3B82F6',
+                        pointRadius: 5,
+                        isLevel: true
+                    },
+                    {
+                        label: 'Excluded levels',
+                        data: levelPoints(excluded),
+                        borderColor: '#9CA3AF',
+                        backgroundColor: '#9CA3AF',
+                        pointStyle: 'crossRot',
+                        pointRadius: 7,
+                        isLevel: true
+                    },
+                    {
+                        label: 'Samples',
+                        data: unknowns,
+                        backgroundColor: '#10B981',
+                        pointStyle: 'triangle',
+                        pointRadius: 5
+                    },
+                    {
+                        label: 'Fit',
+                        data: line,
+                        type: 'line',
+                        borderColor: '#EF4444',
+                        borderWidth: 1.5,
+                        pointRadius: 0
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                onClick,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: `${curve.name}: ${equation}, R² = ${curve.fit.rSquared.toFixed(4)}`
+                    },
+                    tooltip
+                },
+                scales: {
+                    x: concentrationAxis,
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: responseLabel
+                        }
+                    }
+                }
+            }
+        });
+
+        this.residualChart = new Chart(residualCanvas.getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    {
+                        label: 'Calibration levels',
+                        data: residualPoints(included),
+                        backgroundColor: '#3B82F6',
+                        pointRadius: 5,
+                        isLevel: true
+                    },
+                    {
+                        label: 'Excluded levels',
+                        data: residualPoints(excluded),
+                        borderColor: '#9CA3AF',
+                        backgroundColor: '#9CA3AF',
+                        pointStyle: 'crossRot',
+                        pointRadius: 7,
+                        isLevel: true
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                onClick,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Relative Residuals (click a level to exclude or include it)'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.raw.sampleId}: ${context.raw.y.toFixed(1)}%`
+                        }
+                    }
+                },
+                scales: {
+                    x: concentrationAxis,
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Residual (%)'
+                        },
+                        grid: {
+                            color: (context) => context.tick.value === 0 ? '#6B7280' : 'rgba(0, 0, 0, 0.1)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Forget the exclusions and curves
+     */
+    static clear() {
+        this.excludedLevels.clear();
+        this.selectedMetabolite = null;
+        this.result = null;
+        if (this.curveChart) this.curveChart.destroy();
+        if (this.residualChart) this.residualChart.destroy();
+        this.curveChart = null;
+        this.residualChart = null;
+    }
+
+    /**
+     * Responses per feature: peak areas, or areas relative to the internal standard in the same run
+     * @param {Array} features - Raw matrix features
+     * @param {Object} settings - Calibration settings
+     * @returns {Array} - Response rows (null where missing)
+     */
+    static #responses(features, settings) {
+        const rows = features.map(feature => feature.intensities);
+        if (settings.response === 'area') return rows;
+
+        const standard = features.find(feature => feature.name === settings.internalStandard);
+        if (!standard) {
+            throw new Error('Choose an internal standard for response ratios.');
+        }
+        return rows.map(row => row.map((value, column) => {
+            const reference = standard.intensities[column];
+            return value === null || !(reference > 0) ? null : value / reference;
+        }));
+    }
+
+    /**
+     * Polynomial degree of a calibration model
+     * @param {string} model - Calibration model
+     * @returns {number} - 2 for quadratic, otherwise 1
+     */
+    static #degree(model) {
+        return model === 'quadratic' ? 2 : 1;
+    }
+
+    /**
+     * Concentration of one unknown, flagged below LOD/LOQ or outside the calibrated range
+     * @param {Object} fit - Curve fit
+     * @param {Array} range - Lowest and highest included level
+     * @param {number|null} response - Measured response
+     * @returns {Object} - value (null when not measured), flag and note
+     */
+    static #report(fit, range, response) {
+        if (response === null) {
+            return { value: null, flag: null, note: 'Not detected' };
+        }
+
+        const value = this.inverse(fit, response);
+        if (value === null) {
+            return { value: null, flag: 'outsideRange', note: 'The curve does not reach this response' };
+        }
+        if (fit.lod !== null && value < fit.lod) {
+            return { value, flag: 'belowLod', note: 'Below the limit of detection' };
+        }
+        if (fit.loq !== null && value < fit.loq) {
+            return { value, flag: 'belowLoq', note: 'Below the limit of quantitation' };
+        }
+        if (value < range[0] || value > range[1]) {
+            return { value, flag: 'outsideRange', note: 'Extrapolated outside the calibrated range' };
+        }
+        return { value, flag: null, note: '' };
+    }
+}
+
+// Export the Calibration class
+window.Calibration = Calibration;
@@ -3,13 +3,63 @@ class ChromatogramAnalyzer {
     static chromatogramChart = null;
     static massSpectraChart = null;
 
+    // m/z bin width used when averaging or subtracting spectra (nominal mass)
+    static SPECTRUM_BIN_WIDTH = 1;
+
+    // Peak detection settings; widths are in points, noiseFloor is a fraction of the tallest peak
+    static PEAK_DETECTION_DEFAULTS = {
+        spikeFilterWindow: 3,
+        smoothingWindow: 7,
+        polynomialOrder: 2,
+        baselineWindow: 101,
+        minSignalToNoise: 5,
+        minWidth: 3,
+        minProminence: 0,
+        noiseFloor: 0.001,
+        detectShoulders: true
+    };
+
+    // Peak integration baseline modes
+    static BASELINE_MODES = ['drop', 'valley', 'tangent'];
+    static baselineMode = 'drop';
+
+    // Deconvolution settings; smoothingWindow, apexTolerance and regionMargin (scans read on
+    // either side of a peak region for smoothing and the noise estimate) are in scans,
+    // minRelativeAbundance is a fraction of a component's base peak
+    static DECONVOLUTION_DEFAULTS = {
+        smoothingWindow: 5,
+        regionMargin: 25,
+        minSignalToNoise: 3,
+        apexTolerance: 1,
+        minIons: 3,
+        minRelativeAbundance: 0.005,
+        noiseFloor: 0.001
+    };
+    // Off by default: it reads every ion of the scans around each peak
+    static deconvolutionEnabled = false;
+
+    // Chromatogram trace selection and overlay colors
+    static traceOptions = { mode: 'tic', mzValues: [], tolerance: 0.5 };
+    static TRACE_COLORS = ['#3B82F6', '#10B981', '#8B5CF6', '#F97316', '#EC4899', '#14B8A6'];
+    static TRACE_MODE_LABELS = { tic: 'TIC', bpc: 'Base Peak', xic: 'XIC' };
+
+    // Chromatogram currently on screen, for re-integration and boundary dragging
+    static currentChromatogramData = null;
+    static #boundaryDragAttached = false;
+    static #dragState = null;
+    static #suppressNextClick = false;
+
     /**
      * Process GCMS data
-     * @param {Array} data - Array of parsed GCMS data points
+     * @param {Array|Object} data - Array of parsed GCMS data points, or a raw run with scans
      * @returns {Object} - Processed data for visualization
      */
     static processData(data) {
         try {
+            if (this.isScanData(data)) {
+                return this.processScanData(data);
+            }
+
             // Extract chromatogram data
             const chromatogramData = this.extractChromatogramData(data);
             
@@ -30,6 +80,370 @@ class ChromatogramAnalyzer {
         }
     }
 
+    /**
+     * Check whether parsed data is a raw run in the scan model
+     * @param {Array|Object} data - Parsed data
+     * @returns {boolean} - True for raw runs
+     */
+    static isScanData(data) {
+        return Boolean(data && Array.isArray(data.scans));
+    }
+
+    /**
+     * Process a raw run into a chromatogram, its detected peaks and the spectrum of the largest peak
+     * @param {Object} run - Run with format and scans
+     * @returns {Object} - Processed data for visualization
+     */
+    static processScanData(run) {
+        const scans = this.getMs1Scans(run);
+
+        const chromatogramData = this.buildChromatogram(scans, {
+            ...this.traceOptions,
+            deconvolute: this.deconvolutionEnabled
+        });
+
+        const largestPeak = chromatogramData.peaks.reduce((best, peak) =>
+            !best || peak.height > best.height ? peak : best, null);
+        const apexIndex = largestPeak ? largestPeak.apexIndex : chromatogramData.intensities
+            .reduce((best, value, i, values) => value > values[best] ? i : best, 0);
+
+        return {
+            chromatogramData,
+            massSpectraData: this.getSpectrumForPoint(chromatogramData, apexIndex),
+            // Raw runs carry no identifications until peaks are assigned names
+            metabolites: [],
+            peaks: chromatogramData.peaks,
+            scans
+        };
+    }
+
+    /**
+     * Get a run's MS1 scans sorted by scan time
+     * @param {Object} run - Run with format and scans
+     * @returns {Array} - MS1 scans
+     */
+    static getMs1Scans(run) {
+        return run.scans
+            .filter(scan => scan.msLevel === 1)
+            .sort((a, b) => a.scanTime - b.scanTime);
+    }
+
+    /**
+     * Build the chromatogram traces for a trace mode and detect and integrate
+     * peaks on the first trace
+     * @param {Array} scans - MS1 scans sorted by scan time
+     * @param {Object} options - mode (tic, bpc or xic), mzValues and tolerance for XICs,
+     *                           and deconvolute to split peaks into component spectra
+     * @returns {Object} - Chromatogram data with traces and peaks
+     */
+    static buildChromatogram(scans, { mode = 'tic', mzValues = [], tolerance = 0.5, deconvolute = false } = {}) {
+        let traces;
+        if (mode === 'tic') {
+            traces = [{ label: 'TIC', intensities: this.buildTotalIonChromatogram(scans).intensities }];
+        } else if (mode === 'bpc') {
+            traces = [{ label: 'Base Peak', intensities: this.buildBasePeakChromatogram(scans) }];
+        } else if (mode === 'xic') {
+            if (mzValues.length === 0) {
+                throw new Error('Enter at least one m/z value for an extracted ion chromatogram.');
+            }
+            traces = mzValues.map(mz => ({
+                label: `XIC m/z ${mz} ± ${tolerance}`,
+                intensities: this.buildExtractedIonChromatogram(scans, mz, tolerance)
+            }));
+        } else {
+            throw new Error(`Unknown trace mode: ${mode}`);
+        }
+
+        const times = scans.map(scan => scan.scanTime);
+        const intensities = traces[0].intensities;
+        const peaks = this.integratePeaks(times, intensities, this.findPeaks(times, intensities), this.baselineMode);
+        if (deconvolute) {
+            this.deconvolutePeaks(scans, peaks);
+        }
+
+        return {
+            times,
+            intensities,
+            labels: scans.map((scan, i) => `Scan ${i + 1}`),
+            scans,
+            mode,
+            traces,
+            peaks
+        };
+    }
+
+    /**
+     * Build a total ion chromatogram from scans
+     * @param {Array} scans - MS1 scans sorted by scan time
+     * @returns {Object} - Chromatogram data
+     */
+    static buildTotalIonChromatogram(scans) {
+        return {
+            times: scans.map(scan => scan.scanTime),
+            intensities: scans.map(scan =>
+                scan.intensities.reduce((sum, value) => sum + value, 0)
+            ),
+            labels: scans.map((scan, i) => `Scan ${i + 1}`),
+            scans
+        };
+    }
+
+    /**
+     * Build a base peak chromatogram (most intense ion of each scan)
+     * @param {Array} scans - MS1 scans sorted by scan time
+     * @returns {Array} - Intensities
+     */
+    static buildBasePeakChromatogram(scans) {
+        return scans.map(scan => scan.intensities.reduce((max, value) => Math.max(max, value), 0));
+    }
+
+    /**
+     * Build an extracted ion chromatogram
+     * @param {Array} scans - MS1 scans sorted by scan time
+     * @param {number} mz - Target m/z
+     * @param {number} tolerance - Half-width of the m/z window
+     * @returns {Array} - Summed intensity within the window for each scan
+     */
+    static buildExtractedIonChromatogram(scans, mz, tolerance = 0.5) {
+        return scans.map(scan => {
+            let sum = 0;
+            for (let i = 0; i < scan.mzValues.length; i++) {
+                if (Math.abs(scan.mzValues[i] - mz) <= tolerance) {
+                    sum += scan.intensities[i];
+                }
+            }
+            return sum;
+        });
+    }
+
+    /**
+     * Redraw the displayed run with another trace mode
+     * @param {Object} options - mode (tic, bpc or xic), mzValues and tolerance
+     */
+    static setTraceMode(options) {
+        const data = this.currentChromatogramData;
+        if (!data || !data.scans) {
+            throw new Error('Trace modes need scan-level data (mzML, mzXML, ANDI-MS or an m/z column).');
+        }
+
+        const chromatogramData = this.buildChromatogram(data.scans, {
+            ...options,
+            deconvolute: this.deconvolutionEnabled
+        });
+        this.traceOptions = { ...options };
+        this.updateChromatogram(chromatogramData);
+    }
+
+    /**
+     * Get the mass spectrum recorded in a single scan
+     * @param {Object} scan - Scan from the scan model
+     * @returns {Object} - Mass spectrum
+     */
+    static getScanSpectrum(scan) {
+        return {
+            mzValues: Array.from(scan.mzValues),
+            intensities: Array.from(scan.intensities),
+            retentionTime: scan.scanTime
+        };
+    }
+
+    /**
+     * Find the chromatographic peak around a point by climbing to its apex
+     * and descending to the valleys on either side
+     * @param {Array} intensities - Chromatogram intensities
+     * @param {number} index - Index of a point on the peak
+     * @returns {Object} - apexIndex, startIndex and endIndex
+     */
+    static findPeakExtent(intensities, index) {
+        let apexIndex = index;
+        while (apexIndex > 0 && intensities[apexIndex - 1] > intensities[apexIndex]) apexIndex--;
+        while (apexIndex < intensities.length - 1 && intensities[apexIndex + 1] > intensities[apexIndex]) apexIndex++;
+
+        let startIndex = apexIndex;
+        while (startIndex > 0 && intensities[startIndex - 1] <= intensities[startIndex]) startIndex--;
+        let endIndex = apexIndex;
+        while (endIndex < intensities.length - 1 && intensities[endIndex + 1] <= intensities[endIndex]) endIndex++;
+
+        return { apexIndex, startIndex, endIndex };
+    }
+
+    /**
+     * Average spectra into m/z bins
+     * @param {Array} spectra - Spectra with mzValues and intensities
+     * @returns {Object} - Averaged spectrum
+     */
+    static averageSpectra(spectra) {
+        const binWidth = this.SPECTRUM_BIN_WIDTH;
+        const bins = new Map();
+
+        spectra.forEach(spectrum => {
+            for (let i = 0; i < spectrum.mzValues.length; i++) {
+                const bin = Math.round(spectrum.mzValues[i] / binWidth);
+                bins.set(bin, (bins.get(bin) || 0) + spectrum.intensities[i]);
+            }
+        });
+
+        const sortedBins = Array.from(bins.keys()).sort((a, b) => a - b);
+        return {
+            mzValues: sortedBins.map(bin => bin * binWidth),
+            intensities: sortedBins.map(bin => bins.get(bin) / spectra.length)
+        };
+    }
+
+    /**
+     * Subtract a background spectrum, dropping ions that fall to zero or below
+     * @param {Object} spectrum - Binned spectrum
+     * @param {Object} background - Binned background spectrum
+     * @returns {Object} - Background-subtracted spectrum
+     */
+    static subtractSpectrum(spectrum, background) {
+        const backgroundMap = new Map(
+            background.mzValues.map((mz, i) => [mz, background.intensities[i]])
+        );
+
+        const mzValues = [];
+        const intensities = [];
+        spectrum.mzValues.forEach((mz, i) => {
+            const intensity = spectrum.intensities[i] - (backgroundMap.get(mz) || 0);
+            if (intensity > 0) {
+                mzValues.push(mz);
+                intensities.push(intensity);
+            }
+        });
+
+        return { mzValues, intensities };
+    }
+
+    /**
+     * Get the apex-averaged, background-subtracted spectrum of a peak
+     * @param {Array} scans - MS1 scans sorted by scan time
+     * @param {Object} extent - apexIndex, startIndex and endIndex of the peak
+     * @param {Object} options - apexScans (scans averaged either side of the apex)
+     *                           and subtractBackground
+     * @returns {Object} - Mass spectrum
+     */
+    static getPeakSpectrum(scans, { apexIndex, startIndex, endIndex }, { apexScans = 1, subtractBackground = true } = {}) {
+        const apexStart = Math.max(startIndex, apexIndex - apexScans);
+        const apexEnd = Math.min(endIndex, apexIndex + apexScans);
+        let spectrum = this.averageSpectra(scans.slice(apexStart, apexEnd + 1));
+
+        // The peak boundaries are the closest scans that carry only background
+        if (subtractBackground && startIndex < apexIndex && endIndex > apexIndex) {
+            const background = this.averageSpectra([scans[startIndex], scans[endIndex]]);
+            spectrum = this.subtractSpectrum(spectrum, background);
+        }
+
+        return {
+            ...spectrum,
+            retentionTime: scans[apexIndex].scanTime,
+            backgroundSubtracted: subtractBackground && startIndex < apexIndex && endIndex > apexIndex
+        };
+    }
+
+    /**
+     * Get the spectrum behind a chromatogram point
+     * @param {Object} data - Chromatogram data
+     * @param {number} index - Point index
+     * @returns {Object|null} - Mass spectrum, or null when the point has none
+     */
+    static getSpectrumForPoint(data, index) {
+        if (data.scans) {
+            // Prefer detected peak boundaries over a local walk to the valleys
+            const peak = this.findPeakAt(data.peaks, index);
+            if (peak && peak.components && peak.components.length > 0) {
+                // Deconvoluted peaks show the clean spectrum of the component nearest the click
+                const component = peak.components.reduce((best, candidate) =>
+                    Math.abs(candidate.apexIndex - index) < Math.abs(best.apexIndex - index) ? candidate : best
+                );
+                return {
+                    ...component.spectrum,
+                    retentionTime: component.retentionTime,
+                    label: `Component at ${component.retentionTime.toFixed(2)} min (model ion m/z ${component.modelIon})`
+                };
+            }
+
+            const extent = peak || this.findPeakExtent(data.intensities, index);
+            return {
+                ...this.getPeakSpectrum(data.scans, extent),
+                label: `Peak at ${data.times[extent.apexIndex].toFixed(2)} min`
+            };
+        }
+
+        const spectrum = data.spectra && data.spectra[index];
+        return spectrum ? {
+            ...spectrum,
+            retentionTime: data.times[index],
+            label: data.labels[index]
+        } : null;
+    }
+
+    /**
+     * Collect the spectra to identify: detected peaks of a raw run, or peak-table rows with a spectrum
+     * @param {Object} data - Chromatogram data
+     * @returns {Array} - Targets with id, label, retentionTime, intensity and spectrum
+     */
+    static getPeakSpectra(data) {
+        if (data.scans) {
+            return data.peaks.flatMap((peak, i) => {
+                if (!peak.components || peak.components.length === 0) {
+                    return [{
+                        id: `peak-${peak.apexIndex}`,
+                        label: peak.name || `Peak ${i + 1}`,
+                        apexIndex: peak.apexIndex,
+                        retentionTime: peak.retentionTime,
+                        intensity: peak.area,
+                        spectrum: this.getPeakSpectrum(data.scans, peak)
+                    }];
+                }
+
+                // Each component gets a share of the peak area by its summed abundance
+                const totalAbundance = peak.components.reduce((sum, component) => sum + component.abundance, 0);
+                return peak.components.map((component, k) => ({
+                    id: `peak-${peak.apexIndex}-${k}`,
+                    label: component.name ||
+                        (peak.components.length > 1 ? `Peak ${i + 1}${String.fromCharCode(97 + k)}` : `Peak ${i + 1}`),
+                    apexIndex: peak.apexIndex,
+                    componentIndex: k,
+                    retentionTime: component.retentionTime,
+                    intensity: totalAbundance > 0 ? peak.area * component.abundance / totalAbundance : 0,
+                    spectrum: component.spectrum
+                }));
+            });
+        }
+
+        return data.times
+            .map((time, i) => data.spectra && data.spectra[i] ? {
+                id: `row-${i}`,
+                label: data.labels[i],
+                retentionTime: time,
+                intensity: data.intensities[i],
+                spectrum: data.spectra[i]
+            } : null)
+            .filter(Boolean);
+    }
+
+    /**
+     * Name a detected peak or one of its components, e.g. after accepting a library hit
+     * @param {number} apexIndex - Apex index of the peak
+     * @param {string} name - Compound name
+     * @param {number} componentIndex - Component of a deconvoluted peak, if any
+     */
+    static setPeakName(apexIndex, name, componentIndex) {
+        const data = this.currentChromatogramData;
+        const peak = data && data.peaks && data.peaks.find(candidate => candidate.apexIndex === apexIndex);
+        if (!peak) return;
+
+        const component = peak.components && peak.components[componentIndex];
+        if (component) {
+            // Co-eluting compounds share the peak's name
+            component.name = name;
+            peak.name = peak.components.filter(candidate => candidate.name).map(candidate => candidate.name).join(' + ');
+        } else {
+            peak.name = name;
+        }
+        this.renderPeakTable(data.peaks);
+    }
+
     /**
      * Extract chromatogram data from GCMS data
      * @param {Array} data - Array of data points
@@ -42,34 +456,29 @@ class ChromatogramAnalyzer {
         return {
             times: sortedData.map(row => row.retentionTime),
             intensities: sortedData.map(row => row.intensity),
-            labels: sortedData.map(row => row.name)
+            labels: sortedData.map(row => row.name),
+            spectra: sortedData.map(row => row.spectrum || null)
         };
     }
 
     /**
-     * Extract mass spectra data
+     * Extract the spectrum of the most intense row that carries one
      * @param {Array} data - Array of data points
-     * @returns {Object} - Mass spectra data
+     * @returns {Object|null} - Mass spectrum, or null when no row has a spectrum
      */
     static extractMassSpectraData(data) {
-        // Calculate average intensities for each metabolite
-        const intensityMap = new Map();
-        data.forEach(row => {
-            if (!intensityMap.has(row.name)) {
-                intensityMap.set(row.name, []);
-            }
-            intensityMap.get(row.name).push(row.intensity);
-        });
-
-        const metabolites = Array.from(intensityMap.keys());
-        const intensities = Array.from(intensityMap.values())
-            .map(intensities => 
-                intensities.reduce((sum, val) => sum + val, 0) / intensities.length
-            );
+        const rowsWithSpectra = data.filter(row => row.spectrum);
+        if (rowsWithSpectra.length === 0) {
+            return null;
+        }
 
+        const row = rowsWithSpectra.reduce((best, current) =>
+            current.intensity > best.intensity ? current : best
+        );
         return {
-            metabolites,
-            intensities
+            ...row.spectrum,
+            retentionTime: row.retentionTime,
+            label: row.name
         };
     }
 
@@ -100,27 +509,72 @@ class ChromatogramAnalyzer {
      * @param {Object} data - Chromatogram data
      */
     static updateChromatogram(data) {
-        const ctx = document.getElementById('chromatogramChart').getContext('2d');
+        const canvas = document.getElementById('chromatogramChart');
+        const ctx = canvas.getContext('2d');
         
         if (this.chromatogramChart) {
             this.chromatogramChart.destroy();
         }
 
+        this.currentChromatogramData = data;
+        this.#attachBoundaryDragging(canvas);
+        this.renderPeakTable(data.peaks);
+
+        const peaks = data.peaks || [];
+        const peaksByApex = new Map(peaks.map(peak => [peak.apexIndex, peak]));
+        // Overlay every trace; peaks belong to the first one
+        const traces = data.traces || [{ label: 'Intensity', intensities: data.intensities }];
+        const datasets = traces.map((trace, i) => ({
+            label: trace.label,
+            data: trace.intensities,
+            borderColor: this.TRACE_COLORS[i % this.TRACE_COLORS.length],
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.4,
+            fill: i === 0
+        }));
+
+        if (peaks.length > 0) {
+            datasets.push({
+                peakMarkers: true,
+                label: 'Detected Peaks',
+                data: data.intensities.map((value, i) => peaksByApex.has(i) ? value : null),
+                borderColor: '#EF4444',
+                pointBackgroundColor: data.intensities.map((value, i) =>
+                    peaksByApex.get(i)?.shoulder ? '#F59E0B' : '#EF4444'
+                ),
+                pointStyle: 'triangle',
+                pointRadius: 6,
+                showLine: false
+            });
+        }
+
+        // Mark the components of peaks that deconvolution split into co-eluting compounds
+        const componentsByApex = new Map();
+        peaks.filter(peak => peak.components && peak.components.length > 1).forEach(peak => {
+            peak.components.forEach(component => componentsByApex.set(component.apexIndex, component));
+        });
+        if (componentsByApex.size > 0) {
+            datasets.push({
+                componentMarkers: true,
+                label: 'Deconvoluted Components',
+                data: data.intensities.map((value, i) => componentsByApex.has(i) ? value : null),
+                borderColor: '#8B5CF6',
+                pointStyle: 'crossRot',
+                pointRadius: 7,
+                pointBorderWidth: 2,
+                showLine: false
+            });
+        }
+
         this.chromatogramChart = new Chart(ctx, {
             type: 'line',
             data: {
                 labels: data.times,
-                datasets: [{
-                    label: 'Intensity',
-                    data: data.intensities,
-                    borderColor: '#3B82F6',
-                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                    borderWidth: 2,
-                    pointRadius: 0,
-                    tension: 0.4,
-                    fill: true
-                }]
+                datasets
             },
+            plugins: [this.#peakShadingPlugin(data)],
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
@@ -128,21 +582,58 @@ class ChromatogramAnalyzer {
                     intersect: false,
                     mode: 'index'
                 },
+                onClick: (event, elements, chart) => {
+                    if (this.#suppressNextClick) {
+                        this.#suppressNextClick = false;
+                        return;
+                    }
+                    const points = chart.getElementsAtEventForMode(event, 'index', { intersect: false }, true);
+                    if (points.length) {
+                        this.showSpectrumForPoint(data, points[0].index);
+                    }
+                },
                 plugins: {
                     title: {
                         display: true,
-                        text: 'Chromatogram'
+                        text: data.traces ? `Chromatogram (${this.TRACE_MODE_LABELS[data.mode]})` : 'Chromatogram'
                     },
                     tooltip: {
                         callbacks: {
                             title: (context) => {
                                 const index = context[0].dataIndex;
-                                return `Retention Time: ${data.times[index].toFixed(2)} min`;
+                                const retentionIndex = RetentionIndex.calculate(data.times[index]);
+                                return `Retention Time: ${data.times[index].toFixed(2)} min` +
+                                    (retentionIndex === null ? '' : `, RI: ${RetentionIndex.format(retentionIndex)}`);
                             },
                             label: (context) => {
                                 const index = context.dataIndex;
+                                if (context.dataset.peakMarkers) {
+                                    // Look the peak up live; boundaries can be dragged after drawing
+                                    const peak = data.peaks.find(candidate => candidate.apexIndex === index);
+                                    if (!peak) return '';
+                                    return [
+                                        ...(peak.name ? [peak.name] : []),
+                                        `${peak.shoulder ? 'Shoulder' : 'Peak'}: ${peak.startTime.toFixed(2)}–${peak.endTime.toFixed(2)} min`,
+                                        `Height: ${peak.height.toFixed(0)}, FWHM: ${peak.fwhm.toFixed(3)} min`,
+                                        `Area: ${peak.area.toFixed(0)} (${peak.areaPercent.toFixed(1)}%)`,
+                                        `S/N: ${peak.signalToNoise.toFixed(1)}`
+                                    ];
+                                }
+                                if (context.dataset.componentMarkers) {
+                                    const component = data.peaks
+                                        .flatMap(peak => peak.components || [])
+                                        .find(candidate => candidate.apexIndex === index);
+                                    if (!component) return '';
+                                    return [
+                                        `Component${component.name ? `: ${component.name}` : ''} at ${component.retentionTime.toFixed(3)} min`,
+                                        `Model ion m/z ${component.modelIon}, ${component.ionCount} ions`
+                                    ];
+                                }
+                                if (data.traces) {
+                                    return `${context.dataset.label}: ${context.raw.toFixed(0)}`;
+                                }
                                 return [
-                                    `Intensity: ${data.intensities[index].toFixed(0)}`,
+                                    `Intensity: ${data.intensities[index] === null ? 'not detected' : data.intensities[index].toFixed(0)}`,
                                     `Metabolite: ${data.labels[index]}`
                                 ];
                             }
@@ -156,7 +647,9 @@ class ChromatogramAnalyzer {
                             text: 'Retention Time (min)'
                         },
                         ticks: {
-                            callback: (value) => value.toFixed(1)
+                            callback: function(value) {
+                                return Number(this.getLabelForValue(value)).toFixed(1);
+                            }
                         }
                     },
                     y: {
@@ -172,26 +665,86 @@ class ChromatogramAnalyzer {
     }
 
     /**
-     * Update mass spectra visualization
-     * @param {Object} data - Mass spectra data
+     * Chart.js plugin that shades integrated peak areas and draws their boundaries
+     * @param {Object} data - Chromatogram data with peaks
+     * @returns {Object} - Inline plugin
      */
-    static updateMassSpectra(data) {
+    static #peakShadingPlugin(data) {
+        return {
+            id: 'peakShading',
+            beforeDatasetsDraw: (chart) => {
+                const { ctx, chartArea, scales: { x, y } } = chart;
+                ctx.save();
+                (data.peaks || []).forEach(peak => {
+                    const baselineAt = (i) => {
+                        if (peak.baselineStart === undefined) return 0;
+                        const fraction = peak.endIndex > peak.startIndex ?
+                            (i - peak.startIndex) / (peak.endIndex - peak.startIndex) : 0;
+                        return peak.baselineStart + fraction * (peak.baselineEnd - peak.baselineStart);
+                    };
+
+                    ctx.beginPath();
+                    ctx.moveTo(x.getPixelForValue(peak.startIndex), y.getPixelForValue(baselineAt(peak.startIndex)));
+                    for (let i = peak.startIndex; i <= peak.endIndex; i++) {
+                        ctx.lineTo(x.getPixelForValue(i), y.getPixelForValue(data.intensities[i]));
+                    }
+                    ctx.lineTo(x.getPixelForValue(peak.endIndex), y.getPixelForValue(baselineAt(peak.endIndex)));
+                    ctx.closePath();
+                    ctx.fillStyle = peak.shoulder ? 'rgba(245, 158, 11, 0.25)' : 'rgba(239, 68, 68, 0.2)';
+                    ctx.fill();
+
+                    // Draggable boundary markers
+                    ctx.strokeStyle = 'rgba(107, 114, 128, 0.6)';
+                    ctx.setLineDash([4, 4]);
+                    [peak.startIndex, peak.endIndex].forEach(index => {
+                        ctx.beginPath();
+                        ctx.moveTo(x.getPixelForValue(index), chartArea.bottom);
+                        ctx.lineTo(x.getPixelForValue(index), y.getPixelForValue(data.intensities[index]));
+                        ctx.stroke();
+                    });
+                    ctx.setLineDash([]);
+                });
+                ctx.restore();
+            }
+        };
+    }
+
+    /**
+     * Update mass spectra visualization as a stick plot
+     * @param {Object|null} spectrum - Mass spectrum, or null when there is none to show
+     */
+    static updateMassSpectra(spectrum) {
         const ctx = document.getElementById('massSpectraChart').getContext('2d');
         
         if (this.massSpectraChart) {
             this.massSpectraChart.destroy();
         }
 
+        // Show relative abundance against the base peak
+        const basePeak = spectrum ? Math.max(...spectrum.intensities, 0) : 0;
+        const points = spectrum ? spectrum.mzValues.map((mz, i) => ({
+            x: mz,
+            y: basePeak > 0 ? spectrum.intensities[i] / basePeak * 100 : 0,
+            intensity: spectrum.intensities[i]
+        })) : [];
+
+        let title = 'No spectrum available for this point';
+        if (spectrum) {
+            title = `Mass Spectrum: ${spectrum.label} (${spectrum.retentionTime.toFixed(2)} min)`;
+            if (spectrum.backgroundSubtracted) {
+                title += ', background subtracted';
+            }
+        }
+
         this.massSpectraChart = new Chart(ctx, {
             type: 'bar',
             data: {
-                labels: data.metabolites,
                 datasets: [{
-                    label: 'Average Intensity',
-                    data: data.intensities,
+                    label: 'Relative Abundance',
+                    data: points,
                     backgroundColor: '#3B82F6',
                     borderColor: '#2563EB',
-                    borderWidth: 1
+                    barThickness: 2
                 }]
             },
             options: {
@@ -200,59 +753,272 @@ class ChromatogramAnalyzer {
                 plugins: {
                     title: {
                         display: true,
-                        text: 'Mass Spectra'
+                        text: title
+                    },
+                    legend: {
+                        display: false
                     },
                     tooltip: {
                         callbacks: {
-                            label: (context) => {
-                                return `Intensity: ${context.raw.toFixed(0)}`;
-                            }
+                            title: (context) => `m/z ${context[0].raw.x}`,
+                            label: (context) => [
+                                `Relative Abundance: ${context.raw.y.toFixed(1)}%`,
+                                `Intensity: ${context.raw.intensity.toFixed(0)}`
+                            ]
                         }
                     }
                 },
                 scales: {
                     x: {
+                        type: 'linear',
                         title: {
                             display: true,
-                            text: 'Metabolite'
-                        },
-                        ticks: {
-                            maxRotation: 45,
-                            minRotation: 45
+                            text: 'm/z'
                         }
                     },
                     y: {
                         title: {
                             display: true,
-                            text: 'Average Intensity'
+                            text: 'Relative Abundance (%)'
                         },
-                        beginAtZero: true
+                        beginAtZero: true,
+                        max: 100
                     }
                 }
             }
         });
     }
 
+    /**
+     * Show the spectrum behind a chromatogram point in the mass spectra chart
+     * @param {Object} data - Chromatogram data
+     * @param {number} index - Point index
+     */
+    static showSpectrumForPoint(data, index) {
+        this.updateMassSpectra(this.getSpectrumForPoint(data, index));
+    }
+
+    /**
+     * Point the chromatogram at a retention time: activate the nearest point and show its spectrum
+     * @param {number} retentionTime - Retention time in minutes
+     * @returns {boolean} - True if a chromatogram is on screen
+     */
+    static focusRetentionTime(retentionTime) {
+        const data = this.currentChromatogramData;
+        if (!this.chromatogramChart || !data || data.times.length === 0) return false;
+
+        const index = data.times.reduce((best, time, i) =>
+            Math.abs(time - retentionTime) < Math.abs(data.times[best] - retentionTime) ? i : best, 0);
+        const active = [{ datasetIndex: 0, index }];
+        const element = this.chromatogramChart.getDatasetMeta(0).data[index];
+        this.chromatogramChart.setActiveElements(active);
+        this.chromatogramChart.tooltip.setActiveElements(active, element ? { x: element.x, y: element.y } : { x: 0, y: 0 });
+        this.chromatogramChart.update();
+        this.showSpectrumForPoint(data, index);
+        return true;
+    }
+
     /**
      * Find peaks in chromatogram data
+     * @param {Array} times - Array of retention times
      * @param {Array} intensities - Array of intensity values
-     * @param {number} threshold - Peak detection threshold
-     * @returns {Array} - Array of peak indices
+     * @param {Object} options - Overrides for PEAK_DETECTION_DEFAULTS
+     * @returns {Array} - Peaks with apex RT, boundaries, height, FWHM and S/N
      */
-    static findPeaks(intensities, threshold = 0.1) {
+    static findPeaks(times, intensities, options = {}) {
+        const settings = { ...this.PEAK_DETECTION_DEFAULTS, ...options };
+        if (intensities.length < 3) return [];
+
+        const context = this.#detectionContext(times, intensities, settings);
+        const { signal, noise } = context;
+
         const peaks = [];
-        const maxIntensity = Math.max(...intensities);
-        const minPeakHeight = maxIntensity * threshold;
-
-        for (let i = 1; i < intensities.length - 1; i++) {
-            if (intensities[i] > minPeakHeight &&
-                intensities[i] > intensities[i - 1] &&
-                intensities[i] > intensities[i + 1]) {
-                peaks.push(i);
+        for (let i = 1; i < signal.length - 1; i++) {
+            if (!(signal[i] > signal[i - 1] && signal[i] >= signal[i + 1])) continue;
+
+            // Walk down each side until the next valley or the noise floor
+            let start = i;
+            while (start > 0 && signal[start - 1] < signal[start] && signal[start] > noise) start--;
+            let end = i;
+            while (end < signal.length - 1 && signal[end + 1] <= signal[end] && signal[end] > noise) end++;
+
+            const peak = this.#buildPeak(context, i, start, end);
+            if (peak.signalToNoise >= settings.minSignalToNoise &&
+                end - start + 1 >= settings.minWidth &&
+                peak.prominence >= settings.minProminence) {
+                peaks.push(peak);
             }
         }
 
-        return peaks;
+        if (!settings.detectShoulders) return peaks;
+
+        // Shoulders show up as curvature minima on the flank of a larger peak
+        const curvature = SignalProcessing.savitzkyGolay(
+            intensities, settings.smoothingWindow, Math.max(2, settings.polynomialOrder), 2
+        );
+        const resolved = [];
+        peaks.forEach(peak => {
+            const { shoulders, startIndex, endIndex } = this.#splitShoulders(context, curvature, peak, settings);
+            resolved.push(this.#buildPeak(context, peak.apexIndex, startIndex, endIndex), ...shoulders);
+        });
+        return resolved.sort((a, b) => a.apexIndex - b.apexIndex);
+    }
+
+    /**
+     * Smooth a trace and estimate its baseline
+     * @param {Array} intensities - Trace intensities
+     * @param {Object} settings - Peak detection settings
+     * @returns {Object} - smoothed trace and baseline
+     */
+    static smoothTrace(intensities, settings = this.PEAK_DETECTION_DEFAULTS) {
+        // A short median filter first so single-scan spikes cannot become peaks
+        const despiked = SignalProcessing.medianFilter(intensities, settings.spikeFilterWindow);
+        const smoothed = SignalProcessing.savitzkyGolay(
+            despiked, settings.smoothingWindow, settings.polynomialOrder
+        );
+        const baseline = SignalProcessing.estimateBaseline(smoothed, settings.baselineWindow);
+        return { smoothed, baseline };
+    }
+
+    /**
+     * Baseline-corrected signal and noise level of a trace, as used by peak detection
+     * @param {Array} times - Retention times
+     * @param {Array} intensities - Trace intensities
+     * @param {Object} settings - Peak detection settings
+     * @returns {Object} - times, intensities, signal, baseline and noise
+     */
+    static #detectionContext(times, intensities, settings) {
+        const { smoothed, baseline } = this.smoothTrace(intensities, settings);
+        const signal = smoothed.map((value, i) => value - baseline[i]);
+        // Floor the noise so noise-free or zero-filled traces do not turn every ripple into a peak;
+        // reduce rather than Math.max(...signal), which overflows the call stack on long traces
+        const tallest = signal.reduce((max, value) => Math.max(max, value), 0);
+        const noise = Math.max(
+            SignalProcessing.estimateNoise(intensities, smoothed),
+            settings.noiseFloor * tallest
+        );
+        return { times, intensities, signal, baseline, noise };
+    }
+
+    /**
+     * Re-measure a peak whose boundaries were moved; the apex becomes the highest point between them
+     * @param {Object} data - Chromatogram data
+     * @param {Object} peak - Peak, updated in place
+     */
+    static #remeasurePeak(data, peak) {
+        const context = this.#detectionContext(data.times, data.intensities, this.PEAK_DETECTION_DEFAULTS);
+        let apex = peak.startIndex;
+        for (let i = peak.startIndex + 1; i <= peak.endIndex; i++) {
+            if (context.signal[i] > context.signal[apex]) apex = i;
+        }
+        Object.assign(peak, this.#buildPeak(context, apex, peak.startIndex, peak.endIndex, peak.shoulder));
+    }
+
+    /**
+     * Build a structured peak from its apex and boundary indices
+     * @param {Object} context - times, intensities, baseline-corrected signal, baseline and noise
+     * @param {number} apex - Apex index
+     * @param {number} start - Start index
+     * @param {number} end - End index
+     * @param {boolean} shoulder - Whether the peak is a shoulder on a larger peak
+     * @returns {Object} - Peak
+     */
+    static #buildPeak({ times, intensities, signal, baseline, noise }, apex, start, end, shoulder = false) {
+        // Prominence: height above the higher of the two lowest points before a taller peak
+        let leftMin = signal[apex];
+        for (let i = apex - 1; i >= 0 && signal[i] <= signal[apex]; i--) leftMin = Math.min(leftMin, signal[i]);
+        let rightMin = signal[apex];
+        for (let i = apex + 1; i < signal.length && signal[i] <= signal[apex]; i++) rightMin = Math.min(rightMin, signal[i]);
+
+        // Full width at half maximum from interpolated half-height crossings
+        const half = signal[apex] / 2;
+        let left = apex;
+        while (left > start && signal[left] > half) left--;
+        let right = apex;
+        while (right < end && signal[right] > half) right++;
+        const leftTime = signal[left] <= half ?
+            SignalProcessing.interpolateCrossing(times[left], signal[left], times[left + 1], signal[left + 1], half) :
+            times[start];
+        const rightTime = signal[right] <= half ?
+            SignalProcessing.interpolateCrossing(times[right - 1], signal[right - 1], times[right], signal[right], half) :
+            times[end];
+
+        // Shoulders have no valley of their own, so their S/N uses the height above baseline
+        const height = intensities[apex] - baseline[apex];
+        const noiseReference = shoulder ? 0 : Math.max(leftMin, rightMin);
+        return {
+            apexIndex: apex,
+            startIndex: start,
+            endIndex: end,
+            retentionTime: times[apex],
+            startTime: times[start],
+            endTime: times[end],
+            height,
+            fwhm: rightTime - leftTime,
+            // Measured from the higher valley so baseline offsets cannot inflate it
+            signalToNoise: noise > 0 ? (signal[apex] - noiseReference) / noise : Infinity,
+            prominence: signal[apex] - Math.max(leftMin, rightMin),
+            shoulder
+        };
+    }
+
+    /**
+     * Split shoulders off the flanks of a peak
+     * @param {Object} context - Detection context
+     * @param {Array} curvature - Second derivative of the trace
+     * @param {Object} peak - Parent peak
+     * @param {Object} settings - Detection settings
+     * @returns {Object} - Shoulder peaks and the parent's narrowed startIndex and endIndex
+     */
+    static #splitShoulders(context, curvature, peak, settings) {
+        const { signal, noise } = context;
+        const shoulders = [];
+        let { startIndex, endIndex } = peak;
+
+        [-1, 1].forEach(direction => {
+            const boundary = direction < 0 ? peak.startIndex : peak.endIndex;
+            let best = null;
+            for (let i = peak.apexIndex + direction * settings.minWidth;
+                direction < 0 ? i > boundary : i < boundary;
+                i += direction) {
+                const isCurvatureMinimum = curvature[i] < 0 &&
+                    curvature[i] <= curvature[i - 1] && curvature[i] <= curvature[i + 1];
+                if (isCurvatureMinimum && signal[i] / noise >= settings.minSignalToNoise &&
+                    (best === null || curvature[i] < curvature[best])) {
+                    best = i;
+                }
+            }
+            if (best === null) return;
+
+            // Split at the positive curvature maximum between the shoulder and the apex
+            let split = best;
+            for (let i = best; i !== peak.apexIndex; i -= direction) {
+                if (curvature[i] > curvature[split]) split = i;
+            }
+            if (curvature[split] <= 0 || Math.abs(best - boundary) < 1) return;
+
+            const [start, end] = direction < 0 ? [boundary, split] : [split, boundary];
+            if (end - start + 1 < settings.minWidth) return;
+
+            shoulders.push(this.#buildPeak(context, best, start, end, true));
+            if (direction < 0) {
+                startIndex = split;
+            } else {
+                endIndex = split;
+            }
+        });
+
+        return { shoulders, startIndex, endIndex };
+    }
+
+    /**
+     * Find the detected peak whose boundaries contain a point
+     * @param {Array} peaks - Detected peaks
+     * @param {number} index - Point index
+     * @returns {Object|null} - Peak, or null
+     */
+    static findPeakAt(peaks, index) {
+        return (peaks || []).find(peak => index >= peak.startIndex && index <= peak.endIndex) || null;
     }
 
     /**
@@ -271,6 +1037,483 @@ class ChromatogramAnalyzer {
         return area;
     }
 
+    /**
+     * Integrate each peak between its boundaries above a linear baseline
+     *
+     * Baseline modes:
+     * - drop: vertical drop lines from the boundaries to the estimated trace baseline
+     * - valley: straight line between the trace values at the two boundaries
+     * - tangent: like drop, but smaller peaks fused to a larger one are skimmed off
+     *   with a valley line and the area beneath them goes to the larger peak
+     *
+     * @param {Array} times - Array of retention times
+     * @param {Array} intensities - Array of intensity values
+     * @param {Array} peaks - Detected peaks
+     * @param {string} baselineMode - drop, valley or tangent
+     * @returns {Array} - Peaks with area, baseline endpoints and area %
+     */
+    static integratePeaks(times, intensities, peaks, baselineMode = 'drop') {
+        if (!this.BASELINE_MODES.includes(baselineMode)) {
+            throw new Error(`Unknown baseline mode: ${baselineMode}`);
+        }
+
+        const { baseline } = this.smoothTrace(intensities);
+        const dropBaseline = (peak) => [baseline[peak.startIndex], baseline[peak.endIndex]];
+        const valleyBaseline = (peak) => [intensities[peak.startIndex], intensities[peak.endIndex]];
+
+        const integrated = peaks.map(peak => {
+            const [baselineStart, baselineEnd] = baselineMode === 'valley' ? valleyBaseline(peak) : dropBaseline(peak);
+            return {
+                ...peak,
+                baselineMode,
+                baselineStart,
+                baselineEnd,
+                skimmed: false,
+                area: this.#areaAboveLine(times, intensities, peak.startIndex, peak.endIndex, baselineStart, baselineEnd)
+            };
+        });
+
+        if (baselineMode === 'tangent') {
+            this.#groupFusedPeaks(integrated).forEach(group => {
+                if (group.length < 2) return;
+                const parent = group.reduce((best, peak) => peak.height > best.height ? peak : best);
+
+                group.filter(peak => peak !== parent).forEach(rider => {
+                    const [skimStart, skimEnd] = valleyBaseline(rider);
+                    const skimmedArea = this.#areaAboveLine(
+                        times, intensities, rider.startIndex, rider.endIndex, skimStart, skimEnd
+                    );
+                    parent.area += rider.area - skimmedArea;
+                    rider.area = skimmedArea;
+                    rider.baselineStart = skimStart;
+                    rider.baselineEnd = skimEnd;
+                    rider.skimmed = true;
+                });
+            });
+        }
+
+        const totalArea = integrated.reduce((sum, peak) => sum + peak.area, 0);
+        integrated.forEach(peak => {
+            peak.areaPercent = totalArea > 0 ? peak.area / totalArea * 100 : 0;
+        });
+        return integrated;
+    }
+
+    /**
+     * Area between a trace and a straight baseline, ignoring dips below the line
+     * @param {Array} times - Retention times
+     * @param {Array} intensities - Trace intensities
+     * @param {number} start - Start index
+     * @param {number} end - End index
+     * @param {number} baselineStart - Baseline value at start
+     * @param {number} baselineEnd - Baseline value at end
+     * @returns {number} - Area in intensity × min
+     */
+    static #areaAboveLine(times, intensities, start, end, baselineStart, baselineEnd) {
+        const span = times[end] - times[start];
+        const corrected = [];
+        for (let i = start; i <= end; i++) {
+            const fraction = span > 0 ? (times[i] - times[start]) / span : 0;
+            corrected.push(Math.max(0, intensities[i] - (baselineStart + fraction * (baselineEnd - baselineStart))));
+        }
+        return this.calculateArea(times.slice(start, end + 1), corrected);
+    }
+
+    /**
+     * Group peaks whose boundaries touch or overlap
+     * @param {Array} peaks - Peaks sorted by apex
+     * @returns {Array} - Groups of fused peaks
+     */
+    static #groupFusedPeaks(peaks) {
+        const groups = [];
+        peaks.forEach(peak => {
+            const group = groups[groups.length - 1];
+            if (group && peak.startIndex <= group[group.length - 1].endIndex) {
+                group.push(peak);
+            } else {
+                groups.push([peak]);
+            }
+        });
+        return groups;
+    }
+
+    /**
+     * Re-integrate the displayed chromatogram with another baseline mode; listeners of
+     * peaks-reintegrated refresh whatever is built from the areas
+     * @param {string} mode - drop, valley or tangent
+     */
+    static setBaselineMode(mode) {
+        this.baselineMode = mode;
+        const data = this.currentChromatogramData;
+        if (!data || !data.peaks) return;
+
+        data.peaks = this.integratePeaks(data.times, data.intensities, data.peaks, mode);
+        if (this.chromatogramChart) {
+            // Redraw rather than update: a re-measured peak may have moved its apex marker
+            this.updateChromatogram(data);
+        } else {
+            this.renderPeakTable(data.peaks);
+        }
+        window.dispatchEvent(new CustomEvent('peaks-reintegrated', {
+            detail: { peaks: data.peaks }
+        }));
+    }
+
+    /**
+     * Deconvolute peaks into component spectra (AMDIS-style). Ion traces are smoothed and
+     * their apexes located to a fraction of a scan; the sharpest ions become model ions and
+     * ions peaking with them form a component. Every ion is then fitted onto the model peak
+     * shapes of its region, so ions shared by co-eluting compounds are split between them.
+     * Components are stored on each peak as peak.components.
+     * @param {Array} scans - MS1 scans sorted by scan time
+     * @param {Array} peaks - Integrated peaks
+     * @param {Object} options - Overrides for DECONVOLUTION_DEFAULTS
+     * @returns {Array} - The peaks
+     */
+    static deconvolutePeaks(scans, peaks, options = {}) {
+        const settings = { ...this.DECONVOLUTION_DEFAULTS, ...options };
+        const times = scans.map(scan => scan.scanTime);
+        const tallest = this.#tallestIon(scans);
+
+        this.#groupFusedPeaks([...peaks].sort((a, b) => a.startIndex - b.startIndex)).forEach(group => {
+            const regionStart = Math.min(...group.map(peak => peak.startIndex));
+            const regionEnd = Math.max(...group.map(peak => peak.endIndex));
+            group.forEach(peak => { peak.components = []; });
+            if (regionEnd - regionStart < 2) return;
+
+            // Ion traces cover only the region and its margin; indices below are relative to offset
+            const offset = Math.max(0, regionStart - settings.regionMargin);
+            const last = Math.min(scans.length - 1, regionEnd + settings.regionMargin);
+            const ionTraces = this.#buildIonTraces(scans, offset, last, tallest, settings);
+            const start = regionStart - offset;
+            const end = regionEnd - offset;
+
+            // Model peaks: the sharpest ion apexes, each collecting the ions that peak with it
+            const apexes = [];
+            ionTraces.forEach(trace => apexes.push(...this.#findIonApexes(trace, start, end, settings)));
+            const models = [];
+            apexes.sort((a, b) => b.sharpness - a.sharpness).forEach(apex => {
+                const model = models.find(candidate =>
+                    Math.abs(candidate.position - apex.position) <= settings.apexTolerance);
+                if (model) {
+                    model.ionCount++;
+                } else {
+                    models.push({ ...apex, ionCount: 1 });
+                }
+            });
+            const components = models.filter(model => model.ionCount >= settings.minIons);
+            if (components.length === 0) return;
+
+            // Model shapes: the model ion's smoothed profile above its region baseline, scaled to 1
+            const shapes = components.map(model => {
+                const profile = this.#regionProfile(model.trace.smoothed, start, end).map(value => Math.max(0, value));
+                const maximum = Math.max(...profile);
+                return profile.map(value => maximum > 0 ? value / maximum : 0);
+            });
+
+            const spectra = components.map(() => ({ mzValues: [], intensities: [] }));
+            ionTraces.forEach(trace => {
+                const profile = this.#regionProfile(trace.intensities, start, end);
+                if (Math.max(...profile) <= settings.minSignalToNoise * trace.noise) return;
+
+                SignalProcessing.nonNegativeLeastSquares(shapes, profile).forEach((abundance, k) => {
+                    if (abundance > trace.noise) {
+                        spectra[k].mzValues.push(trace.mz);
+                        spectra[k].intensities.push(abundance);
+                    }
+                });
+            });
+
+            components.forEach((model, k) => {
+                const basePeak = Math.max(...spectra[k].intensities, 0);
+                const keep = spectra[k].intensities.map(value => value >= basePeak * settings.minRelativeAbundance);
+                const spectrum = {
+                    mzValues: spectra[k].mzValues.filter((_, i) => keep[i]),
+                    intensities: spectra[k].intensities.filter((_, i) => keep[i])
+                };
+                if (spectrum.mzValues.length < settings.minIons) return;
+
+                const position = model.position + offset;
+                const apexIndex = Math.round(position);
+                const lower = Math.floor(position);
+                const upper = Math.min(lower + 1, times.length - 1);
+                const component = {
+                    apexIndex,
+                    retentionTime: times[lower] + (position - lower) * (times[upper] - times[lower]),
+                    modelIon: model.trace.mz,
+                    ionCount: spectrum.mzValues.length,
+                    abundance: spectrum.intensities.reduce((sum, value) => sum + value, 0),
+                    spectrum
+                };
+
+                // Attach to the peak that contains the component apex, else the nearest one
+                const owner = group.find(peak => apexIndex >= peak.startIndex && apexIndex <= peak.endIndex) ||
+                    group.reduce((best, peak) =>
+                        Math.abs(peak.apexIndex - apexIndex) < Math.abs(best.apexIndex - apexIndex) ? peak : best);
+                owner.components.push(component);
+            });
+
+            group.forEach(peak => peak.components.sort((a, b) => a.retentionTime - b.retentionTime));
+        });
+
+        return peaks;
+    }
+
+    /**
+     * Turn deconvolution on or off and redraw the displayed run
+     * @param {boolean} enabled - Whether peaks are deconvoluted
+     */
+    static setDeconvolution(enabled) {
+        this.deconvolutionEnabled = enabled;
+        const data = this.currentChromatogramData;
+        if (!data || !data.scans) return;
+
+        if (enabled) {
+            this.deconvolutePeaks(data.scans, data.peaks);
+        } else {
+            data.peaks.forEach(peak => { delete peak.components; });
+        }
+        this.updateChromatogram(data);
+    }
+
+    /**
+     * Build a smoothed nominal-mass ion trace with a noise estimate for every ion in a range of scans
+     * @param {Array} scans - MS1 scans sorted by scan time
+     * @param {number} first - First scan of the range
+     * @param {number} last - Last scan of the range
+     * @param {number} tallest - Most intense ion of the run, for the noise floor
+     * @param {Object} settings - Deconvolution settings
+     * @returns {Array} - Ion traces with mz, intensities, smoothed and noise, indexed from the first scan
+     */
+    static #buildIonTraces(scans, first, last, tallest, settings) {
+        const binWidth = this.SPECTRUM_BIN_WIDTH;
+        const length = last - first + 1;
+        const traces = new Map();
+        for (let scanIndex = first; scanIndex <= last; scanIndex++) {
+            const scan = scans[scanIndex];
+            for (let i = 0; i < scan.mzValues.length; i++) {
+                const bin = Math.round(scan.mzValues[i] / binWidth);
+                if (!traces.has(bin)) traces.set(bin, new Array(length).fill(0));
+                traces.get(bin)[scanIndex - first] += scan.intensities[i];
+            }
+        }
+
+        return Array.from(traces.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([bin, intensities]) => {
+                const smoothed = SignalProcessing.savitzkyGolay(intensities, settings.smoothingWindow, 2);
+                return {
+                    mz: bin * binWidth,
+                    intensities,
+                    smoothed,
+                    noise: Math.max(SignalProcessing.estimateNoise(intensities, smoothed), tallest * settings.noiseFloor)
+                };
+            });
+    }
+
+    /**
+     * Most intense nominal-mass ion in any scan of the run
+     * @param {Array} scans - MS1 scans
+     * @returns {number} - Intensity
+     */
+    static #tallestIon(scans) {
+        const binWidth = this.SPECTRUM_BIN_WIDTH;
+        let tallest = 0;
+        scans.forEach(scan => {
+            const bins = new Map();
+            for (let i = 0; i < scan.mzValues.length; i++) {
+                const bin = Math.round(scan.mzValues[i] / binWidth);
+                const value = (bins.get(bin) || 0) + scan.intensities[i];
+                bins.set(bin, value);
+                if (value > tallest) tallest = value;
+            }
+        });
+        return tallest;
+    }
+
+    /**
+     * Find the apexes of one ion trace inside a region, refined to a fraction of a scan
+     * by a parabola through the apex and its neighbours
+     * @param {Object} trace - Ion trace
+     * @param {number} start - First scan of the region
+     * @param {number} end - Last scan of the region
+     * @param {Object} settings - Deconvolution settings
+     * @returns {Array} - Apexes with trace, position (fractional scan index) and sharpness
+     */
+    static #findIonApexes(trace, start, end, settings) {
+        const values = trace.smoothed;
+        const profile = this.#regionProfile(values, start, end);
+        const apexes = [];
+
+        for (let i = start + 1; i < end; i++) {
+            if (!(values[i] > values[i - 1] && values[i] >= values[i + 1])) continue;
+            if (profile[i - start] < settings.minSignalToNoise * trace.noise) continue;
+
+            const curvature = values[i - 1] - 2 * values[i] + values[i + 1];
+            const offset = curvature < 0 ? 0.5 * (values[i - 1] - values[i + 1]) / curvature : 0;
+
+            // Sharpness: steepest rise towards the apex from either side, in noise units per scan
+            let left = 0;
+            for (let k = 1; i - k >= start; k++) left = Math.max(left, (values[i] - values[i - k]) / k);
+            let right = 0;
+            for (let k = 1; i + k <= end; k++) right = Math.max(right, (values[i] - values[i + k]) / k);
+
+            apexes.push({ trace, position: i + offset, sharpness: (left + right) / (2 * trace.noise) });
+        }
+        return apexes;
+    }
+
+    /**
+     * Cut a region out of a trace and subtract the straight line joining its ends
+     * @param {Array} values - Trace
+     * @param {number} start - First index of the region
+     * @param {number} end - Last index of the region
+     * @returns {Array} - Baseline-corrected region
+     */
+    static #regionProfile(values, start, end) {
+        const span = end - start;
+        const profile = [];
+        for (let i = start; i <= end; i++) {
+            profile.push(values[i] - (values[start] + (values[end] - values[start]) * (i - start) / span));
+        }
+        return profile;
+    }
+
+    /**
+     * Render the peak table
+     * @param {Array|undefined} peaks - Integrated peaks, or undefined for data without a trace
+     */
+    static renderPeakTable(peaks) {
+        const tableBody = document.getElementById('peakTableBody');
+        if (!tableBody) return;
+
+        if (!peaks || peaks.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="11" class="px-4 py-3 text-sm text-gray-500">
+                        ${peaks ? 'No peaks detected' : 'Peak integration needs a raw run (mzML, mzXML or ANDI-MS)'}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tableBody.innerHTML = peaks.map((peak, i) => `
+            <tr class="hover:bg-gray-50">
+                <td class="px-4 py-2">${i + 1}</td>
+                <td class="px-4 py-2">${peak.name ? this.#escapeHtml(peak.name) : '<span class="text-gray-400">Unknown</span>'}</td>
+                <td class="px-4 py-2">${peak.retentionTime.toFixed(3)}</td>
+                <td class="px-4 py-2">${RetentionIndex.format(RetentionIndex.calculate(peak.retentionTime))}</td>
+                <td class="px-4 py-2">${peak.startTime.toFixed(3)}</td>
+                <td class="px-4 py-2">${peak.endTime.toFixed(3)}</td>
+                <td class="px-4 py-2">${peak.height.toFixed(0)}</td>
+                <td class="px-4 py-2">${peak.area.toFixed(0)}</td>
+                <td class="px-4 py-2">${peak.areaPercent.toFixed(2)}</td>
+                <td class="px-4 py-2 text-gray-500">${peak.skimmed ? 'Skimmed' : (peak.shoulder ? 'Shoulder' : 'Peak')}</td>
+                <td class="px-4 py-2 text-gray-500">${this.#formatComponents(peak)}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Describe a peak's deconvoluted components for the peak table
+     * @param {Object} peak - Peak
+     * @returns {string} - HTML snippet
+     */
+    static #formatComponents(peak) {
+        if (!peak.components) return '—';
+        if (peak.components.length === 0) return 'None resolved';
+        return peak.components.map(component =>
+            `<div>${component.retentionTime.toFixed(3)} min, m/z ${component.modelIon}` +
+            `${component.name ? ` – ${this.#escapeHtml(component.name)}` : ''}</div>`
+        ).join('');
+    }
+
+    /**
+     * Escape text for an HTML template; accepted names come from library files
+     * @param {string} text - Text
+     * @returns {string} - Text with markup characters replaced by entities
+     */
+    static #escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text).replace(/[&<>"']/g, character => entities[character]);
+    }
+
+    /**
+     * Let peak boundaries be dragged on the chromatogram; the peak is re-measured and
+     * re-integrated on release
+     * @param {HTMLCanvasElement} canvas - Chromatogram canvas
+     */
+    static #attachBoundaryDragging(canvas) {
+        if (this.#boundaryDragAttached) return;
+        this.#boundaryDragAttached = true;
+
+        const grabDistance = 6;
+        const pointerIndex = (event) => {
+            const chart = this.chromatogramChart;
+            const position = Chart.helpers.getRelativePosition(event, chart);
+            const index = Math.round(chart.scales.x.getValueForPixel(position.x));
+            return { x: position.x, index };
+        };
+
+        canvas.addEventListener('mousedown', (event) => {
+            const data = this.currentChromatogramData;
+            if (!this.chromatogramChart || !data || !data.peaks) return;
+
+            const { x } = pointerIndex(event);
+            const scale = this.chromatogramChart.scales.x;
+            for (const peak of data.peaks) {
+                for (const edge of ['startIndex', 'endIndex']) {
+                    if (Math.abs(scale.getPixelForValue(peak[edge]) - x) <= grabDistance) {
+                        this.#dragState = { peak, edge, moved: false };
+                        event.preventDefault();
+                        return;
+                    }
+                }
+            }
+        });
+
+        canvas.addEventListener('mousemove', (event) => {
+            const data = this.currentChromatogramData;
+            if (!this.chromatogramChart || !data || !data.peaks) return;
+
+            const { x, index } = pointerIndex(event);
+            if (!this.#dragState) {
+                const scale = this.chromatogramChart.scales.x;
+                const nearBoundary = data.peaks.some(peak =>
+                    Math.abs(scale.getPixelForValue(peak.startIndex) - x) <= grabDistance ||
+                    Math.abs(scale.getPixelForValue(peak.endIndex) - x) <= grabDistance
+                );
+                canvas.style.cursor = nearBoundary ? 'ew-resize' : '';
+                return;
+            }
+
+            // Keep each boundary on its own side of the apex and inside the trace
+            const { peak, edge } = this.#dragState;
+            const clamped = edge === 'startIndex' ?
+                Math.max(0, Math.min(index, peak.apexIndex - 1)) :
+                Math.min(data.times.length - 1, Math.max(index, peak.apexIndex + 1));
+            if (clamped !== peak[edge]) {
+                peak[edge] = clamped;
+                peak[edge === 'startIndex' ? 'startTime' : 'endTime'] = data.times[clamped];
+                this.#dragState.moved = true;
+                this.chromatogramChart.update('none');
+            }
+        });
+
+        window.addEventListener('mouseup', () => {
+            if (!this.#dragState) return;
+            const { peak, moved } = this.#dragState;
+            this.#dragState = null;
+            if (moved) {
+                // Suppress the click that follows the drag
+                this.#suppressNextClick = true;
+                this.#remeasurePeak(this.currentChromatogramData, peak);
+                this.setBaselineMode(this.baselineMode);
+            }
+        });
+    }
+
     /**
      * Clear all charts
      */
@@ -0,0 +1,487 @@
+// Pathway enrichment module: over-representation and rank-based tests against the loaded pathway models
+class Enrichment {
+    static METHODS = ['ora', 'rank'];
+    static QUERIES = ['significant', 'detected'];
+    static BACKGROUNDS = ['pathways', 'detected'];
+    static SCORES = ['pValue', 'foldChange'];
+
+    // ora tests the query metabolites against the background with the hypergeometric test;
+    // rank compares the scores (-log10 p or |log2 fold change| from Statistics) of a pathway's
+    // metabolites with those of the other detected metabolites. Pathways with fewer than
+    // minMembers query (ora) or detected (rank) metabolites are not tested
+    static settings = {
+        method: 'ora',
+        query: 'significant',
+        background: 'pathways',
+        score: 'pValue',
+        minMembers: 2,
+        chart: 'bar'
+    };
+
+    // Pathways shown in the bar chart
+    static MAX_BARS = 20;
+
+    static result = null;
+    static selectedPathway = null;
+    static sort = { key: 'pValue', ascending: true };
+    static chart = null;
+
+    // Runs started; a result is only kept when no later run started while it waited for pathways
+    static #runs = 0;
+
+    /**
+     * Test the pathways for a matrix and redraw the chart and table
+     * @param {Object} matrix - Matrix from Normalization.getMatrix
+     * @returns {Promise<Object|null>} - Result of analyze, or null when a later update replaced it
+     */
+    static async update(matrix) {
+        const run = ++this.#runs;
+        const result = await this.analyze(matrix.features, Statistics.result, this.settings);
+        if (run !== this.#runs) return null;
+
+        this.result = result;
+        if (!result.pathways.some(row => row.pathway.id === this.selectedPathway)) {
+            this.selectedPathway = null;
+        }
+        this.render();
+        return this.result;
+    }
+
+    /**
+     * Find the pathways of the metabolites and test each pathway
+     * @param {Array} features - Matrix features; unidentified peaks are left out
+     * @param {Object|null} statistics - Statistics.result, for the significant subset and the scores
+     * @param {Object} settings - Enrichment settings
+     * @returns {Promise<Object>} - method, queryCount (n), backgroundCount (N), warnings and per-pathway
+     *                              pathway, size, hits, members, expected, ratio, pValue and qValue
+     */
+    static async analyze(features, statistics, settings = this.settings) {
+        if (!this.METHODS.includes(settings.method)) {
+            throw new Error(`Unknown enrichment method: ${settings.method}`);
+        }
+        if (!this.QUERIES.includes(settings.query)) {
+            throw new Error(`Unknown query: ${settings.query}`);
+        }
+        if (!this.BACKGROUNDS.includes(settings.background)) {
+            throw new Error(`Unknown background: ${settings.background}`);
+        }
+        if (!this.SCORES.includes(settings.score)) {
+            throw new Error(`Unknown score: ${settings.score}`);
+        }
+
+        const { method } = settings;
+        const warnings = [];
+        const empty = { method, queryCount: 0, backgroundCount: 0, warnings, pathways: [] };
+        if (PathwayModels.pathways.length === 0) {
+            warnings.push('Load SBML or KGML pathway models to test pathways.');
+            return empty;
+        }
+
+        // Each detected metabolite stands for the compound it matched, so that two derivatives
+        // of one compound count once
+        const detected = await this.#mapMetabolites(features.filter(feature => !feature.unidentified));
+        const results = new Map((statistics ? statistics.features : []).map(row => [row.name, row]));
+        const needsScores = method === 'rank' || settings.query === 'significant';
+        if (needsScores && results.size === 0) {
+            warnings.push('Compare two sample groups in Group Statistics to get significant metabolites and scores.');
+            return empty;
+        }
+
+        const rows = method === 'ora' ?
+            this.#overRepresentation(detected, results, settings, warnings) :
+            this.#rankBased(detected, results, settings);
+        const qValues = Statistics.benjaminiHochberg(rows.pathways.map(row => row.pValue));
+        return {
+            method,
+            queryCount: rows.queryCount,
+            backgroundCount: rows.backgroundCount,
+            warnings,
+            pathways: rows.pathways.map((row, i) => ({ ...row, qValue: qValues[i] }))
+        };
+    }
+
+    /**
+     * Pathways sorted by the table's sort column
+     * @returns {Array} - Pathway results
+     */
+    static getSortedPathways() {
+        if (!this.result) return [];
+        const { key, ascending } = this.sort;
+        const value = row => key === 'name' ? row.pathway.name.toLowerCase() : row[key];
+        return [...this.result.pathways].sort((a, b) => {
+            const [x, y] = [value(a), value(b)];
+            // Untested values sort last either way
+            if (x === null || y === null) return (x === null) - (y === null);
+            return (x < y ? -1 : x > y ? 1 : 0) * (ascending ? 1 : -1);
+        });
+    }
+
+    /**
+     * Sort the table by a column; sorting by the same column again reverses the order
+     * @param {string} key - name, hits, size, expected, ratio, pValue or qValue
+     */
+    static sortBy(key) {
+        this.sort = this.sort.key === key ?
+            { key, ascending: !this.sort.ascending } :
+            // Names and p-values read best ascending, counts and ratios descending
+            { key, ascending: ['name', 'pValue', 'qValue'].includes(key) };
+        this.renderTable();
+    }
+
+    /**
+     * Select a pathway: mark it in the chart and table and tell the other views
+     * @param {string} pathwayId - Pathway ID
+     */
+    static select(pathwayId) {
+        const row = this.result && this.result.pathways.find(candidate => candidate.pathway.id === pathwayId);
+        if (!row) return;
+        this.selectedPathway = pathwayId;
+        this.render();
+        window.dispatchEvent(new CustomEvent('pathway-selected', {
+            detail: { pathway: row.pathway, members: row.members }
+        }));
+    }
+
+    /**
+     * Draw the chart, the table and the summary
+     */
+    static render() {
+        const summary = document.getElementById('enrichmentSummary');
+        if (summary) summary.textContent = this.#summary();
+        this.renderChart();
+        this.renderTable();
+    }
+
+    /**
+     * Draw the bar chart (-log10 p of the top pathways) or the bubble chart (ratio against
+     * -log10 p, sized by the number of metabolites); clicking a pathway selects it
+     */
+    static renderChart() {
+        const canvas = document.getElementById('enrichmentChart');
+        if (!canvas) return;
+
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+        const tested = this.result ? this.result.pathways.filter(row => row.pValue !== null) : [];
+        if (tested.length === 0) return;
+
+        const logP = row => -Math.log10(Math.max(row.pValue, Number.MIN_VALUE));
+        const color = row => row.pathway.id === this.selectedPathway ? '#111827' :
+            row.qValue < Statistics.settings.fdrThreshold ? '#EF4444' : '#9CA3AF';
+        const title = `Pathways (q < ${Statistics.settings.fdrThreshold} in red; click to show in the network)`;
+        const ratioLabel = this.result.method === 'ora' ? 'Hits / expected' : 'Mean score / mean of all';
+
+        let config;
+        if (this.settings.chart === 'bubble') {
+            const largest = Math.max(...tested.map(row => row.hits));
+            const points = tested.map(row => ({
+                x: row.ratio,
+                y: logP(row),
+                r: 4 + 12 * Math.sqrt(row.hits / largest),
+                row
+            }));
+            config = {
+                type: 'bubble',
+                data: {
+                    datasets: [{
+                        label: 'Pathways',
+                        data: points,
+                        backgroundColor: points.map(point => `${color(point.row)}99`),
+                        borderColor: points.map(point => color(point.row))
+                    }]
+                },
+                options: {
+                    scales: {
+                        x: { type: 'linear', title: { display: true, text: ratioLabel } },
+                        y: { beginAtZero: true, title: { display: true, text: '-log10 p' } }
+                    }
+                }
+            };
+        } else {
+            const ranked = [...tested].sort((a, b) => a.pValue - b.pValue).slice(0, this.MAX_BARS);
+            config = {
+                type: 'bar',
+                data: {
+                    labels: ranked.map(row => row.pathway.name),
+                    datasets: [{
+                        label: '-log10 p',
+                        data: ranked.map(row => ({ x: logP(row), y: row.pathway.name, row })),
+                        backgroundColor: ranked.map(color)
+                    }]
+                },
+                options: {
+                    indexAxis: 'y',
+                    scales: { x: { beginAtZero: true, title: { display: true, text: '-log10 p' } } }
+                }
+            };
+        }
+
+        this.chart = new Chart(canvas.getContext('2d'), {
+            ...config,
+            options: {
+                ...config.options,
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                onClick: (event, elements, chart) => {
+                    if (elements.length === 0) return;
+                    const { datasetIndex, index } = elements[0];
+                    this.select(chart.data.datasets[datasetIndex].data[index].row.pathway.id);
+                },
+                plugins: {
+                    title: { display: true, text: title },
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const { row } = context.raw;
+                                return `${row.pathway.name}: ${row.hits} of ${row.size}, ` +
+                                    `p ${Statistics.formatPValue(row.pValue)}, q ${Statistics.formatPValue(row.qValue)}`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Render the pathway table in the current sort order
+     */
+    static renderTable() {
+        const header = document.getElementById('enrichmentHeaderRow');
+        const body = document.getElementById('enrichmentTableBody');
+        if (!header || !body) return;
+
+        const ora = !this.result || this.result.method === 'ora';
+        const columns = [
+            ['name', 'Pathway'],
+            ['hits', ora ? 'Hits' : 'Detected'],
+            ['size', 'Size'],
+            ['expected', 'Expected'],
+            ['ratio', ora ? 'Ratio' : 'Score ratio'],
+            ['pValue', 'p'],
+            ['qValue', 'q']
+        ].filter(([key]) => ora || key !== 'expected');
+        // Built with DOM calls so that pathway names and ids from model files are never parsed as HTML
+        header.innerHTML = '';
+        body.innerHTML = '';
+        columns.forEach(([key, label]) => {
+            const th = document.createElement('th');
+            th.className = 'px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+            const button = document.createElement('button');
+            button.dataset.sort = key;
+            button.className = 'uppercase hover:text-gray-700';
+            const arrow = this.sort.key === key ? (this.sort.ascending ? ' ▲' : ' ▼') : '';
+            button.textContent = `${label}${arrow}`;
+            th.appendChild(button);
+            header.appendChild(th);
+        });
+
+        const pathways = this.getSortedPathways();
+        if (pathways.length === 0) {
+            const td = document.createElement('td');
+            td.colSpan = columns.length;
+            td.className = 'px-4 py-3 text-sm text-gray-500';
+            td.textContent = 'No pathways tested';
+            body.appendChild(document.createElement('tr')).appendChild(td);
+            return;
+        }
+
+        const format = value => value === null ? '—' : Number(value.toPrecision(3)).toString();
+        pathways.forEach(row => {
+            const significant = row.qValue !== null && row.qValue < Statistics.settings.fdrThreshold;
+            const tr = document.createElement('tr');
+            tr.dataset.pathway = row.pathway.id;
+            tr.className = `cursor-pointer hover:bg-gray-50 ${row.pathway.id === this.selectedPathway ? 'selected-row' : ''}`;
+            tr.title = row.members.join(', ');
+            const cell = (text, className = 'px-4 py-2') => {
+                const td = document.createElement('td');
+                td.className = className;
+                td.textContent = text;
+                tr.appendChild(td);
+                return td;
+            };
+            const source = document.createElement('span');
+            source.className = 'text-xs text-gray-500';
+            source.textContent = row.pathway.source;
+            cell(`${row.pathway.name} `).appendChild(source);
+            cell(row.hits);
+            cell(row.size);
+            if (ora) cell(format(row.expected));
+            cell(format(row.ratio));
+            cell(Statistics.formatPValue(row.pValue));
+            cell(Statistics.formatPValue(row.qValue), `px-4 py-2 ${significant ? 'text-red-600 font-medium' : ''}`);
+            body.appendChild(tr);
+        });
+    }
+
+    /**
+     * Forget the results and the chart
+     */
+    static clear() {
+        this.#runs++;
+        this.result = null;
+        this.selectedPathway = null;
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+        this.render();
+    }
+
+    /**
+     * Look up the pathways of each metabolite
+     * @param {Array} features - Identified features
+     * @returns {Promise<Array>} - [{ name, compound, pathways: Set }] for the metabolites found in a pathway
+     */
+    static async #mapMetabolites(features) {
+        const mapped = [];
+        for (const { name } of features) {
+            const memberships = await MetaboliteMapper.getPathwayInformation(name);
+            if (memberships.length === 0) continue;
+            const { pathway, speciesIds } = memberships[0];
+            mapped.push({
+                name,
+                compound: NameResolver.canonical(PathwayModels.speciesName(pathway, speciesIds.values().next().value)),
+                pathways: new Set(memberships.map(membership => membership.pathway))
+            });
+        }
+        return mapped;
+    }
+
+    /**
+     * Hypergeometric test of the query compounds in each pathway
+     * @param {Array} detected - Mapped metabolites
+     * @param {Map} results - Statistics results by metabolite name
+     * @param {Object} settings - Enrichment settings
+     * @param {Array} warnings - Warnings to add to
+     * @returns {Object} - queryCount, backgroundCount and pathway rows without q-values
+     */
+    static #overRepresentation(detected, results, settings, warnings) {
+        const query = settings.query === 'significant' ?
+            detected.filter(({ name }) => results.has(name) && Statistics.isSignificant(results.get(name))) :
+            detected;
+        const queryCompounds = new Set(query.map(({ compound }) => compound));
+        if (settings.query === 'detected' && settings.background === 'detected') {
+            warnings.push('The detected metabolites tested against themselves cannot be enriched; use the pathway background.');
+        }
+
+        // The background is every compound of the loaded pathways, or only the detected ones
+        const pathwayCompounds = new Map(PathwayModels.pathways.map(pathway => [pathway, PathwayModels.getCompounds(pathway)]));
+        const detectedCompounds = new Set(detected.map(({ compound }) => compound));
+        const background = settings.background === 'detected' ?
+            detectedCompounds :
+            new Set([...pathwayCompounds.values()].flatMap(compounds => [...compounds]));
+        const N = background.size;
+        const n = queryCompounds.size;
+
+        const pathways = [];
+        pathwayCompounds.forEach((compounds, pathway) => {
+            const members = query.filter(metabolite => metabolite.pathways.has(pathway));
+            const k = new Set(members.map(({ compound }) => compound)).size;
+            const M = settings.background === 'detected' ?
+                new Set(detected.filter(metabolite => metabolite.pathways.has(pathway)).map(({ compound }) => compound)).size :
+                compounds.size;
+            if (k < Math.max(1, settings.minMembers)) return;
+
+            const { expected, pValue } = Statistics.hypergeometricTest(k, M, n, N);
+            pathways.push({
+                pathway,
+                size: M,
+                hits: k,
+                members: members.map(({ name }) => name),
+                expected,
+                ratio: expected ? k / expected : null,
+                pValue
+            });
+        });
+        return { queryCount: n, backgroundCount: N, pathways };
+    }
+
+    /**
+     * Rank-sum test of the scores of each pathway's compounds against the other detected
+     * compounds, one-sided toward higher scores
+     * @param {Array} detected - Mapped metabolites
+     * @param {Map} results - Statistics results by metabolite name
+     * @param {Object} settings - Enrichment settings
+     * @returns {Object} - queryCount, backgroundCount and pathway rows without q-values
+     */
+    static #rankBased(detected, results, settings) {
+        const scoreOf = ({ name }) => {
+            const row = results.get(name);
+            if (!row) return null;
+            if (settings.score === 'pValue') {
+                return row.pValue === null ? null : -Math.log10(Math.max(row.pValue, Number.MIN_VALUE));
+            }
+            return row.log2FoldChange === null ? null : Math.abs(row.log2FoldChange);
+        };
+
+        // One score per compound: the best of the metabolites matched to it
+        const compounds = new Map();
+        detected.forEach(metabolite => {
+            const score = scoreOf(metabolite);
+            if (score === null) return;
+            const current = compounds.get(metabolite.compound);
+            if (!current) {
+                compounds.set(metabolite.compound, { score, names: [metabolite.name], pathways: new Set(metabolite.pathways) });
+                return;
+            }
+            current.score = Math.max(current.score, score);
+            current.names.push(metabolite.name);
+            metabolite.pathways.forEach(pathway => current.pathways.add(pathway));
+        });
+        const scored = [...compounds.values()];
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const overall = mean(scored.map(({ score }) => score));
+
+        const pathways = [];
+        PathwayModels.pathways.forEach(pathway => {
+            const members = scored.filter(compound => compound.pathways.has(pathway));
+            const others = scored.filter(compound => !compound.pathways.has(pathway));
+            if (members.length < Math.max(1, settings.minMembers) || others.length === 0) return;
+
+            const memberScores = members.map(({ score }) => score);
+            const { statistic, pValue } = Statistics.mannWhitneyU(memberScores, others.map(({ score }) => score));
+            const higher = statistic > memberScores.length * others.length / 2;
+            pathways.push({
+                pathway,
+                size: PathwayModels.getCompounds(pathway).size,
+                hits: members.length,
+                members: members.flatMap(({ names }) => names),
+                expected: null,
+                ratio: overall > 0 ? mean(memberScores) / overall : null,
+                pValue: pValue === null ? null : higher ? pValue / 2 : 1 - pValue / 2
+            });
+        });
+        return { queryCount: scored.length, backgroundCount: scored.length, pathways };
+    }
+
+    /**
+     * Text summary of the current result
+     * @returns {string} - Summary
+     */
+    static #summary() {
+        if (!this.result) {
+            return 'Load pathway models and results to test pathway enrichment.';
+        }
+        const { method, queryCount, backgroundCount, warnings, pathways } = this.result;
+        if (pathways.length === 0 && warnings.length) return warnings.join(' ');
+
+        const significant = pathways.filter(row => row.qValue !== null && row.qValue < Statistics.settings.fdrThreshold).length;
+        const tested = `${pathways.length} pathway${pathways.length === 1 ? '' : 's'} tested, ${significant} with q < ${Statistics.settings.fdrThreshold}`;
+        if (method === 'rank') {
+            return `Rank-sum test of ${this.settings.score === 'pValue' ? '-log10 p' : '|log2 fold change|'} ` +
+                `over ${queryCount} detected compounds in pathways. ${tested}.`;
+        }
+        const query = this.settings.query === 'significant' ? 'significant' : 'detected';
+        const background = this.settings.background === 'detected' ? 'detected compounds in pathways' : 'compounds in the loaded pathways';
+        return [`Hypergeometric test of ${queryCount} ${query} compounds against ${backgroundCount} ${background}. ${tested}.`]
+            .concat(warnings).join(' ');
+    }
+}
+
+// Export the Enrichment class
+window.Enrichment = Enrichment;
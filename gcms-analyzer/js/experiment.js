@@ -0,0 +1,384 @@
+// Experiment module: uploaded samples, their design metadata and the metabolite × sample matrix
+class Experiment {
+    // Samples in upload order: { id, fileName, processedData, metadata }
+    static samples = [];
+    static activeSampleId = null;
+
+    // Design sheet rows by sample ID: { group, batch, injectionOrder, type, factor, concentration }
+    static design = new Map();
+
+    // Library RIs of accepted identifications, by metabolite name
+    static referenceIndices = new Map();
+
+    static SAMPLE_TYPES = ['sample', 'qc', 'blank', 'standard'];
+
+    // Accepted design sheet headers (compared case-insensitively without spaces)
+    static DESIGN_COLUMNS = {
+        sampleId: ['sampleid', 'sample', 'samplename', 'filename', 'file'],
+        group: ['group', 'class', 'condition', 'treatment'],
+        batch: ['batch'],
+        injectionOrder: ['injectionorder', 'runorder', 'order', 'injection'],
+        type: ['sampletype', 'type'],
+        factor: ['weight', 'volume', 'amount', 'samplefactor', 'factor'],
+        concentration: ['concentration', 'conc', 'levelconcentration', 'calibrationlevel']
+    };
+
+    /**
+     * Add a processed file to the experiment; a file with the same sample ID replaces it
+     * @param {string} fileName - Uploaded file name
+     * @param {Object} processedData - Output of ChromatogramAnalyzer.processData
+     * @returns {Object} - The sample
+     */
+    static addSample(fileName, processedData) {
+        const id = this.sampleIdFromFileName(fileName);
+        const sample = {
+            id,
+            fileName,
+            processedData,
+            metadata: this.#metadataFor(id)
+        };
+
+        const existing = this.samples.findIndex(candidate => candidate.id === id);
+        if (existing === -1) {
+            this.samples.push(sample);
+        } else {
+            this.samples[existing] = sample;
+        }
+        return sample;
+    }
+
+    /**
+     * Derive a sample ID from a file name
+     * @param {string} fileName - File name
+     * @returns {string} - File name without its extension
+     */
+    static sampleIdFromFileName(fileName) {
+        return fileName.replace(/\.[^.]+$/, '');
+    }
+
+    /**
+     * Get a sample by ID
+     * @param {string} id - Sample ID
+     * @returns {Object|null} - Sample, or null
+     */
+    static getSample(id) {
+        return this.samples.find(sample => sample.id === id) || null;
+    }
+
+    /**
+     * Get the sample shown in the chromatogram and spectrum views
+     * @returns {Object|null} - Active sample, or null
+     */
+    static getActiveSample() {
+        return this.getSample(this.activeSampleId);
+    }
+
+    /**
+     * Choose the sample shown in the chromatogram and spectrum views
+     * @param {string} id - Sample ID
+     * @returns {Object} - Active sample
+     */
+    static setActiveSample(id) {
+        const sample = this.getSample(id);
+        if (!sample) {
+            throw new Error(`Unknown sample: ${id}`);
+        }
+        this.activeSampleId = id;
+        return sample;
+    }
+
+    /**
+     * Remove all samples; the design sheet is kept for the next upload
+     */
+    static clear() {
+        this.samples = [];
+        this.activeSampleId = null;
+        this.referenceIndices.clear();
+    }
+
+    /**
+     * Load an experiment design sheet
+     * @param {File} file - CSV with sample ID, group, batch, injection order and sample type columns
+     * @returns {Promise<Map>} - Design by sample ID
+     */
+    static async loadDesign(file) {
+        this.setDesign(this.parseDesign(await FileHandler.parseTable(file)));
+        return this.design;
+    }
+
+    /**
+     * Parse design sheet rows
+     * @param {Array} rows - Parsed table rows
+     * @returns {Map} - Design by sample ID
+     */
+    static parseDesign(rows) {
+        if (rows.length === 0) {
+            throw new Error('The design sheet is empty.');
+        }
+
+        const headers = Object.keys(rows[0]);
+        const columns = Object.fromEntries(Object.entries(this.DESIGN_COLUMNS)
+            .map(([field, aliases]) => [field, FileHandler.findColumn(headers, aliases)]));
+        if (!columns.sampleId) {
+            throw new Error('The design sheet needs a SampleID column.');
+        }
+
+        const design = new Map();
+        rows.forEach((row, index) => {
+            // Design sheets often list file names; match them on the bare sample ID
+            const sampleId = this.sampleIdFromFileName(String(row[columns.sampleId] || '').trim());
+            if (!sampleId) {
+                throw new Error(`Design row ${index + 1}: Missing sample ID`);
+            }
+
+            const injectionOrder = columns.injectionOrder ? parseInt(row[columns.injectionOrder], 10) : NaN;
+            const factor = columns.factor ? parseFloat(row[columns.factor]) : NaN;
+            const concentration = columns.concentration ? parseFloat(row[columns.concentration]) : NaN;
+            design.set(sampleId, {
+                group: columns.group ? String(row[columns.group] || '').trim() : '',
+                batch: columns.batch && String(row[columns.batch] || '').trim() || '1',
+                injectionOrder: isNaN(injectionOrder) ? null : injectionOrder,
+                type: this.normalizeSampleType(columns.type ? row[columns.type] : ''),
+                factor: factor > 0 ? factor : 1,
+                concentration: isNaN(concentration) ? null : concentration
+            });
+        });
+        return design;
+    }
+
+    /**
+     * Map free-text sample types (e.g. "Pooled QC", "Solvent blank") to SAMPLE_TYPES
+     * @param {string} value - Sample type as written in the sheet
+     * @returns {string} - sample, qc, blank or standard
+     */
+    static normalizeSampleType(value) {
+        const text = String(value || '').toLowerCase();
+        if (/\bqc\b|quality control|pool/.test(text)) return 'qc';
+        if (/blank/.test(text)) return 'blank';
+        if (/standard|\bstd\b|calibra/.test(text)) return 'standard';
+        return 'sample';
+    }
+
+    /**
+     * Replace the design and apply it to the loaded samples
+     * @param {Map} design - Design by sample ID
+     */
+    static setDesign(design) {
+        this.design = design;
+        this.samples.forEach(sample => {
+            sample.metadata = this.#metadataFor(sample.id);
+        });
+    }
+
+    /**
+     * Set the weight or volume a sample's intensities are divided by when normalizing
+     * @param {string} id - Sample ID
+     * @param {number} factor - Positive factor
+     */
+    static setSampleFactor(id, factor) {
+        const sample = this.getSample(id);
+        if (!sample) return;
+        if (!(factor > 0)) {
+            throw new Error(`${id}: The sample amount must be a positive number.`);
+        }
+        sample.metadata = { ...sample.metadata, factor };
+    }
+
+    /**
+     * Assign a sample to a study group
+     * @param {string} id - Sample ID
+     * @param {string} group - Group name (empty for none)
+     */
+    static setSampleGroup(id, group) {
+        const sample = this.getSample(id);
+        if (!sample) return;
+        sample.metadata = { ...sample.metadata, group: String(group || '').trim() };
+    }
+
+    /**
+     * Tag a run as sample, QC, blank or standard and place it in a batch and the injection sequence
+     * @param {string} id - Sample ID
+     * @param {Object} run - type, batch and injectionOrder (null when unknown)
+     */
+    static setSampleRun(id, { type, batch, injectionOrder }) {
+        const sample = this.getSample(id);
+        if (!sample) return;
+        if (!this.SAMPLE_TYPES.includes(type)) {
+            throw new Error(`${id}: Unknown sample type: ${type}`);
+        }
+        if (injectionOrder !== null && !Number.isInteger(injectionOrder)) {
+            throw new Error(`${id}: The injection order must be a whole number.`);
+        }
+        sample.metadata = { ...sample.metadata, type, batch: String(batch || '').trim() || '1', injectionOrder };
+    }
+
+    /**
+     * Set the known concentration of a calibration standard
+     * @param {string} id - Sample ID
+     * @param {number|null} concentration - Concentration, or null to clear it
+     */
+    static setSampleConcentration(id, concentration) {
+        const sample = this.getSample(id);
+        if (!sample) return;
+        if (concentration !== null && !(concentration >= 0)) {
+            throw new Error(`${id}: The concentration must be zero or positive.`);
+        }
+        sample.metadata = { ...sample.metadata, concentration };
+    }
+
+    /**
+     * List loaded samples that the design sheet does not describe
+     * @returns {Array} - Sample IDs
+     */
+    static getSamplesWithoutDesign() {
+        return this.samples.filter(sample => !this.design.has(sample.id)).map(sample => sample.id);
+    }
+
+    /**
+     * Get the samples in injection order; samples without one follow in upload order
+     * @returns {Array} - Samples
+     */
+    static getOrderedSamples() {
+        return this.samples
+            .map((sample, uploadIndex) => ({ sample, uploadIndex }))
+            .sort((a, b) => {
+                const orderA = a.sample.metadata.injectionOrder;
+                const orderB = b.sample.metadata.injectionOrder;
+                if (orderA !== null && orderB !== null && orderA !== orderB) return orderA - orderB;
+                if ((orderA === null) !== (orderB === null)) return orderA === null ? 1 : -1;
+                return a.uploadIndex - b.uploadIndex;
+            })
+            .map(({ sample }) => sample);
+    }
+
+    /**
+     * Rename a metabolite in one sample, e.g. after accepting a library hit for a peak-table row
+     * @param {string} sampleId - Sample ID
+     * @param {string} oldName - Current name
+     * @param {string} newName - New name
+     */
+    static renameMetabolite(sampleId, oldName, newName) {
+        const sample = this.getSample(sampleId);
+        if (!sample) return;
+        sample.processedData.metabolites.forEach(metabolite => {
+            if (metabolite.name === oldName) metabolite.name = newName;
+        });
+    }
+
+    /**
+     * Remember the library RI of an identification, used as the reference RI in the results
+     * @param {string} name - Metabolite name
+     * @param {number|null} retentionIndex - Library RI
+     */
+    static setReferenceIndex(name, retentionIndex) {
+        if (retentionIndex === null) return;
+        this.referenceIndices.set(name, retentionIndex);
+    }
+
+    /**
+     * Get the quantified features of one sample: peak-table rows, or the integrated peaks
+     * of a raw run (named once identified, otherwise by retention time)
+     * @param {Object} sample - Sample
+     * @returns {Array} - Features with name, retentionTime, intensity and additionalData;
+     *                    unnamed peaks are flagged unidentified
+     */
+    static getSampleFeatures(sample) {
+        const { metabolites, chromatogramData } = sample.processedData;
+        if (metabolites.length > 0 || !chromatogramData.peaks) {
+            return metabolites;
+        }
+
+        return chromatogramData.peaks.flatMap(peak => {
+            const components = peak.components || [];
+            const named = components.filter(component => component.name);
+            if (named.length > 0) {
+                // Identified components of a deconvoluted peak share its area by abundance
+                const totalAbundance = components.reduce((sum, component) => sum + component.abundance, 0);
+                return named.map(component => ({
+                    name: component.name,
+                    retentionTime: component.retentionTime,
+                    intensity: totalAbundance > 0 ? peak.area * component.abundance / totalAbundance : 0,
+                    additionalData: {}
+                }));
+            }
+
+            return [{
+                name: peak.name || `Unknown ${peak.retentionTime.toFixed(2)} min`,
+                retentionTime: peak.retentionTime,
+                intensity: peak.area,
+                additionalData: {},
+                unidentified: !peak.name
+            }];
+        });
+    }
+
+    /**
+     * Pivot all samples into a metabolite × sample intensity matrix; features are matched
+     * across samples by Alignment.groupFeatures
+     * @returns {Object} - samples (injection order) and features with one intensity and
+     *                     recorded retention time per sample (null where a sample lacks the metabolite
+     *                     or reports it without an intensity)
+     */
+    static getMatrix() {
+        const samples = this.getOrderedSamples();
+        const groups = Alignment.groupFeatures(samples, samples.map(sample => this.getSampleFeatures(sample)));
+        const usedNames = new Set();
+
+        const features = groups.map(group => {
+            const intensities = new Array(samples.length).fill(null);
+            const retentionTimes = new Array(samples.length).fill(null);
+            group.members.forEach(member => {
+                // Rows without an intensity (not detected) stay missing unless another row adds to the cell
+                if (member.intensity !== null) {
+                    intensities[member.column] = (intensities[member.column] || 0) + member.intensity;
+                }
+                retentionTimes[member.column] = member.retentionTime;
+            });
+
+            // Reported on the aligned (reference) time axis
+            const retentionTime = SignalProcessing.median(group.members.map(member => member.alignedTime));
+            let name = group.name || `Unknown ${retentionTime.toFixed(2)} min`;
+            for (let copy = 2; usedNames.has(name); copy++) {
+                name = `Unknown ${retentionTime.toFixed(2)} min (${copy})`;
+            }
+            usedNames.add(name);
+
+            const identified = group.members.find(member => !member.unidentified) || group.members[0];
+            const additionalData = identified.additionalData || {};
+            return {
+                name,
+                unidentified: group.unidentified,
+                retentionTime,
+                retentionTimes,
+                intensities,
+                additionalData: this.referenceIndices.has(name) ?
+                    { ...additionalData, LibraryRI: this.referenceIndices.get(name) } :
+                    additionalData
+            };
+        });
+
+        return {
+            samples,
+            features: features.sort((a, b) => a.retentionTime - b.retentionTime)
+        };
+    }
+
+    /**
+     * Design metadata for a sample, with defaults when the sheet does not list it
+     * @param {string} id - Sample ID
+     * @returns {Object} - group, batch, injectionOrder, type, factor and concentration
+     */
+    static #metadataFor(id) {
+        return { ...(this.design.get(id) || {
+            group: '',
+            batch: '1',
+            injectionOrder: null,
+            type: 'sample',
+            factor: 1,
+            concentration: null
+        }) };
+    }
+}
+
+// Export the Experiment class
+window.Experiment = Experiment;
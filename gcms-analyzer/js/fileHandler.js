@@ -1,23 +1,88 @@
 // File handling and parsing module
 class FileHandler {
-    static async parseFile(file) {
+    // Raw run formats, the parser that reads them and whether they are binary
+    static RAW_FORMATS = {
+        '.mzml': { parser: 'parseMzML', binary: false },
+        '.mzxml': { parser: 'parseMzXML', binary: false },
+        '.cdf': { parser: 'parseAndiMS', binary: true }
+    };
+
+    // Column aliases for long-format scan tables (one row per m/z per scan)
+    static SCAN_TABLE_COLUMNS = {
+        time: ['retentiontime', 'scantime', 'rt', 'time'],
+        mz: ['mz', 'm/z'],
+        intensity: ['intensity']
+    };
+
+    // Peak-table fields and the vendor header aliases they are guessed from, in order of preference
+    // (compared after normalizeHeader, so "R.T. (s)" matches "rt" and "CAS#" matches "cas#")
+    static PEAK_TABLE_COLUMNS = {
+        Metabolite: ['metabolite', 'name', 'compound', 'compoundname', 'analyte', 'peakname', 'component'],
+        RetentionTime: ['retentiontime', 'rt', 'rettime', 'apexrt'],
+        Intensity: ['intensity', 'area', 'peakarea', 'height', 'peakheight', 'response', 'abundance'],
+        Spectrum: ['spectrum', 'massspectrum'],
+        QuantIon: ['quantion', 'quantmass', 'quantmz', 'modelion'],
+        CAS: ['cas#', 'cas', 'casno', 'casnumber', 'casrn']
+    };
+
+    static REQUIRED_PEAK_COLUMNS = ['Metabolite', 'RetentionTime', 'Intensity'];
+
+    // Field delimiters offered by the import dialog ('' lets PapaParse detect it)
+    static DELIMITERS = { '': 'Auto-detect', ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+
+    // localStorage key of the named column-mapping presets
+    static PRESET_STORAGE_KEY = 'gcms-analyzer.importPresets';
+
+    // Intensity cells that mean "not detected" in vendor exports (compared case-insensitively)
+    static MISSING_VALUES = ['', 'na', 'n/a', 'nan', 'nd', 'n.d.', 'null', 'none', '-'];
+
+    // Plausible peak-table retention times in minutes; rows outside are reported
+    static RETENTION_TIME_RANGE = { min: 0, max: 120 };
+
+    // Validation report of the last peak table imported by parseFile
+    static lastValidation = null;
+
+    static async parseFile(file, { reviewIssues = null, importOptions = {} } = {}) {
         // Validate file type
         if (!FileHandler.validateFileType(file)) {
-            throw new Error('Invalid file type. Please upload a CSV file.');
+            throw new Error('Invalid file type. Please upload a CSV, mzML, mzXML or ANDI-MS (.cdf) file.');
+        }
+        FileHandler.lastValidation = null;
+
+        // Raw runs are parsed into the scan model instead of peak-table rows
+        const rawFormat = FileHandler.getRawFormat(file);
+        if (rawFormat) {
+            return FileHandler.parseRawFile(file, rawFormat);
         }
 
+        // Lines above the header row (instrument banners, report titles) are dropped before parsing
+        const { delimiter = '', decimal = '.', headerRow = 0 } = importOptions;
+        const text = await FileHandler.readTableText(file, headerRow);
+
         // Parse CSV file
         return new Promise((resolve, reject) => {
-            Papa.parse(file, {
+            Papa.parse(text, {
                 header: true,
-                dynamicTyping: true,
+                delimiter,
+                // With decimal commas "1.234" is a thousands separator, so numbers are read in validateRow
+                dynamicTyping: decimal !== ',',
                 skipEmptyLines: true,
-                complete: (results) => {
+                complete: async (results) => {
                     try {
-                        if (results.errors.length > 0) {
-                            throw new Error(`CSV parsing errors: ${results.errors.map(e => e.message).join(', ')}`);
+                        // Peak tables report malformed rows for review; other parsing errors are fatal
+                        const isScanTable = FileHandler.isScanTable(results.data) && !importOptions.mapping;
+                        const fatalErrors = results.errors.filter(e => isScanTable || e.row === undefined);
+                        if (fatalErrors.length > 0) {
+                            throw new Error(`CSV parsing errors: ${fatalErrors.map(e => e.message).join(', ')}`);
                         }
-                        const validatedData = FileHandler.validateData(results.data);
+                        // Long-format tables with an m/z column are scan-level data
+                        const validatedData = isScanTable ?
+                            FileHandler.buildScansFromTable(results.data) :
+                            await FileHandler.importPeakTable(results.data, file.name, {
+                                reviewIssues,
+                                parseErrors: results.errors,
+                                ...importOptions
+                            });
                         resolve(validatedData);
                     } catch (error) {
                         reject(error);
@@ -36,77 +101,451 @@ class FileHandler {
         });
     }
 
+    static async readTableText(file, headerRow = 0) {
+        // File text without a byte-order mark and without the lines above the header row
+        const text = (await file.text()).replace(/^\uFEFF/, '');
+        return headerRow > 0 ? text.split(/\r?\n/).slice(headerRow).join('\n') : text;
+    }
+
+    static async previewTable(file, options = {}) {
+        // First rows of a peak table for the import dialog, with the header row, delimiter, decimal
+        // mark, column mapping and retention-time unit guessed wherever options does not set them
+        const text = await FileHandler.readTableText(file);
+        // Blank lines are kept so that row indices stay line numbers
+        const lines = Papa.parse(text, { delimiter: options.delimiter ?? '', preview: 30 });
+        const delimiter = options.delimiter ?? '';
+        const headerRow = options.headerRow ?? FileHandler.guessHeaderRow(lines.data);
+
+        const parsed = Papa.parse(text.split(/\r?\n/).slice(headerRow).join('\n'), {
+            header: true,
+            delimiter,
+            preview: 10,
+            skipEmptyLines: true
+        });
+        const headers = (parsed.meta.fields || []).filter(header => header !== '');
+        const guessed = FileHandler.guessColumnMapping(headers);
+        const mapping = options.mapping && FileHandler.REQUIRED_PEAK_COLUMNS.every(field => headers.includes(options.mapping[field])) ?
+            options.mapping : guessed;
+        const retentionTimes = parsed.data.map(row => row[mapping.RetentionTime]);
+        const decimal = options.decimal ?? FileHandler.guessDecimal(retentionTimes.concat(parsed.data.map(row => row[mapping.Intensity])));
+
+        return {
+            headerRow,
+            delimiter,
+            detectedDelimiter: parsed.meta.delimiter,
+            decimal,
+            headers,
+            rows: parsed.data,
+            isScanTable: FileHandler.isScanTable(parsed.data),
+            mapping,
+            retentionTimeUnit: options.retentionTimeUnit ??
+                FileHandler.guessRetentionTimeUnit(mapping.RetentionTime, retentionTimes.map(value => FileHandler.parseNumber(value, decimal)))
+        };
+    }
+
+    static normalizeHeader(header) {
+        // "R.T. (s)" -> "rt", "Peak Area [counts]" -> "peakarea", "CAS#" -> "cas#"
+        return String(header).toLowerCase().replace(/\([^)]*\)|\[[^\]]*\]/g, '').replace(/[^a-z0-9#]/g, '');
+    }
+
+    static guessColumnMapping(headers) {
+        // Each field takes the first unused header matching its most preferred alias
+        const used = new Set();
+        const mapping = {};
+        Object.entries(FileHandler.PEAK_TABLE_COLUMNS).forEach(([field, aliases]) => {
+            for (const alias of aliases) {
+                const header = headers.find(h => !used.has(h) && FileHandler.normalizeHeader(h) === alias);
+                if (header !== undefined) {
+                    mapping[field] = header;
+                    used.add(header);
+                    break;
+                }
+            }
+        });
+        return mapping;
+    }
+
+    static guessHeaderRow(lines) {
+        // Index of the first line naming all required columns; vendor reports often start with a banner
+        const index = lines.findIndex(fields => {
+            const mapping = FileHandler.guessColumnMapping(fields.map(String));
+            return FileHandler.REQUIRED_PEAK_COLUMNS.every(field => mapping[field]);
+        });
+        return Math.max(index, 0);
+    }
+
+    static guessDecimal(values) {
+        // Decimal commas when numbers look like "12,5" and none look like "12.5"
+        const cells = values.filter(value => typeof value === 'string').map(value => value.trim());
+        const commas = cells.filter(value => /^-?\d+,\d+$/.test(value)).length;
+        const points = cells.filter(value => /^-?\d+\.\d+$/.test(value)).length;
+        return commas > 0 && points === 0 ? ',' : '.';
+    }
+
+    static guessRetentionTimeUnit(header, values = []) {
+        // A unit in the header wins; otherwise times beyond a plausible run length must be seconds
+        const unit = (String(header ?? '').match(/[([]\s*([a-z.]+)\s*[)\]]|_(s|sec|min)$/i) || []).slice(1).find(Boolean);
+        if (unit) {
+            if (/^(s|sec|secs|seconds?)\.?$/i.test(unit)) return 'seconds';
+            if (/^(min|mins|minutes?)\.?$/i.test(unit)) return 'minutes';
+        }
+        const times = values.filter(Number.isFinite);
+        return times.length && Math.max(...times) > FileHandler.RETENTION_TIME_RANGE.max ? 'seconds' : 'minutes';
+    }
+
+    static parseNumber(value, decimal = '.') {
+        // Numbers from typed cells or text; with decimal commas "1.234,5" reads as 1234.5
+        if (typeof value === 'number') return value;
+        if (value === null || value === undefined) return NaN;
+        const text = decimal === ',' ?
+            String(value).trim().replace(/[.\s]/g, '').replace(',', '.') :
+            String(value).trim();
+        return parseFloat(text);
+    }
+
+    static loadImportPresets() {
+        // Named import settings (column mapping, unit, delimiter, decimal mark, header row) per instrument
+        try {
+            return JSON.parse(localStorage.getItem(FileHandler.PRESET_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Could not read import presets:', error);
+            return {};
+        }
+    }
+
+    static saveImportPreset(name, options) {
+        if (!name || !name.trim()) {
+            throw new Error('Enter a preset name');
+        }
+        const { mapping, retentionTimeUnit, delimiter, decimal, headerRow } = options;
+        const presets = FileHandler.loadImportPresets();
+        presets[name.trim()] = { mapping, retentionTimeUnit, delimiter, decimal, headerRow };
+        localStorage.setItem(FileHandler.PRESET_STORAGE_KEY, JSON.stringify(presets));
+        return presets;
+    }
+
+    static deleteImportPreset(name) {
+        const presets = FileHandler.loadImportPresets();
+        delete presets[name];
+        localStorage.setItem(FileHandler.PRESET_STORAGE_KEY, JSON.stringify(presets));
+        return presets;
+    }
+
+    static parseTable(file) {
+        // Parse a CSV/TSV side table (calibration, metadata) into plain rows
+        return new Promise((resolve, reject) => {
+            Papa.parse(file, {
+                header: true,
+                dynamicTyping: true,
+                skipEmptyLines: true,
+                complete: (results) => {
+                    if (results.errors.length > 0) {
+                        reject(new Error(`Parsing errors in ${file.name}: ${results.errors.map(e => e.message).join(', ')}`));
+                    } else if (results.data.length === 0) {
+                        reject(new Error(`${file.name} appears to be empty.`));
+                    } else {
+                        resolve(results.data);
+                    }
+                },
+                error: (error) => {
+                    reject(new Error(`Error parsing ${file.name}: ${error.message}`));
+                }
+            });
+        });
+    }
+
     static validateFileType(file) {
         const validTypes = ['text/csv', 'application/vnd.ms-excel'];
-        return validTypes.includes(file.type) || file.name.endsWith('.csv');
+        return validTypes.includes(file.type) ||
+            file.name.toLowerCase().endsWith('.csv') ||
+            FileHandler.getRawFormat(file) !== null;
+    }
+
+    static getRawFormat(file) {
+        const name = file.name.toLowerCase();
+        const extension = Object.keys(FileHandler.RAW_FORMATS).find(ext => name.endsWith(ext));
+        return extension ? FileHandler.RAW_FORMATS[extension] : null;
+    }
+
+    static async parseRawFile(file, { parser, binary }) {
+        window.dispatchEvent(new CustomEvent('file-processing-status', {
+            detail: { status: 'parsing', message: `Reading ${file.name}...` }
+        }));
+
+        const contents = binary ? await file.arrayBuffer() : await file.text();
+        const run = await RawDataParser[parser](contents);
+        if (!run.scans.some(scan => scan.msLevel === 1)) {
+            throw new Error('The file contains no MS1 scans.');
+        }
+        return run;
     }
 
-    static validateData(data) {
+    static validateData(data, { skipRows = new Set(), parseErrors = [], mapping = null, retentionTimeUnit = null, decimal = '.' } = {}) {
+        // Collect every problem instead of stopping at the first one; only missing columns are fatal.
+        // mapping assigns file headers to the peak-table fields (guessed from aliases when omitted) and
+        // retention times in seconds are converted to minutes. Returns the valid rows and a report of
+        // the offending and skipped rows (numbered from 1)
         if (!data || data.length === 0) {
             throw new Error('The file appears to be empty.');
         }
 
         // Check for required columns
-        const requiredColumns = ['Metabolite', 'RetentionTime', 'Intensity'];
+        const requiredColumns = FileHandler.REQUIRED_PEAK_COLUMNS;
         const headers = Object.keys(data[0]);
-        
-        // Case-insensitive column matching
-        const normalizedHeaders = headers.map(h => h.toLowerCase());
-        const missingColumns = requiredColumns.filter(col => 
-            !normalizedHeaders.includes(col.toLowerCase())
+        const columnMapping = Object.fromEntries(
+            Object.entries(mapping || FileHandler.guessColumnMapping(headers)).filter(([, header]) => headers.includes(header))
         );
+        const missingColumns = requiredColumns.filter(col => !columnMapping[col]);
 
         if (missingColumns.length > 0) {
             throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
         }
 
-        // Find the actual column names (preserving original case)
-        const columnMapping = {
-            Metabolite: headers.find(h => h.toLowerCase() === 'metabolite'),
-            RetentionTime: headers.find(h => h.toLowerCase() === 'retentiontime'),
-            Intensity: headers.find(h => h.toLowerCase() === 'intensity')
+        // Without a choice in the import dialog, only a unit named in the header is trusted
+        const options = {
+            decimal,
+            retentionTimeUnit: retentionTimeUnit || FileHandler.guessRetentionTimeUnit(columnMapping.RetentionTime)
         };
 
-        // Normalize and validate data structure
-        return data.map((row, index) => {
-            try {
-                // Validate retention time
-                const retentionTime = parseFloat(row[columnMapping.RetentionTime]);
-                if (isNaN(retentionTime)) {
-                    throw new Error(`Invalid retention time at row ${index + 1}`);
-                }
+        const entries = data.map((row, index) => {
+            const { record, issues } = FileHandler.validateRow(row, columnMapping, options);
+            parseErrors
+                .filter(error => error.row === index)
+                .forEach(error => issues.push({ field: 'Row', value: '', message: error.message }));
+            return { row: index + 1, raw: row, record: issues.length ? null : record, issues };
+        });
 
-                // Validate intensity
-                const intensity = parseFloat(row[columnMapping.Intensity]);
-                if (isNaN(intensity)) {
-                    throw new Error(`Invalid intensity value at row ${index + 1}`);
-                }
+        // A name seen again (case-insensitively) duplicates the first row that used it
+        const firstRows = new Map();
+        entries.forEach(entry => {
+            if (skipRows.has(entry.row) || !entry.record) return;
+            const key = entry.record.name.toLowerCase();
+            if (firstRows.has(key)) {
+                entry.issues.push({
+                    field: 'Metabolite',
+                    value: entry.record.name,
+                    message: `Duplicate metabolite (first in row ${firstRows.get(key)})`
+                });
+            } else {
+                firstRows.set(key, entry.row);
+            }
+        });
 
-                // Validate metabolite name
-                const metaboliteName = row[columnMapping.Metabolite];
-                if (!metaboliteName || typeof metaboliteName !== 'string') {
-                    throw new Error(`Invalid or missing metabolite name at row ${index + 1}`);
-                }
+        const rows = [];
+        const invalidRows = [];
+        const skipped = [];
+        entries.forEach(entry => {
+            const name = String(entry.raw[columnMapping.Metabolite] ?? '').trim();
+            if (skipRows.has(entry.row)) {
+                skipped.push({ row: entry.row, name, reasons: ['skipped during review'] });
+            } else if (entry.issues.length > 0) {
+                invalidRows.push({
+                    row: entry.row,
+                    values: Object.fromEntries(requiredColumns.map(column => [column, entry.raw[columnMapping[column]] ?? ''])),
+                    issues: entry.issues
+                });
+                skipped.push({ row: entry.row, name, reasons: entry.issues.map(issue => issue.message) });
+            } else {
+                rows.push(entry.record);
+            }
+        });
+
+        return {
+            rows,
+            report: {
+                totalRows: data.length,
+                columns: columnMapping,
+                retentionTimeUnit: options.retentionTimeUnit,
+                issues: invalidRows.flatMap(({ row, issues }) => issues.map(issue => ({ row, ...issue }))),
+                invalidRows,
+                skipped
+            }
+        };
+    }
+
+    static validateRow(row, columnMapping, { retentionTimeUnit = 'minutes', decimal = '.' } = {}) {
+        // Check one peak-table row; returns the normalized record (null when unusable) and its issues.
+        // Retention times are returned in minutes whatever unit the file uses
+        const issues = [];
+        const flag = (field, message) => issues.push({ field, value: row[columnMapping[field]] ?? '', message });
+
+        // Validate retention time
+        const scale = retentionTimeUnit === 'seconds' ? 60 : 1;
+        const retentionTime = FileHandler.parseNumber(row[columnMapping.RetentionTime], decimal) / scale;
+        const { min, max } = FileHandler.RETENTION_TIME_RANGE;
+        if (isNaN(retentionTime)) {
+            flag('RetentionTime', 'Invalid retention time');
+        } else if (retentionTime < min || retentionTime > max) {
+            flag('RetentionTime', scale === 1 ?
+                `Retention time outside ${min}–${max} min` :
+                `Retention time outside ${min * scale}–${max * scale} s`);
+        }
+
+        // Validate intensity; blank or "ND" cells are kept as null (not detected)
+        const intensity = FileHandler.parseIntensity(row[columnMapping.Intensity], decimal);
+        if (Number.isNaN(intensity)) {
+            flag('Intensity', 'Invalid intensity value');
+        } else if (intensity < 0) {
+            flag('Intensity', 'Negative intensity');
+        }
+
+        // Validate metabolite name
+        const metaboliteName = row[columnMapping.Metabolite];
+        if (!metaboliteName || typeof metaboliteName !== 'string' || !metaboliteName.trim()) {
+            flag('Metabolite', 'Invalid or missing metabolite name');
+        }
+
+        // Parse the optional spectrum
+        let spectrum = null;
+        try {
+            spectrum = columnMapping.Spectrum ? FileHandler.parseSpectrumString(row[columnMapping.Spectrum]) : null;
+        } catch (error) {
+            flag('Spectrum', error.message);
+        }
 
-                // Return normalized row data
+        if (issues.length > 0) {
+            return { record: null, issues };
+        }
+
+        // Return normalized row data
+        return {
+            issues,
+            record: {
+                name: metaboliteName.trim(),
+                retentionTime: retentionTime,
+                intensity: intensity,
+                spectrum: spectrum,
+                // Store any additional columns that might be present; the quant ion and CAS number
+                // are kept under their field names whatever the file calls them
+                additionalData: Object.entries(row)
+                    .filter(([key]) => !Object.values(columnMapping).includes(key))
+                    .reduce((acc, [key, value]) => {
+                        acc[key] = value;
+                        return acc;
+                    }, Object.fromEntries(['QuantIon', 'CAS']
+                        .filter(field => columnMapping[field])
+                        .map(field => [field, row[columnMapping[field]]])))
+            }
+        };
+    }
+
+    static async importPeakTable(data, fileName, { reviewIssues = null, parseErrors = [], mapping = null, retentionTimeUnit = null, decimal = '.' } = {}) {
+        // Validate a peak table, let the reviewer fix or skip the offending rows, and keep the rest;
+        // rows that are still invalid after the review are skipped too. Malformed rows (too many or
+        // too few fields) are only flagged for the review; kept ones import if their values are valid
+        const options = { mapping, retentionTimeUnit, decimal };
+        let validation = FileHandler.validateData(data, { parseErrors, ...options });
+        if (validation.report.invalidRows.length > 0 && reviewIssues) {
+            const review = await reviewIssues({ fileName, ...validation.report });
+            if (!review) {
+                throw new Error('Import cancelled');
+            }
+            const corrected = data.map((row, index) => {
+                const edits = review.corrections.get(index + 1);
+                if (!edits) return row;
+                const columns = validation.report.columns;
                 return {
-                    name: metaboliteName.trim(),
-                    retentionTime: retentionTime,
-                    intensity: intensity,
-                    // Store any additional columns that might be present
-                    additionalData: Object.entries(row)
-                        .filter(([key]) => !Object.values(columnMapping).includes(key))
-                        .reduce((acc, [key, value]) => {
-                            acc[key] = value;
-                            return acc;
-                        }, {})
+                    ...row,
+                    ...Object.fromEntries(Object.entries(edits).map(([field, value]) => [columns[field], value]))
                 };
-            } catch (error) {
-                // Add row number to error message
-                error.message = `Row ${index + 1}: ${error.message}`;
-                throw error;
+            });
+            validation = FileHandler.validateData(corrected, { skipRows: review.skipRows, ...options });
+        }
+
+        FileHandler.lastValidation = { fileName, ...validation.report };
+        if (validation.rows.length === 0) {
+            throw new Error(`No valid rows to import (${validation.report.skipped.length} rows with problems)`);
+        }
+        return validation.rows;
+    }
+
+    static parseIntensity(value, decimal = '.') {
+        // null for a missing value, NaN for text that is neither a number nor a missing marker
+        if (value === null || value === undefined ||
+            FileHandler.MISSING_VALUES.includes(String(value).trim().toLowerCase())) {
+            return null;
+        }
+        return FileHandler.parseNumber(value, decimal);
+    }
+
+    static findColumn(headers, aliases) {
+        // "Sample ID", "sample_id" and "SampleID" all match the alias "sampleid"
+        return headers.find(h => aliases.includes(String(h).trim().toLowerCase().replace(/[\s_]+/g, '')));
+    }
+
+    static isScanTable(data) {
+        if (!data || data.length === 0) return false;
+        const headers = Object.keys(data[0]);
+        return Boolean(FileHandler.findColumn(headers, FileHandler.SCAN_TABLE_COLUMNS.mz)) &&
+            !FileHandler.guessColumnMapping(headers).Metabolite;
+    }
+
+    static buildScansFromTable(data) {
+        const headers = Object.keys(data[0]);
+        const columns = {};
+        Object.entries(FileHandler.SCAN_TABLE_COLUMNS).forEach(([key, aliases]) => {
+            columns[key] = FileHandler.findColumn(headers, aliases);
+        });
+
+        const missingColumns = Object.keys(columns).filter(key => !columns[key]);
+        if (missingColumns.length > 0) {
+            throw new Error(`Missing required columns for scan data: ${missingColumns.join(', ')}`);
+        }
+
+        // Group m/z, intensity rows into one scan per retention time
+        const scanMap = new Map();
+        data.forEach((row, index) => {
+            const time = parseFloat(row[columns.time]);
+            const mz = parseFloat(row[columns.mz]);
+            const intensity = parseFloat(row[columns.intensity]);
+            if (isNaN(time) || isNaN(mz) || isNaN(intensity)) {
+                throw new Error(`Row ${index + 1}: Invalid retention time, m/z or intensity`);
+            }
+
+            if (!scanMap.has(time)) {
+                scanMap.set(time, { mzValues: [], intensities: [] });
             }
+            scanMap.get(time).mzValues.push(mz);
+            scanMap.get(time).intensities.push(intensity);
         });
+
+        const scans = Array.from(scanMap.entries()).map(([scanTime, peaks]) => ({
+            scanTime,
+            msLevel: 1,
+            mzValues: Float64Array.from(peaks.mzValues),
+            intensities: Float64Array.from(peaks.intensities)
+        }));
+
+        return { format: 'CSV', scans };
+    }
+
+    static parseSpectrumString(text) {
+        if (text === null || text === undefined || String(text).trim() === '') {
+            return null;
+        }
+
+        // Accept "41:120 73:999" as well as "41 120; 73 999"
+        const value = String(text);
+        const pairs = value.includes(':') ?
+            Array.from(value.matchAll(/([\d.]+)\s*:\s*([\d.eE+-]+)/g), match => [match[1], match[2]]) :
+            value.split(/[;,]/).map(pair => pair.trim().split(/\s+/)).filter(pair => pair.length === 2);
+
+        const mzValues = [];
+        const intensities = [];
+        pairs.forEach(([mz, intensity]) => {
+            const mzValue = parseFloat(mz);
+            const intensityValue = parseFloat(intensity);
+            if (isNaN(mzValue) || isNaN(intensityValue)) {
+                throw new Error(`Invalid spectrum peak "${mz}:${intensity}"`);
+            }
+            mzValues.push(mzValue);
+            intensities.push(intensityValue);
+        });
+
+        if (mzValues.length === 0) {
+            throw new Error('Spectrum column contains no m/z:intensity pairs');
+        }
+        return { mzValues, intensities };
     }
 
     static extractChromatogramData(data) {
@@ -128,43 +567,6 @@ class FileHandler {
         };
     }
 
-    static extractMassSpectraData(data) {
-        // Group intensities by retention time
-        const spectraMap = new Map();
-        
-        data.forEach(row => {
-            if (!spectraMap.has(row.retentionTime)) {
-                spectraMap.set(row.retentionTime, []);
-            }
-            spectraMap.get(row.retentionTime).push(row.intensity);
-        });
-
-        // Emit processing status
-        window.dispatchEvent(new CustomEvent('file-processing-status', {
-            detail: { 
-                status: 'processing',
-                message: 'Analyzing mass spectra...',
-                progress: 66
-            }
-        }));
-
-        // Calculate average spectra
-        const mzValues = Array.from({ length: 100 }, (_, i) => i + 1); // Example m/z range
-        const intensities = Array.from(spectraMap.values())
-            .reduce((acc, intensities) => {
-                intensities.forEach((intensity, i) => {
-                    acc[i] = (acc[i] || 0) + intensity;
-                });
-                return acc;
-            }, [])
-            .map(sum => sum / spectraMap.size);
-
-        return {
-            mzValues,
-            intensities
-        };
-    }
-
     static async loadSampleData() {
         try {
             // Emit start status
@@ -0,0 +1,569 @@
+// Heatmap module: hierarchically clustered heatmap of the metabolite × sample matrix
+class Heatmap {
+    static DISTANCES = ['euclidean', 'manhattan', 'pearson', 'spearman'];
+    static LINKAGES = ['average', 'complete', 'single', 'ward'];
+    static ROW_SCALINGS = ['zscore', 'none'];
+
+    // maxFeatures keeps the most variable metabolites (0 for all)
+    static settings = {
+        distance: 'euclidean',
+        linkage: 'average',
+        rowScaling: 'zscore',
+        clusterRows: true,
+        clusterColumns: true,
+        maxFeatures: 200
+    };
+
+    // Layout in CSS pixels
+    static LAYOUT = {
+        cellWidth: 28,
+        cellHeight: 14,
+        rowDendrogramWidth: 100,
+        columnDendrogramHeight: 70,
+        groupBarHeight: 12,
+        gap: 4,
+        rowLabelWidth: 200,
+        columnLabelHeight: 90
+    };
+
+    // z-scores beyond this are drawn in the end colors
+    static Z_LIMIT = 2.5;
+
+    static result = null;
+    static #layout = null;
+    static #listenersAttached = false;
+
+    /**
+     * Cluster the matrix and redraw the heatmap
+     * @param {Object} matrix - Matrix from Normalization.getMatrix
+     * @returns {Object|null} - Result of build, or null with too little data
+     */
+    static update(matrix) {
+        this.result = this.build(matrix, this.settings);
+        this.render();
+        return this.result;
+    }
+
+    /**
+     * Scale and cluster a matrix
+     * @param {Object} matrix - Metabolite × sample matrix
+     * @param {Object} settings - Heatmap settings
+     * @returns {Object|null} - samples, features, values (features × samples, null where missing),
+     *                          rowTree and columnTree (null when not clustered) and the number of features left out
+     */
+    static build(matrix, settings = this.settings) {
+        if (!this.DISTANCES.includes(settings.distance)) {
+            throw new Error(`Unknown distance: ${settings.distance}`);
+        }
+        if (!this.LINKAGES.includes(settings.linkage)) {
+            throw new Error(`Unknown linkage: ${settings.linkage}`);
+        }
+        if (!this.ROW_SCALINGS.includes(settings.rowScaling)) {
+            throw new Error(`Unknown row scaling: ${settings.rowScaling}`);
+        }
+        if (settings.linkage === 'ward' && settings.distance !== 'euclidean') {
+            throw new Error('Ward linkage needs the Euclidean distance.');
+        }
+
+        // Same samples as PCA: blanks and calibration standards would dominate the clustering
+        const columns = matrix.samples
+            .map((sample, column) => ({ sample, column }))
+            .filter(({ sample }) => !['blank', 'standard'].includes(sample.metadata.type));
+        let rows = matrix.features
+            .map(feature => ({ feature, values: columns.map(({ column }) => feature.intensities[column]) }))
+            .filter(({ values }) => values.filter(value => value !== null).length >= 2)
+            .map(row => ({ ...row, spread: this.#standardDeviation(row.values) }));
+        const usable = rows.length;
+        if (settings.maxFeatures > 0 && rows.length > settings.maxFeatures) {
+            rows = [...rows].sort((a, b) => b.spread - a.spread).slice(0, settings.maxFeatures);
+        }
+        if (columns.length < 2 || rows.length < 2) return null;
+
+        const values = rows.map(({ values: row }) => settings.rowScaling === 'zscore' ? this.zScore(row) : row);
+        const transposed = columns.map((_, j) => values.map(row => row[j]));
+        return {
+            samples: columns.map(({ sample }) => sample),
+            features: rows.map(({ feature }) => feature),
+            values,
+            rowScaling: settings.rowScaling,
+            dropped: matrix.features.length - rows.length,
+            filtered: usable - rows.length,
+            rowTree: settings.clusterRows ? this.cluster(values, settings.distance, settings.linkage) : null,
+            columnTree: settings.clusterColumns ? this.cluster(transposed, settings.distance, settings.linkage) : null
+        };
+    }
+
+    /**
+     * Scale a row to zero mean and unit standard deviation
+     * @param {Array} row - Values, null where missing
+     * @returns {Array} - z-scores (zeros for a constant row)
+     */
+    static zScore(row) {
+        const present = row.filter(value => value !== null);
+        const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+        const sd = this.#standardDeviation(row);
+        return row.map(value => value === null ? null : sd > 0 ? (value - mean) / sd : 0);
+    }
+
+    /**
+     * Agglomerative hierarchical clustering with Lance–Williams updates
+     * @param {Array} vectors - Items to cluster, null where missing
+     * @param {string} distance - euclidean, manhattan, pearson (1 - r) or spearman (1 - ρ)
+     * @param {string} linkage - average, complete, single or ward
+     * @returns {Object} - merges ({ left, right, height, size }; leaves are 0..n-1 and merge k is n + k) and the leaf order
+     */
+    static cluster(vectors, distance, linkage) {
+        const n = vectors.length;
+        if (n < 2) return { merges: [], order: vectors.map((_, i) => i) };
+
+        // Ward works on squared Euclidean distances
+        const matrix = this.distanceMatrix(vectors, distance).map(row =>
+            row.map(value => linkage === 'ward' ? value * value : value));
+        const active = vectors.map((_, i) => i);
+        const nodeOf = vectors.map((_, i) => i);
+        const sizes = vectors.map(() => 1);
+        const merges = [];
+
+        while (active.length > 1) {
+            let best = null;
+            for (let a = 0; a < active.length; a++) {
+                for (let b = a + 1; b < active.length; b++) {
+                    const d = matrix[active[a]][active[b]];
+                    if (!best || d < best.d) best = { a, b, d };
+                }
+            }
+
+            const i = active[best.a];
+            const j = active[best.b];
+            const [ni, nj] = [sizes[i], sizes[j]];
+            active.forEach(k => {
+                if (k === i || k === j) return;
+                const [dik, djk, nk] = [matrix[i][k], matrix[j][k], sizes[k]];
+                let updated;
+                switch (linkage) {
+                    case 'single':
+                        updated = Math.min(dik, djk);
+                        break;
+                    case 'complete':
+                        updated = Math.max(dik, djk);
+                        break;
+                    case 'ward':
+                        updated = ((ni + nk) * dik + (nj + nk) * djk - nk * best.d) / (ni + nj + nk);
+                        break;
+                    default:
+                        updated = (ni * dik + nj * djk) / (ni + nj);
+                }
+                matrix[i][k] = updated;
+                matrix[k][i] = updated;
+            });
+
+            merges.push({
+                left: nodeOf[i],
+                right: nodeOf[j],
+                height: linkage === 'ward' ? Math.sqrt(Math.max(best.d, 0)) : best.d,
+                size: ni + nj
+            });
+            nodeOf[i] = n + merges.length - 1;
+            sizes[i] = ni + nj;
+            active.splice(best.b, 1);
+        }
+
+        return { merges, order: this.#leafOrder(merges, n) };
+    }
+
+    /**
+     * Pairwise distances; missing values are skipped pairwise (distances scaled up to all dimensions)
+     * @param {Array} vectors - Items, null where missing
+     * @param {string} distance - euclidean, manhattan, pearson or spearman
+     * @returns {Array} - Symmetric distance matrix
+     */
+    static distanceMatrix(vectors, distance) {
+        const prepared = distance === 'spearman' ? vectors.map(vector => this.#ranks(vector)) : vectors;
+        const matrix = vectors.map(() => new Array(vectors.length).fill(0));
+        let largest = 0;
+        for (let i = 0; i < vectors.length; i++) {
+            for (let j = i + 1; j < vectors.length; j++) {
+                const d = this.#distance(prepared[i], prepared[j], distance);
+                matrix[i][j] = d;
+                matrix[j][i] = d;
+                if (!isNaN(d)) largest = Math.max(largest, d);
+            }
+        }
+        // Items without enough values in common are put as far apart as any
+        return matrix.map(row => row.map(value => isNaN(value) ? largest : value));
+    }
+
+    /**
+     * Draw the heatmap with dendrograms, group color bar and labels
+     */
+    static render() {
+        const canvas = document.getElementById('heatmapCanvas');
+        const summary = document.getElementById('heatmapSummary');
+        if (!canvas) return;
+        this.#attachListeners(canvas);
+
+        if (summary) {
+            summary.textContent = this.result ?
+                `${this.result.features.length} metabolites × ${this.result.samples.length} samples` +
+                (this.result.filtered ? `; the ${this.result.features.length} most variable of ${this.result.features.length + this.result.filtered} shown` : '') +
+                (this.result.rowScaling === 'zscore' ? '; rows scaled to z-scores' : '') :
+                'The heatmap needs at least two samples (blanks and standards are left out) and two metabolites.';
+        }
+        const context = canvas.getContext('2d');
+        if (!this.result) {
+            context.clearRect(0, 0, canvas.width, canvas.height);
+            canvas.style.width = '0px';
+            canvas.style.height = '0px';
+            this.#layout = null;
+            return;
+        }
+
+        const { samples, features, values, rowTree, columnTree } = this.result;
+        const L = this.LAYOUT;
+        const rowOrder = rowTree ? rowTree.order : features.map((_, i) => i);
+        const columnOrder = columnTree ? columnTree.order : samples.map((_, j) => j);
+        const left = L.rowDendrogramWidth;
+        const top = L.columnDendrogramHeight + L.groupBarHeight + 2 * L.gap;
+        const width = left + samples.length * L.cellWidth + L.gap + L.rowLabelWidth;
+        const height = top + features.length * L.cellHeight + L.columnLabelHeight;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        // Cells
+        // Scanned in place: spreading every cell into Math.min fails once all features are shown
+        const range = [Infinity, -Infinity];
+        values.forEach(row => row.forEach(value => {
+            if (value === null) return;
+            if (value < range[0]) range[0] = value;
+            if (value > range[1]) range[1] = value;
+        }));
+        rowOrder.forEach((row, r) => {
+            columnOrder.forEach((column, c) => {
+                context.fillStyle = this.#cellColor(values[row][column], range);
+                context.fillRect(left + c * L.cellWidth, top + r * L.cellHeight, L.cellWidth, L.cellHeight);
+            });
+        });
+
+        // Group color bar
+        const colors = this.groupColors(samples);
+        columnOrder.forEach((column, c) => {
+            context.fillStyle = colors.get(this.#groupOf(samples[column]));
+            context.fillRect(left + c * L.cellWidth, L.columnDendrogramHeight + L.gap, L.cellWidth, L.groupBarHeight);
+        });
+
+        // Dendrograms
+        context.strokeStyle = '#374151';
+        context.lineWidth = 1;
+        if (rowTree) {
+            this.#drawDendrogram(context, rowTree, features.length, {
+                position: k => top + (k + 0.5) * L.cellHeight,
+                depth: fraction => left - L.gap - fraction * (L.rowDendrogramWidth - 2 * L.gap),
+                horizontal: true
+            });
+        }
+        if (columnTree) {
+            this.#drawDendrogram(context, columnTree, samples.length, {
+                position: k => left + (k + 0.5) * L.cellWidth,
+                depth: fraction => L.columnDendrogramHeight - fraction * (L.columnDendrogramHeight - L.gap),
+                horizontal: false
+            });
+        }
+
+        // Labels
+        context.fillStyle = '#1F2937';
+        context.font = `${Math.min(12, L.cellHeight - 2)}px sans-serif`;
+        context.textBaseline = 'middle';
+        const labelLeft = left + samples.length * L.cellWidth + L.gap;
+        rowOrder.forEach((row, r) => {
+            context.fillText(this.#truncate(context, features[row].name, L.rowLabelWidth), labelLeft, top + (r + 0.5) * L.cellHeight);
+        });
+        const labelTop = top + features.length * L.cellHeight + L.gap;
+        columnOrder.forEach((column, c) => {
+            context.save();
+            context.translate(left + (c + 0.5) * L.cellWidth, labelTop);
+            context.rotate(Math.PI / 2);
+            context.textBaseline = 'middle';
+            context.fillText(this.#truncate(context, samples[column].id, L.columnLabelHeight - L.gap), 0, 0);
+            context.restore();
+        });
+
+        this.#layout = { left, top, rowOrder, columnOrder, labelLeft };
+        this.#renderLegend(colors, range);
+    }
+
+    /**
+     * Color of each group in the color bar; QCs are gray
+     * @param {Array} samples - Samples in the heatmap
+     * @returns {Map} - Color by group label
+     */
+    static groupColors(samples) {
+        const labels = [...new Set(samples.map(sample => this.#groupOf(sample)))];
+        let next = 0;
+        return new Map(labels.map(label => [label,
+            label === 'QC' ? '#6B7280' :
+                label === 'Ungrouped' ? '#E5E7EB' :
+                    ChromatogramAnalyzer.TRACE_COLORS[next++ % ChromatogramAnalyzer.TRACE_COLORS.length]]));
+    }
+
+    /**
+     * Forget the result and blank the canvas
+     */
+    static clear() {
+        this.result = null;
+        this.render();
+    }
+
+    /**
+     * Draw a dendrogram as connected U shapes
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {Object} tree - Result of cluster
+     * @param {number} n - Number of leaves
+     * @param {Object} axes - position (leaf slot → px), depth (height fraction → px) and horizontal
+     */
+    static #drawDendrogram(context, tree, n, { position, depth, horizontal }) {
+        const maxHeight = Math.max(...tree.merges.map(merge => merge.height), 0) || 1;
+        const slot = new Map(tree.order.map((leaf, k) => [leaf, k]));
+        const nodes = [];
+        const nodeAt = id => id < n ? { center: position(slot.get(id)), level: depth(0) } : nodes[id - n];
+        const line = (from, to) => {
+            context.beginPath();
+            context.moveTo(...(horizontal ? [from[1], from[0]] : from));
+            context.lineTo(...(horizontal ? [to[1], to[0]] : to));
+            context.stroke();
+        };
+
+        tree.merges.forEach(merge => {
+            const a = nodeAt(merge.left);
+            const b = nodeAt(merge.right);
+            const level = depth(merge.height / maxHeight);
+            line([a.center, a.level], [a.center, level]);
+            line([b.center, b.level], [b.center, level]);
+            line([a.center, level], [b.center, level]);
+            nodes.push({ center: (a.center + b.center) / 2, level });
+        });
+    }
+
+    /**
+     * Fill the legend: group colors and the color scale
+     * @param {Map} colors - Color by group label
+     * @param {Array} range - Lowest and highest value
+     */
+    static #renderLegend(colors, range) {
+        const legend = document.getElementById('heatmapLegend');
+        if (!legend) return;
+
+        const scale = this.result.rowScaling === 'zscore' ?
+            [-this.Z_LIMIT, 0, this.Z_LIMIT] : [range[0], (range[0] + range[1]) / 2, range[1]];
+        const format = value => Number(value.toPrecision(3)).toString();
+        legend.innerHTML = `
+            ${[...colors].map(([label, color]) => `
+                <span class="inline-flex items-center mr-3">
+                    <span class="inline-block w-3 h-3 mr-1 rounded-sm" style="background:${color}"></span>${label}
+                </span>
+            `).join('')}
+            <span class="inline-flex items-center ml-2">
+                ${format(scale[0])}
+                <span class="inline-block w-24 h-3 mx-1 rounded-sm"
+                    style="background:linear-gradient(to right, ${scale.map(value => this.#cellColor(value, range)).join(', ')})"></span>
+                ${format(scale[2])}${this.result.rowScaling === 'zscore' ? ' (z)' : ''}
+            </span>
+        `;
+    }
+
+    /**
+     * Show the value under the pointer and select metabolites on click
+     * @param {HTMLCanvasElement} canvas - Heatmap canvas
+     */
+    static #attachListeners(canvas) {
+        if (this.#listenersAttached) return;
+        this.#listenersAttached = true;
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'tooltip hidden';
+        canvas.parentElement.appendChild(tooltip);
+
+        canvas.addEventListener('mousemove', (event) => {
+            const cell = this.#cellAt(canvas, event);
+            if (!cell) {
+                tooltip.classList.add('hidden');
+                return;
+            }
+            const { samples, features, values } = this.result;
+            const value = values[cell.row][cell.column];
+            tooltip.textContent = `${features[cell.row].name} · ${samples[cell.column].id}: ` +
+                (value === null ? 'missing' : Number(value.toPrecision(3)));
+            tooltip.style.left = `${event.offsetX + canvas.offsetLeft + 12}px`;
+            tooltip.style.top = `${event.offsetY + canvas.offsetTop + 12}px`;
+            tooltip.classList.remove('hidden');
+        });
+        canvas.addEventListener('mouseleave', () => tooltip.classList.add('hidden'));
+        canvas.addEventListener('click', (event) => {
+            const cell = this.#cellAt(canvas, event, { includeLabels: true });
+            if (!cell) return;
+            window.dispatchEvent(new CustomEvent('metabolite-selected', {
+                detail: { name: this.result.features[cell.row].name, source: 'heatmap' }
+            }));
+        });
+    }
+
+    /**
+     * Find the heatmap cell under the pointer
+     * @param {HTMLCanvasElement} canvas - Heatmap canvas
+     * @param {MouseEvent} event - Pointer event
+     * @param {Object} options - includeLabels to also hit row labels (column is then null)
+     * @returns {Object|null} - row and column indices into the result
+     */
+    static #cellAt(canvas, event, { includeLabels = false } = {}) {
+        if (!this.#layout || !this.result) return null;
+        const { left, top, rowOrder, columnOrder, labelLeft } = this.#layout;
+        const r = Math.floor((event.offsetY - top) / this.LAYOUT.cellHeight);
+        const c = Math.floor((event.offsetX - left) / this.LAYOUT.cellWidth);
+        if (r < 0 || r >= rowOrder.length) return null;
+        if (c >= 0 && c < columnOrder.length) {
+            return { row: rowOrder[r], column: columnOrder[c] };
+        }
+        return includeLabels && event.offsetX >= labelLeft ? { row: rowOrder[r], column: null } : null;
+    }
+
+    /**
+     * Cell color: blue–white–red for z-scores, white to red for unscaled values; missing is gray
+     * @param {number|null} value - Cell value
+     * @param {Array} range - Lowest and highest value
+     * @returns {string} - CSS color
+     */
+    static #cellColor(value, range) {
+        if (value === null) return '#D1D5DB';
+        const blend = (from, to, fraction) => `rgb(${from.map((channel, i) =>
+            Math.round(channel + (to[i] - channel) * fraction)).join(', ')})`;
+        const [blue, white, red] = [[59, 130, 246], [255, 255, 255], [239, 68, 68]];
+
+        if (this.result.rowScaling === 'zscore') {
+            const fraction = Math.max(-1, Math.min(1, value / this.Z_LIMIT));
+            return fraction < 0 ? blend(white, blue, -fraction) : blend(white, red, fraction);
+        }
+        const span = range[1] - range[0];
+        return blend(white, red, span > 0 ? (value - range[0]) / span : 0);
+    }
+
+    /**
+     * Distance between two vectors over the positions both have
+     * @param {Array} a - Vector
+     * @param {Array} b - Vector
+     * @param {string} distance - euclidean, manhattan, pearson or spearman (already ranked)
+     * @returns {number} - Distance, NaN without enough shared values
+     */
+    static #distance(a, b, distance) {
+        const pairs = a.map((value, i) => [value, b[i]]).filter(([x, y]) => x !== null && y !== null);
+        if (pairs.length === 0) return NaN;
+
+        if (distance === 'euclidean' || distance === 'manhattan') {
+            const sum = pairs.reduce((total, [x, y]) =>
+                total + (distance === 'euclidean' ? (x - y) ** 2 : Math.abs(x - y)), 0);
+            const scaled = sum * a.length / pairs.length;
+            return distance === 'euclidean' ? Math.sqrt(scaled) : scaled;
+        }
+
+        if (pairs.length < 3) return NaN;
+        const meanX = pairs.reduce((total, [x]) => total + x, 0) / pairs.length;
+        const meanY = pairs.reduce((total, [, y]) => total + y, 0) / pairs.length;
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        pairs.forEach(([x, y]) => {
+            sxy += (x - meanX) * (y - meanY);
+            sxx += (x - meanX) ** 2;
+            syy += (y - meanY) ** 2;
+        });
+        return sxx > 0 && syy > 0 ? 1 - sxy / Math.sqrt(sxx * syy) : NaN;
+    }
+
+    /**
+     * Ranks of the present values (ties averaged); missing stays null
+     * @param {Array} vector - Values
+     * @returns {Array} - Ranks
+     */
+    static #ranks(vector) {
+        const order = vector
+            .map((value, index) => ({ value, index }))
+            .filter(({ value }) => value !== null)
+            .sort((a, b) => a.value - b.value);
+        const ranks = vector.map(() => null);
+        for (let start = 0; start < order.length;) {
+            let end = start;
+            while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+            for (let k = start; k <= end; k++) {
+                ranks[order[k].index] = (start + end) / 2 + 1;
+            }
+            start = end + 1;
+        }
+        return ranks;
+    }
+
+    /**
+     * Leaf order of a merge tree, left branches first
+     * @param {Array} merges - Merges from cluster
+     * @param {number} n - Number of leaves
+     * @returns {Array} - Leaf indices
+     */
+    static #leafOrder(merges, n) {
+        const order = [];
+        const stack = [n + merges.length - 1];
+        while (stack.length) {
+            const node = stack.pop();
+            if (node < n) {
+                order.push(node);
+            } else {
+                const { left, right } = merges[node - n];
+                stack.push(right, left);
+            }
+        }
+        return order;
+    }
+
+    /**
+     * Sample standard deviation of the present values
+     * @param {Array} values - Values, null where missing
+     * @returns {number} - Standard deviation (0 with fewer than two values)
+     */
+    static #standardDeviation(values) {
+        const present = values.filter(value => value !== null);
+        if (present.length < 2) return 0;
+        const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+        return Math.sqrt(present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (present.length - 1));
+    }
+
+    /**
+     * Group label of a sample for the color bar
+     * @param {Object} sample - Experiment sample
+     * @returns {string} - QC, the sample's group, or Ungrouped
+     */
+    static #groupOf(sample) {
+        if (sample.metadata.type === 'qc') return 'QC';
+        return sample.metadata.group || 'Ungrouped';
+    }
+
+    /**
+     * Shorten a label to fit a width
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {string} text - Label
+     * @param {number} width - Available width in pixels
+     * @returns {string} - Label, with an ellipsis when cut
+     */
+    static #truncate(context, text, width) {
+        if (context.measureText(text).width <= width) return text;
+        let cut = text;
+        while (cut.length > 1 && context.measureText(`${cut}…`).width > width) {
+            cut = cut.slice(0, -1);
+        }
+        return `${cut}…`;
+    }
+}
+
+// Export the Heatmap class
+window.Heatmap = Heatmap;
@@ -4,9 +4,12 @@ class GCMSAnalyzer {
         this.fileInput = document.getElementById('fileInput');
         this.uploadStatus = document.getElementById('uploadStatus');
         this.resultsTableBody = document.getElementById('resultsTableBody');
-        this.chromatogramChart = null;
-        this.massSpectraChart = null;
+        this.resultsHeaderRow = document.getElementById('resultsHeaderRow');
         this.pathwayVisualizer = null;
+
+        // Gene and PubChem lookups by metabolite name, so re-rendered rows are filled without new requests
+        this.annotations = new Map();
+        this.compoundInfo = new Map();
         
         this.initializeEventListeners();
     }
@@ -37,83 +40,1327 @@ class GCMSAnalyzer {
             }
         });
 
+        // Re-integrate peaks when the baseline mode changes
+        document.getElementById('baselineModeSelect').addEventListener('change', (event) => {
+            ChromatogramAnalyzer.setBaselineMode(event.target.value);
+        });
+        // New baselines and dragged boundaries change the areas in the results matrix
+        window.addEventListener('peaks-reintegrated', async () => {
+            if (!Experiment.getActiveSample()) return;
+            try {
+                this.syncActiveSample();
+                await this.updateResults();
+            } catch (error) {
+                console.error('Error updating results:', error);
+                this.showStatus(`Error: ${error.message}`, 'error');
+            }
+        });
+
+        // Split co-eluting peaks into component spectra
+        document.getElementById('deconvolutionInput').addEventListener('change', async (event) => {
+            try {
+                ChromatogramAnalyzer.setDeconvolution(event.target.checked);
+                this.syncActiveSample();
+                await this.updateResults();
+            } catch (error) {
+                this.showStatus(`Error: ${error.message}`, 'error');
+            }
+        });
+
+        // Switch between TIC, base peak and extracted ion chromatograms
+        document.getElementById('applyTraceButton').addEventListener('click', () => this.applyTraceMode());
+        document.getElementById('traceModeSelect').addEventListener('change', () => this.applyTraceMode());
+
+        // Retention index calibration from an alkane ladder
+        document.getElementById('alkaneInput').addEventListener('change', (event) => this.handleLadderUpload(event));
+        document.getElementById('retentionIndexModeSelect').addEventListener('change', (event) => {
+            RetentionIndex.setMode(event.target.value);
+        });
+        window.addEventListener('retention-index-calibrated', () => this.updateRetentionIndices());
+
+        // Spectral library matching
+        document.getElementById('libraryInput').addEventListener('change', (event) => this.handleLibraryUpload(event));
+        document.getElementById('matchLibraryButton').addEventListener('click', () => this.matchLibrary());
+        window.addEventListener('library-hit-accepted', (event) => {
+            const { target, hit, previousName } = event.detail;
+            this.acceptIdentification(target, hit, previousName);
+        });
+
+        // Metabolite → gene mapping tables and the organism they are read for
+        document.getElementById('geneMappingInput').addEventListener('change', (event) => this.handleGeneMappingUpload(event));
+        document.getElementById('organismSelect').addEventListener('change', (event) => this.changeOrganism(event.target.value));
+        document.getElementById('pathwayModelInput').addEventListener('change', (event) => this.handlePathwayModelUpload(event));
+
+        // Experiment: design sheet, active sample and clearing
+        document.getElementById('designInput').addEventListener('change', (event) => this.handleDesignUpload(event));
+        document.getElementById('sampleSelect').addEventListener('change', (event) => this.showSample(event.target.value));
+        document.getElementById('clearExperimentButton').addEventListener('click', () => this.clearExperiment());
+
+        // Retention time alignment across samples
+        document.getElementById('alignButton').addEventListener('click', async () => {
+            if (!this.alignSamples()) return;
+            try {
+                await this.updateResults();
+                this.showStatus('Samples aligned', 'success');
+            } catch (error) {
+                console.error('Error updating results:', error);
+                this.showStatus(`Error: ${error.message}`, 'error');
+            }
+        });
+        document.getElementById('alignmentViewSelect').addEventListener('change', () => this.renderAlignment());
+
+        // Normalization of the intensity matrix and its export
+        ['normalizationMethodSelect', 'internalStandardSelect', 'sampleFactorInput', 'transformSelect', 'scalingSelect', 'showRawInput']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.applyNormalization()));
+        document.getElementById('sampleFactorList').addEventListener('change', async (event) => {
+            try {
+                Experiment.setSampleFactor(event.target.dataset.sample, parseFloat(event.target.value));
+                await this.updateResults();
+            } catch (error) {
+                this.showStatus(`Error: ${error.message}`, 'error');
+            }
+        });
+        document.getElementById('exportMatrixButton').addEventListener('click', () => this.exportMatrix());
+        this.resultsTableBody.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-name-review]');
+            if (button) this.reviewNameMatch(button.dataset.metabolite, button.dataset.nameReview === 'accept');
+        });
+
+        // Presence filter and imputation of missing intensities
+        ['minPresentInput', 'presentInSelect', 'imputationSelect', 'imputationNeighboursInput', 'detectionLimitInput']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.applyMissingValues()));
+
+        // QC drift correction, blank subtraction and filters
+        ['driftMethodSelect', 'driftSpanInput', 'blankSubtractionInput', 'blankFilterInput', 'blankRatioInput', 'rsdFilterInput', 'maxRsdInput']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.applyQualityControl()));
+        document.getElementById('qcMetaboliteSelect').addEventListener('change', (event) => {
+            QualityControl.selectMetabolite(event.target.value);
+        });
+        document.getElementById('sampleRunList').addEventListener('change', async (event) => {
+            const id = event.target.dataset.sample;
+            const field = name => document.querySelector(`#sampleRunList [data-sample="${CSS.escape(id)}"][data-field="${name}"]`).value.trim();
+            try {
+                Experiment.setSampleRun(id, {
+                    type: field('type'),
+                    batch: field('batch'),
+                    injectionOrder: field('injectionOrder') === '' ? null : Number(field('injectionOrder'))
+                });
+                this.updateSampleSelect();
+                // QC runs and injection order can change the alignment reference; re-warp only then
+                if (Alignment.referenceChanged(Experiment.getOrderedSamples())) {
+                    this.alignSamples();
+                }
+                await this.updateResults();
+            } catch (error) {
+                this.showStatus(`Error: ${error.message}`, 'error');
+            }
+        });
+
+        // Univariate statistics between sample groups
+        ['statsGroupASelect', 'statsGroupBSelect', 'twoGroupTestSelect', 'multiGroupTestSelect', 'foldChangeThresholdInput', 'fdrThresholdInput']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.applyStatistics()));
+        document.getElementById('sampleGroupList').addEventListener('change', async (event) => {
+            try {
+                Experiment.setSampleGroup(event.target.dataset.sample, event.target.value);
+                this.updateSampleSelect();
+                await this.updateResults();
+            } catch (error) {
+                this.showStatus(`Error: ${error.message}`, 'error');
+            }
+        });
+        window.addEventListener('metabolite-selected', (event) => {
+            const { name, source } = event.detail;
+            this.highlightMetabolite(name, { showChromatogram: source === 'loadings' });
+        });
+
+        // PCA and PLS-DA
+        ['multivariateMethodSelect', 'componentCountInput', 'scoresXSelect', 'scoresYSelect', 'crossValidationFoldsInput']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.applyMultivariate()));
+        document.getElementById('permutationTestButton').addEventListener('click', () => this.runPermutationTest());
+
+        // Clustered heatmap
+        ['heatmapDistanceSelect', 'heatmapLinkageSelect', 'heatmapScalingSelect', 'heatmapClusterRowsInput',
+            'heatmapClusterColumnsInput', 'heatmapMaxFeaturesInput']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.applyHeatmap()));
+        document.getElementById('heatmapDownloadButton').addEventListener('click', () => this.downloadHeatmap());
+
+        // Pathway enrichment
+        ['enrichmentMethodSelect', 'enrichmentQuerySelect', 'enrichmentBackgroundSelect', 'enrichmentScoreSelect', 'enrichmentMinMembersInput']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.applyEnrichment()));
+        document.getElementById('enrichmentChartSelect').addEventListener('change', (event) => {
+            Enrichment.settings.chart = event.target.value;
+            Enrichment.renderChart();
+        });
+        document.getElementById('enrichmentHeaderRow').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-sort]');
+            if (button) Enrichment.sortBy(button.dataset.sort);
+        });
+        document.getElementById('enrichmentTableBody').addEventListener('click', (event) => {
+            const row = event.target.closest('[data-pathway]');
+            if (row) Enrichment.select(row.dataset.pathway);
+        });
+        window.addEventListener('pathway-selected', (event) => {
+            const { pathway, members } = event.detail;
+            if (NetworkVisualizer.highlightPathway(pathway.id, members)) {
+                document.getElementById('pathwayVisualization').scrollIntoView({ behavior: 'smooth', block: 'center' });
+            } else {
+                this.showStatus(`${pathway.name} is not in the pathway network`, 'info');
+            }
+        });
+
+        // Calibration curves and absolute quantitation
+        ['calibrationModelSelect', 'calibrationResponseSelect', 'calibrationStandardSelect', 'calibrationUnitInput']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.applyCalibration()));
+        document.getElementById('calibrationMetaboliteSelect').addEventListener('change', (event) => {
+            Calibration.selectMetabolite(event.target.value);
+        });
+        document.getElementById('calibrationLevelList').addEventListener('change', (event) => {
+            try {
+                const value = event.target.value.trim();
+                Experiment.setSampleConcentration(event.target.dataset.sample, value === '' ? null : parseFloat(value));
+                this.updateCalibration();
+            } catch (error) {
+                this.showStatus(`Error: ${error.message}`, 'error');
+            }
+        });
+
         // Listen for PubChem data updates
         window.addEventListener('pubchem-data-updated', (event) => {
             const { compoundName, data } = event.detail;
+            this.compoundInfo.set(compoundName, data);
             this.updateCompoundInfo(compoundName, data);
         });
     }
 
     async handleFileUpload(event) {
+        const files = Array.from(event.target.files);
+        if (files.length === 0) return;
+
+        // Each file becomes a sample of the experiment; one bad file does not stop the batch
+        const failures = [];
+        const skippedRows = [];
+        let lastSample = null;
+        let sharedImportOptions = null;
+        for (const [index, file] of files.entries()) {
+            try {
+                this.showStatus(`Processing file ${index + 1} of ${files.length}: ${file.name}`, 'loading');
+
+                // Peak tables are mapped in the import dialog unless an earlier file's settings apply to all
+                let importOptions = sharedImportOptions || {};
+                if (!sharedImportOptions && FileHandler.validateFileType(file) && !FileHandler.getRawFormat(file)) {
+                    const choice = await this.chooseImportOptions(file);
+                    if (!choice) {
+                        throw new Error('Import cancelled');
+                    }
+                    importOptions = choice.options;
+                    if (choice.applyToAll) sharedImportOptions = importOptions;
+                }
+
+                // Parse the file; offending peak-table rows are reviewed before the rest is imported
+                const parsedData = await FileHandler.parseFile(file, {
+                    reviewIssues: (report) => this.reviewValidation(report),
+                    importOptions
+                });
+                if (FileHandler.lastValidation && FileHandler.lastValidation.skipped.length > 0) {
+                    skippedRows.push(this.describeSkippedRows(FileHandler.lastValidation));
+                }
+
+                // Process the GCMS data
+                const processedData = await ChromatogramAnalyzer.processData(parsedData);
+
+                lastSample = Experiment.addSample(file.name, processedData);
+            } catch (error) {
+                console.error(`Error processing file ${file.name}:`, error);
+                failures.push(`${this.escapeHtml(file.name)}: ${this.escapeHtml(error.message)}`);
+            }
+        }
+
+        // A failed results refresh is reported with the file summary rather than replacing it
+        let resultsError = '';
+        if (lastSample) {
+            this.updateSampleSelect();
+            this.showSample(lastSample.id);
+            // New samples are shown unaligned until the Align button warps them
+            this.renderAlignment();
+
+            // Process metabolites
+            try {
+                await this.updateResults();
+            } catch (error) {
+                console.error('Error updating results:', error);
+                resultsError = `<br>Results could not be updated: ${this.escapeHtml(error.message)}`;
+            }
+        }
+
+        const loaded = files.length - failures.length;
+        const skipped = skippedRows.length ? `<br>Skipped rows:<br>${skippedRows.join('<br>')}` : '';
+        if (failures.length === 0) {
+            this.showStatus(
+                `${loaded} file${loaded === 1 ? '' : 's'} processed successfully! ` +
+                `The experiment has ${Experiment.samples.length} sample${Experiment.samples.length === 1 ? '' : 's'}.${skipped}${resultsError}`,
+                resultsError ? 'error' : skippedRows.length ? 'info' : 'success'
+            );
+        } else {
+            this.showStatus(
+                `${loaded} of ${files.length} files processed. Failed:<br>${failures.join('<br>')}${skipped}${resultsError}`,
+                'error'
+            );
+        }
+    }
+
+    // Preview a peak table and let the user map its columns, retention-time unit, delimiter, decimal
+    // mark and header line; resolves with the import options, or null when the file is cancelled.
+    // Scan-level tables need no mapping and resolve straight away
+    async chooseImportOptions(file) {
+        let preview = await FileHandler.previewTable(file);
+        if (preview.isScanTable) {
+            return { options: {}, applyToAll: false };
+        }
+
+        const dialog = document.getElementById('importDialog');
+        const element = id => document.getElementById(id);
+        const fields = Object.keys(FileHandler.PEAK_TABLE_COLUMNS);
+        const optional = field => !FileHandler.REQUIRED_PEAK_COLUMNS.includes(field);
+        element('importSummary').textContent = `${file.name}: check how the columns are read before importing.`;
+        element('importDelimiterSelect').innerHTML = Object.entries(FileHandler.DELIMITERS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        element('importPresetName').value = '';
+        element('importApplyAllInput').checked = false;
+
+        const fillPresets = (selected = '') => {
+            const names = Object.keys(FileHandler.loadImportPresets());
+            const select = element('importPresetSelect');
+            select.innerHTML = '<option value="">None</option>';
+            names.forEach(name => select.appendChild(new Option(name, name)));
+            select.value = names.includes(selected) ? selected : '';
+        };
+        const currentOptions = () => ({
+            mapping: Object.fromEntries(fields
+                .map(field => [field, element('importMappingFields').querySelector(`select[data-field="${field}"]`).value])
+                .filter(([, header]) => header)),
+            retentionTimeUnit: element('importUnitSelect').value,
+            delimiter: element('importDelimiterSelect').value,
+            decimal: element('importDecimalSelect').value,
+            headerRow: Math.max(parseInt(element('importHeaderRowInput').value, 10) || 1, 1) - 1
+        });
+
+        // Built with DOM calls so that header and cell text from the file is never parsed as HTML
+        const renderPreview = () => {
+            const mapped = new Map(Object.entries(currentOptions().mapping).map(([field, header]) => [header, field]));
+            const head = element('importPreviewHead');
+            const body = element('importPreviewBody');
+            head.innerHTML = '';
+            body.innerHTML = '';
+            const headRow = document.createElement('tr');
+            preview.headers.forEach(header => {
+                const th = document.createElement('th');
+                th.className = `px-3 py-2 text-left font-medium whitespace-nowrap ${mapped.has(header) ? 'text-blue-700 bg-blue-50' : 'text-gray-500'}`;
+                th.textContent = header;
+                if (mapped.has(header)) {
+                    const badge = document.createElement('div');
+                    badge.className = 'text-xs font-normal';
+                    badge.textContent = `→ ${mapped.get(header)}`;
+                    th.appendChild(badge);
+                }
+                headRow.appendChild(th);
+            });
+            head.appendChild(headRow);
+            preview.rows.forEach(row => {
+                const tr = document.createElement('tr');
+                preview.headers.forEach(header => {
+                    const td = document.createElement('td');
+                    td.className = `px-3 py-1 whitespace-nowrap ${mapped.has(header) ? 'bg-blue-50' : ''}`;
+                    td.textContent = row[header] ?? '';
+                    tr.appendChild(td);
+                });
+                body.appendChild(tr);
+            });
+            element('importError').textContent = preview.headers.length ? '' : 'No columns found; check the delimiter and header line.';
+        };
+        const render = () => {
+            element('importDelimiterSelect').value = preview.delimiter;
+            element('importDecimalSelect').value = preview.decimal;
+            element('importHeaderRowInput').value = preview.headerRow + 1;
+            element('importUnitSelect').value = preview.retentionTimeUnit;
+            const container = element('importMappingFields');
+            container.innerHTML = '';
+            fields.forEach(field => {
+                const label = document.createElement('label');
+                label.className = 'text-gray-700';
+                label.textContent = `${field}${optional(field) ? '' : ' *'}`;
+                const select = document.createElement('select');
+                select.className = 'ml-1 border border-gray-300 rounded px-2 py-1';
+                select.dataset.field = field;
+                select.appendChild(new Option(optional(field) ? 'Not in file' : 'Choose column', ''));
+                preview.headers.forEach(header => select.appendChild(new Option(header, header)));
+                select.value = preview.mapping[field] || '';
+                label.appendChild(select);
+                container.appendChild(label);
+            });
+            renderPreview();
+        };
+        const refresh = async (options) => {
+            try {
+                preview = await FileHandler.previewTable(file, options);
+                render();
+            } catch (error) {
+                element('importError').textContent = error.message;
+            }
+        };
+
+        fillPresets();
+        render();
+        dialog.classList.replace('hidden', 'flex');
+        return new Promise(resolve => {
+            const close = (decision) => {
+                listeners.forEach(([id, type, handler]) => element(id).removeEventListener(type, handler));
+                dialog.classList.replace('flex', 'hidden');
+                resolve(decision);
+            };
+            const listeners = [
+                // Changing how the file is split re-reads the preview; the mapping is kept while its columns exist
+                ['importDelimiterSelect', 'change', () => refresh(currentOptions())],
+                ['importHeaderRowInput', 'change', () => refresh(currentOptions())],
+                ['importDecimalSelect', 'change', () => refresh(currentOptions())],
+                ['importMappingFields', 'change', renderPreview],
+                ['importPresetSelect', 'change', () => {
+                    const name = element('importPresetSelect').value;
+                    const preset = FileHandler.loadImportPresets()[name];
+                    element('importPresetName').value = name;
+                    refresh(preset || {});
+                }],
+                ['importPresetSaveButton', 'click', () => {
+                    try {
+                        const name = element('importPresetName').value.trim();
+                        FileHandler.saveImportPreset(name, currentOptions());
+                        fillPresets(name);
+                    } catch (error) {
+                        element('importError').textContent = error.message;
+                    }
+                }],
+                ['importPresetDeleteButton', 'click', () => {
+                    FileHandler.deleteImportPreset(element('importPresetSelect').value);
+                    fillPresets();
+                }],
+                ['importConfirmButton', 'click', () => {
+                    const options = currentOptions();
+                    const missing = FileHandler.REQUIRED_PEAK_COLUMNS.filter(field => !options.mapping[field]);
+                    if (missing.length > 0) {
+                        element('importError').textContent = `Choose a column for ${missing.join(', ')}.`;
+                        return;
+                    }
+                    close({ options, applyToAll: element('importApplyAllInput').checked });
+                }],
+                ['importCancelButton', 'click', () => close(null)]
+            ];
+            listeners.forEach(([id, type, handler]) => element(id).addEventListener(type, handler));
+        });
+    }
+
+    // Show the offending rows of a peak table; resolves with the corrections and the rows to skip,
+    // or null when the file is cancelled
+    reviewValidation(report) {
+        const dialog = document.getElementById('validationDialog');
+        const body = document.getElementById('validationTableBody');
+        const fields = ['Metabolite', 'RetentionTime', 'Intensity'];
+        document.getElementById('validationSummary').textContent =
+            `${report.fileName}: ${report.invalidRows.length} of ${report.totalRows} rows have problems. ` +
+            'Fix the highlighted values or skip the rows; rows that are still invalid are skipped on import.';
+
+        // Built with DOM calls so that cell text from the file is never parsed as HTML
+        body.innerHTML = '';
+        report.invalidRows.forEach(({ row, values, issues }) => {
+            const flagged = new Set(issues.map(issue => issue.field));
+            const tr = document.createElement('tr');
+            const cell = (className = 'px-3 py-2') => {
+                const td = document.createElement('td');
+                td.className = className;
+                tr.appendChild(td);
+                return td;
+            };
+            cell('px-3 py-2 text-gray-500').textContent = row;
+            fields.forEach(field => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = values[field];
+                input.dataset.row = row;
+                input.dataset.field = field;
+                input.className = `border rounded px-2 py-1 w-full ${flagged.has(field) ? 'border-red-500 bg-red-50' : 'border-gray-300'}`;
+                cell().appendChild(input);
+            });
+            const problems = cell('px-3 py-2 text-red-600');
+            issues.forEach(issue => {
+                const line = document.createElement('div');
+                line.textContent = issue.message;
+                problems.appendChild(line);
+            });
+            const skip = document.createElement('input');
+            skip.type = 'checkbox';
+            skip.dataset.row = row;
+            skip.dataset.skip = 'true';
+            cell('px-3 py-2 text-center').appendChild(skip);
+            body.appendChild(tr);
+        });
+
+        dialog.classList.replace('hidden', 'flex');
+        return new Promise(resolve => {
+            const buttons = {
+                validationImportButton: () => {
+                    const corrections = new Map();
+                    report.invalidRows.forEach(({ row, values }) => {
+                        const edits = {};
+                        body.querySelectorAll(`input[data-row="${row}"][data-field]`).forEach(input => {
+                            if (input.value !== String(values[input.dataset.field])) edits[input.dataset.field] = input.value;
+                        });
+                        if (Object.keys(edits).length) corrections.set(row, edits);
+                    });
+                    const skipRows = new Set(Array.from(body.querySelectorAll('input[data-skip]:checked'))
+                        .map(input => Number(input.dataset.row)));
+                    return { corrections, skipRows };
+                },
+                validationSkipAllButton: () => ({
+                    corrections: new Map(),
+                    skipRows: new Set(report.invalidRows.map(({ row }) => row))
+                }),
+                validationCancelButton: () => null
+            };
+            const handlers = Object.entries(buttons).map(([id, decide]) => {
+                const handler = () => {
+                    const decision = decide();
+                    handlers.forEach(({ id: other, handler: listener }) =>
+                        document.getElementById(other).removeEventListener('click', listener));
+                    dialog.classList.replace('flex', 'hidden');
+                    resolve(decision);
+                };
+                document.getElementById(id).addEventListener('click', handler);
+                return { id, handler };
+            });
+        });
+    }
+
+    describeSkippedRows({ fileName, skipped }) {
+        // The status area renders HTML; names and messages come from the file
+        const shown = skipped.slice(0, 20).map(({ row, name, reasons }) =>
+            `row ${row}${name ? ` (${this.escapeHtml(name)})` : ''}: ${this.escapeHtml(reasons.join(', '))}`);
+        const more = skipped.length > shown.length ? `; and ${skipped.length - shown.length} more` : '';
+        return `${this.escapeHtml(fileName)}: ${shown.join('; ')}${more}`;
+    }
+
+    async handleDesignUpload(event) {
         const file = event.target.files[0];
         if (!file) return;
 
         try {
-            // Show loading state
-            this.showStatus('Loading file...', 'loading');
+            this.showStatus('Loading experiment design...', 'loading');
+            const design = await Experiment.loadDesign(file);
+            this.updateSampleSelect();
+            await this.updateResults();
 
-            // Parse the CSV file
-            const parsedData = await FileHandler.parseFile(file);
-            
-            // Process the GCMS data
-            const processedData = await ChromatogramAnalyzer.processData(parsedData);
-            
-            // Update visualizations
-            this.updateVisualizations(processedData);
-            
-            // Process metabolites
-            await this.processMetabolites(processedData.metabolites);
+            const missing = Experiment.getSamplesWithoutDesign();
+            this.showStatus(
+                `Experiment design loaded: ${design.size} samples` +
+                (missing.length ? `. Not in the design sheet: ${missing.join(', ')}` : ''),
+                missing.length ? 'info' : 'success'
+            );
+        } catch (error) {
+            console.error('Error loading experiment design:', error);
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    showSample(sampleId) {
+        const sample = Experiment.setActiveSample(sampleId);
+        document.getElementById('sampleSelect').value = sampleId;
+
+        // Update visualizations
+        this.updateVisualizations(sample.processedData);
+
+        // Peaks from the previously shown sample no longer apply
+        SpectralLibrary.setTargets([]);
+    }
+
+    updateSampleSelect() {
+        // Sample IDs, groups and batches come from file names and design sheets
+        const escape = text => this.escapeHtml(text);
+        const select = document.getElementById('sampleSelect');
+        select.innerHTML = Experiment.getOrderedSamples().map(sample => {
+            const { group, type } = sample.metadata;
+            const details = [group, type !== 'sample' ? type.toUpperCase() : ''].filter(Boolean).join(', ');
+            return `<option value="${escape(sample.id)}">${escape(sample.id)}${details ? ` (${escape(details)})` : ''}</option>`;
+        }).join('');
+        select.value = Experiment.activeSampleId || '';
+
+        const referenceSelect = document.getElementById('alignmentReferenceSelect');
+        const reference = referenceSelect.value;
+        referenceSelect.innerHTML = '<option value="">First QC / first sample</option>' +
+            Experiment.getOrderedSamples().map(sample => `<option value="${escape(sample.id)}">${escape(sample.id)}</option>`).join('');
+        referenceSelect.value = Experiment.getSample(reference) ? reference : '';
+
+        document.getElementById('sampleFactorList').innerHTML = Experiment.getOrderedSamples().map(sample => `
+            <label class="text-gray-600">
+                ${escape(sample.id)}
+                <input type="number" min="0" step="any" value="${sample.metadata.factor}" data-sample="${escape(sample.id)}"
+                    class="ml-1 border border-gray-300 rounded px-2 py-1 w-24">
+            </label>
+        `).join('');
+        const groups = [...new Set(Experiment.samples.map(sample => sample.metadata.group).filter(Boolean))];
+        document.getElementById('sampleGroupOptions').innerHTML = groups.map(group => `<option value="${escape(group)}"></option>`).join('');
+        document.getElementById('sampleGroupList').innerHTML = Experiment.getOrderedSamples().map(sample => `
+            <label class="text-gray-600 ${sample.metadata.type === 'sample' ? '' : 'opacity-50'}">
+                ${escape(sample.id)}
+                <input type="text" list="sampleGroupOptions" value="${escape(sample.metadata.group)}" data-sample="${escape(sample.id)}"
+                    class="ml-1 border border-gray-300 rounded px-2 py-1 w-28">
+            </label>
+        `).join('');
+        document.getElementById('sampleRunList').innerHTML = Experiment.getOrderedSamples().map(sample => `
+            <span class="text-gray-600">
+                ${escape(sample.id)}
+                <select data-sample="${escape(sample.id)}" data-field="type" class="ml-1 border border-gray-300 rounded px-2 py-1">
+                    ${Experiment.SAMPLE_TYPES.map(type => `<option value="${type}" ${type === sample.metadata.type ? 'selected' : ''}>` +
+                        `${type === 'qc' ? 'QC' : type.charAt(0).toUpperCase() + type.slice(1)}</option>`).join('')}
+                </select>
+                <input type="text" value="${escape(sample.metadata.batch)}" data-sample="${escape(sample.id)}" data-field="batch" title="Batch"
+                    class="border border-gray-300 rounded px-2 py-1 w-14">
+                <input type="number" step="1" value="${sample.metadata.injectionOrder ?? ''}" data-sample="${escape(sample.id)}" data-field="injectionOrder"
+                    title="Injection order" placeholder="Order" class="border border-gray-300 rounded px-2 py-1 w-20">
+            </span>
+        `).join('');
+        document.getElementById('calibrationLevelList').innerHTML = Experiment.getOrderedSamples()
+            .filter(sample => sample.metadata.type === 'standard')
+            .map(sample => `
+                <label class="text-gray-600">
+                    ${escape(sample.id)}
+                    <input type="number" min="0" step="any" value="${sample.metadata.concentration ?? ''}" data-sample="${escape(sample.id)}"
+                        class="ml-1 border border-gray-300 rounded px-2 py-1 w-24">
+                </label>
+            `).join('') || '<span class="text-gray-400">No samples of type Standard; set the type in the design sheet</span>';
+        document.getElementById('experimentStatus').textContent =
+            `${Experiment.samples.length} sample${Experiment.samples.length === 1 ? '' : 's'}, ` +
+            `${Experiment.design.size ? `design for ${Experiment.design.size}` : 'no design sheet'}`;
+    }
+
+    alignSamples() {
+        try {
+            // Grouping divides RT differences by the tolerance, so it must be positive
+            const rtTolerance = parseFloat(document.getElementById('alignmentRtToleranceInput').value);
+            if (!(rtTolerance > 0)) {
+                throw new Error('Enter an RT tolerance above 0 min (default 0.05).');
+            }
+            Alignment.grouping = {
+                rtTolerance,
+                useRetentionIndex: document.getElementById('alignmentUseRiInput').checked,
+                riTolerance: parseFloat(document.getElementById('alignmentRiToleranceInput').value) || RetentionIndex.tolerance
+            };
+            Alignment.alignSamples(Experiment.getOrderedSamples(), {
+                method: document.getElementById('alignmentMethodSelect').value,
+                referenceSampleId: document.getElementById('alignmentReferenceSelect').value || null
+            });
+            this.renderAlignment();
+            return true;
+        } catch (error) {
+            console.error('Error aligning samples:', error);
+            this.showStatus(`Error: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    renderAlignment() {
+        const aligned = document.getElementById('alignmentViewSelect').value === 'aligned';
+        Alignment.renderOverlay(Experiment.getOrderedSamples(), aligned);
+    }
+
+    clearExperiment() {
+        Experiment.clear();
+        Alignment.clear();
+        ChromatogramAnalyzer.clearCharts();
+        SpectralLibrary.setTargets([]);
+        Calibration.clear();
+        Statistics.clear();
+        Multivariate.clear();
+        Heatmap.clear();
+        Enrichment.clear();
+        QualityControl.clear();
+        this.resultsMatrix = null;
+        this.updateSampleSelect();
+        this.updateStatisticsSelects([]);
+        this.updateCalibrationSelects([]);
+        document.getElementById('qcMetaboliteSelect').innerHTML = '';
+        document.getElementById('quantitationHeaderRow').innerHTML = '';
+        document.getElementById('quantitationTableBody').innerHTML = '';
+        this.renderResultsHeader([]);
+        this.resultsTableBody.innerHTML = '';
+        this.showStatus('Experiment cleared', 'info');
+    }
+
+    // The active sample keeps the chromatogram on screen, including redraws and peak names
+    syncActiveSample() {
+        const sample = Experiment.getActiveSample();
+        if (sample && ChromatogramAnalyzer.currentChromatogramData) {
+            sample.processedData.chromatogramData = ChromatogramAnalyzer.currentChromatogramData;
+        }
+    }
+
+    async handleLadderUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            this.showStatus('Loading alkane ladder...', 'loading');
+            const firstCarbon = parseInt(document.getElementById('alkaneFirstCarbonInput').value, 10) || 8;
+            const ladder = await RetentionIndex.loadLadder(file, firstCarbon);
+
+            const first = ladder[0];
+            const last = ladder[ladder.length - 1];
+            document.getElementById('ladderStatus').textContent =
+                `C${first.carbonNumber}–C${last.carbonNumber} (${first.retentionTime.toFixed(2)}–${last.retentionTime.toFixed(2)} min)`;
+            this.showStatus(`Alkane ladder loaded: ${ladder.length} alkanes`, 'success');
+        } catch (error) {
+            console.error('Error loading alkane ladder:', error);
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    async handleLibraryUpload(event) {
+        const files = Array.from(event.target.files);
+        if (files.length === 0) return;
+
+        try {
+            this.showStatus('Loading spectral library...', 'loading');
+            for (const file of files) {
+                await SpectralLibrary.loadFile(file);
+            }
+
+            const sources = new Set(SpectralLibrary.entries.map(entry => entry.source));
+            document.getElementById('libraryStatus').textContent =
+                `${SpectralLibrary.entries.length} spectra from ${Array.from(sources).join(', ')}`;
+            SpectralLibrary.renderMatches();
+            this.showStatus(`Spectral library loaded: ${SpectralLibrary.entries.length} spectra`, 'success');
+        } catch (error) {
+            console.error('Error loading spectral library:', error);
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    async handleGeneMappingUpload(event) {
+        const files = Array.from(event.target.files);
+        if (files.length === 0) return;
+
+        try {
+            this.showStatus('Loading gene mapping...', 'loading');
+            const organism = document.getElementById('mappingOrganismInput').value;
+            for (const file of files) {
+                await MetaboliteMapper.loadFile(file, organism);
+            }
+            this.updateOrganismSelect();
+            await this.remapGenes();
+            // KEGG compound names let KGML pathways match more metabolites
+            this.updateEnrichment();
+            const associations = MetaboliteMapper.databases.reduce((sum, database) => sum + database.associations.length, 0);
+            this.showStatus(`Gene mapping loaded: ${associations} associations`, 'success');
+        } catch (error) {
+            console.error('Error loading gene mapping:', error);
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    async handlePathwayModelUpload(event) {
+        const files = Array.from(event.target.files);
+        if (files.length === 0) return;
+
+        try {
+            this.showStatus('Loading pathway models...', 'loading');
+            for (const file of files) {
+                await PathwayModels.loadFile(file);
+            }
+            const { pathways } = PathwayModels;
+            const reactions = pathways.reduce((sum, pathway) => sum + pathway.reactions.length, 0);
+            const sources = new Set(pathways.map(pathway => `${pathway.source} (${pathway.format})`));
+            document.getElementById('pathwayModelStatus').textContent =
+                `${pathways.length} pathways with ${reactions} reactions from ${Array.from(sources).join(', ')}`;
+            await this.remapGenes();
+            this.updateEnrichment();
+            this.showStatus(`Pathway models loaded: ${pathways.length} pathways`, 'success');
+        } catch (error) {
+            console.error('Error loading pathway models:', error);
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    updateOrganismSelect() {
+        const select = document.getElementById('organismSelect');
+        select.innerHTML = '';
+        MetaboliteMapper.getOrganisms().forEach(organism => select.appendChild(new Option(organism, organism)));
+        select.value = MetaboliteMapper.activeOrganism || '';
+
+        const { databases, keggCompounds } = MetaboliteMapper;
+        const sources = databases.map(database => `${database.source} (${database.organisms.join(', ')})`);
+        if (keggCompounds.size) sources.push(`${keggCompounds.size} KEGG compound names`);
+        document.getElementById('geneMappingStatus').textContent = sources.length ?
+            `Mappings from ${sources.join('; ')}` :
+            'No gene mapping loaded';
+    }
+
+    async changeOrganism(organism) {
+        try {
+            MetaboliteMapper.setOrganism(organism);
+            await this.remapGenes();
+            this.showStatus(`Gene mapping switched to ${organism}`, 'success');
+        } catch (error) {
+            console.error('Error changing organism:', error);
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    // Re-read the gene of every annotated metabolite after the tables, pathway models or the
+    // organism changed; the network is rebuilt from the metabolites in the results table
+    async remapGenes() {
+        NetworkVisualizer.clear();
+        const shown = new Set(this.resultsMatrix ?
+            this.resultsMatrix.features.filter(feature => !feature.unidentified).map(feature => feature.name) :
+            []);
+        for (const [name, annotation] of this.annotations) {
+            annotation.nameMatch = MetaboliteMapper.resolveName(name);
+            annotation.genes = await MetaboliteMapper.getGeneAssociations(name);
+            this.showAnnotation(name);
+            if (shown.has(name)) {
+                await NetworkVisualizer.addMetaboliteToPathway(name, annotation.genes);
+            }
+        }
+    }
+
+    matchLibrary() {
+        const chromatogramData = ChromatogramAnalyzer.currentChromatogramData;
+        if (!chromatogramData) {
+            this.showStatus('Error: Load a data file before matching', 'error');
+            return;
+        }
+
+        try {
+            // Targets are collected now so re-integrated or re-traced peaks are matched as shown
+            SpectralLibrary.setTargets(ChromatogramAnalyzer.getPeakSpectra(chromatogramData));
+            SpectralLibrary.matchTargets({
+                useRetentionIndex: document.getElementById('libraryUseRiInput').checked,
+                riTolerance: parseFloat(document.getElementById('libraryRiToleranceInput').value) || RetentionIndex.tolerance
+            });
+            this.showStatus(`Matched ${SpectralLibrary.targets.length} peaks against the library`, 'success');
+        } catch (error) {
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    async acceptIdentification(target, hit, previousName) {
+        const name = hit.entry.name;
+        if (target.apexIndex !== undefined) {
+            ChromatogramAnalyzer.setPeakName(target.apexIndex, name, target.componentIndex);
+            this.syncActiveSample();
+        } else {
+            // A peak-table row keeps its data but takes the library name
+            Experiment.renameMetabolite(Experiment.activeSampleId, previousName || target.label, name);
+        }
+        Experiment.setReferenceIndex(name, hit.entry.retentionIndex);
+
+        try {
+            await this.updateResults();
+            this.showStatus(`Identified peak at ${target.retentionTime.toFixed(2)} min as ${name}`, 'success');
+        } catch (error) {
+            console.error('Error updating results:', error);
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    updateRetentionIndices() {
+        // Results table rows keep their retention time in a data attribute
+        this.resultsTableBody.querySelectorAll('tr[data-retention-time]').forEach(row => {
+            row.querySelector('[data-field="ri"]').innerHTML =
+                this.formatRetentionIndex(parseFloat(row.dataset.retentionTime), row);
+        });
+
+        const chromatogramData = ChromatogramAnalyzer.currentChromatogramData;
+        if (chromatogramData) {
+            ChromatogramAnalyzer.renderPeakTable(chromatogramData.peaks);
+        }
+    }
 
-            this.showStatus('File processed successfully!', 'success');
+    formatRetentionIndex(retentionTime, row) {
+        // Rows with a reference RI show whether the measured RI agrees with it
+        const referenceIndex = row.dataset.referenceIndex ? parseFloat(row.dataset.referenceIndex) : null;
+        return RetentionIndex.formatWithReference(RetentionIndex.calculate(retentionTime), referenceIndex);
+    }
+
+    async updateResults() {
+        const matrix = this.getResultsMatrix();
+        const { samples, features, normalized } = matrix;
+        this.resultsMatrix = matrix;
+        const statistics = this.updateStatistics(matrix);
+        this.updateMultivariate(matrix);
+        this.updateHeatmap(matrix);
+        this.updateEnrichment();
+        this.updateQualityControl();
+        this.renderResultsHeader(samples, statistics);
+        this.updateInternalStandardSelect(features);
+        document.getElementById('resultsDescription').textContent =
+            `Metabolite × sample matrix, samples in injection order. ${normalized ? Normalization.describe() : 'Raw intensities'}.`;
+        document.getElementById('missingValuesSummary').textContent = this.describeMissingValues(matrix);
+
+        // Clear existing results
+        this.resultsTableBody.innerHTML = '';
+        features.forEach(feature => {
+            this.resultsTableBody.appendChild(this.createTableRow(feature, samples, normalized, statistics));
+        });
+        this.updateCalibration();
+
+        // Unnamed peaks have nothing to look up
+        await this.processMetabolites(features.filter(feature => !feature.unidentified));
+    }
+
+    getResultsMatrix() {
+        try {
+            const matrix = Normalization.getMatrix();
+            if (matrix.warnings.length) {
+                this.showStatus(matrix.warnings.join('<br>'), 'info');
+            }
+            return matrix;
+        } catch (error) {
+            // Fall back to raw intensities until the settings are usable (e.g. no internal standard chosen)
+            this.showStatus(`Normalization: ${error.message} Showing raw intensities.`, 'error');
+            return Normalization.getMatrix({ raw: true });
+        }
+    }
+
+    async applyNormalization() {
+        Normalization.settings = {
+            method: document.getElementById('normalizationMethodSelect').value,
+            internalStandards: Array.from(document.getElementById('internalStandardSelect').selectedOptions)
+                .map(option => option.value),
+            applySampleFactors: document.getElementById('sampleFactorInput').checked,
+            transform: document.getElementById('transformSelect').value,
+            scaling: document.getElementById('scalingSelect').value
+        };
+        Normalization.showRaw = document.getElementById('showRawInput').checked;
+        try {
+            await this.updateResults();
+        } catch (error) {
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    async applyMissingValues() {
+        MissingValues.settings = {
+            minPresent: Math.min(100, Math.max(0, parseFloat(document.getElementById('minPresentInput').value) || 0)),
+            presentIn: document.getElementById('presentInSelect').value,
+            imputation: document.getElementById('imputationSelect').value,
+            neighbours: Math.max(1, parseInt(document.getElementById('imputationNeighboursInput').value, 10) || 5),
+            detectionLimit: parseFloat(document.getElementById('detectionLimitInput').value) || null
+        };
+        try {
+            await this.updateResults();
+        } catch (error) {
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    describeMissingValues({ features, missingValues }) {
+        if (!missingValues) {
+            const missing = features.reduce((sum, feature) => sum + feature.intensities.filter(value => value === null).length, 0);
+            return `${missing} missing value${missing === 1 ? '' : 's'}`;
+        }
+        const { removed, missing, imputed } = missingValues;
+        return [
+            removed ? `${removed} metabolite${removed === 1 ? '' : 's'} detected too rarely removed` : null,
+            `${missing} missing value${missing === 1 ? '' : 's'}`,
+            MissingValues.settings.imputation !== 'none' ? `${imputed} imputed (italic)` : null
+        ].filter(Boolean).join(', ');
+    }
+
+    async applyQualityControl() {
+        QualityControl.settings = {
+            driftMethod: document.getElementById('driftMethodSelect').value,
+            span: Math.min(1, Math.max(0.1, parseFloat(document.getElementById('driftSpanInput').value) || 0.75)),
+            blankSubtraction: document.getElementById('blankSubtractionInput').checked,
+            blankFilter: document.getElementById('blankFilterInput').checked,
+            blankRatio: parseFloat(document.getElementById('blankRatioInput').value) || 3,
+            rsdFilter: document.getElementById('rsdFilterInput').checked,
+            maxRsd: parseFloat(document.getElementById('maxRsdInput').value) || 30
+        };
+        try {
+            await this.updateResults();
+        } catch (error) {
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    updateQualityControl() {
+        const select = document.getElementById('qcMetaboliteSelect');
+        try {
+            const result = QualityControl.update();
+            const notes = { blank: ' (not above blank)', rsd: ' (QC RSD too high)' };
+            select.innerHTML = result.features.map(feature =>
+                `<option value="${this.escapeHtml(feature.name)}">${this.escapeHtml(feature.name)}${notes[feature.removed] || ''}</option>`).join('');
+            select.value = QualityControl.selectedMetabolite || '';
+        } catch (error) {
+            // The results already fell back to raw intensities and reported the problem
+            console.error('Error applying QC corrections:', error);
+            QualityControl.clear();
+            select.innerHTML = '';
+        }
+    }
+
+    async applyStatistics() {
+        Statistics.settings = {
+            groupA: document.getElementById('statsGroupASelect').value || null,
+            groupB: document.getElementById('statsGroupBSelect').value || null,
+            twoGroupTest: document.getElementById('twoGroupTestSelect').value,
+            multiGroupTest: document.getElementById('multiGroupTestSelect').value,
+            foldChangeThreshold: parseFloat(document.getElementById('foldChangeThresholdInput').value) || 2,
+            fdrThreshold: parseFloat(document.getElementById('fdrThresholdInput').value) || 0.05
+        };
+        try {
+            await this.updateResults();
+        } catch (error) {
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    updateStatistics(matrix) {
+        try {
+            const result = Statistics.update(matrix);
+            this.updateStatisticsSelects(result.groups);
+            if (result.warnings.length) {
+                this.showStatus(`Statistics: ${result.warnings.join('<br>')}`, 'info');
+            }
+            return result.features.length ? result : null;
+        } catch (error) {
+            console.error('Error computing statistics:', error);
+            this.showStatus(`Statistics: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    updateStatisticsSelects(groups) {
+        const { groupA, groupB } = Statistics.result || {};
+        [['statsGroupASelect', groupA], ['statsGroupBSelect', groupB]].forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            select.innerHTML = groups.map(group => `<option value="${this.escapeHtml(group)}">${this.escapeHtml(group)}</option>`).join('');
+            select.value = value || '';
+        });
+        document.getElementById('statisticsDescription').textContent = groups.length < 2 ?
+            'Assign samples of type Sample to at least two groups to compare them.' :
+            `${groups.length} groups: ${groups.join(', ')}. Samples of other types (QC, blank, standard) are not tested.`;
+    }
+
+    highlightMetabolite(name, { showChromatogram = false } = {}) {
+        // Highlight the row in the results table and the metabolite in the pathway network
+        this.resultsTableBody.querySelectorAll('.selected-row').forEach(row => row.classList.remove('selected-row'));
+        const row = document.getElementById(`row-${name.replace(/\s+/g, '-')}`);
+        if (row) {
+            row.classList.add('selected-row');
+        }
+        const inNetwork = NetworkVisualizer.highlightMetabolite(name);
+
+        if (showChromatogram && this.showMetaboliteChromatogram(name)) {
+            document.getElementById('chromatogramChart').scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else if (row) {
+            row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        if (!inNetwork) {
+            this.showStatus(`${name} is not in the pathway network`, 'info');
+        }
+    }
+
+    showMetaboliteChromatogram(name) {
+        // Prefer the sample on screen; otherwise switch to the first sample that has the metabolite
+        const feature = this.resultsMatrix && this.resultsMatrix.features.find(candidate => candidate.name === name);
+        if (!feature) return false;
+        const { samples } = this.resultsMatrix;
+        const active = samples.findIndex(sample => sample.id === Experiment.activeSampleId);
+        const column = active !== -1 && feature.retentionTimes[active] !== null ?
+            active : feature.retentionTimes.findIndex(time => time !== null);
+        if (column === -1) return false;
+
+        if (samples[column].id !== Experiment.activeSampleId) {
+            this.showSample(samples[column].id);
+        }
+        return ChromatogramAnalyzer.focusRetentionTime(feature.retentionTimes[column]);
+    }
+
+    applyMultivariate() {
+        Multivariate.settings = {
+            ...Multivariate.settings,
+            method: document.getElementById('multivariateMethodSelect').value,
+            components: Math.max(2, parseInt(document.getElementById('componentCountInput').value, 10) || 2),
+            xComponent: parseInt(document.getElementById('scoresXSelect').value, 10) || 0,
+            yComponent: parseInt(document.getElementById('scoresYSelect').value, 10) || 0,
+            folds: Math.max(2, parseInt(document.getElementById('crossValidationFoldsInput').value, 10) || 7)
+        };
+        if (this.resultsMatrix) {
+            this.updateMultivariate(this.resultsMatrix);
+        }
+    }
+
+    updateMultivariate(matrix) {
+        try {
+            const result = Multivariate.update(matrix);
+            // Offer every computed component on the score plot axes
+            const count = result ? result.scores[0].length : Multivariate.settings.components;
+            const prefix = Multivariate.settings.method === 'pca' ? 'PC' : 't';
+            [['scoresXSelect', Multivariate.settings.xComponent], ['scoresYSelect', Multivariate.settings.yComponent]]
+                .forEach(([id, value]) => {
+                    const select = document.getElementById(id);
+                    select.innerHTML = Array.from({ length: count }, (_, a) => `<option value="${a}">${prefix}${a + 1}</option>`).join('');
+                    select.value = String(Math.min(value, count - 1));
+                });
+            document.getElementById('permutationTestButton').disabled = !result || result.method !== 'plsda';
+        } catch (error) {
+            console.error('Error in multivariate analysis:', error);
+            this.showStatus(`Multivariate analysis: ${error.message}`, 'error');
+        }
+    }
+
+    applyHeatmap() {
+        Heatmap.settings = {
+            distance: document.getElementById('heatmapDistanceSelect').value,
+            linkage: document.getElementById('heatmapLinkageSelect').value,
+            rowScaling: document.getElementById('heatmapScalingSelect').value,
+            clusterRows: document.getElementById('heatmapClusterRowsInput').checked,
+            clusterColumns: document.getElementById('heatmapClusterColumnsInput').checked,
+            maxFeatures: Math.max(0, parseInt(document.getElementById('heatmapMaxFeaturesInput').value, 10) || 0)
+        };
+        if (this.resultsMatrix) {
+            this.updateHeatmap(this.resultsMatrix);
+        }
+    }
+
+    updateHeatmap(matrix) {
+        try {
+            Heatmap.update(matrix);
+        } catch (error) {
+            console.error('Error drawing heatmap:', error);
+            this.showStatus(`Heatmap: ${error.message}`, 'error');
+        }
+    }
+
+    applyEnrichment() {
+        Enrichment.settings = {
+            ...Enrichment.settings,
+            method: document.getElementById('enrichmentMethodSelect').value,
+            query: document.getElementById('enrichmentQuerySelect').value,
+            background: document.getElementById('enrichmentBackgroundSelect').value,
+            score: document.getElementById('enrichmentScoreSelect').value,
+            minMembers: Math.max(1, parseInt(document.getElementById('enrichmentMinMembersInput').value, 10) || 1)
+        };
+        // The query and background apply to over-representation, the score to the rank-based test
+        const rank = Enrichment.settings.method === 'rank';
+        document.getElementById('enrichmentQuerySelect').disabled = rank;
+        document.getElementById('enrichmentBackgroundSelect').disabled = rank;
+        document.getElementById('enrichmentScoreSelect').disabled = !rank;
+        this.updateEnrichment();
+    }
+
+    async updateEnrichment() {
+        if (!this.resultsMatrix) return;
+        try {
+            await Enrichment.update(this.resultsMatrix);
+        } catch (error) {
+            console.error('Error testing pathway enrichment:', error);
+            this.showStatus(`Pathway enrichment: ${error.message}`, 'error');
+        }
+    }
+
+    downloadHeatmap() {
+        if (!Heatmap.result) {
+            this.showStatus('Error: Nothing to download yet', 'error');
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = document.getElementById('heatmapCanvas').toDataURL('image/png');
+        link.download = 'gcms-heatmap.png';
+        link.click();
+    }
+
+    async runPermutationTest() {
+        try {
+            Multivariate.settings.permutations =
+                Math.max(10, parseInt(document.getElementById('permutationCountInput').value, 10) || 100);
+            this.showStatus(`Running ${Multivariate.settings.permutations} permutations...`, 'loading');
+            // Let the status paint before the blocking computation
+            await new Promise(resolve => setTimeout(resolve, 50));
+            const { pValue } = Multivariate.runPermutationTest();
+            this.showStatus(`Permutation test done: p = ${pValue === null ? '—' : pValue.toFixed(3)}`, 'success');
         } catch (error) {
-            console.error('Error processing file:', error);
+            console.error('Error in permutation test:', error);
             this.showStatus(`Error: ${error.message}`, 'error');
         }
     }
 
+    applyCalibration() {
+        Calibration.settings = {
+            model: document.getElementById('calibrationModelSelect').value,
+            response: document.getElementById('calibrationResponseSelect').value,
+            internalStandard: document.getElementById('calibrationStandardSelect').value || null,
+            unit: document.getElementById('calibrationUnitInput').value.trim() || 'µM'
+        };
+        this.updateCalibration();
+    }
+
+    updateCalibration() {
+        let curves = [];
+        try {
+            const result = Calibration.update();
+            curves = result.curves;
+            if (result.warnings.length && Experiment.samples.some(sample => sample.metadata.type === 'standard')) {
+                this.showStatus(`Calibration: ${result.warnings.join('<br>')}`, 'info');
+            }
+        } catch (error) {
+            console.error('Error fitting calibration curves:', error);
+            this.showStatus(`Calibration: ${error.message}`, 'error');
+        }
+        // Keep the selects usable, e.g. to pick the internal standard a failed ratio fit asked for
+        this.updateCalibrationSelects(curves);
+    }
+
+    updateCalibrationSelects(curves) {
+        const metaboliteSelect = document.getElementById('calibrationMetaboliteSelect');
+        metaboliteSelect.innerHTML = curves
+            .map(curve => `<option value="${this.escapeHtml(curve.name)}">${this.escapeHtml(curve.name)}</option>`).join('');
+        metaboliteSelect.value = Calibration.selectedMetabolite || '';
+
+        // Any identified metabolite can serve as the calibration internal standard
+        const standardSelect = document.getElementById('calibrationStandardSelect');
+        const { features } = Experiment.samples.length ? Normalization.getMatrix({ raw: true }) : { features: [] };
+        standardSelect.innerHTML = '<option value="">None</option>' + features
+            .filter(feature => !feature.unidentified)
+            .map(feature => `<option value="${this.escapeHtml(feature.name)}">${this.escapeHtml(feature.name)}</option>`)
+            .join('');
+        standardSelect.value = Calibration.settings.internalStandard || '';
+    }
+
+    updateInternalStandardSelect(features) {
+        // Any identified metabolite can serve as an internal standard
+        const select = document.getElementById('internalStandardSelect');
+        const selected = new Set(Normalization.settings.internalStandards);
+        select.innerHTML = features
+            .filter(feature => !feature.unidentified)
+            .map(feature => `<option value="${this.escapeHtml(feature.name)}" ${selected.has(feature.name) ? 'selected' : ''}>` +
+                `${this.escapeHtml(feature.name)}</option>`)
+            .join('');
+    }
+
+    formatIntensity(value, normalized) {
+        if (value === null) return '<span class="text-gray-400">—</span>';
+        // Normalized, logged or scaled values can be small or negative
+        return normalized ? Number(value.toPrecision(4)).toString() : value.toFixed(0);
+    }
+
+    exportMatrix() {
+        const { samples, features, normalized } = this.getResultsMatrix();
+        if (features.length === 0) {
+            this.showStatus('Error: Nothing to export yet', 'error');
+            return;
+        }
+
+        const statistics = Statistics.result && Statistics.result.features.length ? Statistics.result : null;
+        const rows = features.map((feature, index) => {
+            const row = {
+                Metabolite: feature.name,
+                RetentionTime: feature.retentionTime,
+                RetentionIndex: RetentionIndex.calculate(feature.retentionTime) ?? ''
+            };
+            if (statistics) {
+                const result = statistics.features.find(candidate => candidate.name === feature.name) || {};
+                row.Log2FoldChange = result.log2FoldChange ?? '';
+                row.PValue = result.pValue ?? '';
+                row.QValue = result.qValue ?? '';
+                if (statistics.groups.length > 2) {
+                    row.MultiGroupPValue = result.multiPValue ?? '';
+                    row.MultiGroupQValue = result.multiQValue ?? '';
+                }
+            }
+            if (feature.imputed && MissingValues.settings.imputation !== 'none') {
+                row.Imputed = feature.imputedCount;
+            }
+            const qc = QualityControl.result && QualityControl.result.features.find(candidate => candidate.name === feature.name);
+            if (qc && samples.some(sample => sample.metadata.type === 'qc')) {
+                row.QCRSD = (normalized ? qc.rsdAfter : qc.rsdBefore) ?? '';
+            }
+            samples.forEach((sample, i) => {
+                row[sample.id] = feature.intensities[i] ?? '';
+            });
+            return row;
+        });
+
+        const blob = new Blob([Papa.unparse(rows)], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = normalized ? 'gcms-matrix-normalized.csv' : 'gcms-matrix-raw.csv';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    renderResultsHeader(samples, statistics = null) {
+        this.resultsHeaderRow.querySelectorAll('.sample-column, .stat-column').forEach(cell => cell.remove());
+        this.statisticsColumns(statistics).forEach(({ label, detail }) => {
+            const cell = document.createElement('th');
+            cell.className = 'stat-column px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+            cell.innerHTML = `${label}<span class="block text-gray-400 normal-case text-xs">${detail}</span>`;
+            this.resultsHeaderRow.appendChild(cell);
+        });
+        samples.forEach(sample => {
+            const { group, type, batch } = sample.metadata;
+            const cell = document.createElement('th');
+            cell.className = `sample-column px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${
+                type === 'qc' ? 'text-purple-600' : type === 'blank' ? 'text-gray-400' : 'text-gray-500'}`;
+            cell.innerHTML = `
+                ${this.escapeHtml(sample.id)}
+                <span class="block text-gray-400 normal-case text-xs">
+                    ${this.escapeHtml([group, type !== 'sample' ? type.toUpperCase() : '', Experiment.design.size ? `batch ${batch}` : '']
+                        .filter(Boolean).join(' · ') || 'Intensity')}
+                </span>
+            `;
+            this.resultsHeaderRow.appendChild(cell);
+        });
+    }
+
+    statisticsColumns(statistics) {
+        if (!statistics) return [];
+        const testLabels = {
+            welch: 'Welch t-test',
+            mannWhitney: 'Mann–Whitney',
+            anova: 'One-way ANOVA',
+            kruskal: 'Kruskal–Wallis'
+        };
+        const { twoGroupTest, multiGroupTest } = Statistics.settings;
+        const columns = [
+            { label: 'log2 FC', detail: `${statistics.groupB} / ${statistics.groupA}`, field: 'log2FoldChange' },
+            { label: 'p', detail: testLabels[twoGroupTest], field: 'pValue' },
+            { label: 'q', detail: 'BH FDR', field: 'qValue' }
+        ];
+        if (statistics.groups.length > 2) {
+            columns.push(
+                { label: 'p', detail: `${testLabels[multiGroupTest]}, all groups`, field: 'multiPValue' },
+                { label: 'q', detail: 'BH FDR', field: 'multiQValue' }
+            );
+        }
+        return columns;
+    }
+
     async processMetabolites(metabolites) {
         try {
-            // Clear existing results
-            this.resultsTableBody.innerHTML = '';
+            // Names looked up before are filled straight away
+            metabolites
+                .filter(metabolite => this.annotations.has(metabolite.name))
+                .forEach(metabolite => this.showAnnotation(metabolite.name));
+            const pending = metabolites.filter(metabolite => !this.annotations.has(metabolite.name));
 
             // Process metabolites in batches
             const batchSize = 5;
-            for (let i = 0; i < metabolites.length; i += batchSize) {
-                const batch = metabolites.slice(i, i + batchSize);
-                
-                // Create rows with loading state
-                batch.forEach(metabolite => {
-                    const row = this.createTableRow(metabolite);
-                    this.resultsTableBody.appendChild(row);
-                });
+            for (let i = 0; i < pending.length; i += batchSize) {
+                const batch = pending.slice(i, i + batchSize);
 
                 // Process batch in parallel
-                await Promise.all(batch.map(async metabolite => {
-                    try {
-                        // Get gene locus ID
-                        const geneLocusId = await MetaboliteMapper.mapToGeneLocusID(metabolite.name);
-                        
-                        // Get PubChem data
-                        const pubchemData = await PubChemIntegration.fetchCompoundInfo(metabolite.name);
-
-                        // Update row with fetched data
-                        this.updateTableRow(metabolite.name, {
-                            ...metabolite,
-                            geneLocusId,
-                            pubchemId: pubchemData.id
-                        });
-
-                        // Update pathway visualization if available
-                        if (geneLocusId !== 'Not found') {
-                            await NetworkVisualizer.addMetaboliteToPathway(metabolite.name, geneLocusId);
-                        }
-                    } catch (error) {
-                        console.error(`Error processing metabolite ${metabolite.name}:`, error);
-                    }
-                }));
+                await Promise.all(batch.map(metabolite => this.annotateMetabolite(metabolite)));
 
                 // Add delay between batches
-                if (i + batchSize < metabolites.length) {
+                if (i + batchSize < pending.length) {
                     await new Promise(resolve => setTimeout(resolve, 1000));
                 }
             }
@@ -123,47 +1370,172 @@ class GCMSAnalyzer {
         }
     }
 
-    createTableRow(metabolite) {
+    async annotateMetabolite(metabolite) {
+        try {
+            // Get the associated genes from the loaded tables of the active organism, through
+            // the name the metabolite resolves to
+            const nameMatch = MetaboliteMapper.resolveName(metabolite.name);
+            const genes = await MetaboliteMapper.getGeneAssociations(metabolite.name);
+            
+            // Get PubChem data
+            const pubchemData = await PubChemIntegration.fetchCompoundInfo(metabolite.name);
+
+            this.annotations.set(metabolite.name, { nameMatch, genes, pubchemId: pubchemData.id });
+            this.showAnnotation(metabolite.name);
+
+            // Update pathway visualization; metabolites without genes or pathways are skipped there
+            await NetworkVisualizer.addMetaboliteToPathway(metabolite.name, genes);
+        } catch (error) {
+            console.error(`Error processing metabolite ${metabolite.name}:`, error);
+        }
+    }
+
+    showAnnotation(metaboliteName) {
+        // Update row with fetched data
+        this.updateTableRow(metaboliteName, this.annotations.get(metaboliteName));
+        if (this.compoundInfo.has(metaboliteName)) {
+            this.updateCompoundInfo(metaboliteName, this.compoundInfo.get(metaboliteName));
+        }
+    }
+
+    createTableRow(metabolite, samples, normalized = false, statistics = null) {
         const row = document.createElement('tr');
         row.id = `row-${metabolite.name.replace(/\s+/g, '-')}`;
         row.className = 'hover:bg-gray-50';
+        row.dataset.retentionTime = metabolite.retentionTime;
+        const referenceIndex = RetentionIndex.referenceFrom(metabolite.additionalData);
+        if (referenceIndex !== null) {
+            row.dataset.referenceIndex = referenceIndex;
+        }
+        const lookupCell = metabolite.unidentified ?
+            '<span class="text-gray-400">Unidentified</span>' :
+            '<div class="loading-spinner"></div>';
         row.innerHTML = `
-            <td class="px-6 py-4 whitespace-nowrap">${metabolite.name}</td>
-            <td class="px-6 py-4 whitespace-nowrap">${metabolite.retentionTime.toFixed(2)}</td>
-            <td class="px-6 py-4 whitespace-nowrap">${metabolite.intensity.toFixed(0)}</td>
-            <td class="px-6 py-4 whitespace-nowrap">
-                <div class="loading-spinner"></div>
-            </td>
-            <td class="px-6 py-4 whitespace-nowrap">
-                <div class="loading-spinner"></div>
+            <td class="px-6 py-4 whitespace-nowrap ${metabolite.unidentified ? 'text-gray-500' : ''}">
+                ${metabolite.name}
+                ${metabolite.imputedCount ? `<span class="block text-xs text-amber-600">${metabolite.imputedCount} imputed</span>` : ''}
             </td>
+            <td class="px-6 py-4 whitespace-nowrap">${metabolite.retentionTime.toFixed(2)}</td>
+            <td class="px-6 py-4 whitespace-nowrap" data-field="ri">${this.formatRetentionIndex(metabolite.retentionTime, row)}</td>
+            <td class="px-6 py-4 whitespace-nowrap" data-field="gene">${lookupCell}</td>
+            <td class="px-6 py-4 whitespace-nowrap" data-field="pubchem">${lookupCell}</td>
             <td class="px-6 py-4 whitespace-nowrap">
                 <div data-compound="${metabolite.name}" data-property="properties" class="text-sm"></div>
             </td>
+            ${this.formatStatisticsCells(metabolite.name, statistics)}
+            ${samples.map((sample, i) => `
+                <td class="px-6 py-4 whitespace-nowrap text-right ${metabolite.imputed && metabolite.imputed[i] ? 'italic text-amber-600' : ''}"
+                    data-sample="${this.escapeHtml(sample.id)}" ${metabolite.imputed && metabolite.imputed[i] ? 'title="Imputed"' : ''}>
+                    ${this.formatIntensity(metabolite.intensities[i], normalized)}
+                </td>
+            `).join('')}
         `;
         return row;
     }
 
+    formatStatisticsCells(metaboliteName, statistics) {
+        if (!statistics) return '';
+        const result = statistics.features.find(feature => feature.name === metaboliteName);
+        const significant = result && Statistics.isSignificant(result);
+        return this.statisticsColumns(statistics).map(({ field }) => {
+            const value = result ? result[field] : null;
+            const text = field === 'log2FoldChange' ?
+                (value === null ? '—' : value.toFixed(2)) :
+                Statistics.formatPValue(value);
+            return `<td class="px-6 py-4 whitespace-nowrap text-right ${significant ? 'font-semibold' : ''}">${text}</td>`;
+        }).join('');
+    }
+
     updateTableRow(metaboliteName, data) {
         const row = document.getElementById(`row-${metaboliteName.replace(/\s+/g, '-')}`);
         if (!row) return;
 
-        const cells = row.getElementsByTagName('td');
+        const geneCell = row.querySelector('[data-field="gene"]');
+        const pubchemCell = row.querySelector('[data-field="pubchem"]');
         
-        // Update gene locus ID
-        cells[3].innerHTML = data.geneLocusId;
-        cells[3].className = data.geneLocusId === 'Not found' ? 
-            'px-6 py-4 whitespace-nowrap text-gray-500' :
-            'px-6 py-4 whitespace-nowrap text-blue-600';
+        // Update associated genes
+        this.renderGeneAssociations(geneCell, data.genes, data.nameMatch, metaboliteName);
 
         // Update PubChem ID
-        cells[4].innerHTML = data.pubchemId !== 'Not found' ? 
+        pubchemCell.innerHTML = data.pubchemId !== 'Not found' ? 
             `<a href="https://pubchem.ncbi.nlm.nih.gov/compound/${data.pubchemId}" 
                 target="_blank" 
                 class="text-blue-600 hover:text-blue-800">${data.pubchemId}</a>` :
             '<span class="text-gray-500">Not found</span>';
     }
 
+    // Associated genes as an expandable list: the first locus and a count in the summary, then one
+    // line per gene with its name, EC number, role, evidence and mapping table. A name that only
+    // matched after normalization notes the table name; low-confidence matches get accept/reject
+    // buttons. Built with DOM calls so that text from mapping files is never parsed as HTML
+    renderGeneAssociations(cell, genes, nameMatch, metaboliteName) {
+        cell.innerHTML = '';
+        if (genes.length === 0) {
+            cell.className = 'px-6 py-4 whitespace-nowrap text-gray-500';
+            cell.textContent = 'Not found';
+            return;
+        }
+
+        cell.className = 'px-6 py-4 text-blue-600';
+        if (nameMatch && nameMatch.method !== 'exact') {
+            const note = document.createElement('div');
+            const confidence = `${Math.round(nameMatch.confidence * 100)}%`;
+            note.className = `text-xs mb-1 ${nameMatch.needsReview ? 'text-amber-600' : 'text-gray-400'}`;
+            note.textContent = `${nameMatch.needsReview ? 'Review: ' : ''}matched as “${nameMatch.name}” ` +
+                `(${nameMatch.reviewed ? 'accepted' : `${nameMatch.method}, ${confidence}`})`;
+            if (nameMatch.needsReview) {
+                [['accept', 'Accept'], ['reject', 'Reject']].forEach(([decision, label]) => {
+                    const button = document.createElement('button');
+                    button.className = 'ml-2 underline hover:text-amber-800';
+                    button.dataset.nameReview = decision;
+                    button.dataset.metabolite = metaboliteName;
+                    button.textContent = label;
+                    note.appendChild(button);
+                });
+            }
+            cell.appendChild(note);
+        }
+
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer whitespace-nowrap';
+        summary.textContent = genes.length === 1 ? genes[0].geneLocusId : `${genes[0].geneLocusId} +${genes.length - 1} more`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'mt-1 space-y-1 text-xs text-gray-700';
+        genes.forEach(({ geneLocusId, geneName, ecNumber, role, evidence, source }) => {
+            const item = document.createElement('li');
+            const locus = document.createElement('span');
+            locus.className = 'font-medium text-blue-600';
+            locus.textContent = geneName ? `${geneLocusId} (${geneName})` : geneLocusId;
+            item.appendChild(locus);
+            const notes = [ecNumber && `EC ${ecNumber}`, role, evidence, source].filter(Boolean);
+            if (notes.length) {
+                const note = document.createElement('span');
+                note.className = 'block text-gray-400';
+                note.textContent = notes.join(' · ');
+                item.appendChild(note);
+            }
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+        cell.appendChild(details);
+    }
+
+    async reviewNameMatch(metaboliteName, accepted) {
+        MetaboliteMapper.reviewNameMatch(metaboliteName, accepted);
+        const annotation = this.annotations.get(metaboliteName);
+        if (!annotation) return;
+
+        annotation.nameMatch = MetaboliteMapper.resolveName(metaboliteName);
+        annotation.genes = await MetaboliteMapper.getGeneAssociations(metaboliteName);
+        this.showAnnotation(metaboliteName);
+        if (!accepted) {
+            NetworkVisualizer.removeMetabolite(metaboliteName);
+        }
+    }
+
     updateCompoundInfo(compoundName, data) {
         const row = document.getElementById(`row-${compoundName.replace(/\s+/g, '-')}`);
         if (!row) return;
@@ -178,114 +1550,33 @@ class GCMSAnalyzer {
     }
 
     updateVisualizations(data) {
-        // Update chromatogram
-        this.updateChromatogramChart(data.chromatogramData);
+        // Update chromatogram; clicking a point shows its spectrum
+        ChromatogramAnalyzer.updateChromatogram(data.chromatogramData);
         
         // Update mass spectra
-        this.updateMassSpectraChart(data.massSpectraData);
+        ChromatogramAnalyzer.updateMassSpectra(data.massSpectraData);
         
         // Initialize or update pathway visualization
         this.initializePathwayVisualization();
     }
 
-    updateChromatogramChart(data) {
-        const ctx = document.getElementById('chromatogramChart').getContext('2d');
-        
-        if (this.chromatogramChart) {
-            this.chromatogramChart.destroy();
-        }
-
-        this.chromatogramChart = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: data.times,
-                datasets: [{
-                    label: 'Intensity',
-                    data: data.intensities,
-                    borderColor: '#3B82F6',
-                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                    tension: 0.4
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Chromatogram'
-                    },
-                    tooltip: {
-                        mode: 'index',
-                        intersect: false
-                    }
-                },
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Retention Time (min)'
-                        }
-                    },
-                    y: {
-                        title: {
-                            display: true,
-                            text: 'Intensity'
-                        },
-                        beginAtZero: true
-                    }
-                }
-            }
-        });
-    }
+    async applyTraceMode() {
+        const mode = document.getElementById('traceModeSelect').value;
+        const mzValues = document.getElementById('xicMzInput').value
+            .split(/[,;\s]+/)
+            .map(value => parseFloat(value))
+            .filter(value => !isNaN(value));
+        // 0 is a valid tolerance (exact m/z); only an empty or invalid entry falls back to 0.5
+        const enteredTolerance = parseFloat(document.getElementById('xicToleranceInput').value);
+        const tolerance = Number.isFinite(enteredTolerance) && enteredTolerance >= 0 ? enteredTolerance : 0.5;
 
-    updateMassSpectraChart(data) {
-        const ctx = document.getElementById('massSpectraChart').getContext('2d');
-        
-        if (this.massSpectraChart) {
-            this.massSpectraChart.destroy();
-        }
-
-        this.massSpectraChart = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: data.mzValues,
-                datasets: [{
-                    label: 'Intensity',
-                    data: data.intensities,
-                    backgroundColor: '#3B82F6'
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Mass Spectra'
-                    },
-                    tooltip: {
-                        mode: 'index',
-                        intersect: false
-                    }
-                },
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'm/z'
-                        }
-                    },
-                    y: {
-                        title: {
-                            display: true,
-                            text: 'Intensity'
-                        },
-                        beginAtZero: true
-                    }
-                }
-            }
-        });
+        try {
+            ChromatogramAnalyzer.setTraceMode({ mode, mzValues, tolerance });
+            this.syncActiveSample();
+            await this.updateResults();
+        } catch (error) {
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
     }
 
     initializePathwayVisualization() {
@@ -294,6 +1585,12 @@ class GCMSAnalyzer {
         }
     }
 
+    // For text from files placed in HTML templates, including attribute values
+    escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text ?? '').replace(/[&<>"']/g, character => entities[character]);
+    }
+
     showStatus(message, type = 'info') {
         const statusClasses = {
             info: 'bg-blue-100 text-blue-700 border-blue-500',
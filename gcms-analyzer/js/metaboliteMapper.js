@@ -1,177 +1,436 @@
 // Metabolite to gene locus mapping module
 class MetaboliteMapper {
-    // Cache for mapping results
+    // Loaded mapping tables: { name, format, source, organisms, associations: [{ key, metabolite, geneLocusId,
+    // geneName, ecNumber, role, evidence, organism, source }] }
+    static databases = [];
+
+    // KEGG compound names by compound ID, from `kegg list compound` exports
+    static keggCompounds = new Map();
+
+    // Organism whose associations are used; null until a table is loaded
+    static activeOrganism = null;
+
+    // Manual decisions on name matches: metabolite name -> { match, accepted }
+    static nameReviews = new Map();
+
+    // Column aliases for tabular mapping exports (compared like FileHandler.findColumn)
+    static COLUMNS = {
+        metabolite: ['metabolite', 'compound', 'compoundname', 'compounds', 'name', 'keggid', 'compoundid'],
+        gene: ['genelocusid', 'locus', 'locusid', 'locustag', 'gene', 'genes', 'geneid', 'genesofareaction', 'orderedlocusname'],
+        geneName: ['genename', 'genenames', 'symbol', 'genesymbol', 'commonname'],
+        ecNumber: ['ec', 'ecnumber', 'ecnumbers', 'ec-number', 'ec-numbers', 'ec#'],
+        role: ['role', 'relation', 'participation', 'side'],
+        evidence: ['evidence', 'evidencecode', 'reference', 'pmid'],
+        organism: ['organism', 'species', 'org', 'taxon'],
+        source: ['source', 'database', 'db']
+    };
+
+    // How a metabolite takes part in the gene product's reaction, with the export terms read as each
+    static ROLES = {
+        substrate: ['substrate', 'reactant', 'consumed', 'left', 'input'],
+        product: ['product', 'produced', 'right', 'output'],
+        regulator: ['regulator', 'inhibitor', 'activator', 'effector', 'cofactor']
+    };
+
+    // Cache for mapping results and name resolutions, per organism and name
     static #mappingCache = new Map();
+    static #resolutionCache = new Map();
+
+    // Names that can be matched for the active organism, each with the association keys it stands for
+    static #candidates = null;
+    static #candidateNames = null;
+
+    /**
+     * Load a metabolite → gene mapping table and add it to the databases
+     * Accepted formats: TSV/CSV with metabolite, gene and organism columns (KEGG, MetaCyc/BioCyc
+     * SmartTable or curated exports), KEGG `link` (cpd:C00031 <tab> eco:b2388) and `list compound`
+     * files, and JSON ({ organism, source, mappings: { name: gene(s) } } or an array of rows)
+     * @param {File} file - Mapping table
+     * @param {string} organism - Organism for tables without an organism column
+     * @returns {Promise<Object>} - The loaded database
+     */
+    static async loadFile(file, organism = '') {
+        const text = (await file.text()).replace(/^\uFEFF/, '');
+        const name = file.name;
+        let database;
+        if (name.toLowerCase().endsWith('.json')) {
+            database = this.parseJSON(JSON.parse(text), name, organism);
+        } else if (/^(cpd:)?C\d{5}\t|^[a-z]{3,4}:\S+\tcpd:C\d{5}/.test(text)) {
+            database = this.parseKEGG(text, name);
+        } else {
+            database = this.parseTable(text, name, organism);
+        }
+
+        if (database.format === 'KEGG compounds') {
+            window.dispatchEvent(new CustomEvent('gene-mapping-loaded', { detail: { database } }));
+            return database;
+        }
+        if (database.associations.length === 0) {
+            throw new Error(`No metabolite–gene associations found in ${name}.`);
+        }
+        database.organisms = Array.from(new Set(database.associations.map(association => association.organism))).sort();
+        this.databases.push(database);
+        if (!this.activeOrganism || !this.getOrganisms().includes(this.activeOrganism)) {
+            this.activeOrganism = database.organisms[0];
+        }
+        this.clearCache();
+
+        window.dispatchEvent(new CustomEvent('gene-mapping-loaded', { detail: { database } }));
+        return database;
+    }
+
+    /**
+     * Parse a TSV/CSV mapping table with a header row
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used as the source when there is no source column
+     * @param {string} organism - Organism for tables without an organism column
+     * @returns {Object} - Database
+     */
+    static parseTable(text, fileName, organism = '') {
+        const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+        const headers = meta.fields || [];
+        const columns = Object.fromEntries(Object.entries(this.COLUMNS)
+            .map(([field, aliases]) => [field, FileHandler.findColumn(headers, aliases)]));
+        if (!columns.metabolite || !columns.gene) {
+            throw new Error(`${fileName} needs a metabolite (or compound) column and a gene (or locus) column.`);
+        }
+        if (!columns.organism && !organism.trim()) {
+            throw new Error(`${fileName} has no organism column; enter the organism before loading it.`);
+        }
+
+        const isBioCyc = headers.some(header => /genes of a reaction/i.test(header));
+        const source = isBioCyc ? `MetaCyc/BioCyc (${fileName})` : fileName;
+        const cell = (row, field) => (columns[field] ? String(row[columns[field]] ?? '').trim() : '');
+        const list = value => value.split(/\s*(?:\/\/|;|,)\s*/).map(item => item.trim()).filter(Boolean);
+        const associations = [];
+        data.forEach(row => {
+            const metabolite = this.#cleanName(row[columns.metabolite]);
+            if (!metabolite) return;
+            // BioCyc exports list several genes in one cell separated by "//", with their names
+            // and EC numbers in the same order when there is one per gene
+            const genes = list(cell(row, 'gene'));
+            const names = list(this.#cleanName(cell(row, 'geneName')));
+            const ecNumbers = list(cell(row, 'ecNumber'));
+            genes.forEach((gene, index) => {
+                associations.push(this.#association(metabolite, gene, {
+                    geneName: names.length === genes.length ? names[index] : (genes.length === 1 ? names.join(', ') : null),
+                    ecNumber: ecNumbers.length === genes.length ? ecNumbers[index] : ecNumbers.join(', '),
+                    role: cell(row, 'role'),
+                    evidence: cell(row, 'evidence'),
+                    organism: cell(row, 'organism') || organism,
+                    source: cell(row, 'source') || source
+                }));
+            });
+        });
+        return { name: fileName, format: isBioCyc ? 'MetaCyc/BioCyc' : 'Table', source, associations };
+    }
+
+    /**
+     * Parse a KEGG REST export: `link` files pair compounds with organism genes, `list compound`
+     * files name the compounds (several names separated by semicolons)
+     * @param {string} text - File contents
+     * @param {string} fileName - File name
+     * @returns {Object} - Database
+     */
+    static parseKEGG(text, fileName) {
+        const lines = text.split(/\r?\n/).map(line => line.split('\t')).filter(fields => fields.length >= 2);
+        const source = `KEGG (${fileName})`;
+        if (lines.every(fields => !fields.some(field => this.#keggGene(field)))) {
+            // The names of a compound entry are synonyms of each other for name resolution
+            lines.forEach(([id, names]) => {
+                const compoundNames = names.split(';').map(name => name.trim()).filter(Boolean);
+                this.keggCompounds.set(this.#keggId(id), compoundNames);
+                NameResolver.addSynonyms(compoundNames);
+            });
+            this.clearCache();
+            return { name: fileName, format: 'KEGG compounds', source, associations: [], compounds: lines.length };
+        }
+
+        // Link files may list the compound or the gene first
+        const associations = lines.flatMap(fields => {
+            const compound = fields.map(field => this.#keggId(field)).find(Boolean);
+            const gene = fields.map(field => this.#keggGene(field)).find(Boolean);
+            return compound && gene ?
+                [this.#association(compound, gene.locus, { organism: gene.organism, evidence: 'KEGG', source })] :
+                [];
+        });
+        return { name: fileName, format: 'KEGG', source, associations };
+    }
+
+    /**
+     * Parse a JSON mapping export
+     * @param {Object|Array} json - { organism, source, mappings } or an array of rows
+     * @param {string} fileName - File name
+     * @param {string} organism - Organism for rows without one
+     * @returns {Object} - Database
+     */
+    static parseJSON(json, fileName, organism = '') {
+        const source = (!Array.isArray(json) && json.source) || fileName;
+        const defaultOrganism = (!Array.isArray(json) && json.organism) || organism;
+        const mappings = Array.isArray(json) ? json : json.mappings;
+        const rows = Array.isArray(mappings) ? mappings :
+            Object.entries(mappings || {}).map(([metabolite, genes]) => ({ metabolite, genes }));
+
+        const associations = rows.flatMap(row => {
+            const metabolite = this.#cleanName(row.metabolite ?? row.compound ?? row.name);
+            const organismName = String(row.organism ?? defaultOrganism ?? '').trim();
+            if (!metabolite) return [];
+            if (!organismName) {
+                throw new Error(`${fileName} has no organism for ${metabolite}; enter the organism before loading it.`);
+            }
+            // A gene is a locus string or an object with its own name, EC number, role and evidence
+            const genes = [row.genes ?? row.gene ?? row.locus ?? row.geneLocusId].flat().filter(Boolean)
+                .map(gene => (typeof gene === 'object' ? gene : { locus: gene }))
+                .filter(gene => gene.locus ?? gene.gene ?? gene.geneLocusId);
+            return genes.map(gene => this.#association(metabolite, gene.locus ?? gene.gene ?? gene.geneLocusId, {
+                geneName: gene.geneName ?? gene.symbol ?? row.geneName,
+                ecNumber: gene.ecNumber ?? gene.ec ?? row.ecNumber ?? row.ec,
+                role: gene.role ?? row.role,
+                evidence: gene.evidence ?? row.evidence,
+                organism: organismName,
+                source: gene.source || row.source || source
+            }));
+        });
+        return { name: fileName, format: 'JSON', source, associations };
+    }
+
+    /**
+     * Organisms with at least one loaded association
+     * @returns {Array<string>} - Organism names, sorted
+     */
+    static getOrganisms() {
+        return Array.from(new Set(this.databases.flatMap(database => database.organisms))).sort();
+    }
+
+    /**
+     * Choose the organism whose associations are used for mapping
+     * @param {string} organism - Organism name
+     */
+    static setOrganism(organism) {
+        if (!this.getOrganisms().includes(organism)) {
+            throw new Error(`No gene mappings loaded for ${organism}.`);
+        }
+        this.activeOrganism = organism;
+        this.clearCache();
+    }
+
+    /**
+     * Remove all loaded mapping tables
+     */
+    static clearDatabases() {
+        this.databases = [];
+        this.keggCompounds.clear();
+        this.activeOrganism = null;
+        this.clearCache();
+    }
+
+    /**
+     * Name used for matching: lower case, single spaces
+     * @param {string} name - Metabolite name
+     * @returns {string} - Normalized name
+     */
+    static normalizeName(name) {
+        return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Resolve a metabolite name to a name in the loaded tables of the active organism, allowing
+     * for case, Greek letters, stereo prefixes, derivatization tags, synonyms and small spelling
+     * differences (see NameResolver)
+     * @param {string} metaboliteName - Name of the metabolite
+     * @returns {Object|null} - { name, method, confidence, needsReview, reviewed }, null when nothing
+     *                          matches or the match was rejected
+     */
+    static resolveName(metaboliteName) {
+        const match = this.#resolve(metaboliteName);
+        const review = this.nameReviews.get(metaboliteName);
+        if (!match || !review || review.match !== match.name) {
+            return match && { ...match, reviewed: false };
+        }
+        return review.accepted ? { ...match, needsReview: false, reviewed: true } : null;
+    }
+
+    /**
+     * Accept or reject the current name match of a metabolite; the decision holds while the name
+     * resolves to the same candidate
+     * @param {string} metaboliteName - Name of the metabolite
+     * @param {boolean} accepted - True to keep the match, false to drop its associations
+     */
+    static reviewNameMatch(metaboliteName, accepted) {
+        const match = this.#resolve(metaboliteName);
+        if (!match) return;
+        this.nameReviews.set(metaboliteName, { match: match.name, accepted });
+        this.#mappingCache.clear();
+    }
 
     /**
-     * Map metabolite to gene locus ID
+     * Genes associated with a metabolite in the loaded tables of the active organism
      * @param {string} metaboliteName - Name of the metabolite
-     * @returns {Promise<string>} - Gene locus ID
+     * @returns {Promise<Array>} - Associations { geneLocusId, geneName, ecNumber, role, evidence, source },
+     *                             empty without a mapping
      */
-    static async mapToGeneLocusID(metaboliteName) {
+    static async getGeneAssociations(metaboliteName) {
         try {
             // Check cache first
-            if (this.#mappingCache.has(metaboliteName)) {
-                return this.#mappingCache.get(metaboliteName);
+            const cacheKey = `${this.activeOrganism}\u0000${metaboliteName}`;
+            if (this.#mappingCache.has(cacheKey)) {
+                return this.#mappingCache.get(cacheKey);
             }
 
-            // Simulate API call to metabolite database
-            // In a real application, this would be an actual API call
-            const geneLocusId = await this.#simulateMapping(metaboliteName);
-            
+            // The same locus and role listed by several tables is kept once, from the first table
+            const seen = new Set();
+            const associations = this.#findAssociations(metaboliteName)
+                .filter(({ geneLocusId, role }) => {
+                    const key = `${geneLocusId}\u0000${role}`;
+                    if (seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                })
+                .map(({ geneLocusId, geneName, ecNumber, role, evidence, source }) =>
+                    ({ geneLocusId, geneName, ecNumber, role, evidence, source }));
+
             // Cache the result
-            this.#mappingCache.set(metaboliteName, geneLocusId);
-            
-            return geneLocusId;
+            this.#mappingCache.set(cacheKey, associations);
+
+            return associations;
         } catch (error) {
             console.error('Error mapping metabolite:', error);
-            return 'Not found';
+            return [];
         }
     }
 
     /**
-     * Get pathway information for a metabolite
+     * Get pathway information for a metabolite from the loaded SBML and KGML models
      * @param {string} metaboliteName - Name of the metabolite
-     * @returns {Promise<Object>} - Pathway information
+     * @returns {Promise<Array>} - [{ pathway, speciesIds, reactions }] (see PathwayModels.getPathwaysFor)
      */
     static async getPathwayInformation(metaboliteName) {
         try {
-            // Simulate API call to pathway database
-            const pathwayInfo = await this.#simulatePathwayLookup(metaboliteName);
-            return pathwayInfo;
+            return PathwayModels.getPathwaysFor(metaboliteName);
         } catch (error) {
             console.error('Error getting pathway information:', error);
-            return null;
+            return [];
         }
     }
 
     /**
-     * Simulate metabolite to gene locus mapping
-     * @param {string} metaboliteName - Name of the metabolite
-     * @returns {Promise<string>} - Gene locus ID
-     */
-    static async #simulateMapping(metaboliteName) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        // Example mapping logic based on common metabolic pathways
-        const mappings = {
-            'Glucose': 'GLK1',
-            'Fructose': 'PFK1',
-            'Pyruvate': 'PDC1',
-            'Citrate': 'CIT1',
-            'Malate': 'MDH1',
-            'Lactate': 'LDH1',
-            'Succinate': 'SDH1',
-            'Fumarate': 'FUM1',
-            'Alpha-Ketoglutarate': 'KGD1',
-            'Oxaloacetate': 'OAA1',
-            'Alanine': 'ALT1',
-            'Glutamate': 'GDH1',
-            'Aspartate': 'ASP1',
-            'Glycine': 'GLY1',
-            'Serine': 'SER1'
-        };
+     * Clear the mapping cache
+     */
+    static clearCache() {
+        this.#mappingCache.clear();
+        this.#resolutionCache.clear();
+        this.#candidates = null;
+        this.#candidateNames = null;
+    }
 
-        return mappings[metaboliteName] || 'Not found';
+    /**
+     * Name match before manual review, cached per organism
+     * @param {string} metaboliteName - Name of the metabolite
+     * @returns {Object|null} - NameResolver match
+     */
+    static #resolve(metaboliteName) {
+        if (!this.activeOrganism) return null;
+        const cacheKey = `${this.activeOrganism}\u0000${metaboliteName}`;
+        if (!this.#resolutionCache.has(cacheKey)) {
+            this.#resolutionCache.set(cacheKey, NameResolver.resolve(metaboliteName, this.#getCandidateNames()));
+        }
+        return this.#resolutionCache.get(cacheKey);
     }
 
     /**
-     * Simulate pathway lookup
+     * Associations of the active organism for the name a metabolite resolves to
      * @param {string} metaboliteName - Name of the metabolite
-     * @returns {Promise<Object>} - Pathway information
-     */
-    static async #simulatePathwayLookup(metaboliteName) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        // Example pathway information based on common metabolic pathways
-        const pathways = {
-            'Glucose': {
-                metabolite: 'Glucose',
-                pathway: 'Glycolysis',
-                reactions: ['Glucose → Glucose-6P', 'Glucose-6P → Fructose-6P']
-            },
-            'Fructose': {
-                metabolite: 'Fructose',
-                pathway: 'Glycolysis',
-                reactions: ['Fructose → Fructose-6P', 'Fructose-6P → Fructose-1,6BP']
-            },
-            'Pyruvate': {
-                metabolite: 'Pyruvate',
-                pathway: 'TCA Cycle',
-                reactions: ['Pyruvate → Acetyl-CoA', 'Acetyl-CoA + Oxaloacetate → Citrate']
-            },
-            'Citrate': {
-                metabolite: 'Citrate',
-                pathway: 'TCA Cycle',
-                reactions: ['Citrate → Isocitrate', 'Isocitrate → α-Ketoglutarate']
-            },
-            'Malate': {
-                metabolite: 'Malate',
-                pathway: 'TCA Cycle',
-                reactions: ['Malate → Oxaloacetate', 'Oxaloacetate + Acetyl-CoA → Citrate']
-            },
-            'Lactate': {
-                metabolite: 'Lactate',
-                pathway: 'Fermentation',
-                reactions: ['Pyruvate → Lactate']
-            },
-            'Succinate': {
-                metabolite: 'Succinate',
-                pathway: 'TCA Cycle',
-                reactions: ['Succinate → Fumarate', 'Fumarate → Malate']
-            },
-            'Fumarate': {
-                metabolite: 'Fumarate',
-                pathway: 'TCA Cycle',
-                reactions: ['Fumarate → Malate', 'Malate → Oxaloacetate']
-            },
-            'Alpha-Ketoglutarate': {
-                metabolite: 'Alpha-Ketoglutarate',
-                pathway: 'TCA Cycle',
-                reactions: ['α-Ketoglutarate → Succinyl-CoA', 'Succinyl-CoA → Succinate']
-            },
-            'Oxaloacetate': {
-                metabolite: 'Oxaloacetate',
-                pathway: 'TCA Cycle',
-                reactions: ['Oxaloacetate + Acetyl-CoA → Citrate']
-            },
-            'Alanine': {
-                metabolite: 'Alanine',
-                pathway: 'Amino Acid Metabolism',
-                reactions: ['Pyruvate + Glutamate ↔ Alanine + α-Ketoglutarate']
-            },
-            'Glutamate': {
-                metabolite: 'Glutamate',
-                pathway: 'Amino Acid Metabolism',
-                reactions: ['α-Ketoglutarate + NH4+ ↔ Glutamate']
-            },
-            'Aspartate': {
-                metabolite: 'Aspartate',
-                pathway: 'Amino Acid Metabolism',
-                reactions: ['Oxaloacetate + Glutamate ↔ Aspartate + α-Ketoglutarate']
-            },
-            'Glycine': {
-                metabolite: 'Glycine',
-                pathway: 'Amino Acid Metabolism',
-                reactions: ['Serine → Glycine + CH2=THF']
-            },
-            'Serine': {
-                metabolite: 'Serine',
-                pathway: 'Amino Acid Metabolism',
-                reactions: ['3-Phosphoglycerate → 3-Phosphoserine → Serine']
-            }
+     * @returns {Array} - Associations in load order
+     */
+    static #findAssociations(metaboliteName) {
+        const match = this.resolveName(metaboliteName);
+        if (!match) return [];
+        const keys = this.#getCandidates().get(match.name);
+        return this.databases.flatMap(database => database.associations)
+            .filter(association => association.organism === this.activeOrganism && keys.has(association.key));
+    }
+
+    /**
+     * Candidate names as one array, so that NameResolver indexes them once
+     * @returns {Array<string>} - Names
+     */
+    static #getCandidateNames() {
+        if (!this.#candidateNames) {
+            this.#candidateNames = Array.from(this.#getCandidates().keys());
+        }
+        return this.#candidateNames;
+    }
+
+    /**
+     * Names of the active organism's associations; KEGG compound IDs also stand for their names
+     * @returns {Map} - Name -> Set of association keys
+     */
+    static #getCandidates() {
+        if (this.#candidates) return this.#candidates;
+        this.#candidates = new Map();
+        const add = (name, key) => {
+            if (!this.#candidates.has(name)) this.#candidates.set(name, new Set());
+            this.#candidates.get(name).add(key);
+        };
+        this.databases.flatMap(database => database.associations)
+            .filter(association => association.organism === this.activeOrganism)
+            .forEach(({ key, metabolite }) => {
+                add(metabolite, key);
+                (this.keggCompounds.get(key) || []).forEach(name => add(name, key));
+            });
+        return this.#candidates;
+    }
+
+    /**
+     * Association record with empty fields set to null and the role read into ROLES
+     * @param {string} metabolite - Metabolite name or KEGG compound ID
+     * @param {string} geneLocusId - Gene locus ID
+     * @param {Object} details - geneName, ecNumber, role, evidence, organism and source
+     * @returns {Object} - Association
+     */
+    static #association(metabolite, geneLocusId, { geneName, ecNumber, role, evidence, organism, source }) {
+        const text = value => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+        const roleText = String(role ?? '').trim().toLowerCase();
+        return {
+            key: this.#keggId(metabolite) || this.normalizeName(metabolite),
+            metabolite,
+            geneLocusId: String(geneLocusId).trim(),
+            geneName: text(geneName),
+            ecNumber: text(ecNumber) && text(ecNumber).replace(/^ec[:\s]*/i, ''),
+            role: Object.keys(this.ROLES).find(key => this.ROLES[key].includes(roleText)) || null,
+            evidence: text(evidence),
+            organism: String(organism ?? '').trim(),
+            source
         };
+    }
 
-        return pathways[metaboliteName] || null;
+    /**
+     * KEGG compound ID in a cell ("cpd:C00031" or "C00031"), or null
+     * @param {string} value - Cell value
+     * @returns {string|null} - Compound ID without prefix
+     */
+    static #keggId(value) {
+        const match = String(value ?? '').trim().match(/^(?:cpd:)?(C\d{5})$/);
+        return match ? match[1] : null;
     }
 
     /**
-     * Clear the mapping cache
+     * KEGG gene in a cell ("eco:b2388"), or null
+     * @param {string} value - Cell value
+     * @returns {Object|null} - { organism, locus }
      */
-    static clearCache() {
-        this.#mappingCache.clear();
+    static #keggGene(value) {
+        const match = String(value ?? '').trim().match(/^([a-z]{3,4}):(\S+)$/);
+        return match && match[1] !== 'cpd' ? { organism: match[1], locus: match[2] } : null;
+    }
+
+    /**
+     * Metabolite name from an export cell, without the HTML markup BioCyc puts in names
+     * @param {*} value - Cell value
+     * @returns {string} - Name, empty when missing
+     */
+    static #cleanName(value) {
+        return String(value ?? '').replace(/<[^>]*>/g, '').trim();
     }
 }
 
@@ -0,0 +1,429 @@
+// Missing value module: per-group presence filter and imputation of not-detected intensities
+class MissingValues {
+    static IMPUTATIONS = ['none', 'halfMinimum', 'knn', 'halfLod', 'randomForest'];
+    static PRESENCE_RULES = ['any', 'all'];
+
+    // Applied after the QualityControl corrections and before normalization
+    static settings = {
+        minPresent: 0,
+        presentIn: 'any',
+        imputation: 'none',
+        neighbours: 5,
+        detectionLimit: null
+    };
+
+    // Forest size, predictors per forest and stopping for the random forest imputation
+    static FOREST = {
+        trees: 10,
+        predictors: 25,
+        minLeaf: 3,
+        maxDepth: 10,
+        maxIterations: 5
+    };
+
+    /**
+     * Drop metabolites detected in too few samples, then impute the remaining missing values
+     * @param {Object} matrix - Matrix (missing intensities are null)
+     * @param {Object} settings - Missing value settings
+     * @returns {Object} - Matrix with the kept features, each with imputed flags per sample and
+     *                     imputedCount, warnings and a missingValues summary
+     */
+    static apply(matrix, settings = this.settings) {
+        if (!this.IMPUTATIONS.includes(settings.imputation)) {
+            throw new Error(`Unknown imputation: ${settings.imputation}`);
+        }
+        if (!this.PRESENCE_RULES.includes(settings.presentIn)) {
+            throw new Error(`Unknown presence rule: ${settings.presentIn}`);
+        }
+
+        const { samples } = matrix;
+        const warnings = [];
+        const groups = this.presenceGroups(samples);
+        const features = matrix.features.filter(feature =>
+            this.isPresentEnough(feature.intensities, groups, settings.minPresent, settings.presentIn));
+
+        const rows = features.map(feature => feature.intensities);
+        const missing = rows.reduce((sum, row) => sum + row.filter(value => value === null).length, 0);
+        let imputed = rows;
+        if (settings.imputation !== 'none' && missing > 0) {
+            imputed = this.impute(rows, settings);
+            const withoutLimit = settings.imputation === 'halfLod' && this.#detectionLimit(rows, settings) === null;
+            if (withoutLimit) {
+                warnings.push('No detection limit entered and no positive intensity to take it from; ' +
+                    'missing values were not imputed');
+            }
+            const unfilled = imputed.reduce((sum, row) => sum + row.filter(value => value === null).length, 0);
+            if (unfilled > 0 && !withoutLimit) {
+                warnings.push(`${unfilled} missing value${unfilled === 1 ? '' : 's'} could not be imputed ` +
+                    '(metabolites never detected)');
+            }
+        }
+
+        return {
+            samples,
+            warnings,
+            features: features.map((feature, i) => {
+                const flags = feature.intensities.map((value, column) => value === null && imputed[i][column] !== null);
+                return {
+                    ...feature,
+                    intensities: imputed[i],
+                    imputed: flags,
+                    imputedCount: flags.filter(Boolean).length
+                };
+            }),
+            missingValues: {
+                removed: matrix.features.length - features.length,
+                missing,
+                imputed: settings.imputation === 'none' ? 0 : missing -
+                    imputed.reduce((sum, row) => sum + row.filter(value => value === null).length, 0)
+            }
+        };
+    }
+
+    /**
+     * Sample columns the presence filter looks at, by group: study samples by their group
+     * (ungrouped ones together), or every non-blank run when there are no study samples
+     * @param {Array} samples - Samples
+     * @returns {Array} - Column index lists, one per group
+     */
+    static presenceGroups(samples) {
+        const study = samples.map((sample, column) => ({ sample, column }))
+            .filter(({ sample }) => sample.metadata.type === 'sample');
+        const runs = study.length > 0 ? study : samples.map((sample, column) => ({ sample, column }))
+            .filter(({ sample }) => sample.metadata.type !== 'blank');
+
+        const groups = new Map();
+        runs.forEach(({ sample, column }) => {
+            const group = study.length > 0 ? sample.metadata.group : '';
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(column);
+        });
+        return [...groups.values()];
+    }
+
+    /**
+     * Check whether a metabolite is detected in enough samples
+     * @param {Array} row - Intensities across samples
+     * @param {Array} groups - Column index lists from presenceGroups
+     * @param {number} minPresent - Required percentage of non-missing values
+     * @param {string} presentIn - any (in at least one group) or all (in every group)
+     * @returns {boolean} - True to keep the metabolite
+     */
+    static isPresentEnough(row, groups, minPresent, presentIn) {
+        if (!(minPresent > 0) || groups.length === 0) return true;
+        const passes = columns =>
+            columns.filter(column => row[column] !== null).length / columns.length * 100 >= minPresent;
+        return presentIn === 'all' ? groups.every(passes) : groups.some(passes);
+    }
+
+    /**
+     * Fill the missing values of a matrix
+     * @param {Array} rows - Feature rows (null for missing)
+     * @param {Object} settings - imputation, neighbours and detectionLimit
+     * @returns {Array} - Rows with imputed values; rows without any value stay missing
+     */
+    static impute(rows, settings) {
+        switch (settings.imputation) {
+            case 'none':
+                return rows;
+            case 'halfMinimum':
+                return rows.map(row => this.#fill(row, this.#halfMinimum(row)));
+            case 'halfLod': {
+                // Without a detection limit the values stay missing; apply reports it
+                const detectionLimit = this.#detectionLimit(rows, settings);
+                if (detectionLimit === null) return rows;
+                return rows.map(row => row.some(value => value !== null) ?
+                    this.#fill(row, detectionLimit / 2) : row);
+            }
+            case 'knn':
+                return this.imputeKnn(rows, settings.neighbours);
+            case 'randomForest':
+                return this.imputeRandomForest(rows);
+            default:
+                throw new Error(`Unknown imputation: ${settings.imputation}`);
+        }
+    }
+
+    /**
+     * k-nearest-neighbour imputation over metabolites (Troyanskaya et al., 2001): a missing value
+     * is the average of the k most similar metabolites detected in that sample, compared on
+     * standardized intensities; values with no usable neighbour fall back to half the minimum
+     * @param {Array} rows - Feature rows (null for missing)
+     * @param {number} k - Number of neighbours
+     * @returns {Array} - Imputed rows
+     */
+    static imputeKnn(rows, k) {
+        const moments = rows.map(row => {
+            const present = row.filter(value => value !== null);
+            const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+            const variance = present.length > 1 ?
+                present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (present.length - 1) : 0;
+            return { mean, sd: Math.sqrt(variance) || 1 };
+        });
+        const standardized = rows.map((row, i) =>
+            row.map(value => value === null ? null : (value - moments[i].mean) / moments[i].sd));
+
+        return rows.map((row, i) => {
+            if (!row.includes(null) || row.every(value => value === null)) return row;
+
+            // Mean squared difference over the samples both metabolites were detected in
+            const observed = row.filter(value => value !== null).length;
+            const neighbours = standardized
+                .map((other, j) => {
+                    if (j === i) return null;
+                    let sum = 0;
+                    let shared = 0;
+                    standardized[i].forEach((value, column) => {
+                        if (value === null || other[column] === null) return;
+                        sum += (value - other[column]) ** 2;
+                        shared++;
+                    });
+                    return shared >= Math.max(2, Math.ceil(observed / 2)) ? { j, distance: sum / shared } : null;
+                })
+                .filter(Boolean)
+                .sort((a, b) => a.distance - b.distance);
+
+            return row.map((value, column) => {
+                if (value !== null) return value;
+                const donors = neighbours.filter(({ j }) => standardized[j][column] !== null).slice(0, k);
+                if (donors.length === 0) return this.#halfMinimum(row);
+                const z = donors.reduce((sum, { j }) => sum + standardized[j][column], 0) / donors.length;
+                const estimate = moments[i].mean + z * moments[i].sd;
+                return estimate > 0 ? estimate : this.#halfMinimum(row);
+            });
+        });
+    }
+
+    /**
+     * Random forest imputation in the style of missForest (Stekhoven & Bühlmann, 2012): start from
+     * half-minimum values, then repeatedly predict each metabolite's missing values from the other
+     * metabolites with a regression forest trained on the samples where it was detected, until
+     * the imputed values stop converging; to stay interactive each forest only uses the
+     * FOREST.predictors metabolites that correlate best with the one imputed
+     * @param {Array} rows - Feature rows (null for missing)
+     * @returns {Array} - Imputed rows
+     */
+    static imputeRandomForest(rows) {
+        const random = this.#random(1);
+        const targets = rows
+            .map((row, i) => ({ i, missing: row.filter(value => value === null).length }))
+            .filter(({ i, missing }) => missing > 0 && missing < rows[i].length)
+            .sort((a, b) => a.missing - b.missing)
+            .map(({ i }) => i);
+        let current = rows.map(row => this.#fill(row, this.#halfMinimum(row)));
+        let previousChange = Infinity;
+
+        const complete = current.map((row, j) => row.includes(null) ? -1 : j).filter(j => j !== -1);
+        const predictorsOf = new Map(targets.map(i => [i, complete
+            .filter(j => j !== i)
+            .map(j => ({ j, r: Math.abs(this.#correlation(current[i], current[j])) || 0 }))
+            .sort((a, b) => b.r - a.r)
+            .slice(0, this.FOREST.predictors)
+            .map(({ j }) => j)]));
+
+        for (let iteration = 0; iteration < this.FOREST.maxIterations; iteration++) {
+            const next = current.map(row => [...row]);
+            targets.forEach(i => {
+                const predictors = predictorsOf.get(i);
+                if (predictors.length === 0) return;
+                const observed = rows[i].map((value, column) => value === null ? -1 : column).filter(column => column !== -1);
+                const forest = this.#growForest(next, predictors, observed, rows[i], random);
+                rows[i].forEach((value, column) => {
+                    if (value === null) next[i][column] = this.#predictForest(forest, next, column);
+                });
+            });
+
+            // Stop once the imputed values change more than in the previous round
+            let change = 0;
+            let total = 0;
+            targets.forEach(i => rows[i].forEach((value, column) => {
+                if (value !== null) return;
+                change += (next[i][column] - current[i][column]) ** 2;
+                total += next[i][column] ** 2;
+            }));
+            const relativeChange = total > 0 ? change / total : 0;
+            if (relativeChange > previousChange) break;
+            current = next;
+            if (relativeChange < 1e-3) break;
+            previousChange = relativeChange;
+        }
+        return current;
+    }
+
+    /**
+     * Describe the active filter and imputation, e.g. for table headers
+     * @returns {Array} - Short labels of the applied steps
+     */
+    static describe() {
+        const { minPresent, presentIn, imputation } = this.settings;
+        const labels = {
+            none: null,
+            halfMinimum: 'half-minimum imputed',
+            knn: 'kNN imputed',
+            halfLod: 'LOD/2 imputed',
+            randomForest: 'random forest imputed'
+        };
+        return [
+            minPresent > 0 ? `detected in ≥ ${minPresent}% of ${presentIn === 'all' ? 'every' : 'a'} group` : null,
+            labels[imputation]
+        ].filter(Boolean);
+    }
+
+    /**
+     * Bagged regression trees on random predictor subsets
+     * @param {Array} rows - Complete feature rows (predictors are rows, observations are columns)
+     * @param {Array} predictors - Row indices usable as predictors
+     * @param {Array} columns - Training columns
+     * @param {Array} target - Target row
+     * @param {Function} random - Random number generator
+     * @returns {Array} - Trees
+     */
+    static #growForest(rows, predictors, columns, target, random) {
+        const tries = Math.max(1, Math.floor(Math.sqrt(predictors.length)));
+        return Array.from({ length: this.FOREST.trees }, () => {
+            const sample = columns.map(() => columns[Math.floor(random() * columns.length)]);
+            return this.#growTree(rows, predictors, sample, target, tries, random, 0);
+        });
+    }
+
+    /**
+     * Grow one regression tree by least-squares splits
+     * @param {Array} rows - Complete feature rows
+     * @param {Array} predictors - Row indices usable as predictors
+     * @param {Array} columns - Columns (observations) in this node
+     * @param {Array} target - Target row
+     * @param {number} tries - Predictors tried per split
+     * @param {Function} random - Random number generator
+     * @param {number} depth - Node depth
+     * @returns {Object} - Leaf { value } or split { predictor, threshold, left, right }
+     */
+    static #growTree(rows, predictors, columns, target, tries, random, depth) {
+        const values = columns.map(column => target[column]);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const { minLeaf, maxDepth } = this.FOREST;
+        if (columns.length < 2 * minLeaf || depth >= maxDepth || values.every(value => value === values[0])) {
+            return { value: mean };
+        }
+
+        const total = mean * values.length;
+        let best = null;
+        for (let t = 0; t < tries; t++) {
+            const predictor = predictors[Math.floor(random() * predictors.length)];
+            const sorted = [...columns].sort((a, b) => rows[predictor][a] - rows[predictor][b]);
+            let leftSum = 0;
+            for (let k = 0; k < sorted.length - 1; k++) {
+                leftSum += target[sorted[k]];
+                const leftCount = k + 1;
+                const rightCount = sorted.length - leftCount;
+                if (leftCount < minLeaf || rightCount < minLeaf) continue;
+                const a = rows[predictor][sorted[k]];
+                const b = rows[predictor][sorted[k + 1]];
+                if (a === b) continue;
+
+                // Maximizing the between-node sum of squares minimizes the residual sum of squares
+                const gain = leftSum * leftSum / leftCount + (total - leftSum) ** 2 / rightCount;
+                if (!best || gain > best.gain) best = { gain, predictor, threshold: (a + b) / 2 };
+            }
+        }
+        if (!best) return { value: mean };
+
+        const left = columns.filter(column => rows[best.predictor][column] <= best.threshold);
+        const right = columns.filter(column => rows[best.predictor][column] > best.threshold);
+        return {
+            predictor: best.predictor,
+            threshold: best.threshold,
+            left: this.#growTree(rows, predictors, left, target, tries, random, depth + 1),
+            right: this.#growTree(rows, predictors, right, target, tries, random, depth + 1)
+        };
+    }
+
+    /**
+     * Average the trees' predictions for one column
+     * @param {Array} forest - Trees
+     * @param {Array} rows - Feature rows holding the predictor values
+     * @param {number} column - Column to predict
+     * @returns {number} - Prediction
+     */
+    static #predictForest(forest, rows, column) {
+        return forest.reduce((sum, tree) => {
+            let node = tree;
+            while (!('value' in node)) {
+                node = rows[node.predictor][column] <= node.threshold ? node.left : node.right;
+            }
+            return sum + node.value;
+        }, 0) / forest.length;
+    }
+
+    /**
+     * Pearson correlation of two complete rows
+     * @param {Array} a - Values
+     * @param {Array} b - Values
+     * @returns {number} - Correlation (NaN for a constant row)
+     */
+    static #correlation(a, b) {
+        const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+        let ab = 0, aa = 0, bb = 0;
+        a.forEach((value, i) => {
+            ab += (value - meanA) * (b[i] - meanB);
+            aa += (value - meanA) ** 2;
+            bb += (b[i] - meanB) ** 2;
+        });
+        return ab / Math.sqrt(aa * bb);
+    }
+
+    /**
+     * Half of the smallest positive value of a row
+     * @param {Array} row - Values, possibly null
+     * @returns {number|null} - Half minimum, or null when nothing was detected
+     */
+    static #halfMinimum(row) {
+        const present = row.filter(value => value > 0);
+        return present.length ? Math.min(...present) / 2 : null;
+    }
+
+    /**
+     * Detection limit for half-LOD imputation: the entered one, else the smallest positive intensity
+     * @param {Array} rows - Feature rows (null for missing)
+     * @param {Object} settings - Missing value settings
+     * @returns {number|null} - Detection limit, or null without any positive intensity
+     */
+    static #detectionLimit(rows, settings) {
+        if (settings.detectionLimit > 0) return settings.detectionLimit;
+        // A loop rather than Math.min(...values), which overflows the call stack on large matrices
+        let minimum = Infinity;
+        rows.forEach(row => row.forEach(value => {
+            if (value > 0 && value < minimum) minimum = value;
+        }));
+        return minimum < Infinity ? minimum : null;
+    }
+
+    /**
+     * Replace the missing values of a row
+     * @param {Array} row - Values, possibly null
+     * @param {number|null} value - Replacement
+     * @returns {Array} - Filled row
+     */
+    static #fill(row, value) {
+        return row.map(current => current === null ? value : current);
+    }
+
+    /**
+     * Seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - Seed
+     * @returns {Function} - Returns numbers in [0, 1)
+     */
+    static #random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Export the MissingValues class
+window.MissingValues = MissingValues;
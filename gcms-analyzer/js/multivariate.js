@@ -0,0 +1,659 @@
+// Multivariate analysis module: PCA and PLS-DA on the metabolite × sample matrix
+class Multivariate {
+    static METHODS = ['pca', 'plsda'];
+
+    // xComponent and yComponent are zero-based; folds and permutations apply to PLS-DA
+    static settings = {
+        method: 'pca',
+        components: 2,
+        xComponent: 0,
+        yComponent: 1,
+        folds: 7,
+        permutations: 100
+    };
+
+    // Components computed for the PCA explained variance plot
+    static SCREE_COMPONENTS = 10;
+
+    static result = null;
+    static selectedMetabolite = null;
+    static scoresChart = null;
+    static loadingsChart = null;
+    static detailChart = null;
+
+    /**
+     * Run the chosen method on a matrix and redraw the plots
+     * @param {Object} matrix - Matrix from Normalization.getMatrix
+     * @returns {Object|null} - PCA or PLS-DA result with the samples and features used, or null with too little data
+     */
+    static update(matrix) {
+        const { method } = this.settings;
+        if (!this.METHODS.includes(method)) {
+            throw new Error(`Unknown multivariate method: ${method}`);
+        }
+
+        const data = this.prepare(matrix, method);
+        this.result = null;
+        if (method === 'pca') {
+            if (data.samples.length >= 3 && data.features.length >= 2) {
+                const components = Math.max(this.settings.components, this.SCREE_COMPONENTS);
+                this.result = { ...data, method, ...this.pca(data.X, components) };
+            }
+        } else {
+            const labels = data.samples.map(sample => sample.metadata.group);
+            if (new Set(labels).size >= 2 && data.features.length >= 2) {
+                const model = this.plsda(data.X, labels, this.settings.components);
+                const validation = this.crossValidate(data.X, labels, this.settings.components, this.settings.folds);
+                this.result = { ...data, method, labels, ...model, validation, permutation: null };
+            }
+        }
+        this.render();
+        return this.result;
+    }
+
+    /**
+     * Select the samples and complete features to analyze
+     * @param {Object} matrix - Metabolite × sample matrix
+     * @param {string} method - pca (all samples but blanks and standards) or plsda (grouped samples of type Sample)
+     * @returns {Object} - samples, features, X (samples × features) and the number of features dropped
+     */
+    static prepare(matrix, method) {
+        const columns = matrix.samples
+            .map((sample, column) => ({ sample, column }))
+            .filter(({ sample }) => method === 'pca' ?
+                !['blank', 'standard'].includes(sample.metadata.type) :
+                sample.metadata.type === 'sample' && sample.metadata.group);
+
+        // Both methods need complete, varying features
+        const features = matrix.features.filter(feature => {
+            const values = columns.map(({ column }) => feature.intensities[column]);
+            return values.every(value => value !== null) && values.some(value => value !== values[0]);
+        });
+
+        return {
+            samples: columns.map(({ sample }) => sample),
+            features,
+            dropped: matrix.features.length - features.length,
+            X: columns.map(({ column }) => features.map(feature => feature.intensities[column]))
+        };
+    }
+
+    /**
+     * Principal component analysis by NIPALS on the mean-centered matrix
+     * @param {Array} X - Samples × features
+     * @param {number} components - Number of components
+     * @returns {Object} - scores (samples × components), loadings (features × components) and explained variance fractions
+     */
+    static pca(X, components) {
+        let { centered: residual } = this.#center(X);
+        const total = this.#sumOfSquares(residual);
+        const count = Math.min(components, X.length - 1, X[0].length);
+        const scores = X.map(() => []);
+        const loadings = X[0].map(() => []);
+        const explained = [];
+
+        for (let a = 0; a < count; a++) {
+            let t = this.#column(residual, this.#largestVarianceColumn(residual));
+            let p = null;
+            for (let iteration = 0; iteration < 500; iteration++) {
+                p = this.#normalize(this.#multiplyTransposed(residual, t));
+                const next = this.#multiply(residual, p);
+                const change = next.reduce((sum, value, i) => sum + (value - t[i]) ** 2, 0);
+                t = next;
+                if (change <= 1e-20 * this.#dot(t, t)) break;
+            }
+
+            // Fix the sign so the largest loading is positive and plots do not flip between runs
+            const largest = p.reduce((best, value) => Math.abs(value) > Math.abs(best) ? value : best, 0);
+            if (largest < 0) {
+                p = p.map(value => -value);
+                t = t.map(value => -value);
+            }
+
+            t.forEach((value, i) => scores[i].push(value));
+            p.forEach((value, j) => loadings[j].push(value));
+            explained.push(total > 0 ? this.#dot(t, t) / total : 0);
+            residual = residual.map((row, i) => row.map((value, j) => value - t[i] * p[j]));
+        }
+        return { scores, loadings, explained };
+    }
+
+    /**
+     * PLS-DA: PLS2 regression (NIPALS) of the mean-centered matrix on one-hot group membership
+     * @param {Array} X - Samples × features
+     * @param {Array} labels - Group of each sample
+     * @param {number} components - Number of components
+     * @returns {Object} - classes, scores, weights, loadings, yLoadings, means, r2x and r2y per component, and vip per feature
+     */
+    static plsda(X, labels, components) {
+        const classes = [...new Set(labels)];
+        const Y = labels.map(label => classes.map(group => group === label ? 1 : 0));
+        const { centered: xResidual, means: xMeans } = this.#center(X);
+        const { centered: yResidualStart, means: yMeans } = this.#center(Y);
+        let residualX = xResidual;
+        let residualY = yResidualStart;
+        const totalX = this.#sumOfSquares(residualX);
+        const totalY = this.#sumOfSquares(residualY);
+        const count = Math.min(components, X.length - 1, X[0].length);
+
+        const scores = X.map(() => []);
+        const weights = [];
+        const loadings = [];
+        const yLoadings = [];
+        const r2x = [];
+        const r2y = [];
+        for (let a = 0; a < count; a++) {
+            let u = this.#column(residualY, this.#largestVarianceColumn(residualY));
+            let t = null;
+            let w = null;
+            let q = null;
+            for (let iteration = 0; iteration < 500; iteration++) {
+                w = this.#normalize(this.#multiplyTransposed(residualX, u));
+                const next = this.#multiply(residualX, w);
+                const tt = this.#dot(next, next);
+                q = this.#multiplyTransposed(residualY, next).map(value => value / tt);
+                const qq = this.#dot(q, q);
+                u = this.#multiply(residualY, q).map(value => qq > 0 ? value / qq : 0);
+                const change = t ? next.reduce((sum, value, i) => sum + (value - t[i]) ** 2, 0) : Infinity;
+                t = next;
+                // A single response column converges in one step
+                if (change <= 1e-20 * tt || residualY[0].length === 1) break;
+            }
+
+            const tt = this.#dot(t, t);
+            const p = this.#multiplyTransposed(residualX, t).map(value => value / tt);
+            residualX = residualX.map((row, i) => row.map((value, j) => value - t[i] * p[j]));
+            residualY = residualY.map((row, i) => row.map((value, k) => value - t[i] * q[k]));
+
+            t.forEach((value, i) => scores[i].push(value));
+            weights.push(w);
+            loadings.push(p);
+            yLoadings.push(q);
+            r2x.push(totalX > 0 ? tt * this.#dot(p, p) / totalX : 0);
+            r2y.push(totalY > 0 ? tt * this.#dot(q, q) / totalY : 0);
+        }
+
+        // VIP: each feature's weights, weighted by the Y variance its component explains
+        const explainedY = r2y.reduce((sum, value) => sum + value, 0);
+        const vip = X[0].map((_, j) => Math.sqrt(X[0].length *
+            r2y.reduce((sum, value, a) => sum + value * weights[a][j] ** 2, 0) / (explainedY || 1)));
+
+        return {
+            classes,
+            scores,
+            weights,
+            loadings,
+            yLoadings,
+            xMeans,
+            yMeans,
+            r2x,
+            r2y,
+            vip
+        };
+    }
+
+    /**
+     * Predict group membership of one sample with a PLS-DA model
+     * @param {Object} model - Result of plsda
+     * @param {Array} x - Feature values of the sample
+     * @returns {Object} - y (predicted membership per class) and the predicted group
+     */
+    static predict(model, x) {
+        let residual = x.map((value, j) => value - model.xMeans[j]);
+        const y = [...model.yMeans];
+        model.weights.forEach((w, a) => {
+            const t = this.#dot(residual, w);
+            residual = residual.map((value, j) => value - t * model.loadings[a][j]);
+            model.yLoadings[a].forEach((q, k) => {
+                y[k] += t * q;
+            });
+        });
+        const best = y.indexOf(Math.max(...y));
+        return { y, group: model.classes[best] };
+    }
+
+    /**
+     * k-fold cross-validation of a PLS-DA model; folds are stratified by group
+     * @param {Array} X - Samples × features
+     * @param {Array} labels - Group of each sample
+     * @param {number} components - Number of components
+     * @param {number} folds - Number of folds (at most one sample per fold)
+     * @returns {Object} - q2 (1 - PRESS / SS of Y) and accuracy of the held-out predictions
+     */
+    static crossValidate(X, labels, components, folds) {
+        const classes = [...new Set(labels)];
+        const count = Math.max(2, Math.min(folds, X.length));
+        const order = X.map((_, i) => i).sort((a, b) =>
+            classes.indexOf(labels[a]) - classes.indexOf(labels[b]) || a - b);
+        const foldOf = new Array(X.length);
+        order.forEach((sampleIndex, position) => {
+            foldOf[sampleIndex] = position % count;
+        });
+
+        const Y = labels.map(label => classes.map(group => group === label ? 1 : 0));
+        const { centered } = this.#center(Y);
+        const totalY = this.#sumOfSquares(centered);
+        let press = 0;
+        let correct = 0;
+        let predicted = 0;
+        for (let fold = 0; fold < count; fold++) {
+            const train = X.map((_, i) => i).filter(i => foldOf[i] !== fold);
+            const test = X.map((_, i) => i).filter(i => foldOf[i] === fold);
+            // Every group must be in the training set for the model to predict it
+            if (test.length === 0 || new Set(train.map(i => labels[i])).size < classes.length) continue;
+
+            const model = this.plsda(train.map(i => X[i]), train.map(i => labels[i]), components);
+            test.forEach(i => {
+                const { y, group } = this.predict(model, X[i]);
+                const observed = classes.map(c => c === labels[i] ? 1 : 0);
+                press += model.classes.reduce((sum, c, k) => sum + (y[k] - observed[classes.indexOf(c)]) ** 2, 0);
+                correct += group === labels[i] ? 1 : 0;
+                predicted++;
+            });
+        }
+
+        return {
+            folds: count,
+            q2: predicted > 0 && totalY > 0 ? 1 - press / totalY : null,
+            accuracy: predicted > 0 ? correct / predicted : null
+        };
+    }
+
+    /**
+     * Permutation test: cross-validated Q² of models on shuffled group labels
+     * @param {Array} X - Samples × features
+     * @param {Array} labels - Group of each sample
+     * @param {Object} options - components, folds and permutations
+     * @returns {Object} - q2 of the real labels, permutedQ2 and pValue
+     */
+    static permutationTest(X, labels, { components, folds, permutations }) {
+        const { q2 } = this.crossValidate(X, labels, components, folds);
+        // Seeded so a repeated test gives the same answer
+        const random = this.#random(1);
+        const permutedQ2 = [];
+        for (let k = 0; k < permutations; k++) {
+            const shuffled = [...labels];
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            const permuted = this.crossValidate(X, shuffled, components, folds).q2;
+            permutedQ2.push(permuted === null ? -Infinity : permuted);
+        }
+
+        const asGood = permutedQ2.filter(value => q2 !== null && value >= q2).length;
+        return {
+            q2,
+            permutedQ2,
+            pValue: q2 === null ? null : (asGood + 1) / (permutations + 1)
+        };
+    }
+
+    /**
+     * Run the permutation test on the current PLS-DA model
+     * @returns {Object} - Result of permutationTest
+     */
+    static runPermutationTest() {
+        if (!this.result || this.result.method !== 'plsda') {
+            throw new Error('Fit a PLS-DA model first.');
+        }
+        this.result.permutation = this.permutationTest(this.result.X, this.result.labels, this.settings);
+        this.render();
+        return this.result.permutation;
+    }
+
+    /**
+     * Select a metabolite: ring its loading and tell the other views
+     * @param {string} name - Metabolite name
+     */
+    static select(name) {
+        this.selectedMetabolite = name;
+        this.render();
+        window.dispatchEvent(new CustomEvent('metabolite-selected', {
+            detail: { name, source: 'loadings' }
+        }));
+    }
+
+    /**
+     * Draw the scores, loadings and detail (explained variance or VIP) plots and the summary
+     */
+    static render() {
+        this.#destroyCharts();
+        const summary = document.getElementById('multivariateSummary');
+        if (summary) summary.innerHTML = this.#summary();
+        if (!this.result) return;
+
+        const { method, samples, features, scores } = this.result;
+        const count = scores[0].length;
+        const x = Math.min(this.settings.xComponent, count - 1);
+        const y = Math.min(this.settings.yComponent, count - 1);
+        const axisLabel = a => method === 'pca' ?
+            `PC${a + 1} (${(this.result.explained[a] * 100).toFixed(1)}%)` :
+            `t${a + 1} (R²X ${(this.result.r2x[a] * 100).toFixed(1)}%)`;
+        const axes = (xTitle, yTitle) => ({
+            x: { type: 'linear', title: { display: true, text: xTitle } },
+            y: { type: 'linear', title: { display: true, text: yTitle } }
+        });
+
+        // Scores: one dataset per group; QCs get their own color
+        const groupOf = sample => sample.metadata.type === 'qc' ? 'QC' : sample.metadata.group || 'Ungrouped';
+        const groups = [...new Set(samples.map(groupOf))];
+        const scoresCanvas = document.getElementById('scoresChart');
+        if (scoresCanvas) {
+            this.scoresChart = new Chart(scoresCanvas.getContext('2d'), {
+                type: 'scatter',
+                data: {
+                    datasets: groups.map((group, g) => ({
+                        label: group,
+                        data: samples
+                            .map((sample, i) => ({ sample, i }))
+                            .filter(({ sample }) => groupOf(sample) === group)
+                            .map(({ sample, i }) => ({ x: scores[i][x], y: scores[i][y], id: sample.id })),
+                        backgroundColor: group === 'QC' ? '#6B7280' :
+                            ChromatogramAnalyzer.TRACE_COLORS[g % ChromatogramAnalyzer.TRACE_COLORS.length],
+                        pointStyle: group === 'QC' ? 'rectRot' : 'circle',
+                        pointRadius: 6
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    plugins: {
+                        title: { display: true, text: `${method === 'pca' ? 'PCA' : 'PLS-DA'} Scores` },
+                        tooltip: { callbacks: { label: (context) => `${context.raw.id} (${context.dataset.label})` } }
+                    },
+                    scales: axes(axisLabel(x), axisLabel(y))
+                }
+            });
+        }
+
+        // Loadings (PCA) or weights (PLS-DA); clicking one selects the metabolite
+        const vectors = method === 'pca' ?
+            this.result.loadings :
+            features.map((_, j) => this.result.weights.map(w => w[j]));
+        const loadingsCanvas = document.getElementById('loadingsChart');
+        if (loadingsCanvas) {
+            const points = features.map((feature, j) => ({ x: vectors[j][x], y: vectors[j][y], name: feature.name }));
+            this.loadingsChart = new Chart(loadingsCanvas.getContext('2d'), {
+                type: 'scatter',
+                data: {
+                    datasets: [
+                        {
+                            label: 'Selected',
+                            data: points.filter(point => point.name === this.selectedMetabolite),
+                            backgroundColor: 'rgba(0, 0, 0, 0)',
+                            borderColor: '#111827',
+                            borderWidth: 2,
+                            pointRadius: 9
+                        },
+                        {
+                            label: 'Metabolites',
+                            data: points,
+                            backgroundColor: '#10B981',
+                            pointRadius: 4
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    onClick: (event, elements, chart) => {
+                        if (elements.length === 0) return;
+                        const { datasetIndex, index } = elements[0];
+                        this.select(chart.data.datasets[datasetIndex].data[index].name);
+                    },
+                    plugins: {
+                        title: { display: true, text: `${method === 'pca' ? 'Loadings' : 'Weights'} (click to show a metabolite)` },
+                        legend: { display: false },
+                        tooltip: { callbacks: { label: (context) => context.raw.name } }
+                    },
+                    scales: axes(
+                        method === 'pca' ? `p${x + 1}` : `w${x + 1}`,
+                        method === 'pca' ? `p${y + 1}` : `w${y + 1}`
+                    )
+                }
+            });
+        }
+
+        const detailCanvas = document.getElementById('multivariateDetailChart');
+        if (detailCanvas) {
+            this.detailChart = new Chart(detailCanvas.getContext('2d'),
+                method === 'pca' ? this.#screeConfig() : this.#vipConfig());
+        }
+    }
+
+    /**
+     * Forget the results and the plots
+     */
+    static clear() {
+        this.result = null;
+        this.selectedMetabolite = null;
+        this.#destroyCharts();
+    }
+
+    /**
+     * Chart.js configuration of the PCA explained variance plot
+     * @returns {Object} - Chart configuration
+     */
+    static #screeConfig() {
+        const { explained } = this.result;
+        let cumulative = 0;
+        return {
+            type: 'bar',
+            data: {
+                labels: explained.map((_, a) => `PC${a + 1}`),
+                datasets: [
+                    {
+                        label: 'Explained variance (%)',
+                        data: explained.map(value => value * 100),
+                        backgroundColor: '#3B82F6'
+                    },
+                    {
+                        label: 'Cumulative (%)',
+                        type: 'line',
+                        data: explained.map(value => (cumulative += value) * 100),
+                        borderColor: '#EF4444',
+                        pointRadius: 3
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: { title: { display: true, text: 'Explained Variance' } },
+                scales: { y: { beginAtZero: true, max: 100, title: { display: true, text: '%' } } }
+            }
+        };
+    }
+
+    /**
+     * Chart.js configuration of the PLS-DA VIP plot (top 20 metabolites)
+     * @returns {Object} - Chart configuration
+     */
+    static #vipConfig() {
+        const ranked = this.result.features
+            .map((feature, j) => ({ name: feature.name, vip: this.result.vip[j] }))
+            .sort((a, b) => b.vip - a.vip)
+            .slice(0, 20);
+        return {
+            type: 'bar',
+            data: {
+                labels: ranked.map(item => item.name),
+                datasets: [{
+                    label: 'VIP',
+                    data: ranked.map(item => item.vip),
+                    backgroundColor: ranked.map(item => item.vip >= 1 ? '#EF4444' : '#9CA3AF')
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                onClick: (event, elements) => {
+                    if (elements.length) this.select(ranked[elements[0].index].name);
+                },
+                plugins: {
+                    title: { display: true, text: 'VIP Scores (VIP ≥ 1 in red)' },
+                    legend: { display: false }
+                },
+                scales: { x: { beginAtZero: true, title: { display: true, text: 'VIP' } } }
+            }
+        };
+    }
+
+    /**
+     * HTML summary of the current result
+     * @returns {string} - Summary
+     */
+    static #summary() {
+        if (!this.result) {
+            return this.settings.method === 'pca' ?
+                'PCA needs at least three samples with two complete metabolites.' :
+                'PLS-DA needs samples of type Sample in at least two groups.';
+        }
+
+        const { method, samples, features, dropped } = this.result;
+        const parts = [`${samples.length} samples, ${features.length} metabolites` +
+            (dropped ? ` (${dropped} with missing or constant values left out)` : '')];
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        if (method === 'plsda') {
+            const { r2x, r2y, validation, permutation } = this.result;
+            const sum = values => values.reduce((total, value) => total + value, 0);
+            parts.push(`R²X ${percent(sum(r2x))}, R²Y ${percent(sum(r2y))}`);
+            parts.push(validation.q2 === null ? 'Q² not available' :
+                `Q² ${validation.q2.toFixed(3)}, accuracy ${percent(validation.accuracy)} (${validation.folds}-fold cross-validation)`);
+            if (permutation) {
+                const best = Math.max(...permutation.permutedQ2);
+                parts.push(`Permutation test: p = ${permutation.pValue === null ? '—' : permutation.pValue.toFixed(3)} ` +
+                    `(${permutation.permutedQ2.length} permutations, best permuted Q² ${isFinite(best) ? best.toFixed(3) : '—'})`);
+            }
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Destroy the plots
+     */
+    static #destroyCharts() {
+        ['scoresChart', 'loadingsChart', 'detailChart'].forEach(key => {
+            if (this[key]) {
+                this[key].destroy();
+                this[key] = null;
+            }
+        });
+    }
+
+    /**
+     * Mean-center the columns of a matrix
+     * @param {Array} X - Rows × columns
+     * @returns {Object} - centered matrix and column means
+     */
+    static #center(X) {
+        const means = X[0].map((_, j) => X.reduce((sum, row) => sum + row[j], 0) / X.length);
+        return { centered: X.map(row => row.map((value, j) => value - means[j])), means };
+    }
+
+    /**
+     * Index of the column with the largest sum of squares
+     * @param {Array} X - Centered matrix
+     * @returns {number} - Column index
+     */
+    static #largestVarianceColumn(X) {
+        let best = 0;
+        let bestSum = -1;
+        X[0].forEach((_, j) => {
+            const sum = X.reduce((total, row) => total + row[j] * row[j], 0);
+            if (sum > bestSum) {
+                best = j;
+                bestSum = sum;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * One column of a matrix
+     * @param {Array} X - Matrix
+     * @param {number} j - Column index
+     * @returns {Array} - Column values
+     */
+    static #column(X, j) {
+        return X.map(row => row[j]);
+    }
+
+    /**
+     * Matrix times vector
+     * @param {Array} X - Rows × columns
+     * @param {Array} v - One value per column
+     * @returns {Array} - One value per row
+     */
+    static #multiply(X, v) {
+        return X.map(row => this.#dot(row, v));
+    }
+
+    /**
+     * Transposed matrix times vector
+     * @param {Array} X - Rows × columns
+     * @param {Array} v - One value per row
+     * @returns {Array} - One value per column
+     */
+    static #multiplyTransposed(X, v) {
+        const result = new Array(X[0].length).fill(0);
+        X.forEach((row, i) => row.forEach((value, j) => {
+            result[j] += value * v[i];
+        }));
+        return result;
+    }
+
+    /**
+     * Dot product
+     * @param {Array} a - Vector
+     * @param {Array} b - Vector
+     * @returns {number} - a · b
+     */
+    static #dot(a, b) {
+        return a.reduce((sum, value, i) => sum + value * b[i], 0);
+    }
+
+    /**
+     * Scale a vector to unit length
+     * @param {Array} v - Vector
+     * @returns {Array} - Unit vector (the zero vector stays zero)
+     */
+    static #normalize(v) {
+        const length = Math.sqrt(this.#dot(v, v));
+        return length > 0 ? v.map(value => value / length) : v;
+    }
+
+    /**
+     * Sum of squares of all matrix values
+     * @param {Array} X - Matrix
+     * @returns {number} - Sum of squares
+     */
+    static #sumOfSquares(X) {
+        return X.reduce((sum, row) => sum + this.#dot(row, row), 0);
+    }
+
+    /**
+     * Seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - Seed
+     * @returns {Function} - Returns numbers in [0, 1)
+     */
+    static #random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Export the Multivariate class
+window.Multivariate = Multivariate;
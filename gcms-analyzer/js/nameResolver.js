@@ -0,0 +1,263 @@
+// Metabolite name resolution module (normalization, synonyms, fuzzy matching)
+class NameResolver {
+    // Greek letters written out, so that "α-KG" and "alpha-KG" compare equal
+    static GREEK_LETTERS = {
+        'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'epsilon',
+        'ζ': 'zeta', 'η': 'eta', 'θ': 'theta', 'κ': 'kappa', 'λ': 'lambda',
+        'μ': 'mu', 'ξ': 'xi', 'π': 'pi', 'σ': 'sigma', 'τ': 'tau', 'φ': 'phi',
+        'χ': 'chi', 'ψ': 'psi', 'ω': 'omega'
+    };
+
+    // GC derivatization tags as they appear in NIST/AMDIS names: "Glucose, 5TMS", "Alanine (2TBDMS)",
+    // "Fructose MeOX isomer 1", "Glycine, N,O-bis(trimethylsilyl)-", "2,3,4,5,6-pentakis-O-(trimethylsilyl)-,
+    // o-methyloxime"; also isomer/by-product suffixes
+    static DERIVATIZATION_PATTERNS = [
+        /\b(?:[nos]-)?\d*\s*(?:tms|tbdms|tbs|meox|mox|methoxime|methyloxime)\b(?:\s*(?:derivative|ether|ester))?/g,
+        /(?:\b\d+(?:,\d+)*-)?\b(?:[nos](?:,[nos])*-)?(?:bis|tris|tetrakis|pentakis|hexakis)?-?(?:[nos](?:,[nos])*-)?\(?(?:trimethylsilyl|tert-butyldimethylsilyl)\)?-?(?:\s*(?:derivative|ether|ester))?/g,
+        /\b(?:isomer|peak)\s*\d+\b/g,
+        /\bbp\b/g
+    ];
+
+    // Names of one compound, first the preferred one; loaded tables can add more groups
+    static SYNONYMS = [
+        ['2-oxoglutarate', 'alpha-ketoglutarate', 'α-KG', 'AKG', '2-ketoglutarate', 'oxoglutarate', '2-OG', 'alpha-oxoglutarate'],
+        ['pyruvate', '2-oxopropanoate', 'alpha-ketopropionate'],
+        ['lactate', '2-hydroxypropanoate', 'milk acid'],
+        ['glucose', 'dextrose', 'grape sugar'],
+        ['fructose', 'levulose', 'fruit sugar'],
+        ['sucrose', 'saccharose'],
+        ['citrate', '2-hydroxypropane-1,2,3-tricarboxylate'],
+        ['isocitrate', 'threo-Ds-isocitrate'],
+        ['succinate', 'butanedioate', 'amber acid'],
+        ['fumarate', 'trans-butenedioate'],
+        ['maleate', 'cis-butenedioate'],
+        ['malate', '2-hydroxybutanedioate', 'hydroxysuccinate'],
+        ['oxaloacetate', 'oxalacetate', '2-oxosuccinate', 'OAA'],
+        ['phosphoenolpyruvate', 'PEP'],
+        ['glycerol 3-phosphate', 'glycerol-3-phosphate', 'G3P', 'glycerophosphate'],
+        ['glucose 6-phosphate', 'glucose-6-phosphate', 'G6P'],
+        ['fructose 6-phosphate', 'fructose-6-phosphate', 'F6P'],
+        ['4-aminobutanoate', 'gamma-aminobutyrate', 'GABA'],
+        ['5-oxoproline', 'pyroglutamate', 'pidolate', 'pyrrolidonecarboxylate'],
+        ['glutamate', 'glutamic acid', 'Glu'],
+        ['glutamine', 'Gln'],
+        ['aspartate', 'Asp'],
+        ['asparagine', 'Asn'],
+        ['alanine', 'Ala'],
+        ['glycine', 'aminoacetate', 'Gly'],
+        ['serine', 'Ser'],
+        ['threonine', 'Thr'],
+        ['valine', 'Val'],
+        ['leucine', 'Leu'],
+        ['isoleucine', 'Ile'],
+        ['proline', 'Pro'],
+        ['phenylalanine', 'Phe'],
+        ['tyrosine', 'Tyr'],
+        ['tryptophan', 'Trp'],
+        ['methionine', 'Met'],
+        ['lysine', 'Lys'],
+        ['ornithine', 'Orn'],
+        ['urea', 'carbamide'],
+        ['glycerol', 'glycerin', 'propane-1,2,3-triol'],
+        ['myo-inositol', 'inositol', 'meso-inositol'],
+        ['3-hydroxybutanoate', 'beta-hydroxybutyrate', '3-hydroxybutyrate', 'BHB'],
+        ['hexadecanoate', 'palmitate'],
+        ['octadecanoate', 'stearate'],
+        ['cis-9-octadecenoate', 'oleate'],
+        ['ethanolamine', '2-aminoethanol'],
+        ['phosphate', 'orthophosphate', 'Pi']
+    ];
+
+    // Confidence of each kind of match; fuzzy matches score their similarity
+    static CONFIDENCE = { exact: 1, normalized: 0.98, synonym: 0.95 };
+
+    // Fuzzy matches need this similarity (1 - edit distance / length), and are flagged for review
+    // below REVIEW_CONFIDENCE; keys shorter than MIN_FUZZY_LENGTH are only matched exactly
+    static MIN_SIMILARITY = 0.75;
+    static REVIEW_CONFIDENCE = 0.9;
+    static MIN_FUZZY_LENGTH = 4;
+
+    // Canonical key per normalized name, built from SYNONYMS on first use
+    static #synonymIndex = null;
+
+    // Normalized keys by name, since the same candidates are compared for every metabolite
+    static #keyCache = new Map();
+
+    // Lookup tables per candidate array
+    static #candidateIndexes = new WeakMap();
+
+    /**
+     * Comparison key of a name: lower case, Greek letters spelled out, derivatization tags and
+     * stereo prefixes removed, "-ic acid" read as "-ate", and only letters and digits kept
+     * @param {string} name - Metabolite name
+     * @returns {string} - Normalized key ("Glucose, 5TMS" -> "glucose", "α-KG" -> "alphakg")
+     */
+    static normalize(name) {
+        const text = String(name ?? '');
+        if (this.#keyCache.has(text)) return this.#keyCache.get(text);
+
+        let key = text.normalize('NFKC').toLowerCase();
+        key = key.replace(/[α-ω]/g, letter => this.GREEK_LETTERS[letter] || letter);
+        this.DERIVATIZATION_PATTERNS.forEach(pattern => { key = key.replace(pattern, ' '); });
+        key = key
+            // (S)-, (2R,3S)-, (+)-, (±)- and (E)- descriptors
+            .replace(/\((?:\s*\d*[rsez]\s*,?|[+\-±]|\s*,\s*)+\)-?/g, ' ')
+            // D-, L-, DL- before a name part (but not "L-" inside "N-acetyl-L-...")
+            .replace(/(^|[\s,(])(?:d|l|dl|rs)-(?=[a-z])/g, '$1')
+            .replace(/-(?:d|l|dl)-(?=[a-z])/g, '-')
+            .replace(/([a-z])ic acid\b/g, '$1ate')
+            .replace(/\bacid\b/g, ' ')
+            .replace(/[^a-z0-9]/g, '');
+
+        this.#keyCache.set(text, key);
+        return key;
+    }
+
+    /**
+     * Key shared by all synonyms of a name (the normalized key when it has no synonyms)
+     * @param {string} name - Metabolite name
+     * @returns {string} - Canonical key
+     */
+    static canonical(name) {
+        const key = this.normalize(name);
+        return this.#getSynonymIndex().get(key) || key;
+    }
+
+    /**
+     * Add a group of names for one compound (e.g. the names of a KEGG compound entry); names
+     * already in a group keep their first canonical key
+     * @param {Array<string>} names - Names, preferred first
+     */
+    static addSynonyms(names) {
+        const index = this.#getSynonymIndex();
+        const keys = names.map(name => this.normalize(name)).filter(Boolean);
+        if (keys.length < 2) return;
+        const canonical = keys.map(key => index.get(key)).find(Boolean) || keys[0];
+        keys.forEach(key => {
+            if (!index.has(key)) index.set(key, canonical);
+        });
+    }
+
+    /**
+     * Find the candidate a metabolite name refers to
+     * Tries, in order: the same name ignoring case and spacing, the same normalized key, a shared
+     * synonym group, and the most similar normalized key by edit distance. Candidates are indexed
+     * once per array, so pass the same array for repeated lookups and a new one when it changes
+     * @param {string} name - Name to resolve
+     * @param {Array<string>} candidates - Known names
+     * @returns {Object|null} - { name, method, confidence, needsReview } for the matched candidate
+     */
+    static resolve(name, candidates) {
+        const query = this.#plain(name);
+        const key = this.normalize(name);
+        if (!query) return null;
+
+        const result = (candidate, method, confidence, ambiguous = false) => ({
+            name: candidate,
+            method,
+            confidence,
+            needsReview: ambiguous || confidence < this.REVIEW_CONFIDENCE
+        });
+
+        const index = this.#getCandidateIndex(candidates);
+        if (index.byPlain.has(query)) return result(index.byPlain.get(query), 'exact', this.CONFIDENCE.exact);
+        if (!key) return null;
+        if (index.byKey.has(key)) return result(index.byKey.get(key), 'normalized', this.CONFIDENCE.normalized);
+        const canonical = this.canonical(name);
+        if (index.byCanonical.has(canonical)) return result(index.byCanonical.get(canonical), 'synonym', this.CONFIDENCE.synonym);
+
+        // Fuzzy match; a runner-up of another compound within 0.02 makes the match ambiguous
+        if (key.length < this.MIN_FUZZY_LENGTH) return null;
+        let best = null;
+        let runnerUp = null;
+        index.keyed.forEach(candidate => {
+            const length = Math.max(key.length, candidate.key.length);
+            const maxDistance = Math.floor(length * (1 - this.MIN_SIMILARITY));
+            if (Math.abs(key.length - candidate.key.length) > maxDistance) return;
+            const distance = this.editDistance(key, candidate.key, maxDistance);
+            if (distance > maxDistance) return;
+            const match = { ...candidate, similarity: 1 - distance / length };
+            if (!best || match.similarity > best.similarity) {
+                if (best && best.canonical !== match.canonical) runnerUp = best;
+                best = match;
+            } else if (best.canonical !== match.canonical && (!runnerUp || match.similarity > runnerUp.similarity)) {
+                runnerUp = match;
+            }
+        });
+        if (!best) return null;
+        const ambiguous = Boolean(runnerUp) && best.similarity - runnerUp.similarity < 0.02;
+        return result(best.name, 'fuzzy', Math.round(best.similarity * 100) / 100, ambiguous);
+    }
+
+    /**
+     * Levenshtein distance, giving up once it exceeds max
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} max - Largest distance of interest
+     * @returns {number} - Distance, or max + 1 when it is larger than max
+     */
+    static editDistance(a, b, max = Infinity) {
+        let previous = new Uint16Array(b.length + 1).map((_, j) => j);
+        let current = new Uint16Array(b.length + 1);
+        for (let i = 1; i <= a.length; i++) {
+            current[0] = i;
+            let rowMin = i;
+            const char = a.charCodeAt(i - 1);
+            for (let j = 1; j <= b.length; j++) {
+                const cost = previous[j - 1] + (char === b.charCodeAt(j - 1) ? 0 : 1);
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, cost);
+                if (current[j] < rowMin) rowMin = current[j];
+            }
+            if (rowMin > max) return max + 1;
+            [previous, current] = [current, previous];
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Lookup tables of a candidate array; the first candidate wins where several share a key
+     * @param {Array<string>} candidates - Known names
+     * @returns {Object} - { byPlain, byKey, byCanonical, keyed: [{ name, key, canonical }] }
+     */
+    static #getCandidateIndex(candidates) {
+        if (this.#candidateIndexes.has(candidates)) return this.#candidateIndexes.get(candidates);
+        const index = { byPlain: new Map(), byKey: new Map(), byCanonical: new Map(), keyed: [] };
+        const setFirst = (map, key, name) => {
+            if (key && !map.has(key)) map.set(key, name);
+        };
+        candidates.forEach(name => {
+            const key = this.normalize(name);
+            const canonical = this.canonical(name);
+            setFirst(index.byPlain, this.#plain(name), name);
+            setFirst(index.byKey, key, name);
+            setFirst(index.byCanonical, canonical, name);
+            if (key.length >= this.MIN_FUZZY_LENGTH) index.keyed.push({ name, key, canonical });
+        });
+        this.#candidateIndexes.set(candidates, index);
+        return index;
+    }
+
+    /**
+     * Name compared for exact matches: lower case with single spaces
+     * @param {string} name - Metabolite name
+     * @returns {string} - Plain name
+     */
+    static #plain(name) {
+        return String(name ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Synonym index, built from SYNONYMS the first time it is needed
+     * @returns {Map} - Normalized key -> canonical key
+     */
+    static #getSynonymIndex() {
+        if (!this.#synonymIndex) {
+            this.#synonymIndex = new Map();
+            this.SYNONYMS.forEach(names => this.addSynonyms(names));
+        }
+        return this.#synonymIndex;
+    }
+}
+
+// Export the NameResolver class
+window.NameResolver = NameResolver;
@@ -145,6 +145,25 @@ class NetworkVisualizer {
                     'shape': 'diamond'
                 }
             },
+            {
+                selector: 'node[type="reaction"]',
+                style: {
+                    'background-color': '#94A3B8',
+                    'shape': 'round-rectangle',
+                    'width': '20px',
+                    'height': '20px',
+                    'font-size': '10px'
+                }
+            },
+            {
+                selector: 'node[type="compound"]',
+                style: {
+                    'background-color': '#A7F3D0',
+                    'shape': 'ellipse',
+                    'width': '30px',
+                    'height': '30px'
+                }
+            },
             {
                 selector: 'edge',
                 style: {
@@ -159,6 +178,13 @@ class NetworkVisualizer {
                     'text-margin-y': -10
                 }
             },
+            {
+                selector: 'edge.reversible',
+                style: {
+                    'source-arrow-color': '#94A3B8',
+                    'source-arrow-shape': 'triangle'
+                }
+            },
             {
                 selector: '.highlighted',
                 style: {
@@ -205,56 +231,65 @@ class NetworkVisualizer {
     }
 
     /**
-     * Add a metabolite and its associated gene to the network
+     * Add a metabolite, every gene associated with it and the reactions of its pathways to the network
      * @param {string} metaboliteName - Name of the metabolite
-     * @param {string} geneLocusId - Associated gene locus ID
+     * @param {Array} associations - Associations from MetaboliteMapper.getGeneAssociations
      */
-    static async addMetaboliteToPathway(metaboliteName, geneLocusId) {
+    static async addMetaboliteToPathway(metaboliteName, associations) {
         if (!this.initialized || !this.cy) {
             console.error('Network visualizer not initialized');
             return;
         }
 
         try {
-            // Add metabolite node
+            // Metabolites with neither genes nor pathways are left out of the network
+            const pathways = await MetaboliteMapper.getPathwayInformation(metaboliteName);
+            if (associations.length === 0 && pathways.length === 0) return;
+
+            // Add metabolite node; compounds holds the canonical names it stands for (its own and
+            // those of the pathway species it matched), so that pathway species reuse the node
+            const compounds = new Set([NameResolver.canonical(metaboliteName)]);
+            pathways.forEach(({ pathway, speciesIds }) => speciesIds.forEach(speciesId =>
+                compounds.add(NameResolver.canonical(PathwayModels.speciesName(pathway, speciesId)))));
             const metaboliteNode = {
                 group: 'nodes',
                 data: {
                     id: `m_${metaboliteName}`,
                     label: metaboliteName,
-                    type: 'metabolite'
+                    type: 'metabolite',
+                    compounds: Array.from(compounds)
                 }
             };
 
-            // Add gene node
-            const geneNode = {
+            // Add one gene node per association, labelled with the gene name when the table has one
+            const geneNodes = associations.map(({ geneLocusId, geneName, ecNumber }) => ({
                 group: 'nodes',
                 data: {
                     id: `g_${geneLocusId}`,
-                    label: geneLocusId,
-                    type: 'gene'
+                    label: geneName ? `${geneName}\n${geneLocusId}` : geneLocusId,
+                    type: 'gene',
+                    ecNumber
                 }
-            };
+            }));
 
-            // Add edge between metabolite and gene
-            const edge = {
+            // Add edges between metabolite and genes, labelled with the role and the mapping table
+            const roleLabels = { substrate: 'substrate of', product: 'product of', regulator: 'regulates' };
+            const edges = associations.map(({ geneLocusId, role, evidence, source }) => ({
                 group: 'edges',
                 data: {
-                    id: `e_${metaboliteName}_${geneLocusId}`,
+                    id: `e_${metaboliteName}_${geneLocusId}_${role || 'associated'}`,
                     source: `m_${metaboliteName}`,
                     target: `g_${geneLocusId}`,
-                    label: 'associated with'
+                    label: `${roleLabels[role] || 'associated with'}${source ? ` (${source})` : ''}`,
+                    role,
+                    evidence,
+                    mappingSource: source
                 }
-            };
+            }));
 
-            // Add elements to the network
-            this.cy.add([metaboliteNode, geneNode, edge]);
-
-            // Get pathway information
-            const pathwayInfo = await MetaboliteMapper.getPathwayInformation(metaboliteName);
-            if (pathwayInfo) {
-                this.addPathwayConnections(pathwayInfo);
-            }
+            this.addElements([metaboliteNode, ...geneNodes, ...edges]);
+            this.#mergeCompoundNodes(`m_${metaboliteName}`, compounds);
+            this.addPathwayConnections(metaboliteName, pathways);
 
             // Run layout
             this.runLayout();
@@ -264,72 +299,166 @@ class NetworkVisualizer {
     }
 
     /**
-     * Add pathway connections to the network
-     * @param {Object} pathwayInfo - Pathway information
+     * Add the pathways of a metabolite and the reactions it takes part in to the network
+     * Each reaction is a node with edges from its substrates and to its products (labelled with
+     * the stoichiometry when it is not 1) and from the genes catalyzing it. Species that are
+     * detected metabolites are drawn as their metabolite nodes, so shared reactions connect them
+     * @param {string} metaboliteName - Name of the metabolite
+     * @param {Array} pathways - Pathways from MetaboliteMapper.getPathwayInformation
      */
-    static addPathwayConnections(pathwayInfo) {
+    static addPathwayConnections(metaboliteName, pathways) {
         if (!this.cy) return;
 
         try {
-            const { metabolite, pathway, reactions } = pathwayInfo;
-
-            if (pathway) {
-                // Add pathway node if it doesn't exist
-                if (!this.cy.$id(`p_${pathway}`).length) {
-                    const pathwayNode = {
-                        group: 'nodes',
-                        data: {
-                            id: `p_${pathway}`,
-                            label: pathway,
-                            type: 'pathway'
-                        }
-                    };
-                    this.cy.add(pathwayNode);
-                }
-
-                // Add edge from metabolite to pathway
-                this.cy.add({
-                    group: 'edges',
-                    data: {
-                        id: `e_${metabolite}_${pathway}`,
-                        source: `m_${metabolite}`,
-                        target: `p_${pathway}`,
-                        label: 'part of'
-                    }
-                });
-            }
-
-            if (reactions) {
-                reactions.forEach((reaction, index) => {
-                    const reactionId = `r_${metabolite}_${index}`;
-                    
-                    // Add reaction node
-                    this.cy.add({
+            const metaboliteId = `m_${metaboliteName}`;
+            const elements = [];
+
+            pathways.forEach(({ pathway, speciesIds, reactions }) => {
+                elements.push(
+                    { group: 'nodes', data: { id: `p_${pathway.id}`, label: pathway.name, type: 'pathway', source: pathway.source } },
+                    { group: 'edges', data: { id: `e_${metaboliteName}_${pathway.id}`, source: metaboliteId, target: `p_${pathway.id}`, label: 'part of' } }
+                );
+
+                // The metabolite's own species (one per compartment) are drawn as the metabolite node,
+                // other species as the node of the metabolite matched to them or as a compound node
+                const speciesNode = speciesId => {
+                    const name = PathwayModels.speciesName(pathway, speciesId);
+                    const compound = NameResolver.canonical(name);
+                    if (speciesIds.has(speciesId)) return { nodeId: metaboliteId, compound };
+                    const metabolite = this.cy.nodes('[type="metabolite"]')
+                        .filter(node => (node.data('compounds') || []).includes(compound));
+                    if (metabolite.length) return { nodeId: metabolite[0].id(), compound };
+                    elements.push({ group: 'nodes', data: { id: `c_${compound}`, label: name, type: 'compound', compound } });
+                    return { nodeId: `c_${compound}`, compound };
+                };
+
+                reactions.forEach(reaction => {
+                    const reactionId = `r_${pathway.id}_${reaction.id}`;
+                    elements.push({
                         group: 'nodes',
                         data: {
                             id: reactionId,
-                            label: reaction,
-                            type: 'reaction'
+                            label: reaction.name,
+                            type: 'reaction',
+                            pathway: pathway.name,
+                            reversible: reaction.reversible
                         }
                     });
 
-                    // Add edge from metabolite to reaction
-                    this.cy.add({
+                    // Edge IDs use the compound, so they stay the same once a compound node is merged
+                    const participantEdge = ({ nodeId, compound }, stoichiometry, isProduct) => ({
                         group: 'edges',
                         data: {
-                            id: `e_${metabolite}_reaction_${index}`,
-                            source: `m_${metabolite}`,
-                            target: reactionId,
-                            label: 'participates in'
-                        }
+                            id: `e_${reactionId}_${compound}_${isProduct ? 'product' : 'substrate'}`,
+                            source: isProduct ? reactionId : nodeId,
+                            target: isProduct ? nodeId : reactionId,
+                            label: stoichiometry !== 1 ? String(stoichiometry) : '',
+                            stoichiometry
+                        },
+                        classes: reaction.reversible ? 'reversible' : ''
                     });
+                    reaction.substrates.forEach(({ species, stoichiometry }) =>
+                        elements.push(participantEdge(speciesNode(species), stoichiometry, false)));
+                    reaction.products.forEach(({ species, stoichiometry }) =>
+                        elements.push(participantEdge(speciesNode(species), stoichiometry, true)));
+
+                    reaction.genes.forEach(gene => elements.push(
+                        { group: 'nodes', data: { id: `g_${gene.id}`, label: gene.label, type: 'gene' } },
+                        { group: 'edges', data: { id: `e_${gene.id}_${reactionId}`, source: `g_${gene.id}`, target: reactionId, label: 'catalyzes' } }
+                    ));
                 });
-            }
+            });
+
+            this.addElements(elements);
         } catch (error) {
             console.error('Error adding pathway connections:', error);
         }
     }
 
+    /**
+     * Add elements that are not in the network yet; genes, compounds and reactions shared by
+     * several metabolites are added once
+     * @param {Array} elements - Cytoscape element definitions
+     */
+    static addElements(elements) {
+        const added = new Set();
+        this.cy.add(elements.filter(({ data: { id } }) => {
+            if (added.has(id) || this.cy.$id(id).length) return false;
+            added.add(id);
+            return true;
+        }));
+    }
+
+    /**
+     * Highlight a metabolite node and its connections and center the view on it
+     * @param {string} metaboliteName - Name of the metabolite
+     * @returns {boolean} - True if the metabolite is in the network
+     */
+    static highlightMetabolite(metaboliteName) {
+        if (!this.cy) return false;
+
+        this.cy.elements().removeClass('highlighted');
+        const node = this.cy.$id(`m_${metaboliteName}`);
+        if (!node.length) return false;
+
+        node.addClass('highlighted');
+        node.connectedEdges().addClass('highlighted');
+        this.cy.animate({ center: { eles: node }, duration: 300 });
+        return true;
+    }
+
+    /**
+     * Replace compound nodes drawn before a metabolite was added by the metabolite's node
+     * @param {string} metaboliteId - Metabolite node ID
+     * @param {Set<string>} compounds - Canonical names the metabolite stands for
+     */
+    static #mergeCompoundNodes(metaboliteId, compounds) {
+        compounds.forEach(compound => {
+            const node = this.cy.$id(`c_${compound}`);
+            if (!node.length) return;
+            node.connectedEdges().forEach(edge => {
+                edge.move(edge.source().same(node) ? { source: metaboliteId } : { target: metaboliteId });
+            });
+            node.remove();
+        });
+    }
+
+    /**
+     * Highlight a pathway, its reactions and the given metabolites, and fit the view to them
+     * @param {string} pathwayId - Pathway ID
+     * @param {Array<string>} metaboliteNames - Metabolites of the pathway
+     * @returns {boolean} - True if any of them is in the network
+     */
+    static highlightPathway(pathwayId, metaboliteNames) {
+        if (!this.cy) return false;
+
+        this.cy.elements().removeClass('highlighted');
+        const nodes = this.cy.nodes().filter(node =>
+            node.id() === `p_${pathwayId}` ||
+            node.id().startsWith(`r_${pathwayId}_`) ||
+            metaboliteNames.some(name => node.id() === `m_${name}`));
+        if (!nodes.length) return false;
+
+        nodes.addClass('highlighted');
+        nodes.edgesWith(nodes).addClass('highlighted');
+        this.cy.animate({ fit: { eles: nodes, padding: 30 }, duration: 300 });
+        return true;
+    }
+
+    /**
+     * Remove a metabolite and the genes and reactions only it was connected to
+     * @param {string} metaboliteName - Name of the metabolite
+     */
+    static removeMetabolite(metaboliteName) {
+        if (!this.cy) return;
+
+        const node = this.cy.$id(`m_${metaboliteName}`);
+        if (!node.length) return;
+        const neighbours = node.neighborhood('node');
+        node.remove();
+        neighbours.filter(neighbour => neighbour.degree() === 0).remove();
+    }
+
     // Zoom controls
     static zoomIn() {
         if (this.cy) {
@@ -0,0 +1,280 @@
+// Intensity normalization module: sample factors, normalization, transforms and scaling
+class Normalization {
+    static METHODS = ['none', 'sum', 'tic', 'internalStandard', 'median', 'pqn'];
+    static TRANSFORMS = ['none', 'log2', 'log10'];
+    static SCALINGS = ['none', 'pareto', 'auto'];
+
+    // Applied in order after the QualityControl corrections and MissingValues imputation:
+    // sample factors, normalization method, transform, scaling
+    static settings = {
+        method: 'none',
+        internalStandards: [],
+        applySampleFactors: false,
+        transform: 'none',
+        scaling: 'none'
+    };
+
+    // Show the matrix as measured instead of the normalized one
+    static showRaw = false;
+
+    /**
+     * Get the intensity matrix every downstream view should use
+     * @param {Object} options - raw to skip QC corrections, imputation and normalization (defaults to
+     *                           the showRaw toggle)
+     * @returns {Object} - Matrix with samples and features; normalized features keep rawIntensities
+     *                     (after drift and blank correction and imputation) and the missingValues summary
+     */
+    static getMatrix({ raw = this.showRaw } = {}) {
+        const matrix = Experiment.getMatrix();
+        if (raw) return { ...matrix, normalized: false, warnings: [] };
+
+        const corrected = QualityControl.apply(matrix);
+        const complete = MissingValues.apply(corrected);
+        const normalized = this.apply(complete);
+        return {
+            ...normalized,
+            missingValues: complete.missingValues,
+            warnings: [...corrected.warnings, ...complete.warnings, ...normalized.warnings]
+        };
+    }
+
+    /**
+     * Normalize, transform and scale a matrix
+     * @param {Object} matrix - Matrix from Experiment.getMatrix
+     * @param {Object} settings - Normalization settings
+     * @returns {Object} - Matrix with normalized intensities, the per-sample factors and warnings
+     */
+    static apply(matrix, settings = this.settings) {
+        const { samples, features } = matrix;
+        const warnings = [];
+        let rows = features.map(feature => [...feature.intensities]);
+
+        if (settings.applySampleFactors) {
+            rows = this.#divideColumns(rows, samples.map(sample => sample.metadata.factor || 1));
+        }
+
+        let factors = new Array(samples.length).fill(1);
+        switch (settings.method) {
+            case 'none':
+                break;
+            case 'sum':
+                factors = this.#relativeFactors(samples.map((_, column) => this.#sum(this.#column(rows, column))));
+                break;
+            case 'tic':
+                // Raw runs use their total ion current; peak tables fall back to the sum of their rows
+                factors = this.#relativeFactors(samples.map(sample => this.#totalIonCurrent(sample) /
+                    (settings.applySampleFactors ? sample.metadata.factor || 1 : 1)));
+                break;
+            case 'internalStandard':
+                factors = this.#internalStandardFactors(features, rows, settings.internalStandards, samples, warnings);
+                break;
+            case 'median':
+                factors = this.#relativeFactors(samples.map((_, column) =>
+                    SignalProcessing.median(this.#column(rows, column).filter(value => value > 0))));
+                break;
+            case 'pqn':
+                factors = this.#probabilisticQuotientFactors(rows, samples);
+                break;
+            default:
+                throw new Error(`Unknown normalization method: ${settings.method}`);
+        }
+        rows = this.#divideColumns(rows, factors);
+
+        rows = this.transform(rows, settings.transform);
+        rows = rows.map(row => this.scale(row, settings.scaling));
+
+        return {
+            samples,
+            normalized: true,
+            factors,
+            warnings,
+            features: features.map((feature, i) => ({
+                ...feature,
+                rawIntensities: feature.intensities,
+                intensities: rows[i]
+            }))
+        };
+    }
+
+    /**
+     * Log-transform a matrix; values of zero or below become missing
+     * @param {Array} rows - Feature rows
+     * @param {string} transform - none, log2 or log10
+     * @returns {Array} - Transformed rows
+     */
+    static transform(rows, transform) {
+        if (!this.TRANSFORMS.includes(transform)) {
+            throw new Error(`Unknown transform: ${transform}`);
+        }
+        if (transform === 'none') return rows;
+
+        const log = transform === 'log2' ? Math.log2 : Math.log10;
+        return rows.map(row => row.map(value => value === null || value <= 0 ? null : log(value)));
+    }
+
+    /**
+     * Mean-center one feature and divide by its standard deviation (auto) or its square root (Pareto)
+     * @param {Array} row - Feature intensities across samples
+     * @param {string} scaling - none, pareto or auto
+     * @returns {Array} - Scaled intensities
+     */
+    static scale(row, scaling) {
+        if (!this.SCALINGS.includes(scaling)) {
+            throw new Error(`Unknown scaling: ${scaling}`);
+        }
+        if (scaling === 'none') return row;
+
+        const present = row.filter(value => value !== null);
+        if (present.length === 0) return row;
+        const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+        const variance = present.length > 1 ?
+            present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (present.length - 1) : 0;
+        const divisor = scaling === 'auto' ? Math.sqrt(variance) : Math.pow(variance, 0.25);
+
+        return row.map(value => value === null ? null : divisor > 0 ? (value - mean) / divisor : 0);
+    }
+
+    /**
+     * Describe the active settings, e.g. for table headers and chart titles
+     * @returns {string} - Short description
+     */
+    static describe() {
+        if (this.showRaw) return 'Raw intensities';
+
+        const labels = {
+            none: null,
+            sum: 'sum normalized',
+            tic: 'TIC normalized',
+            internalStandard: 'internal standard normalized',
+            median: 'median normalized',
+            pqn: 'PQN normalized',
+            log2: 'log2',
+            log10: 'log10',
+            pareto: 'Pareto scaled',
+            auto: 'autoscaled'
+        };
+        const { method, applySampleFactors, transform, scaling } = this.settings;
+        const steps = [
+            ...QualityControl.describe(),
+            ...MissingValues.describe(),
+            applySampleFactors ? 'per amount' : null,
+            labels[method],
+            labels[transform],
+            labels[scaling]
+        ].filter(Boolean);
+        return steps.length ? `Intensities, ${steps.join(', ')}` : 'Raw intensities';
+    }
+
+    /**
+     * Factors that bring each sample's statistic to the median across samples
+     * @param {Array} statistics - Per-sample totals, medians, etc.
+     * @returns {Array} - Division factors (1 where the statistic is unusable)
+     */
+    static #relativeFactors(statistics) {
+        const usable = statistics.filter(value => value > 0);
+        const center = SignalProcessing.median(usable);
+        return statistics.map(value => value > 0 ? value / center : 1);
+    }
+
+    /**
+     * Internal standard factors: each sample's IS intensities relative to their medians, averaged
+     * @param {Array} features - Matrix features
+     * @param {Array} rows - Feature rows after sample factors
+     * @param {Array} names - Internal standard names
+     * @param {Array} samples - Samples
+     * @param {Array} warnings - Collects samples without internal standards
+     * @returns {Array} - Division factors (null where no internal standard was found)
+     */
+    static #internalStandardFactors(features, rows, names, samples, warnings) {
+        const standards = names
+            .map(name => features.findIndex(feature => feature.name === name))
+            .filter(index => index !== -1);
+        if (standards.length === 0) {
+            throw new Error('Choose at least one internal standard.');
+        }
+
+        const medians = standards.map(index => SignalProcessing.median(rows[index].filter(value => value > 0)));
+        return samples.map((sample, column) => {
+            const ratios = standards
+                .map((index, k) => rows[index][column] > 0 ? rows[index][column] / medians[k] : null)
+                .filter(ratio => ratio !== null);
+            if (ratios.length === 0) {
+                warnings.push(`${sample.id} has no internal standard; its values are left out`);
+                return null;
+            }
+            return ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length;
+        });
+    }
+
+    /**
+     * Probabilistic quotient normalization (Dieterle et al., 2006): after sum normalization,
+     * each sample is divided by the median of its quotients to a reference profile, the median
+     * of the QC samples (or of all non-blank samples without QCs)
+     * @param {Array} rows - Feature rows after sample factors
+     * @param {Array} samples - Samples
+     * @returns {Array} - Division factors
+     */
+    static #probabilisticQuotientFactors(rows, samples) {
+        const sumFactors = this.#relativeFactors(samples.map((_, column) => this.#sum(this.#column(rows, column))));
+        const integral = this.#divideColumns(rows, sumFactors);
+
+        const qcColumns = samples.map((sample, column) => sample.metadata.type === 'qc' ? column : -1)
+            .filter(column => column !== -1);
+        const referenceColumns = qcColumns.length > 0 ? qcColumns :
+            samples.map((sample, column) => sample.metadata.type === 'blank' ? -1 : column).filter(column => column !== -1);
+        const reference = integral.map(row =>
+            SignalProcessing.median(referenceColumns.map(column => row[column]).filter(value => value > 0)));
+
+        return samples.map((_, column) => {
+            const quotients = integral
+                .map((row, i) => row[column] > 0 && reference[i] > 0 ? row[column] / reference[i] : null)
+                .filter(quotient => quotient !== null);
+            const quotient = SignalProcessing.median(quotients);
+            return isNaN(quotient) ? sumFactors[column] : sumFactors[column] * quotient;
+        });
+    }
+
+    /**
+     * Total ion current of a sample
+     * @param {Object} sample - Experiment sample
+     * @returns {number} - Summed TIC of a raw run, or summed intensities of a peak table
+     */
+    static #totalIonCurrent(sample) {
+        const data = sample.processedData.chromatogramData;
+        const trace = data.scans ? ChromatogramAnalyzer.buildTotalIonChromatogram(data.scans).intensities : data.intensities;
+        return this.#sum(trace);
+    }
+
+    /**
+     * Divide each column of a matrix by its factor; a null factor blanks the column
+     * @param {Array} rows - Feature rows
+     * @param {Array} factors - One factor per column
+     * @returns {Array} - Divided rows
+     */
+    static #divideColumns(rows, factors) {
+        return rows.map(row => row.map((value, column) =>
+            value === null || factors[column] === null ? null : value / factors[column]));
+    }
+
+    /**
+     * Get one column of a matrix
+     * @param {Array} rows - Feature rows
+     * @param {number} column - Column index
+     * @returns {Array} - Column values
+     */
+    static #column(rows, column) {
+        return rows.map(row => row[column]);
+    }
+
+    /**
+     * Sum the non-missing values
+     * @param {Array} values - Values, possibly null
+     * @returns {number} - Sum
+     */
+    static #sum(values) {
+        return values.reduce((sum, value) => sum + (value === null ? 0 : value), 0);
+    }
+}
+
+// Export the Normalization class
+window.Normalization = Normalization;
@@ -0,0 +1,329 @@
+// Pathway model import module (SBML Level 3 with FBC, KEGG KGML)
+class PathwayModels {
+    // Loaded pathways: { id, name, source, format, organism, species: Map(id -> { id, name, keggId }),
+    // reactions: [{ id, name, reversible, substrates, products, genes }] }, where substrates and
+    // products are [{ species, stoichiometry }] and genes are [{ id, label }]
+    static pathways = [];
+
+    // Reactions drawn per metabolite and pathway, so that hubs such as ATP or water stay readable
+    static MAX_REACTIONS = 25;
+
+    // Species names with the pathways and species IDs they stand for; rebuilt after loading
+    // pathways or KEGG compound names
+    static #candidates = null;
+    static #candidateNames = null;
+    static #keggCompoundCount = 0;
+
+    /**
+     * Load an SBML or KGML file and add its pathways
+     * @param {File} file - .xml, .sbml or .kgml file
+     * @returns {Promise<Array>} - Pathways added
+     */
+    static async loadFile(file) {
+        const doc = this.#parseXml(await file.text());
+        const root = doc.documentElement;
+
+        let pathways;
+        if (root.localName === 'sbml') {
+            pathways = this.parseSBML(doc, file.name);
+        } else if (root.localName === 'pathway') {
+            pathways = this.parseKGML(doc, file.name);
+        } else {
+            throw new Error(`${file.name} is neither an SBML model nor a KEGG KGML pathway.`);
+        }
+
+        if (pathways.every(pathway => pathway.reactions.length === 0)) {
+            throw new Error(`No reactions found in ${file.name}.`);
+        }
+        this.pathways.push(...pathways);
+        this.#candidates = null;
+        this.#candidateNames = null;
+
+        window.dispatchEvent(new CustomEvent('pathway-models-loaded', {
+            detail: { added: pathways.length, total: this.pathways.length }
+        }));
+        return pathways;
+    }
+
+    /**
+     * Parse an SBML Level 3 model; FBC gene product associations give the catalyzing genes and
+     * groups (e.g. BiGG subsystems) split the model into pathways
+     * @param {Document} doc - SBML document
+     * @param {string} fileName - File name
+     * @returns {Array} - Pathways (one per group, or the whole model without groups)
+     */
+    static parseSBML(doc, fileName) {
+        const model = this.#elements(doc, 'model')[0];
+        if (!model) {
+            throw new Error(`${fileName} has no SBML model.`);
+        }
+        const modelId = this.#attribute(model, 'id') || fileName;
+        const modelName = this.#attribute(model, 'name') || modelId;
+
+        // Species names; KEGG compound IDs come from MIRIAM annotations when present
+        const species = new Map(this.#elements(model, 'species').map(element => {
+            const id = this.#attribute(element, 'id');
+            const keggLink = Array.from(element.getElementsByTagNameNS('*', 'li'))
+                .map(li => this.#attribute(li, 'resource') || '')
+                .find(resource => /kegg\.compound[/:]C\d{5}/.test(resource));
+            return [id, {
+                id,
+                name: this.#attribute(element, 'name') || id,
+                keggId: keggLink ? keggLink.match(/C\d{5}/)[0] : null
+            }];
+        }));
+
+        // Gene products are identified by their label (usually the locus) and shown with their name
+        const geneProducts = new Map(this.#elements(model, 'geneProduct').map(element => {
+            const locus = this.#attribute(element, 'label') || this.#attribute(element, 'id');
+            const name = this.#attribute(element, 'name');
+            return [this.#attribute(element, 'id'), { id: locus, label: name && name !== locus ? `${name} (${locus})` : locus }];
+        }));
+
+        const participants = (reaction, listName) => {
+            const list = this.#elements(reaction, listName)[0];
+            return list ? this.#elements(list, 'speciesReference').map(reference => ({
+                species: this.#attribute(reference, 'species'),
+                stoichiometry: parseFloat(this.#attribute(reference, 'stoichiometry')) || 1
+            })) : [];
+        };
+        const reactions = this.#elements(model, 'reaction').map(element => {
+            const association = this.#elements(element, 'geneProductAssociation')[0];
+            const genes = association ?
+                Array.from(new Set(this.#elements(association, 'geneProductRef').map(ref => this.#attribute(ref, 'geneProduct'))))
+                    .map(id => geneProducts.get(id) || { id, label: id }) :
+                [];
+            return {
+                id: this.#attribute(element, 'id'),
+                name: this.#attribute(element, 'name') || this.#attribute(element, 'id'),
+                // SBML Level 3 requires the attribute; treat a missing one as reversible like Level 2
+                reversible: this.#attribute(element, 'reversible') !== 'false',
+                substrates: participants(element, 'listOfReactants'),
+                products: participants(element, 'listOfProducts'),
+                genes
+            };
+        });
+
+        const base = { source: fileName, format: 'SBML', organism: null, species };
+        const groups = this.#elements(model, 'group')
+            .map(group => ({
+                id: `${modelId}:${this.#attribute(group, 'id') || this.#attribute(group, 'name')}`,
+                name: this.#attribute(group, 'name') || this.#attribute(group, 'id'),
+                members: new Set(this.#elements(group, 'member').map(member => this.#attribute(member, 'idRef')))
+            }))
+            .filter(group => reactions.some(reaction => group.members.has(reaction.id)));
+        if (groups.length === 0) {
+            return [{ ...base, id: modelId, name: modelName, reactions }];
+        }
+        return groups.map(({ id, name, members }) => ({
+            ...base,
+            id,
+            name,
+            reactions: reactions.filter(reaction => members.has(reaction.id))
+        }));
+    }
+
+    /**
+     * Parse a KEGG KGML pathway; compounds are KEGG IDs (named through loaded KEGG compound
+     * lists) and the genes of a reaction are the gene entries with the reaction's ID
+     * @param {Document} doc - KGML document
+     * @param {string} fileName - File name
+     * @returns {Array} - The pathway
+     */
+    static parseKGML(doc, fileName) {
+        const root = doc.documentElement;
+        const entries = new Map(this.#elements(root, 'entry').map(entry => [this.#attribute(entry, 'id'), entry]));
+        const compoundId = name => ((name || '').match(/C\d{5}/) || [null])[0];
+
+        const species = new Map();
+        entries.forEach(entry => {
+            const keggId = this.#attribute(entry, 'type') === 'compound' ? compoundId(this.#attribute(entry, 'name')) : null;
+            if (keggId) species.set(keggId, { id: keggId, name: keggId, keggId });
+        });
+
+        const reactions = this.#elements(root, 'reaction').map(element => {
+            const participants = tag => this.#elements(element, tag)
+                .map(participant => compoundId(this.#attribute(participant, 'name')))
+                .filter(Boolean)
+                .map(id => {
+                    if (!species.has(id)) species.set(id, { id, name: id, keggId: id });
+                    return { species: id, stoichiometry: 1 };
+                });
+
+            // Gene entries list loci as "eco:b0001 eco:b0002"; graphics names start with the gene symbol
+            const geneEntry = entries.get(this.#attribute(element, 'id'));
+            const symbols = geneEntry && this.#elements(geneEntry, 'graphics')[0] ?
+                (this.#attribute(this.#elements(geneEntry, 'graphics')[0], 'name') || '').split(',').map(name => name.trim().replace(/\.\.\.$/, '')) :
+                [];
+            const genes = geneEntry && this.#attribute(geneEntry, 'type') === 'gene' ?
+                (this.#attribute(geneEntry, 'name') || '').split(/\s+/).filter(Boolean).map((name, index) => {
+                    const locus = name.includes(':') ? name.split(':')[1] : name;
+                    return { id: locus, label: index === 0 && symbols[0] ? `${symbols[0]} (${locus})` : locus };
+                }) :
+                [];
+
+            // The reaction ID is the gene entry's, so that the same KEGG reaction on two entries stays apart
+            const name = this.#attribute(element, 'name') || this.#attribute(element, 'id');
+            return {
+                id: this.#attribute(element, 'id'),
+                name: name.replace(/rn:/g, ''),
+                reversible: this.#attribute(element, 'type') === 'reversible',
+                substrates: participants('substrate'),
+                products: participants('product'),
+                genes
+            };
+        });
+
+        return [{
+            id: this.#attribute(root, 'name') || fileName,
+            name: this.#attribute(root, 'title') || this.#attribute(root, 'name') || fileName,
+            source: fileName,
+            format: 'KGML',
+            organism: this.#attribute(root, 'org') || null,
+            species,
+            reactions
+        }];
+    }
+
+    /**
+     * Pathways containing a metabolite and the reactions it takes part in there
+     * The metabolite is matched to species names (and the names of KEGG compounds) with
+     * NameResolver; matches that would need review are not used
+     * @param {string} metaboliteName - Name of the metabolite
+     * @returns {Array} - [{ pathway, speciesIds, reactions }], reactions capped at MAX_REACTIONS
+     */
+    static getPathwaysFor(metaboliteName) {
+        const match = NameResolver.resolve(metaboliteName, this.#getCandidateNames());
+        if (!match || match.needsReview) return [];
+
+        // Every species sharing the match's synonym group, e.g. the same compound in each compartment
+        const canonical = NameResolver.canonical(match.name);
+        const members = new Map();
+        this.#getCandidates().forEach((references, name) => {
+            if (NameResolver.canonical(name) !== canonical) return;
+            references.forEach(({ pathway, speciesId }) => {
+                if (!members.has(pathway)) members.set(pathway, new Set());
+                members.get(pathway).add(speciesId);
+            });
+        });
+
+        return Array.from(members, ([pathway, speciesIds]) => ({
+            pathway,
+            speciesIds,
+            reactions: pathway.reactions
+                .filter(reaction => [...reaction.substrates, ...reaction.products].some(({ species }) => speciesIds.has(species)))
+                .slice(0, this.MAX_REACTIONS)
+        })).filter(({ reactions }) => reactions.length > 0);
+    }
+
+    /**
+     * Display name of a species; KEGG compounds use the first name from a loaded compound list
+     * @param {Object} pathway - Pathway
+     * @param {string} speciesId - Species ID
+     * @returns {string} - Name
+     */
+    static speciesName(pathway, speciesId) {
+        const species = pathway.species.get(speciesId);
+        if (!species) return speciesId;
+        const keggNames = species.keggId && MetaboliteMapper.keggCompounds.get(species.keggId);
+        return species.name === species.keggId && keggNames ? keggNames[0] : species.name;
+    }
+
+    /**
+     * Compounds taking part in a pathway's reactions, as NameResolver canonical names so that the
+     * same compound counts once across compartments and pathways
+     * @param {Object} pathway - Pathway
+     * @returns {Set<string>} - Canonical compound names
+     */
+    static getCompounds(pathway) {
+        const compounds = new Set();
+        pathway.reactions.forEach(reaction => [...reaction.substrates, ...reaction.products].forEach(({ species }) =>
+            compounds.add(NameResolver.canonical(this.speciesName(pathway, species)))));
+        return compounds;
+    }
+
+    /**
+     * Remove all loaded pathways
+     */
+    static clear() {
+        this.pathways = [];
+        this.#candidates = null;
+        this.#candidateNames = null;
+    }
+
+    /**
+     * Species names of all pathways, with KEGG compound names for KEGG IDs
+     * @returns {Map} - Name -> [{ pathway, speciesId }]
+     */
+    static #getCandidates() {
+        if (this.#candidates && this.#keggCompoundCount === MetaboliteMapper.keggCompounds.size) {
+            return this.#candidates;
+        }
+        this.#candidates = new Map();
+        this.#candidateNames = null;
+        this.#keggCompoundCount = MetaboliteMapper.keggCompounds.size;
+        const add = (name, reference) => {
+            if (!this.#candidates.has(name)) this.#candidates.set(name, []);
+            this.#candidates.get(name).push(reference);
+        };
+        this.pathways.forEach(pathway => {
+            pathway.species.forEach(species => {
+                const reference = { pathway, speciesId: species.id };
+                add(species.name, reference);
+                (species.keggId ? MetaboliteMapper.keggCompounds.get(species.keggId) || [] : [])
+                    .forEach(name => add(name, reference));
+            });
+        });
+        return this.#candidates;
+    }
+
+    /**
+     * Candidate names as one array, so that NameResolver indexes them once
+     * @returns {Array<string>} - Names
+     */
+    static #getCandidateNames() {
+        const candidates = this.#getCandidates();
+        if (!this.#candidateNames) {
+            this.#candidateNames = Array.from(candidates.keys());
+        }
+        return this.#candidateNames;
+    }
+
+    /**
+     * Parse XML text, surfacing parser errors
+     * @param {string} text - XML text
+     * @returns {Document} - Parsed document
+     */
+    static #parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const parserError = doc.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            throw new Error(`Invalid XML: ${parserError.textContent.trim().split('\n')[0]}`);
+        }
+        return doc;
+    }
+
+    /**
+     * Descendant elements by local name, whatever their namespace prefix (fbc:, groups:)
+     * @param {Element|Document} parent - Element to search
+     * @param {string} localName - Element name without prefix
+     * @returns {Array<Element>} - Elements
+     */
+    static #elements(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    /**
+     * Attribute by local name, so that fbc:id and groups:idRef are found without their namespace
+     * @param {Element} element - Element
+     * @param {string} localName - Attribute name without prefix
+     * @returns {string|null} - Value
+     */
+    static #attribute(element, localName) {
+        const attribute = Array.from(element.attributes).find(candidate => (candidate.localName || candidate.name) === localName);
+        return attribute ? attribute.value : null;
+    }
+}
+
+// Export the PathwayModels class
+window.PathwayModels = PathwayModels;
@@ -0,0 +1,500 @@
+// Quality control module: QC-based drift correction, blank subtraction and filtering, QC RSD filter
+class QualityControl {
+    static DRIFT_METHODS = ['none', 'loess', 'spline'];
+
+    // Fewer QC runs than this in a batch leave the batch uncorrected
+    static MIN_QCS = 3;
+
+    // Applied in order before normalization: drift correction, blank subtraction and filter, RSD filter
+    static settings = {
+        driftMethod: 'none',
+        span: 0.75,
+        blankSubtraction: false,
+        blankFilter: false,
+        blankRatio: 3,
+        rsdFilter: false,
+        maxRsd: 30
+    };
+
+    static selectedMetabolite = null;
+    static result = null;
+    static beforeChart = null;
+    static afterChart = null;
+
+    /**
+     * Recompute the QC report on the measured matrix and redraw the drift plots
+     * @returns {Object} - QC report (see apply)
+     */
+    static update() {
+        this.result = this.apply(Normalization.getMatrix({ raw: true })).qualityControl;
+        if (!this.result.features.some(feature => feature.name === this.selectedMetabolite)) {
+            this.selectedMetabolite = this.result.features.length ? this.result.features[0].name : null;
+        }
+        this.render();
+        return this.result;
+    }
+
+    /**
+     * Correct a matrix for signal drift and blanks, then drop features failing the filters
+     * @param {Object} matrix - Matrix from Experiment.getMatrix
+     * @param {Object} settings - QC settings
+     * @returns {Object} - Matrix with the kept, corrected features, warnings and a qualityControl
+     *                     report with per-feature before/after values, drift curves and RSDs
+     */
+    static apply(matrix, settings = this.settings) {
+        if (!this.DRIFT_METHODS.includes(settings.driftMethod)) {
+            throw new Error(`Unknown drift correction: ${settings.driftMethod}`);
+        }
+
+        const { samples, features } = matrix;
+        const warnings = [];
+        const columnsOfType = (...types) => samples
+            .map((sample, column) => types.includes(sample.metadata.type) ? column : -1)
+            .filter(column => column !== -1);
+        const qcColumns = columnsOfType('qc');
+        const blankColumns = columnsOfType('blank');
+        const studyColumns = columnsOfType('sample', 'qc');
+
+        if (settings.driftMethod !== 'none' || settings.rsdFilter) {
+            if (qcColumns.length === 0) {
+                throw new Error('Drift correction and the QC RSD filter need samples of type QC.');
+            }
+        }
+        if ((settings.blankSubtraction || settings.blankFilter) && blankColumns.length === 0) {
+            throw new Error('Blank subtraction and filtering need samples of type Blank.');
+        }
+
+        const batches = this.#batches(samples);
+        if (settings.driftMethod !== 'none') {
+            const unordered = samples.filter(sample => sample.metadata.injectionOrder === null);
+            if (unordered.length) {
+                warnings.push(`No injection order for ${unordered.map(sample => sample.id).join(', ')}; not drift corrected`);
+            }
+            batches.forEach(({ batch, columns }) => {
+                const qcs = columns.filter(column => qcColumns.includes(column) &&
+                    samples[column].metadata.injectionOrder !== null);
+                if (qcs.length < this.MIN_QCS) {
+                    warnings.push(`Batch ${batch} has ${qcs.length} QC run${qcs.length === 1 ? '' : 's'} with an ` +
+                        `injection order; at least ${this.MIN_QCS} are needed, so it is not drift corrected`);
+                }
+            });
+        }
+
+        let partlyCorrected = 0;
+        const report = features.map(feature => {
+            const before = feature.intensities;
+            let after = [...before];
+            let curves = [];
+            let target = null;
+
+            if (settings.driftMethod !== 'none') {
+                ({ values: after, curves, target } = this.correctDrift(before, samples, batches, settings));
+                if (curves.length < batches.length) partlyCorrected++;
+            }
+
+            let blankRatio = null;
+            if (blankColumns.length > 0) {
+                const blankMean = this.#mean(blankColumns.map(column => after[column] || 0));
+                const studyMean = this.#mean(studyColumns.map(column => after[column]).filter(value => value !== null));
+                blankRatio = blankMean > 0 ? studyMean / blankMean : Infinity;
+                if (settings.blankSubtraction && blankMean > 0) {
+                    // Signal at or below the blank level counts as not detected
+                    after = after.map(value => value === null || value - blankMean <= 0 ? null : value - blankMean);
+                }
+            }
+
+            const rsdBefore = this.rsd(qcColumns.map(column => before[column]));
+            const rsdAfter = this.rsd(qcColumns.map(column => after[column]));
+            let removed = null;
+            if (settings.blankFilter && blankRatio !== null && !(blankRatio >= settings.blankRatio)) {
+                removed = 'blank';
+            } else if (settings.rsdFilter && rsdAfter !== null && rsdAfter > settings.maxRsd) {
+                removed = 'rsd';
+            }
+
+            return { name: feature.name, before, after, curves, target, rsdBefore, rsdAfter, blankRatio, removed };
+        });
+
+        if (partlyCorrected > 0) {
+            warnings.push(`${partlyCorrected} feature${partlyCorrected === 1 ? ' has' : 's have'} too few QC values ` +
+                'in a batch and stay uncorrected there');
+        }
+        const removedCount = reason => report.filter(feature => feature.removed === reason).length;
+
+        return {
+            samples,
+            warnings,
+            features: features
+                .map((feature, i) => ({ ...feature, intensities: report[i].after }))
+                .filter((_, i) => report[i].removed === null),
+            qualityControl: {
+                samples,
+                settings: { ...settings },
+                features: report,
+                removedByBlank: removedCount('blank'),
+                removedByRsd: removedCount('rsd'),
+                warnings
+            }
+        };
+    }
+
+    /**
+     * Divide one feature by its drift curve, fitted per batch on the QC runs against injection order,
+     * and rescale to the median of all QC values so that batches end up on a common level
+     * @param {Array} row - Feature intensities across samples
+     * @param {Array} samples - Samples
+     * @param {Array} batches - Batches with their columns
+     * @param {Object} settings - driftMethod and span
+     * @returns {Object} - Corrected values, the fitted curves by batch and the QC median target
+     */
+    static correctDrift(row, samples, batches, settings) {
+        const isQc = column => samples[column].metadata.type === 'qc';
+        const orderOf = column => samples[column].metadata.injectionOrder;
+        const target = SignalProcessing.median(samples
+            .map((_, column) => isQc(column) ? row[column] : null)
+            .filter(value => value > 0));
+        const values = [...row];
+        const curves = [];
+        if (!(target > 0)) return { values, curves, target: null };
+
+        batches.forEach(({ batch, columns }) => {
+            const qcs = columns.filter(column => isQc(column) && orderOf(column) !== null && row[column] > 0);
+            if (qcs.length < this.MIN_QCS) return;
+
+            const curve = this.fitDrift(qcs.map(orderOf), qcs.map(column => row[column]), settings.driftMethod, settings.span);
+            const orders = columns.map(orderOf).filter(order => order !== null);
+            curves.push({ batch, curve, from: Math.min(...orders), to: Math.max(...orders) });
+            columns.forEach(column => {
+                if (row[column] === null || orderOf(column) === null) return;
+                const fitted = curve(orderOf(column));
+                values[column] = fitted > 0 ? row[column] * target / fitted : null;
+            });
+        });
+        return { values, curves, target };
+    }
+
+    /**
+     * Fit a drift curve; outside the QC injections the curve stays at its end values
+     * @param {Array} x - QC injection orders
+     * @param {Array} y - QC intensities
+     * @param {string} method - loess or spline
+     * @param {number} span - LOESS span, also setting the spline smoothness
+     * @returns {Function} - Fitted intensity at an injection order
+     */
+    static fitDrift(x, y, method, span) {
+        const low = Math.min(...x);
+        const high = Math.max(...x);
+        let curve;
+        switch (method) {
+            case 'loess':
+                curve = this.loess(x, y, span);
+                break;
+            case 'spline': {
+                // Smoothness matched to the span through the spline's equivalent kernel bandwidth
+                // h = (λ / density)^(1/4) (Silverman, 1984), taking h as a quarter of the span
+                const range = high - low || 1;
+                const lambda = x.length / range * Math.pow(span * range / 4, 4);
+                curve = this.smoothingSpline(x, y, lambda);
+                break;
+            }
+            default:
+                throw new Error(`Unknown drift correction: ${method}`);
+        }
+        return order => curve(Math.min(high, Math.max(low, order)));
+    }
+
+    /**
+     * Locally linear LOESS with tricube weights over the nearest span × n points (Cleveland, 1979)
+     * @param {Array} x - x values
+     * @param {Array} y - y values
+     * @param {number} span - Fraction of the points in each local fit
+     * @returns {Function} - Smoothed y at any x
+     */
+    static loess(x, y, span) {
+        const neighbours = Math.min(x.length, Math.max(3, Math.ceil(span * x.length)));
+        return (x0) => {
+            const distances = x.map(value => Math.abs(value - x0));
+            const radius = [...distances].sort((a, b) => a - b)[neighbours - 1] * 1.0001 || 1;
+
+            // Weighted least squares of y on (x - x0); the intercept is the fit at x0
+            let sw = 0, swu = 0, swuu = 0, swy = 0, swuy = 0;
+            distances.forEach((distance, i) => {
+                if (distance >= radius) return;
+                const w = Math.pow(1 - Math.pow(distance / radius, 3), 3);
+                const u = x[i] - x0;
+                sw += w;
+                swu += w * u;
+                swuu += w * u * u;
+                swy += w * y[i];
+                swuy += w * u * y[i];
+            });
+            const determinant = sw * swuu - swu * swu;
+            return determinant > 1e-12 * sw * swuu ? (swy * swuu - swu * swuy) / determinant : swy / sw;
+        };
+    }
+
+    /**
+     * Cubic smoothing spline minimizing Σ w(y − g)² + λ∫g''² (Reinsch, 1967); repeated x values
+     * are merged into their mean with a matching weight
+     * @param {Array} x - x values
+     * @param {Array} y - y values
+     * @param {number} lambda - Smoothing parameter
+     * @returns {Function} - Natural cubic spline through the smoothed values
+     */
+    static smoothingSpline(x, y, lambda) {
+        const merged = new Map();
+        x.forEach((value, i) => {
+            const point = merged.get(value) || { sum: 0, weight: 0 };
+            point.sum += y[i];
+            point.weight++;
+            merged.set(value, point);
+        });
+        const knots = [...merged.keys()].sort((a, b) => a - b);
+        const values = knots.map(knot => merged.get(knot).sum / merged.get(knot).weight);
+        const weights = knots.map(knot => merged.get(knot).weight);
+        const n = knots.length;
+        if (n < 3) {
+            const coefficients = SignalProcessing.polynomialFit(knots, values, n - 1, weights);
+            return (x0) => coefficients.reduce((sum, coefficient, power) => sum + coefficient * Math.pow(x0, power), 0);
+        }
+
+        // Q is n × (n − 2) second differences, R the (n − 2) × (n − 2) tridiagonal band
+        const h = knots.slice(1).map((knot, i) => knot - knots[i]);
+        const q = (row, j) => {
+            if (row === j) return 1 / h[j];
+            if (row === j + 1) return -1 / h[j] - 1 / h[j + 1];
+            if (row === j + 2) return 1 / h[j + 1];
+            return 0;
+        };
+        const m = n - 2;
+        const system = Array.from({ length: m }, (_, i) => Array.from({ length: m }, (_, j) => {
+            let value = i === j ? (h[i] + h[i + 1]) / 3 : Math.abs(i - j) === 1 ? h[Math.max(i, j)] / 6 : 0;
+            for (let row = Math.max(i, j); row <= Math.min(i, j) + 2; row++) {
+                value += lambda * q(row, i) * q(row, j) / weights[row];
+            }
+            return value;
+        }));
+        const rhs = Array.from({ length: m }, (_, j) =>
+            values[j] * q(j, j) + values[j + 1] * q(j + 1, j) + values[j + 2] * q(j + 2, j));
+        const gamma = SignalProcessing.solveLinearSystem(system, rhs);
+
+        // Smoothed knot values and second derivatives (zero at the ends)
+        const fitted = values.map((value, row) => {
+            let correction = 0;
+            for (let j = Math.max(0, row - 2); j <= Math.min(m - 1, row); j++) correction += q(row, j) * gamma[j];
+            return value - lambda * correction / weights[row];
+        });
+        const second = [0, ...gamma, 0];
+
+        return (x0) => {
+            let k = 0;
+            while (k < n - 2 && x0 > knots[k + 1]) k++;
+            const a = x0 - knots[k];
+            const b = knots[k + 1] - x0;
+            return ((a * fitted[k + 1] + b * fitted[k]) / h[k]) -
+                a * b / 6 * ((1 + a / h[k]) * second[k + 1] + (1 + b / h[k]) * second[k]);
+        };
+    }
+
+    /**
+     * Relative standard deviation of the non-missing values
+     * @param {Array} values - Values, possibly null
+     * @returns {number|null} - RSD in %, or null with fewer than two values
+     */
+    static rsd(values) {
+        const present = values.filter(value => value !== null);
+        if (present.length < 2) return null;
+        const mean = this.#mean(present);
+        const variance = present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (present.length - 1);
+        return mean !== 0 ? Math.sqrt(variance) / Math.abs(mean) * 100 : null;
+    }
+
+    /**
+     * Describe the active corrections, e.g. for table headers
+     * @returns {Array} - Short labels of the applied steps
+     */
+    static describe() {
+        const { driftMethod, span, blankSubtraction, blankFilter, blankRatio, rsdFilter, maxRsd } = this.settings;
+        return [
+            driftMethod !== 'none' ? `QC drift corrected (${driftMethod === 'loess' ? 'LOESS' : 'spline'}, span ${span})` : null,
+            blankSubtraction ? 'blank subtracted' : null,
+            blankFilter ? `≥ ${blankRatio}× blank` : null,
+            rsdFilter ? `QC RSD ≤ ${maxRsd}%` : null
+        ].filter(Boolean);
+    }
+
+    /**
+     * Choose the metabolite shown in the drift plots
+     * @param {string} name - Metabolite name
+     */
+    static selectMetabolite(name) {
+        this.selectedMetabolite = name;
+        this.render();
+    }
+
+    /**
+     * Draw intensity versus injection order before and after correction for the selected metabolite
+     */
+    static render() {
+        const beforeCanvas = document.getElementById('qcBeforeChart');
+        const afterCanvas = document.getElementById('qcAfterChart');
+        const summary = document.getElementById('qcSummary');
+        if (!beforeCanvas || !afterCanvas) return;
+
+        if (this.beforeChart) this.beforeChart.destroy();
+        if (this.afterChart) this.afterChart.destroy();
+        this.beforeChart = null;
+        this.afterChart = null;
+
+        if (summary) summary.textContent = this.#summaryText();
+        const feature = this.result && this.result.features.find(candidate => candidate.name === this.selectedMetabolite);
+        if (!feature) return;
+
+        const { samples } = this.result;
+        const points = (values, type) => samples
+            .map((sample, column) => ({ sample, value: values[column] }))
+            .filter(({ sample, value }) => sample.metadata.type === type && value !== null &&
+                sample.metadata.injectionOrder !== null)
+            .map(({ sample, value }) => ({ x: sample.metadata.injectionOrder, y: value, sampleId: sample.id, batch: sample.metadata.batch }));
+        const runDatasets = values => [
+            { label: 'QC', data: points(values, 'qc'), backgroundColor: '#EF4444', pointRadius: 5 },
+            { label: 'Samples', data: points(values, 'sample'), backgroundColor: 'rgba(59, 130, 246, 0.6)', pointRadius: 3 },
+            { label: 'Blanks', data: points(values, 'blank'), backgroundColor: '#9CA3AF', pointStyle: 'triangle', pointRadius: 4 }
+        ];
+        const curveDatasets = feature.curves.map(({ batch, curve, from, to }) => ({
+            label: `Drift fit, batch ${batch}`,
+            data: Array.from({ length: 41 }, (_, i) => {
+                const order = from + (to - from) * i / 40;
+                return { x: order, y: curve(order) };
+            }),
+            type: 'line',
+            borderColor: '#F59E0B',
+            borderWidth: 1.5,
+            pointRadius: 0
+        }));
+        const rsd = value => value === null ? 'n/a' : `${value.toFixed(1)}%`;
+        const options = title => ({
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: title
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => context.raw.sampleId ?
+                            `${context.raw.sampleId} (batch ${context.raw.batch}, run ${context.raw.x}): ${Number(context.raw.y.toPrecision(4))}` :
+                            `${context.dataset.label}: ${Number(context.raw.y.toPrecision(4))}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: 'Injection order'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Intensity'
+                    }
+                }
+            }
+        });
+
+        this.beforeChart = new Chart(beforeCanvas.getContext('2d'), {
+            type: 'scatter',
+            data: { datasets: [...runDatasets(feature.before), ...curveDatasets] },
+            options: options(`${feature.name}: measured, QC RSD ${rsd(feature.rsdBefore)}`)
+        });
+
+        const removed = { blank: ' (removed: not above blank)', rsd: ' (removed: QC RSD too high)' }[feature.removed] || '';
+        const targetLine = feature.target !== null && feature.curves.length ? [{
+            label: 'QC median',
+            data: samples
+                .map(sample => sample.metadata.injectionOrder)
+                .filter(order => order !== null)
+                .sort((a, b) => a - b)
+                .filter((order, i, orders) => i === 0 || i === orders.length - 1)
+                .map(order => ({ x: order, y: feature.target })),
+            type: 'line',
+            borderColor: '#F59E0B',
+            borderDash: [6, 4],
+            borderWidth: 1.5,
+            pointRadius: 0
+        }] : [];
+        this.afterChart = new Chart(afterCanvas.getContext('2d'), {
+            type: 'scatter',
+            data: { datasets: [...runDatasets(feature.after), ...targetLine] },
+            options: options(`${feature.name}: corrected, QC RSD ${rsd(feature.rsdAfter)}${removed}`)
+        });
+    }
+
+    /**
+     * Forget the report and remove the charts
+     */
+    static clear() {
+        if (this.beforeChart) this.beforeChart.destroy();
+        if (this.afterChart) this.afterChart.destroy();
+        this.beforeChart = null;
+        this.afterChart = null;
+        this.result = null;
+        this.selectedMetabolite = null;
+        const summary = document.getElementById('qcSummary');
+        if (summary) summary.textContent = '';
+    }
+
+    /**
+     * One-line summary of the QC report
+     * @returns {string} - Summary text
+     */
+    static #summaryText() {
+        if (!this.result || this.result.features.length === 0) return '';
+        const { samples, features, removedByBlank, removedByRsd } = this.result;
+        const count = type => samples.filter(sample => sample.metadata.type === type).length;
+        const medianRsd = key => {
+            const values = features.map(feature => feature[key]).filter(value => value !== null);
+            return values.length ? `${SignalProcessing.median(values).toFixed(1)}%` : 'n/a';
+        };
+        const kept = features.length - removedByBlank - removedByRsd;
+        return `${count('qc')} QC, ${count('blank')} blank and ${count('sample')} study runs in ` +
+            `${this.#batches(samples).length} batch${this.#batches(samples).length === 1 ? '' : 'es'}. ` +
+            `Median QC RSD ${medianRsd('rsdBefore')} measured, ${medianRsd('rsdAfter')} corrected. ` +
+            `${kept} of ${features.length} features kept` +
+            (removedByBlank ? `, ${removedByBlank} not above blank` : '') +
+            (removedByRsd ? `, ${removedByRsd} over the RSD limit` : '') + '.';
+    }
+
+    /**
+     * Group the sample columns by batch, in order of first appearance
+     * @param {Array} samples - Samples
+     * @returns {Array} - Batches: { batch, columns }
+     */
+    static #batches(samples) {
+        const batches = new Map();
+        samples.forEach((sample, column) => {
+            const batch = sample.metadata.batch || '1';
+            if (!batches.has(batch)) batches.set(batch, []);
+            batches.get(batch).push(column);
+        });
+        return [...batches].map(([batch, columns]) => ({ batch, columns }));
+    }
+
+    /**
+     * Mean of the values
+     * @param {Array} values - Values
+     * @returns {number} - Mean (NaN when empty)
+     */
+    static #mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+}
+
+// Export the QualityControl class
+window.QualityControl = QualityControl;
@@ -0,0 +1,497 @@
+// Raw GCMS run parsing module (mzML, mzXML, ANDI-MS NetCDF)
+class RawDataParser {
+    // PSI-MS controlled vocabulary accessions used by mzML
+    static CV = {
+        MS_LEVEL: 'MS:1000511',
+        SCAN_START_TIME: 'MS:1000016',
+        MZ_ARRAY: 'MS:1000514',
+        INTENSITY_ARRAY: 'MS:1000515',
+        FLOAT_32: 'MS:1000521',
+        FLOAT_64: 'MS:1000523',
+        ZLIB_COMPRESSION: 'MS:1000574',
+        UNIT_MINUTE: 'UO:0000031'
+    };
+
+    // NetCDF-3 external types: [name, size in bytes]
+    static NC_TYPES = {
+        1: ['byte', 1],
+        2: ['char', 1],
+        3: ['short', 2],
+        4: ['int', 4],
+        5: ['float', 4],
+        6: ['double', 8]
+    };
+
+    /**
+     * Parse an mzML document into the scan model
+     * @param {string} text - mzML file contents
+     * @returns {Promise<Object>} - Run with format and scans
+     */
+    static async parseMzML(text) {
+        const doc = this.#parseXml(text);
+        const paramGroups = this.#collectParamGroups(doc);
+        const spectra = Array.from(doc.getElementsByTagNameNS('*', 'spectrum'));
+
+        if (spectra.length === 0) {
+            throw new Error('No spectra found in mzML file.');
+        }
+
+        const scans = [];
+        for (const spectrum of spectra) {
+            const spectrumParams = this.#readCvParams(spectrum, paramGroups);
+            const scanElement = spectrum.getElementsByTagNameNS('*', 'scan')[0];
+            const scanParams = scanElement ? this.#readCvParams(scanElement, paramGroups) : new Map();
+
+            const startTime = scanParams.get(this.CV.SCAN_START_TIME);
+            if (!startTime) {
+                throw new Error(`Spectrum ${spectrum.getAttribute('id')} has no scan start time.`);
+            }
+
+            const arrays = {};
+            const binaryArrays = spectrum.getElementsByTagNameNS('*', 'binaryDataArray');
+            for (const binaryArray of Array.from(binaryArrays)) {
+                const params = this.#readCvParams(binaryArray, paramGroups);
+                const binary = binaryArray.getElementsByTagNameNS('*', 'binary')[0];
+                const values = await this.decodeBinaryArray(binary ? binary.textContent : '', {
+                    precision: params.has(this.CV.FLOAT_64) ? 64 : 32,
+                    compressed: params.has(this.CV.ZLIB_COMPRESSION),
+                    littleEndian: true
+                });
+
+                if (params.has(this.CV.MZ_ARRAY)) {
+                    arrays.mzValues = values;
+                } else if (params.has(this.CV.INTENSITY_ARRAY)) {
+                    arrays.intensities = values;
+                }
+            }
+
+            const time = parseFloat(startTime.value);
+            scans.push(this.#createScan({
+                scanTime: startTime.unitAccession === this.CV.UNIT_MINUTE ||
+                    startTime.unitName === 'minute' ? time : time / 60,
+                msLevel: parseInt(spectrumParams.get(this.CV.MS_LEVEL)?.value || '1', 10),
+                mzValues: arrays.mzValues,
+                intensities: arrays.intensities
+            }));
+        }
+
+        return { format: 'mzML', scans };
+    }
+
+    /**
+     * Parse an mzXML document into the scan model
+     * @param {string} text - mzXML file contents
+     * @returns {Promise<Object>} - Run with format and scans
+     */
+    static async parseMzXML(text) {
+        const doc = this.#parseXml(text);
+        const scanElements = Array.from(doc.getElementsByTagNameNS('*', 'scan'));
+
+        if (scanElements.length === 0) {
+            throw new Error('No scans found in mzXML file.');
+        }
+
+        const scans = [];
+        for (const scanElement of scanElements) {
+            // Nested scans are siblings in the flat list, so only read this scan's own peaks
+            const peaks = Array.from(scanElement.childNodes)
+                .find(node => node.localName === 'peaks');
+
+            let mzValues = new Float64Array(0);
+            let intensities = new Float64Array(0);
+
+            if (peaks && peaks.textContent.trim()) {
+                const contentType = peaks.getAttribute('contentType') ||
+                    peaks.getAttribute('pairOrder') || 'm/z-int';
+                if (contentType !== 'm/z-int') {
+                    throw new Error(`Unsupported mzXML peak content type: ${contentType}`);
+                }
+
+                const pairs = await this.decodeBinaryArray(peaks.textContent, {
+                    precision: parseInt(peaks.getAttribute('precision') || '32', 10),
+                    compressed: peaks.getAttribute('compressionType') === 'zlib',
+                    littleEndian: peaks.getAttribute('byteOrder') === 'little'
+                });
+
+                // Peaks are interleaved m/z, intensity pairs
+                mzValues = new Float64Array(pairs.length / 2);
+                intensities = new Float64Array(pairs.length / 2);
+                for (let i = 0; i < mzValues.length; i++) {
+                    mzValues[i] = pairs[2 * i];
+                    intensities[i] = pairs[2 * i + 1];
+                }
+            }
+
+            scans.push(this.#createScan({
+                scanTime: this.#parseDuration(scanElement.getAttribute('retentionTime')),
+                msLevel: parseInt(scanElement.getAttribute('msLevel') || '1', 10),
+                mzValues,
+                intensities
+            }));
+        }
+
+        return { format: 'mzXML', scans };
+    }
+
+    /**
+     * Parse an ANDI-MS (AIA, NetCDF-3) file into the scan model
+     * @param {ArrayBuffer} buffer - .cdf file contents
+     * @returns {Promise<Object>} - Run with format and scans
+     */
+    static async parseAndiMS(buffer) {
+        const netcdf = this.readNetCDF(buffer);
+        const required = ['scan_acquisition_time', 'scan_index', 'mass_values', 'intensity_values'];
+        const missing = required.filter(name => !netcdf.variables[name]);
+        if (missing.length > 0) {
+            throw new Error(`Not an ANDI-MS file, missing variables: ${missing.join(', ')}`);
+        }
+
+        const times = netcdf.getValues('scan_acquisition_time');
+        const scanIndex = netcdf.getValues('scan_index');
+        const pointCount = netcdf.variables.point_count ? netcdf.getValues('point_count') : null;
+        const massValues = netcdf.getValues('mass_values');
+        const intensityValues = netcdf.getValues('intensity_values');
+
+        // ANDI-MS stores times in seconds unless the variable says otherwise
+        const timeUnits = String(netcdf.variables.scan_acquisition_time.attributes.units || 'seconds');
+        const toMinutes = /^min/i.test(timeUnits) ? 1 : 1 / 60;
+
+        const scans = Array.from(times, (time, i) => {
+            const start = scanIndex[i];
+            const end = pointCount ?
+                start + pointCount[i] :
+                (i + 1 < scanIndex.length ? scanIndex[i + 1] : massValues.length);
+
+            return this.#createScan({
+                scanTime: time * toMinutes,
+                msLevel: 1,
+                mzValues: Float64Array.from(massValues.subarray(start, end)),
+                intensities: Float64Array.from(intensityValues.subarray(start, end))
+            });
+        });
+
+        return { format: 'ANDI-MS', scans };
+    }
+
+    /**
+     * Read the header of a NetCDF-3 (classic or 64-bit offset) file
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Object} - Dimensions, attributes, variables and a getValues(name) reader
+     */
+    static readNetCDF(buffer) {
+        const view = new DataView(buffer);
+        let offset = 0;
+
+        const readInt = () => {
+            const value = view.getInt32(offset);
+            offset += 4;
+            return value;
+        };
+        const readName = () => {
+            const length = readInt();
+            const name = new TextDecoder().decode(new Uint8Array(buffer, offset, length));
+            offset += Math.ceil(length / 4) * 4;
+            return name;
+        };
+        const readAttributes = () => {
+            const attributes = {};
+            const tag = readInt();
+            const count = readInt();
+            if (tag === 0 && count === 0) return attributes;
+
+            for (let i = 0; i < count; i++) {
+                const name = readName();
+                const type = readInt();
+                const length = readInt();
+                const values = this.#readNetCDFValues(view, offset, type, length);
+                attributes[name] = type === 2 ?
+                    new TextDecoder().decode(values).replace(/\0+$/, '') :
+                    (length === 1 ? values[0] : values);
+                offset += Math.ceil(length * this.NC_TYPES[type][1] / 4) * 4;
+            }
+            return attributes;
+        };
+
+        const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, 3));
+        const version = view.getUint8(3);
+        if (magic !== 'CDF' || (version !== 1 && version !== 2)) {
+            throw new Error('Not a NetCDF-3 file.');
+        }
+        offset = 4;
+
+        let recordCount = readInt();
+
+        const dimensions = [];
+        readInt(); // NC_DIMENSION tag or ABSENT
+        const dimensionCount = readInt();
+        for (let i = 0; i < dimensionCount; i++) {
+            dimensions.push({ name: readName(), size: readInt() });
+        }
+
+        const attributes = readAttributes();
+
+        const variables = {};
+        readInt(); // NC_VARIABLE tag or ABSENT
+        const variableCount = readInt();
+        for (let i = 0; i < variableCount; i++) {
+            const name = readName();
+            const dimensionIds = Array.from({ length: readInt() }, readInt);
+            const variableAttributes = readAttributes();
+            const type = readInt();
+            const size = readInt();
+            let begin;
+            if (version === 2) {
+                begin = Number(view.getBigInt64(offset));
+                offset += 8;
+            } else {
+                begin = readInt();
+            }
+
+            if (!this.NC_TYPES[type]) {
+                throw new Error(`Unsupported NetCDF type ${type} for variable ${name}.`);
+            }
+
+            variables[name] = {
+                name,
+                type,
+                size,
+                begin,
+                attributes: variableAttributes,
+                dimensions: dimensionIds.map(id => dimensions[id]),
+                // A zero-size first dimension marks a record variable
+                isRecord: dimensionIds.length > 0 && dimensions[dimensionIds[0]].size === 0
+            };
+        }
+
+        const recordVariables = Object.values(variables).filter(variable => variable.isRecord);
+        // Streaming files leave numrecs unset; infer it from the file length
+        const recordSize = recordVariables.length === 1 ?
+            this.#netCDFRecordLength(recordVariables[0]) :
+            recordVariables.reduce((sum, variable) => sum + variable.size, 0);
+        if (recordCount === -1 && recordVariables.length > 0) {
+            recordCount = Math.floor((buffer.byteLength - recordVariables[0].begin) / recordSize);
+        }
+
+        const getValues = (name) => {
+            const variable = variables[name];
+            if (!variable) {
+                throw new Error(`NetCDF variable ${name} not found.`);
+            }
+
+            const elementSize = this.NC_TYPES[variable.type][1];
+            let values;
+            if (variable.isRecord) {
+                const perRecord = this.#netCDFRecordLength(variable) / elementSize;
+                const parts = [];
+                for (let record = 0; record < recordCount; record++) {
+                    parts.push(this.#readNetCDFValues(
+                        view, variable.begin + record * recordSize, variable.type, perRecord
+                    ));
+                }
+                values = new Float64Array(parts.reduce((sum, part) => sum + part.length, 0));
+                parts.reduce((position, part) => {
+                    values.set(part, position);
+                    return position + part.length;
+                }, 0);
+            } else {
+                const length = variable.dimensions.reduce((product, dimension) => product * dimension.size, 1);
+                values = this.#readNetCDFValues(view, variable.begin, variable.type, length);
+            }
+
+            // Packed variables carry scale_factor / add_offset attributes
+            const { scale_factor: scale = 1, add_offset: shift = 0 } = variable.attributes;
+            if (variable.type !== 2 && (scale !== 1 || shift !== 0)) {
+                values = Float64Array.from(values, value => value * scale + shift);
+            }
+            return values;
+        };
+
+        return { version, recordCount, dimensions, attributes, variables, getValues };
+    }
+
+    /**
+     * Read big-endian values of a NetCDF type
+     * @param {DataView} view - File view
+     * @param {number} offset - Byte offset
+     * @param {number} type - NetCDF type code
+     * @param {number} length - Number of values
+     * @returns {Uint8Array|Float64Array} - Raw chars, or numbers
+     */
+    static #readNetCDFValues(view, offset, type, length) {
+        if (type === 2) {
+            return new Uint8Array(view.buffer, view.byteOffset + offset, length);
+        }
+
+        const size = this.NC_TYPES[type][1];
+        const values = new Float64Array(length);
+        for (let i = 0; i < length; i++) {
+            const position = offset + i * size;
+            switch (type) {
+                case 1: values[i] = view.getInt8(position); break;
+                case 3: values[i] = view.getInt16(position); break;
+                case 4: values[i] = view.getInt32(position); break;
+                case 5: values[i] = view.getFloat32(position); break;
+                case 6: values[i] = view.getFloat64(position); break;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Unpadded byte length of one record of a record variable
+     * @param {Object} variable - NetCDF variable
+     * @returns {number} - Bytes per record
+     */
+    static #netCDFRecordLength(variable) {
+        return variable.dimensions.slice(1)
+            .reduce((product, dimension) => product * dimension.size, this.NC_TYPES[variable.type][1]);
+    }
+
+    /**
+     * Decode a base64 binary data array
+     * @param {string} base64 - Base64 encoded payload
+     * @param {Object} options - precision (32|64), compressed (zlib) and littleEndian
+     * @returns {Promise<Float64Array>} - Decoded values
+     */
+    static async decodeBinaryArray(base64, { precision = 32, compressed = false, littleEndian = true } = {}) {
+        let bytes = this.#decodeBase64(base64);
+        if (compressed && bytes.length > 0) {
+            bytes = await this.#inflate(bytes);
+        }
+
+        const bytesPerValue = precision === 64 ? 8 : 4;
+        if (bytes.length % bytesPerValue !== 0) {
+            throw new Error('Binary data array length does not match its precision.');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const values = new Float64Array(bytes.length / bytesPerValue);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = precision === 64 ?
+                view.getFloat64(i * 8, littleEndian) :
+                view.getFloat32(i * 4, littleEndian);
+        }
+        return values;
+    }
+
+    /**
+     * Build a scan object, checking that its arrays line up
+     * @param {Object} scan - Scan fields
+     * @returns {Object} - Scan in the shared scan model
+     */
+    static #createScan({ scanTime, msLevel, mzValues, intensities }) {
+        mzValues = mzValues || new Float64Array(0);
+        intensities = intensities || new Float64Array(0);
+
+        if (isNaN(scanTime)) {
+            throw new Error('Scan has an invalid retention time.');
+        }
+        if (mzValues.length !== intensities.length) {
+            throw new Error(`Scan at ${scanTime.toFixed(2)} min has mismatched m/z and intensity arrays.`);
+        }
+
+        return { scanTime, msLevel, mzValues, intensities };
+    }
+
+    /**
+     * Parse XML text, surfacing parser errors
+     * @param {string} text - XML text
+     * @returns {Document} - Parsed document
+     */
+    static #parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const parserError = doc.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            throw new Error(`Invalid XML: ${parserError.textContent.trim().split('\n')[0]}`);
+        }
+        return doc;
+    }
+
+    /**
+     * Collect mzML referenceableParamGroups by ID
+     * @param {Document} doc - mzML document
+     * @returns {Map<string, Element>} - Param groups
+     */
+    static #collectParamGroups(doc) {
+        const groups = new Map();
+        Array.from(doc.getElementsByTagNameNS('*', 'referenceableParamGroup'))
+            .forEach(group => groups.set(group.getAttribute('id'), group));
+        return groups;
+    }
+
+    /**
+     * Read the cvParams that belong directly to an element, including referenced groups
+     * @param {Element} element - mzML element
+     * @param {Map<string, Element>} paramGroups - referenceableParamGroups by ID
+     * @returns {Map<string, Object>} - cvParam attributes keyed by accession
+     */
+    static #readCvParams(element, paramGroups) {
+        const params = new Map();
+        const addParam = (param) => {
+            params.set(param.getAttribute('accession'), {
+                value: param.getAttribute('value'),
+                unitAccession: param.getAttribute('unitAccession'),
+                unitName: param.getAttribute('unitName')
+            });
+        };
+
+        Array.from(element.childNodes).forEach(child => {
+            if (child.localName === 'cvParam') {
+                addParam(child);
+            } else if (child.localName === 'referenceableParamGroupRef') {
+                const group = paramGroups.get(child.getAttribute('ref'));
+                if (group) {
+                    Array.from(group.getElementsByTagNameNS('*', 'cvParam')).forEach(addParam);
+                }
+            }
+        });
+
+        return params;
+    }
+
+    /**
+     * Convert an xs:duration retention time (e.g. PT123.4S) to minutes
+     * @param {string} duration - Duration string
+     * @returns {number} - Minutes
+     */
+    static #parseDuration(duration) {
+        const match = /^P(?:T)?(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?$/.exec((duration || '').trim());
+        if (!match) return NaN;
+
+        const [, hours, minutes, seconds] = match;
+        return (parseFloat(hours) || 0) * 60 +
+            (parseFloat(minutes) || 0) +
+            (parseFloat(seconds) || 0) / 60;
+    }
+
+    /**
+     * Decode base64 text into bytes
+     * @param {string} base64 - Base64 text
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    static #decodeBase64(base64) {
+        const binary = atob(base64.replace(/\s+/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Inflate zlib-compressed bytes
+     * @param {Uint8Array} bytes - Compressed bytes
+     * @returns {Promise<Uint8Array>} - Decompressed bytes
+     */
+    static async #inflate(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress zlib-compressed data arrays.');
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+// Export the RawDataParser class
+window.RawDataParser = RawDataParser;
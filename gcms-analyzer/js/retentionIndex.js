@@ -0,0 +1,200 @@
+// Retention index calibration module (n-alkane ladder)
+class RetentionIndex {
+    // Alkane ladder as [{ carbonNumber, retentionTime }] sorted by retention time
+    static ladder = [];
+
+    // 'linear' (van den Dool & Kratz, temperature-programmed) or 'kovats' (isothermal)
+    static mode = 'linear';
+
+    // Default RI window used when RI is a matching criterion
+    static tolerance = 10;
+
+    /**
+     * Load an alkane ladder from a table file or a standard run
+     * @param {File} file - CSV table of alkane RTs, or an alkane standard run
+     * @param {number} firstCarbonNumber - Carbon number of the first alkane peak in a run
+     * @returns {Promise<Array>} - Calibrated ladder
+     */
+    static async loadLadder(file, firstCarbonNumber = 8) {
+        let ladder;
+        if (FileHandler.getRawFormat(file)) {
+            // Alkanes are picked from the TIC whatever trace mode is on screen
+            const run = await FileHandler.parseFile(file);
+            const { peaks } = ChromatogramAnalyzer.buildChromatogram(
+                ChromatogramAnalyzer.getMs1Scans(run), { mode: 'tic' }
+            );
+            ladder = this.ladderFromPeaks(peaks, firstCarbonNumber);
+        } else {
+            ladder = this.parseLadderTable(await FileHandler.parseTable(file));
+        }
+
+        this.setLadder(ladder);
+        return this.ladder;
+    }
+
+    /**
+     * Parse a table with carbon number and retention time columns
+     * @param {Array} rows - Parsed table rows
+     * @returns {Array} - Ladder entries
+     */
+    static parseLadderTable(rows) {
+        const headers = Object.keys(rows[0]);
+        const carbonColumn = FileHandler.findColumn(headers, ['carbon', 'carbonnumber', 'alkane', 'c', 'n']);
+        const timeColumn = FileHandler.findColumn(headers, ['retentiontime', 'rt', 'time']);
+        if (!carbonColumn || !timeColumn) {
+            throw new Error('Alkane table needs Carbon and RetentionTime columns.');
+        }
+
+        return rows.map((row, index) => {
+            // Accept 10, "C10" or "n-C10"
+            const carbonMatch = /(\d+)\s*$/.exec(String(row[carbonColumn]));
+            const retentionTime = parseFloat(row[timeColumn]);
+            if (!carbonMatch || isNaN(retentionTime)) {
+                throw new Error(`Row ${index + 1}: Invalid carbon number or retention time`);
+            }
+            return { carbonNumber: parseInt(carbonMatch[1], 10), retentionTime };
+        });
+    }
+
+    /**
+     * Assign consecutive carbon numbers to the major peaks of an alkane standard run
+     * @param {Array} peaks - Detected peaks
+     * @param {number} firstCarbonNumber - Carbon number of the earliest alkane
+     * @param {number} minRelativeHeight - Peaks below this fraction of the tallest are ignored
+     * @returns {Array} - Ladder entries
+     */
+    static ladderFromPeaks(peaks, firstCarbonNumber, minRelativeHeight = 0.05) {
+        const maxHeight = Math.max(...peaks.map(peak => peak.height), 0);
+        return peaks
+            .filter(peak => !peak.shoulder && peak.height >= maxHeight * minRelativeHeight)
+            .sort((a, b) => a.retentionTime - b.retentionTime)
+            .map((peak, i) => ({ carbonNumber: firstCarbonNumber + i, retentionTime: peak.retentionTime }));
+    }
+
+    /**
+     * Replace the ladder and notify listeners
+     * @param {Array} ladder - Ladder entries
+     */
+    static setLadder(ladder) {
+        const sorted = [...ladder].sort((a, b) => a.retentionTime - b.retentionTime);
+        if (sorted.length < 2) {
+            throw new Error('An alkane ladder needs at least two alkanes.');
+        }
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i].carbonNumber <= sorted[i - 1].carbonNumber) {
+                throw new Error('Alkane carbon numbers must increase with retention time.');
+            }
+        }
+
+        this.ladder = sorted;
+        this.#notify();
+    }
+
+    /**
+     * Switch between linear and Kovats retention indices
+     * @param {string} mode - linear or kovats
+     */
+    static setMode(mode) {
+        if (!['linear', 'kovats'].includes(mode)) {
+            throw new Error(`Unknown retention index mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.#notify();
+    }
+
+    /**
+     * Check whether a ladder is loaded
+     * @returns {boolean} - True when RIs can be calculated
+     */
+    static isCalibrated() {
+        return this.ladder.length >= 2;
+    }
+
+    /**
+     * Calculate the retention index for a retention time
+     * @param {number} retentionTime - Retention time in minutes
+     * @returns {number|null} - Retention index, or null outside the ladder or without one
+     */
+    static calculate(retentionTime) {
+        if (!this.isCalibrated() || isNaN(retentionTime)) return null;
+
+        const upperIndex = this.ladder.findIndex(entry => entry.retentionTime >= retentionTime);
+        if (upperIndex === -1 || (upperIndex === 0 && this.ladder[0].retentionTime !== retentionTime)) {
+            return null;
+        }
+        if (upperIndex === 0) return 100 * this.ladder[0].carbonNumber;
+
+        const lower = this.ladder[upperIndex - 1];
+        const upper = this.ladder[upperIndex];
+        const fraction = this.mode === 'kovats' ?
+            (Math.log(retentionTime) - Math.log(lower.retentionTime)) /
+                (Math.log(upper.retentionTime) - Math.log(lower.retentionTime)) :
+            (retentionTime - lower.retentionTime) / (upper.retentionTime - lower.retentionTime);
+
+        // Bracketing alkanes need not be consecutive
+        return 100 * (lower.carbonNumber + fraction * (upper.carbonNumber - lower.carbonNumber));
+    }
+
+    /**
+     * Check whether a measured RI agrees with a reference RI
+     * @param {number|null} retentionIndex - Measured RI
+     * @param {number|null} referenceIndex - Reference (library) RI
+     * @param {number} tolerance - Allowed absolute difference
+     * @returns {boolean} - True when both are known and within tolerance
+     */
+    static isMatch(retentionIndex, referenceIndex, tolerance = this.tolerance) {
+        if (retentionIndex === null || referenceIndex === null ||
+            retentionIndex === undefined || referenceIndex === undefined) {
+            return false;
+        }
+        return Math.abs(retentionIndex - referenceIndex) <= tolerance;
+    }
+
+    /**
+     * Find a reference RI in a peak table row's extra columns (vendor exports often carry one)
+     * @param {Object} additionalData - Extra columns of a row
+     * @returns {number|null} - Reference RI, or null
+     */
+    static referenceFrom(additionalData = {}) {
+        const key = Object.keys(additionalData)
+            .find(column => ['referenceri', 'libraryri', 'ri'].includes(column.toLowerCase()));
+        const value = key ? parseFloat(additionalData[key]) : NaN;
+        return isNaN(value) ? null : value;
+    }
+
+    /**
+     * Format an RI with its agreement against a reference RI
+     * @param {number|null} retentionIndex - Measured RI
+     * @param {number|null} referenceIndex - Reference RI
+     * @returns {string} - HTML snippet
+     */
+    static formatWithReference(retentionIndex, referenceIndex) {
+        if (retentionIndex === null || referenceIndex === null) {
+            return this.format(retentionIndex);
+        }
+        const deviation = retentionIndex - referenceIndex;
+        const matchClass = this.isMatch(retentionIndex, referenceIndex) ? 'text-green-600' : 'text-red-600';
+        return `${this.format(retentionIndex)} <span class="${matchClass} text-xs">(ref ${referenceIndex.toFixed(0)}, Δ${deviation.toFixed(0)})</span>`;
+    }
+
+    /**
+     * Format an RI for display
+     * @param {number|null} retentionIndex - Retention index
+     * @returns {string} - Rounded RI, or an em dash when unknown
+     */
+    static format(retentionIndex) {
+        return retentionIndex === null ? '—' : retentionIndex.toFixed(0);
+    }
+
+    /**
+     * Dispatch the calibration event
+     */
+    static #notify() {
+        window.dispatchEvent(new CustomEvent('retention-index-calibrated', {
+            detail: { ladder: this.ladder, mode: this.mode }
+        }));
+    }
+}
+
+// Export the RetentionIndex class
+window.RetentionIndex = RetentionIndex;
@@ -0,0 +1,271 @@
+// Signal processing helpers for chromatographic traces
+class SignalProcessing {
+    /**
+     * Smooth a signal with a Savitzky-Golay filter
+     * @param {Array} values - Evenly sampled signal
+     * @param {number} windowSize - Odd number of points in the filter window
+     * @param {number} polynomialOrder - Order of the fitted polynomial
+     * @param {number} derivative - Derivative order to return (0 smooths the signal)
+     * @returns {Array} - Filtered signal
+     */
+    static savitzkyGolay(values, windowSize = 7, polynomialOrder = 2, derivative = 0) {
+        const n = values.length;
+        if (n === 0) return [];
+
+        // Shrink the window to fit short traces, keeping it odd
+        let window = Math.min(windowSize, n % 2 === 0 ? n - 1 : n);
+        if (window % 2 === 0) window--;
+        if (window <= polynomialOrder) {
+            return derivative === 0 ? Array.from(values) : new Array(n).fill(0);
+        }
+
+        const coefficients = this.#savitzkyGolayCoefficients(window, polynomialOrder, derivative);
+        const half = (window - 1) / 2;
+        const result = new Array(n);
+
+        for (let i = 0; i < n; i++) {
+            let sum = 0;
+            for (let k = -half; k <= half; k++) {
+                sum += coefficients[k + half] * values[this.#reflectIndex(i + k, n)];
+            }
+            result[i] = sum;
+        }
+        return result;
+    }
+
+    /**
+     * Running median filter; removes single-point spikes while keeping peak shapes
+     * @param {Array} values - Signal
+     * @param {number} windowSize - Odd window size
+     * @returns {Array} - Filtered signal
+     */
+    static medianFilter(values, windowSize = 3) {
+        const n = values.length;
+        const half = Math.floor(windowSize / 2);
+        return values.map((_, i) => {
+            const window = [];
+            for (let k = Math.max(0, i - half); k <= Math.min(n - 1, i + half); k++) {
+                window.push(values[k]);
+            }
+            return this.median(window);
+        });
+    }
+
+    /**
+     * Estimate a slowly varying baseline with a moving minimum followed by a moving average
+     * @param {Array} values - Signal
+     * @param {number} windowSize - Window in points; should be several peak widths
+     * @returns {Array} - Baseline, never above the signal
+     */
+    static estimateBaseline(values, windowSize = 101) {
+        const n = values.length;
+        const half = Math.max(1, Math.floor(Math.min(windowSize, n) / 2));
+
+        const minima = values.map((_, i) => {
+            let minimum = Infinity;
+            for (let k = Math.max(0, i - half); k <= Math.min(n - 1, i + half); k++) {
+                minimum = Math.min(minimum, values[k]);
+            }
+            return minimum;
+        });
+
+        const smoothed = this.movingAverage(minima, 2 * half + 1);
+        return smoothed.map((value, i) => Math.min(value, values[i]));
+    }
+
+    /**
+     * Centered moving average
+     * @param {Array} values - Signal
+     * @param {number} windowSize - Window in points
+     * @returns {Array} - Averaged signal
+     */
+    static movingAverage(values, windowSize) {
+        const n = values.length;
+        const half = Math.floor(windowSize / 2);
+        const prefix = [0];
+        values.forEach((value, i) => prefix.push(prefix[i] + value));
+
+        return values.map((_, i) => {
+            const start = Math.max(0, i - half);
+            const end = Math.min(n - 1, i + half);
+            return (prefix[end + 1] - prefix[start]) / (end - start + 1);
+        });
+    }
+
+    /**
+     * Estimate noise as the scaled median absolute deviation of the residual
+     * between a raw and a smoothed signal
+     * @param {Array} raw - Raw signal
+     * @param {Array} smoothed - Smoothed signal
+     * @returns {number} - Noise standard deviation estimate
+     */
+    static estimateNoise(raw, smoothed) {
+        const residuals = raw.map((value, i) => value - smoothed[i]);
+        const center = this.median(residuals);
+        return 1.4826 * this.median(residuals.map(value => Math.abs(value - center)));
+    }
+
+    /**
+     * Median of an array
+     * @param {Array} values - Numbers
+     * @returns {number} - Median, or NaN for an empty array
+     */
+    static median(values) {
+        if (values.length === 0) return NaN;
+        const sorted = Array.from(values).sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Linearly interpolate the x position where a segment crosses a level
+     * @param {number} x0 - First x
+     * @param {number} y0 - First y
+     * @param {number} x1 - Second x
+     * @param {number} y1 - Second y
+     * @param {number} level - y level
+     * @returns {number} - Interpolated x
+     */
+    static interpolateCrossing(x0, y0, x1, y1, level) {
+        return y1 === y0 ? x0 : x0 + (level - y0) * (x1 - x0) / (y1 - y0);
+    }
+
+    /**
+     * Weighted least squares polynomial fit
+     * @param {Array} x - x values
+     * @param {Array} y - y values
+     * @param {number} degree - Polynomial degree
+     * @param {Array} weights - Weight per point (defaults to 1)
+     * @returns {Array} - Coefficients, constant term first
+     */
+    static polynomialFit(x, y, degree, weights = x.map(() => 1)) {
+        const size = degree + 1;
+        const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+        const rhs = new Array(size).fill(0);
+
+        x.forEach((value, i) => {
+            for (let r = 0; r < size; r++) {
+                rhs[r] += weights[i] * Math.pow(value, r) * y[i];
+                for (let c = 0; c < size; c++) {
+                    normal[r][c] += weights[i] * Math.pow(value, r + c);
+                }
+            }
+        });
+        return this.solveLinearSystem(normal, rhs);
+    }
+
+    /**
+     * Non-negative least squares fit of a target onto basis vectors; basis vectors whose
+     * coefficient would be negative are dropped one at a time, most negative first
+     * @param {Array} basis - Basis vectors of equal length
+     * @param {Array} target - Vector to fit
+     * @returns {Array} - One non-negative coefficient per basis vector
+     */
+    static nonNegativeLeastSquares(basis, target) {
+        const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+        const coefficients = new Array(basis.length).fill(0);
+        const active = basis.map((_, i) => i);
+
+        while (active.length > 0) {
+            const normal = active.map(a => active.map(b => dot(basis[a], basis[b])));
+            const solution = this.solveLinearSystem(normal, active.map(a => dot(basis[a], target)));
+
+            // Singular systems give NaN; treat them like negative coefficients
+            let worst = -1;
+            solution.forEach((value, i) => {
+                if (!(value >= 0) && (worst === -1 || !(value >= solution[worst]))) worst = i;
+            });
+            if (worst === -1) {
+                active.forEach((index, i) => { coefficients[index] = solution[i]; });
+                break;
+            }
+            active.splice(worst, 1);
+        }
+        return coefficients;
+    }
+
+    /**
+     * Solve a small linear system with Gaussian elimination and partial pivoting
+     * @param {Array} matrix - Square matrix (rows)
+     * @param {Array} vector - Right-hand side
+     * @returns {Array} - Solution
+     */
+    static solveLinearSystem(matrix, vector) {
+        const n = vector.length;
+        const a = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+            }
+        }
+
+        const solution = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) sum -= a[row][k] * solution[k];
+            solution[row] = sum / a[row][row];
+        }
+        return solution;
+    }
+
+    /**
+     * Savitzky-Golay convolution coefficients from a least-squares polynomial fit
+     * @param {number} window - Odd window size
+     * @param {number} order - Polynomial order
+     * @param {number} derivative - Derivative order
+     * @returns {Array} - Coefficients for each window offset
+     */
+    static #savitzkyGolayCoefficients(window, order, derivative) {
+        const half = (window - 1) / 2;
+
+        // Normal equations (A^T A) for the Vandermonde matrix A of the window offsets
+        const normal = Array.from({ length: order + 1 }, (_, r) =>
+            Array.from({ length: order + 1 }, (_, c) => {
+                let sum = 0;
+                for (let k = -half; k <= half; k++) sum += Math.pow(k, r + c);
+                return sum;
+            })
+        );
+
+        // Row `derivative` of (A^T A)^-1 A^T, scaled by derivative! for the polynomial derivative
+        const unit = new Array(order + 1).fill(0);
+        unit[derivative] = 1;
+        const solution = this.solveLinearSystem(normal, unit);
+        let factorial = 1;
+        for (let i = 2; i <= derivative; i++) factorial *= i;
+
+        const coefficients = [];
+        for (let k = -half; k <= half; k++) {
+            let value = 0;
+            for (let p = 0; p <= order; p++) value += solution[p] * Math.pow(k, p);
+            coefficients.push(value * factorial);
+        }
+        return coefficients;
+    }
+
+    /**
+     * Mirror an out-of-range index back into [0, n)
+     * @param {number} index - Index
+     * @param {number} n - Length
+     * @returns {number} - Reflected index
+     */
+    static #reflectIndex(index, n) {
+        if (n === 1) return 0;
+        while (index < 0 || index >= n) {
+            if (index < 0) index = -index;
+            if (index >= n) index = 2 * (n - 1) - index;
+        }
+        return index;
+    }
+}
+
+// Export the SignalProcessing class
+window.SignalProcessing = SignalProcessing;
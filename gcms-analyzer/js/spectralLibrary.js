@@ -0,0 +1,491 @@
+// Spectral library import and matching module (NIST MSP, JCAMP-DX)
+class SpectralLibrary {
+    // Loaded library spectra: { name, synonyms, formula, casNumber, retentionIndex, mzValues, intensities, source }
+    static entries = [];
+
+    // Peaks (or peak-table rows) with spectra waiting to be identified, and their hits
+    static targets = [];
+    static matches = new Map();
+
+    // Dot product weighting: intensity^INTENSITY_POWER × (m/z)^MZ_POWER
+    static INTENSITY_POWER = 0.5;
+    static MZ_POWER = 1;
+
+    // Number of hits kept per peak
+    static TOP_HITS = 5;
+
+    static mirrorChart = null;
+
+    // Binned, weighted library spectra, computed once when the library loads
+    static #referenceBins = new WeakMap();
+
+    /**
+     * Load a library file and add its spectra to the library
+     * @param {File} file - .msp or JCAMP-DX (.jdx, .dx, .jcamp) file
+     * @returns {Promise<number>} - Number of spectra added
+     */
+    static async loadFile(file) {
+        const name = file.name.toLowerCase();
+        const text = await file.text();
+
+        let entries;
+        if (name.endsWith('.msp')) {
+            entries = this.parseMSP(text);
+        } else if (['.jdx', '.dx', '.jcamp'].some(ext => name.endsWith(ext))) {
+            entries = this.parseJCAMP(text);
+        } else {
+            throw new Error('Unsupported library format. Please load a .msp or JCAMP-DX file.');
+        }
+
+        if (entries.length === 0) {
+            throw new Error(`No spectra found in ${file.name}.`);
+        }
+
+        entries.forEach(entry => {
+            entry.source = file.name;
+            this.#referenceBins.set(entry, this.#weightedBins(entry));
+        });
+        this.entries.push(...entries);
+
+        window.dispatchEvent(new CustomEvent('spectral-library-loaded', {
+            detail: { added: entries.length, total: this.entries.length }
+        }));
+        return entries.length;
+    }
+
+    /**
+     * Parse a NIST MSP library
+     * @param {string} text - MSP file contents
+     * @returns {Array} - Library entries
+     */
+    static parseMSP(text) {
+        const entries = [];
+        let entry = null;
+        let peaksRemaining = 0;
+
+        const finish = () => {
+            if (entry && entry.mzValues.length > 0) entries.push(entry);
+            entry = null;
+            peaksRemaining = 0;
+        };
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (line === '') {
+                if (peaksRemaining <= 0) finish();
+                return;
+            }
+
+            if (peaksRemaining > 0) {
+                // Peaks may be "mz int; mz int" or one pair per line, optionally with annotations
+                const pairs = line.replace(/"[^"]*"/g, '').split(/[;\t]|(?<=\d)\s{2,}/);
+                pairs.forEach(pair => {
+                    const [mz, intensity] = pair.trim().split(/[\s,:]+/).map(parseFloat);
+                    if (!isNaN(mz) && !isNaN(intensity) && peaksRemaining > 0) {
+                        entry.mzValues.push(mz);
+                        entry.intensities.push(intensity);
+                        peaksRemaining--;
+                    }
+                });
+                return;
+            }
+
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+            const field = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (field === 'name') {
+                finish();
+                entry = this.#createEntry(value);
+            } else if (!entry) {
+                return;
+            } else if (field === 'synon') {
+                // NIST stores some metadata as "Synon: $:28RI 1234"-style tags; keep real synonyms only
+                if (!value.startsWith('$:')) entry.synonyms.push(value);
+            } else if (field === 'formula') {
+                entry.formula = value;
+            } else if (field === 'cas#' || field === 'casno') {
+                entry.casNumber = value.split(';')[0].trim();
+            } else if (['ri', 'retention_index', 'retentionindex', 'retention index'].includes(field)) {
+                entry.retentionIndex = parseFloat(value);
+            } else if (field === 'comments' || field === 'comment') {
+                const riMatch = /\bRI[=:\s]+([\d.]+)/i.exec(value);
+                if (riMatch && entry.retentionIndex === null) entry.retentionIndex = parseFloat(riMatch[1]);
+            } else if (field === 'num peaks') {
+                peaksRemaining = parseInt(value, 10) || 0;
+            }
+        });
+
+        finish();
+        return entries;
+    }
+
+    /**
+     * Parse JCAMP-DX mass spectra (single or linked blocks)
+     * @param {string} text - JCAMP-DX file contents
+     * @returns {Array} - Library entries
+     */
+    static parseJCAMP(text) {
+        const entries = [];
+        let entry = null;
+        let readingPeaks = false;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/\$\$.*$/, '').trim();
+            if (line === '') return;
+
+            const labelMatch = /^##([^=]+)=(.*)$/.exec(line);
+            if (!labelMatch) {
+                if (readingPeaks && entry) {
+                    // "mz,int mz,int" or "mz int" pairs
+                    line.split(/[;\s]+(?=\d)/).forEach(pair => {
+                        const [mz, intensity] = pair.split(/[,\s]+/).map(parseFloat);
+                        if (!isNaN(mz) && !isNaN(intensity)) {
+                            entry.mzValues.push(mz);
+                            entry.intensities.push(intensity);
+                        }
+                    });
+                }
+                return;
+            }
+
+            readingPeaks = false;
+            const label = labelMatch[1].trim().toUpperCase().replace(/[\s_-]/g, '');
+            const value = labelMatch[2].trim();
+
+            if (label === 'TITLE') {
+                entry = this.#createEntry(value);
+            } else if (!entry) {
+                return;
+            } else if (label === 'PEAKTABLE' || label === 'XYDATA' || label === 'XYPOINTS') {
+                readingPeaks = /XY/i.test(value);
+            } else if (label === 'MOLFORM') {
+                entry.formula = value.replace(/\s+/g, '');
+            } else if (label === 'CASREGISTRYNO') {
+                entry.casNumber = value;
+            } else if (label === 'NAMES') {
+                entry.synonyms.push(value);
+            } else if (label === 'RI' || label === '$RETENTIONINDEX' || label === 'RETENTIONINDEX') {
+                entry.retentionIndex = parseFloat(value);
+            } else if (label === 'END') {
+                if (entry.mzValues.length > 0) entries.push(entry);
+                entry = null;
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * Score a spectrum against one library spectrum
+     * @param {Object} query - Query spectrum
+     * @param {Object} reference - Library spectrum
+     * @returns {Object} - forward and reverse match factors on a 0–999 scale
+     */
+    static compareSpectra(query, reference) {
+        return this.#compareBins(this.#weightedBins(query), this.#libraryBins(reference));
+    }
+
+    /**
+     * Search the library for a spectrum
+     * @param {Object} spectrum - Query spectrum
+     * @param {Object} options - retentionIndex of the query, useRetentionIndex, riTolerance and topHits
+     * @returns {Array} - Hits sorted by forward match factor
+     */
+    static search(spectrum, {
+        retentionIndex = null,
+        useRetentionIndex = false,
+        riTolerance = RetentionIndex.tolerance,
+        topHits = this.TOP_HITS
+    } = {}) {
+        const queryBins = this.#weightedBins(spectrum);
+        return this.entries
+            .map(entry => ({
+                entry,
+                ...this.#compareBins(queryBins, this.#libraryBins(entry)),
+                riDeviation: retentionIndex !== null && entry.retentionIndex !== null ?
+                    retentionIndex - entry.retentionIndex : null
+            }))
+            // With the RI constraint, library spectra with a known RI must agree with the peak's RI
+            .filter(hit => !useRetentionIndex || hit.riDeviation === null ||
+                RetentionIndex.isMatch(retentionIndex, hit.entry.retentionIndex, riTolerance))
+            .sort((a, b) => b.forward - a.forward || b.reverse - a.reverse)
+            .slice(0, topHits);
+    }
+
+    /**
+     * Match factors of two binned, weighted spectra
+     * @param {Map<number, number>} queryBins - Weighted query intensity by m/z bin
+     * @param {Map<number, number>} referenceBins - Weighted library intensity by m/z bin
+     * @returns {Object} - forward and reverse match factors on a 0–999 scale
+     */
+    static #compareBins(queryBins, referenceBins) {
+        let dot = 0;
+        let queryNorm = 0;
+        let queryNormShared = 0;
+        let referenceNorm = 0;
+
+        referenceBins.forEach((weight, mz) => {
+            referenceNorm += weight * weight;
+            const queryWeight = queryBins.get(mz);
+            if (queryWeight !== undefined) {
+                dot += weight * queryWeight;
+            }
+        });
+        queryBins.forEach((weight, mz) => {
+            queryNorm += weight * weight;
+            // Reverse search ignores query ions absent from the library spectrum
+            if (referenceBins.has(mz)) queryNormShared += weight * weight;
+        });
+
+        const cosine = (norm) => norm > 0 && referenceNorm > 0 ? dot / Math.sqrt(norm * referenceNorm) : 0;
+        return {
+            forward: Math.round(999 * cosine(queryNorm)),
+            reverse: Math.round(999 * cosine(queryNormShared))
+        };
+    }
+
+    /**
+     * Set the peaks to identify, clearing previous matches
+     * @param {Array} targets - { id, label, retentionTime, intensity, spectrum }
+     */
+    static setTargets(targets) {
+        this.targets = targets;
+        this.matches.clear();
+        this.renderMatches();
+    }
+
+    /**
+     * Search the library for every target
+     * @param {Object} options - useRetentionIndex and riTolerance
+     */
+    static matchTargets(options = {}) {
+        if (this.entries.length === 0) {
+            throw new Error('Load a spectral library first.');
+        }
+        if (this.targets.length === 0) {
+            throw new Error('No peaks with spectra to match. Load a raw run or a peak table with a Spectrum column.');
+        }
+
+        this.matches.clear();
+        this.targets.forEach(target => {
+            const retentionIndex = RetentionIndex.calculate(target.retentionTime);
+            this.matches.set(target.id, this.search(target.spectrum, { ...options, retentionIndex }));
+        });
+        this.renderMatches();
+    }
+
+    /**
+     * Accept a hit as the identification of a target
+     * @param {string} targetId - Target ID
+     * @param {number} hitIndex - Index into the target's hits
+     */
+    static acceptHit(targetId, hitIndex) {
+        const target = this.targets.find(candidate => candidate.id === targetId);
+        const hit = (this.matches.get(targetId) || [])[hitIndex];
+        if (!target || !hit) return;
+
+        const previousName = target.acceptedName || null;
+        target.acceptedName = hit.entry.name;
+        this.renderMatches();
+
+        window.dispatchEvent(new CustomEvent('library-hit-accepted', {
+            detail: { target, hit, previousName }
+        }));
+    }
+
+    /**
+     * Render the top hits for each target
+     */
+    static renderMatches() {
+        const tableBody = document.getElementById('libraryMatchTableBody');
+        if (!tableBody) return;
+
+        if (this.matches.size === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="px-4 py-3 text-sm text-gray-500">
+                        ${this.targets.length} peak${this.targets.length === 1 ? '' : 's'} with spectra,
+                        ${this.entries.length} library spectra loaded
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        // Built with DOM calls so that names and labels from library and peak files are never parsed as HTML
+        tableBody.innerHTML = '';
+        const element = (tag, className, text = '') => {
+            const node = document.createElement(tag);
+            node.className = className;
+            node.textContent = text;
+            return node;
+        };
+        this.targets.forEach(target => {
+            const hits = this.matches.get(target.id) || [];
+            const retentionIndex = RetentionIndex.calculate(target.retentionTime);
+            const tr = element('tr', 'align-top');
+            [target.label, target.retentionTime.toFixed(3), RetentionIndex.format(retentionIndex)]
+                .forEach(text => tr.appendChild(element('td', 'px-4 py-2', text)));
+            const hitCell = tr.appendChild(element('td', 'px-4 py-2'));
+
+            if (hits.length === 0) {
+                hitCell.appendChild(element('div', 'text-gray-500', 'No hits'));
+            }
+            hits.forEach((hit, i) => {
+                const row = hitCell.appendChild(element('div', 'flex items-center gap-2 py-1'));
+                const name = row.appendChild(element('button', 'text-left text-blue-600 hover:text-blue-800', hit.entry.name));
+                name.addEventListener('click', () => this.showMirrorPlot(target.id, i));
+                row.appendChild(element('span', 'text-gray-500', `MF ${hit.forward} / RMF ${hit.reverse}`));
+                if (hit.riDeviation !== null) {
+                    row.appendChild(element('span', 'text-gray-500', `ΔRI ${hit.riDeviation.toFixed(0)}`));
+                }
+                if (target.acceptedName === hit.entry.name) {
+                    const accepted = row.appendChild(element('span', 'text-green-600', ' Accepted'));
+                    accepted.prepend(element('i', 'fas fa-check'));
+                } else {
+                    const accept = row.appendChild(element('button', 'bg-green-500 text-white px-2 py-0.5 rounded hover:bg-green-600', 'Accept'));
+                    accept.addEventListener('click', () => this.acceptHit(target.id, i));
+                }
+            });
+            tableBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Show a head-to-tail plot of a target spectrum (up) against a library hit (down)
+     * @param {string} targetId - Target ID
+     * @param {number} hitIndex - Index into the target's hits
+     */
+    static showMirrorPlot(targetId, hitIndex) {
+        const target = this.targets.find(candidate => candidate.id === targetId);
+        const hit = (this.matches.get(targetId) || [])[hitIndex];
+        const canvas = document.getElementById('mirrorPlotChart');
+        if (!target || !hit || !canvas) return;
+
+        const relative = (spectrum, sign) => {
+            const basePeak = Math.max(...spectrum.intensities, 0);
+            return spectrum.mzValues.map((mz, i) => ({
+                x: mz,
+                y: basePeak > 0 ? sign * spectrum.intensities[i] / basePeak * 100 : 0
+            }));
+        };
+
+        if (this.mirrorChart) {
+            this.mirrorChart.destroy();
+        }
+
+        this.mirrorChart = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                datasets: [
+                    {
+                        label: `${target.label} (${target.retentionTime.toFixed(2)} min)`,
+                        data: relative(target.spectrum, 1),
+                        backgroundColor: '#3B82F6',
+                        barThickness: 2
+                    },
+                    {
+                        label: `${hit.entry.name} (MF ${hit.forward})`,
+                        data: relative(hit.entry, -1),
+                        backgroundColor: '#EF4444',
+                        barThickness: 2
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Head-to-Tail Comparison'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: (context) => `m/z ${context[0].raw.x}`,
+                            label: (context) => `${context.dataset.label}: ${Math.abs(context.raw.y).toFixed(1)}%`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'm/z'
+                        }
+                    },
+                    y: {
+                        min: -100,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Relative Abundance (%)'
+                        },
+                        ticks: {
+                            callback: (value) => Math.abs(value)
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Remove all library spectra
+     */
+    static clear() {
+        this.entries = [];
+        this.matches.clear();
+        this.renderMatches();
+    }
+
+    /**
+     * Create an empty library entry
+     * @param {string} name - Compound name
+     * @returns {Object} - Library entry
+     */
+    static #createEntry(name) {
+        return {
+            name,
+            synonyms: [],
+            formula: null,
+            casNumber: null,
+            retentionIndex: null,
+            mzValues: [],
+            intensities: []
+        };
+    }
+
+    /**
+     * Binned, weighted intensities of a library spectrum, cached when it was loaded from a file
+     * @param {Object} entry - Library spectrum
+     * @returns {Map<number, number>} - Weighted intensity by m/z bin
+     */
+    static #libraryBins(entry) {
+        let bins = this.#referenceBins.get(entry);
+        if (!bins) {
+            bins = this.#weightedBins(entry);
+            this.#referenceBins.set(entry, bins);
+        }
+        return bins;
+    }
+
+    /**
+     * Bin a spectrum to nominal mass and apply the dot product weighting
+     * @param {Object} spectrum - Spectrum
+     * @returns {Map<number, number>} - Weighted intensity by m/z bin
+     */
+    static #weightedBins(spectrum) {
+        const binned = ChromatogramAnalyzer.averageSpectra([spectrum]);
+        return new Map(binned.mzValues.map((mz, i) => [
+            mz,
+            Math.pow(binned.intensities[i], this.INTENSITY_POWER) * Math.pow(mz, this.MZ_POWER)
+        ]));
+    }
+}
+
+// Export the SpectralLibrary class
+window.SpectralLibrary = SpectralLibrary;
@@ -0,0 +1,668 @@
+// Statistics module: univariate tests between sample groups, FDR correction and the volcano plot
+class Statistics {
+    static TWO_GROUP_TESTS = ['welch', 'mannWhitney'];
+    static MULTI_GROUP_TESTS = ['anova', 'kruskal'];
+
+    // Fold changes are groupB / groupA; empty groups default to the first two groups
+    static settings = {
+        groupA: null,
+        groupB: null,
+        twoGroupTest: 'welch',
+        multiGroupTest: 'anova',
+        foldChangeThreshold: 2,
+        fdrThreshold: 0.05
+    };
+
+    static result = null;
+    static selectedMetabolite = null;
+    static volcanoChart = null;
+
+    /**
+     * Test every metabolite of a matrix and redraw the volcano plot
+     * @param {Object} matrix - Matrix from Normalization.getMatrix
+     * @returns {Object} - Result of analyze
+     */
+    static update(matrix) {
+        // Log-transformed values turn ratios of means into differences; mean-centered ones have none
+        const transform = matrix.normalized ? Normalization.settings.transform : 'none';
+        const scaled = matrix.normalized && Normalization.settings.scaling !== 'none';
+        this.result = this.analyze(matrix, this.settings, { transform, scaled });
+        this.renderVolcano();
+        return this.result;
+    }
+
+    /**
+     * Get the study groups: groups of the samples of type Sample, in injection order
+     * @param {Array} samples - Experiment samples
+     * @returns {Array} - Group names
+     */
+    static getGroups(samples) {
+        return [...new Set(samples
+            .filter(sample => sample.metadata.type === 'sample' && sample.metadata.group)
+            .map(sample => sample.metadata.group))];
+    }
+
+    /**
+     * Compare the groups for every metabolite
+     * @param {Object} matrix - Metabolite × sample matrix
+     * @param {Object} settings - Statistics settings
+     * @param {Object} scale - transform of the values (none, log2, log10) and whether they are scaled
+     * @returns {Object} - groups, groupA, groupB and per-feature foldChange, log2FoldChange, pValue, qValue,
+     *                     multiPValue and multiQValue (null where a test is not possible)
+     */
+    static analyze(matrix, settings = this.settings, { transform = 'none', scaled = false } = {}) {
+        if (!this.TWO_GROUP_TESTS.includes(settings.twoGroupTest)) {
+            throw new Error(`Unknown test: ${settings.twoGroupTest}`);
+        }
+        if (!this.MULTI_GROUP_TESTS.includes(settings.multiGroupTest)) {
+            throw new Error(`Unknown test: ${settings.multiGroupTest}`);
+        }
+
+        const { samples, features } = matrix;
+        const groups = this.getGroups(samples);
+        const warnings = [];
+        if (groups.length < 2) {
+            return { groups, groupA: null, groupB: null, features: [], warnings };
+        }
+
+        const groupA = groups.includes(settings.groupA) ? settings.groupA : groups[0];
+        const groupB = groups.includes(settings.groupB) && settings.groupB !== groupA ?
+            settings.groupB : groups.find(group => group !== groupA);
+        const columnsOf = group => samples
+            .map((sample, column) => sample.metadata.type === 'sample' && sample.metadata.group === group ? column : -1)
+            .filter(column => column !== -1);
+        const columns = new Map(groups.map(group => [group, columnsOf(group)]));
+        if (scaled) {
+            warnings.push('Fold changes are not shown for scaled (mean-centered) values');
+        }
+
+        const rows = features.map(feature => {
+            // Missing values are left out of each test
+            const valuesOf = group => columns.get(group)
+                .map(column => feature.intensities[column])
+                .filter(value => value !== null);
+            const a = valuesOf(groupA);
+            const b = valuesOf(groupB);
+            const twoGroup = settings.twoGroupTest === 'welch' ? this.welchTTest(a, b) : this.mannWhitneyU(a, b);
+            const multiGroup = groups.length > 2 ?
+                (settings.multiGroupTest === 'anova' ? this.oneWayAnova : this.kruskalWallis).call(this, groups.map(valuesOf)) :
+                null;
+            const foldChange = scaled ? null : this.#foldChange(a, b, transform);
+
+            return {
+                name: feature.name,
+                foldChange,
+                log2FoldChange: foldChange > 0 ? Math.log2(foldChange) : null,
+                pValue: twoGroup.pValue,
+                multiPValue: multiGroup ? multiGroup.pValue : null
+            };
+        });
+
+        const qValues = this.benjaminiHochberg(rows.map(row => row.pValue));
+        const multiQValues = this.benjaminiHochberg(rows.map(row => row.multiPValue));
+        return {
+            groups,
+            groupA,
+            groupB,
+            warnings,
+            features: rows.map((row, i) => ({
+                ...row,
+                qValue: qValues[i],
+                multiQValue: multiQValues[i]
+            }))
+        };
+    }
+
+    /**
+     * Welch's unequal-variance t-test
+     * @param {Array} a - Values of the first group
+     * @param {Array} b - Values of the second group
+     * @returns {Object} - statistic (t), df and two-sided pValue (null with fewer than two values per group)
+     */
+    static welchTTest(a, b) {
+        if (a.length < 2 || b.length < 2) {
+            return { statistic: null, df: null, pValue: null };
+        }
+
+        const [meanA, meanB] = [this.#mean(a), this.#mean(b)];
+        const [errorA, errorB] = [this.#variance(a) / a.length, this.#variance(b) / b.length];
+        const standardError = Math.sqrt(errorA + errorB);
+        if (standardError === 0) {
+            return { statistic: null, df: null, pValue: meanA === meanB ? 1 : null };
+        }
+
+        const statistic = (meanB - meanA) / standardError;
+        const df = (errorA + errorB) ** 2 / (errorA ** 2 / (a.length - 1) + errorB ** 2 / (b.length - 1));
+        return {
+            statistic,
+            df,
+            pValue: this.#regularizedBeta(df / (df + statistic * statistic), df / 2, 0.5)
+        };
+    }
+
+    /**
+     * Mann–Whitney U test: exact for small groups without ties, otherwise the normal
+     * approximation with tie and continuity correction
+     * @param {Array} a - Values of the first group
+     * @param {Array} b - Values of the second group
+     * @returns {Object} - statistic (U of the first group) and two-sided pValue
+     */
+    static mannWhitneyU(a, b) {
+        if (a.length === 0 || b.length === 0) {
+            return { statistic: null, pValue: null };
+        }
+
+        const { ranks, tieTerm } = this.#rank([...a, ...b]);
+        const rankSum = ranks.slice(0, a.length).reduce((sum, rank) => sum + rank, 0);
+        const statistic = rankSum - a.length * (a.length + 1) / 2;
+        const product = a.length * b.length;
+
+        if (tieTerm === 0 && a.length + b.length <= 40) {
+            const counts = this.#rankSumCounts(a.length, a.length + b.length);
+            const offset = a.length * (a.length + 1) / 2;
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            const below = counts.slice(0, statistic + offset + 1).reduce((sum, count) => sum + count, 0) / total;
+            const above = counts.slice(statistic + offset).reduce((sum, count) => sum + count, 0) / total;
+            return { statistic, pValue: Math.min(1, 2 * Math.min(below, above)) };
+        }
+
+        const n = a.length + b.length;
+        const variance = product / 12 * ((n + 1) - tieTerm / (n * (n - 1)));
+        if (variance === 0) {
+            return { statistic, pValue: 1 };
+        }
+        const z = Math.max(0, Math.abs(statistic - product / 2) - 0.5) / Math.sqrt(variance);
+        return { statistic, pValue: this.#normalTwoSided(z) };
+    }
+
+    /**
+     * One-way ANOVA
+     * @param {Array} groups - Values per group
+     * @returns {Object} - statistic (F), df ([between, within]) and pValue
+     */
+    static oneWayAnova(groups) {
+        const used = groups.filter(values => values.length > 0);
+        const n = used.reduce((sum, values) => sum + values.length, 0);
+        if (used.length < 2 || n <= used.length) {
+            return { statistic: null, df: null, pValue: null };
+        }
+
+        const grandMean = this.#mean(used.flat());
+        const between = used.reduce((sum, values) => sum + values.length * (this.#mean(values) - grandMean) ** 2, 0);
+        const within = used.reduce((sum, values) => {
+            const mean = this.#mean(values);
+            return sum + values.reduce((total, value) => total + (value - mean) ** 2, 0);
+        }, 0);
+        const df = [used.length - 1, n - used.length];
+        if (within === 0) {
+            return { statistic: null, df, pValue: between === 0 ? 1 : null };
+        }
+
+        const statistic = (between / df[0]) / (within / df[1]);
+        return {
+            statistic,
+            df,
+            pValue: this.#regularizedBeta(df[1] / (df[1] + df[0] * statistic), df[1] / 2, df[0] / 2)
+        };
+    }
+
+    /**
+     * Kruskal–Wallis test with tie correction
+     * @param {Array} groups - Values per group
+     * @returns {Object} - statistic (H), df and pValue (chi-square approximation)
+     */
+    static kruskalWallis(groups) {
+        const used = groups.filter(values => values.length > 0);
+        const all = used.flat();
+        const n = all.length;
+        if (used.length < 2 || n <= used.length) {
+            return { statistic: null, df: null, pValue: null };
+        }
+
+        const { ranks, tieTerm } = this.#rank(all);
+        let offset = 0;
+        const sumOfSquares = used.reduce((sum, values) => {
+            const rankSum = ranks.slice(offset, offset + values.length).reduce((total, rank) => total + rank, 0);
+            offset += values.length;
+            return sum + rankSum * rankSum / values.length;
+        }, 0);
+
+        const correction = 1 - tieTerm / (n * n * n - n);
+        const df = used.length - 1;
+        if (correction === 0) {
+            return { statistic: null, df, pValue: 1 };
+        }
+        const statistic = (12 / (n * (n + 1)) * sumOfSquares - 3 * (n + 1)) / correction;
+        return { statistic, df, pValue: this.#chiSquareUpper(statistic, df) };
+    }
+
+    /**
+     * One-sided Fisher's exact test for over-representation: the hypergeometric upper tail of
+     * drawing at least k of M marked items when n of N items are drawn
+     * @param {number} k - Marked items drawn
+     * @param {number} M - Marked items
+     * @param {number} n - Items drawn
+     * @param {number} N - All items
+     * @returns {Object} - expected number of marked items drawn and pValue P(X ≥ k)
+     */
+    static hypergeometricTest(k, M, n, N) {
+        if (N <= 0 || M > N || n > N) {
+            return { expected: null, pValue: null };
+        }
+
+        const logChoose = (a, b) => this.#logGamma(a + 1) - this.#logGamma(b + 1) - this.#logGamma(a - b + 1);
+        const total = logChoose(N, n);
+        let pValue = 0;
+        for (let i = Math.max(k, 0, n - (N - M)); i <= Math.min(M, n); i++) {
+            pValue += Math.exp(logChoose(M, i) + logChoose(N - M, n - i) - total);
+        }
+        return { expected: n * M / N, pValue: Math.min(1, pValue) };
+    }
+
+    /**
+     * Benjamini–Hochberg false discovery rate adjustment
+     * @param {Array} pValues - p-values, null where untested
+     * @returns {Array} - q-values in the same order (null where untested)
+     */
+    static benjaminiHochberg(pValues) {
+        const tested = pValues
+            .map((pValue, index) => ({ pValue, index }))
+            .filter(({ pValue }) => pValue !== null)
+            .sort((a, b) => a.pValue - b.pValue);
+        const qValues = new Array(pValues.length).fill(null);
+
+        let minimum = 1;
+        for (let rank = tested.length; rank >= 1; rank--) {
+            const { pValue, index } = tested[rank - 1];
+            minimum = Math.min(minimum, pValue * tested.length / rank);
+            qValues[index] = minimum;
+        }
+        return qValues;
+    }
+
+    /**
+     * Whether a feature passes both volcano thresholds
+     * @param {Object} feature - Feature result from analyze
+     * @returns {boolean} - True when significant after FDR correction and changed enough
+     */
+    static isSignificant(feature) {
+        const { foldChangeThreshold, fdrThreshold } = this.settings;
+        return feature.qValue !== null && feature.qValue < fdrThreshold &&
+            feature.log2FoldChange !== null && Math.abs(feature.log2FoldChange) >= Math.log2(foldChangeThreshold);
+    }
+
+    /**
+     * Plot -log10 p against log2 fold change; clicking a point selects the metabolite
+     */
+    static renderVolcano() {
+        const canvas = document.getElementById('volcanoChart');
+        if (!canvas) return;
+
+        if (this.volcanoChart) {
+            this.volcanoChart.destroy();
+            this.volcanoChart = null;
+        }
+        if (!this.result || this.result.features.length === 0) return;
+
+        const { groupA, groupB } = this.result;
+        const plotted = this.result.features.filter(feature => feature.log2FoldChange !== null && feature.pValue !== null);
+        const point = feature => ({
+            x: feature.log2FoldChange,
+            y: -Math.log10(Math.max(feature.pValue, Number.MIN_VALUE)),
+            name: feature.name,
+            qValue: feature.qValue
+        });
+        const subset = (test) => plotted.filter(test).map(point);
+        const up = subset(feature => this.isSignificant(feature) && feature.log2FoldChange > 0);
+        const down = subset(feature => this.isSignificant(feature) && feature.log2FoldChange < 0);
+        const other = subset(feature => !this.isSignificant(feature));
+        const selected = subset(feature => feature.name === this.selectedMetabolite);
+
+        const threshold = Math.log2(this.settings.foldChangeThreshold);
+        const top = Math.max(...plotted.map(feature => point(feature).y), 1);
+        const thresholdLine = (x, label) => ({
+            type: 'line',
+            label,
+            data: [{ x, y: 0 }, { x, y: top }],
+            borderColor: '#9CA3AF',
+            borderDash: [4, 4],
+            borderWidth: 1,
+            pointRadius: 0
+        });
+
+        this.volcanoChart = new Chart(canvas.getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    {
+                        label: 'Selected',
+                        data: selected,
+                        backgroundColor: 'rgba(0, 0, 0, 0)',
+                        borderColor: '#111827',
+                        borderWidth: 2,
+                        pointRadius: 9
+                    },
+                    {
+                        label: `Up in ${groupB}`,
+                        data: up,
+                        backgroundColor: '#EF4444',
+                        pointRadius: 5
+                    },
+                    {
+                        label: `Down in ${groupB}`,
+                        data: down,
+                        backgroundColor: '#3B82F6',
+                        pointRadius: 5
+                    },
+                    {
+                        label: 'Not significant',
+                        data: other,
+                        backgroundColor: '#9CA3AF',
+                        pointRadius: 4
+                    },
+                    thresholdLine(-threshold, `±${this.settings.foldChangeThreshold}-fold`),
+                    thresholdLine(threshold, '')
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                onClick: (event, elements, chart) => {
+                    const element = elements.find(candidate => chart.data.datasets[candidate.datasetIndex].data[candidate.index].name);
+                    if (!element) return;
+                    this.select(chart.data.datasets[element.datasetIndex].data[element.index].name);
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: `Volcano Plot: ${groupB} vs ${groupA}`
+                    },
+                    legend: {
+                        labels: {
+                            filter: (item) => item.text !== ''
+                        }
+                    },
+                    tooltip: {
+                        filter: (context) => Boolean(context.raw.name),
+                        callbacks: {
+                            label: (context) => `${context.raw.name}: log2 FC ${context.raw.x.toFixed(2)}, ` +
+                                `p ${this.formatPValue(Math.pow(10, -context.raw.y))}, q ${this.formatPValue(context.raw.qValue)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: `log2 Fold Change (${groupB} / ${groupA})`
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: '-log10 p'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Select a metabolite: ring it in the volcano plot and tell the other views
+     * @param {string} name - Metabolite name
+     */
+    static select(name) {
+        this.selectedMetabolite = name;
+        this.renderVolcano();
+        window.dispatchEvent(new CustomEvent('metabolite-selected', {
+            detail: { name, source: 'volcano' }
+        }));
+    }
+
+    /**
+     * Format a p- or q-value for tables and tooltips
+     * @param {number|null} value - p-value
+     * @returns {string} - e.g. 0.032 or 1.2e-5; — when untested
+     */
+    static formatPValue(value) {
+        if (value === null || value === undefined) return '—';
+        return value < 0.001 ? value.toExponential(1) : value.toFixed(3);
+    }
+
+    /**
+     * Forget the results and the plot
+     */
+    static clear() {
+        this.result = null;
+        this.selectedMetabolite = null;
+        if (this.volcanoChart) {
+            this.volcanoChart.destroy();
+            this.volcanoChart = null;
+        }
+    }
+
+    /**
+     * Fold change of group B over group A
+     * @param {Array} a - Values of group A
+     * @param {Array} b - Values of group B
+     * @param {string} transform - none, log2 or log10
+     * @returns {number|null} - Ratio of means (of geometric means for logged values)
+     */
+    static #foldChange(a, b, transform) {
+        if (a.length === 0 || b.length === 0) return null;
+        if (transform !== 'none') {
+            const base = transform === 'log2' ? 2 : 10;
+            return Math.pow(base, this.#mean(b) - this.#mean(a));
+        }
+        const [meanA, meanB] = [this.#mean(a), this.#mean(b)];
+        return meanA > 0 && meanB > 0 ? meanB / meanA : null;
+    }
+
+    /**
+     * Rank values, giving ties their average rank
+     * @param {Array} values - Values
+     * @returns {Object} - ranks in input order and the tie term Σ(t³ - t)
+     */
+    static #rank(values) {
+        const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+        const ranks = new Array(values.length);
+        let tieTerm = 0;
+        for (let start = 0; start < order.length;) {
+            let end = start;
+            while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+            const ties = end - start + 1;
+            for (let k = start; k <= end; k++) {
+                ranks[order[k].index] = (start + end) / 2 + 1;
+            }
+            tieTerm += ties ** 3 - ties;
+            start = end + 1;
+        }
+        return { ranks, tieTerm };
+    }
+
+    /**
+     * Number of ways k of the ranks 1..n sum to each total (exact Mann–Whitney distribution)
+     * @param {number} k - Size of the first group
+     * @param {number} n - Size of both groups
+     * @returns {Array} - Counts indexed by rank sum
+     */
+    static #rankSumCounts(k, n) {
+        const maximum = n * (n + 1) / 2;
+        // counts[j][s]: ways to pick j ranks summing to s
+        let counts = Array.from({ length: k + 1 }, () => new Array(maximum + 1).fill(0));
+        counts[0][0] = 1;
+        for (let rank = 1; rank <= n; rank++) {
+            const next = counts.map(row => [...row]);
+            for (let j = 1; j <= Math.min(k, rank); j++) {
+                for (let s = rank; s <= maximum; s++) {
+                    next[j][s] += counts[j - 1][s - rank];
+                }
+            }
+            counts = next;
+        }
+        return counts[k];
+    }
+
+    /**
+     * Mean of the values
+     * @param {Array} values - Values
+     * @returns {number} - Mean
+     */
+    static #mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    /**
+     * Sample variance of the values
+     * @param {Array} values - At least two values
+     * @returns {number} - Variance (n - 1 denominator)
+     */
+    static #variance(values) {
+        const mean = this.#mean(values);
+        return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+    }
+
+    /**
+     * Two-sided p-value of a standard normal z score
+     * @param {number} z - z score
+     * @returns {number} - p-value
+     */
+    static #normalTwoSided(z) {
+        // z² is chi-square distributed with one degree of freedom
+        return this.#chiSquareUpper(z * z, 1);
+    }
+
+    /**
+     * Upper tail of the chi-square distribution
+     * @param {number} x - Statistic
+     * @param {number} df - Degrees of freedom
+     * @returns {number} - P(X ≥ x)
+     */
+    static #chiSquareUpper(x, df) {
+        if (x <= 0) return 1;
+        return 1 - this.#regularizedGamma(df / 2, x / 2);
+    }
+
+    /**
+     * Regularized lower incomplete gamma function P(a, x) (Numerical Recipes gser / gcf)
+     * @param {number} a - Shape
+     * @param {number} x - Upper limit
+     * @returns {number} - P(a, x)
+     */
+    static #regularizedGamma(a, x) {
+        const logPrefix = -x + a * Math.log(x) - this.#logGamma(a);
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+                term *= x / (a + n);
+                sum += term;
+            }
+            return sum * Math.exp(logPrefix);
+        }
+
+        // Continued fraction for the upper tail (modified Lentz)
+        let b = x + 1 - a;
+        let c = 1 / 1e-300;
+        let d = 1 / b;
+        let h = d;
+        for (let n = 1; n < 500; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = b + an / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return 1 - Math.exp(logPrefix) * h;
+    }
+
+    /**
+     * Regularized incomplete beta function I_x(a, b)
+     * @param {number} x - Upper limit in [0, 1]
+     * @param {number} a - First shape
+     * @param {number} b - Second shape
+     * @returns {number} - I_x(a, b)
+     */
+    static #regularizedBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        const logPrefix = this.#logGamma(a + b) - this.#logGamma(a) - this.#logGamma(b) +
+            a * Math.log(x) + b * Math.log(1 - x);
+
+        // The continued fraction converges quickly below the mean; use the symmetry above it
+        if (x < (a + 1) / (a + b + 2)) {
+            return Math.exp(logPrefix) * this.#betaFraction(x, a, b) / a;
+        }
+        return 1 - Math.exp(logPrefix) * this.#betaFraction(1 - x, b, a) / b;
+    }
+
+    /**
+     * Continued fraction of the incomplete beta function (Numerical Recipes betacf)
+     * @param {number} x - Upper limit
+     * @param {number} a - First shape
+     * @param {number} b - Second shape
+     * @returns {number} - Continued fraction value
+     */
+    static #betaFraction(x, a, b) {
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        d = 1 / d;
+        let h = d;
+        for (let m = 1; m < 500; m++) {
+            const m2 = 2 * m;
+            let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 + aa * d;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = 1 + aa / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            h *= d * c;
+
+            aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 + aa * d;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = 1 + aa / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return h;
+    }
+
+    /**
+     * Natural logarithm of the gamma function (Lanczos approximation)
+     * @param {number} x - Positive argument
+     * @returns {number} - ln Γ(x)
+     */
+    static #logGamma(x) {
+        const coefficients = [
+            676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+            12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - this.#logGamma(1 - x);
+        }
+        const shifted = x - 1;
+        let sum = 0.99999999999980993;
+        coefficients.forEach((coefficient, i) => {
+            sum += coefficient / (shifted + i + 1);
+        });
+        const t = shifted + coefficients.length - 0.5;
+        return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+}
+
+// Export the Statistics class
+window.Statistics = Statistics;